@@ -1,15 +1,60 @@
 // chrome-llm-summarizer/background/background.js
 
 import createLogger from '../utils/logger.js';
-import { MESSAGE_TYPES, ERROR_MESSAGES } from '../utils/constants.js';
-import { summarizeContentWithLLM } from '../domain/llm_client.js';
+import {
+    MESSAGE_TYPES,
+    ERROR_MESSAGES,
+    PORT_NAMES,
+    CONTEXT_MENU_IDS,
+    OVERLAY_STATES,
+    SUMMARY_PHASES,
+    CONTENT_TYPES,
+    SELECTION_SUMMARY_PROMPT_TEMPLATE,
+    SELECTION_EXPLAIN_PROMPT_TEMPLATE,
+    LINK_LOAD_TIMEOUT_MS,
+    DIGEST_MAX_PARALLEL_TABS,
+    DIGEST_PROMPT_TEMPLATE,
+    CACHE_MODES,
+    AUTO_SUMMARIZE_DISPLAYS,
+    AUTO_SUMMARIZE_DEBOUNCE_MS,
+    AUTO_SUMMARIZE_BADGES,
+    KEYBOARD_COMMANDS,
+    JOB_STATUSES,
+    JOB_VIEWS
+} from '../utils/constants.js';
+import { summarizeContentWithLLM, answerFollowUpQuestion, extractStructuredData, formatMetadataHeader } from '../domain/llm_client.js';
+import { resolveProfile, migrateApiKeys } from '../domain/profiles.js';
+import { resolvePromptTemplate, buildTemplateVariables, getTemplateSettings } from '../domain/templates.js';
+import { startConversation, getConversation, appendExchange, clearConversation } from '../domain/conversation.js';
+import { addHistoryEntry } from '../domain/history.js';
+import { getCitationsEnabled, hasPassageMarkers, stripPassageMarkers } from '../domain/citations.js';
+import { isPdfUrl, isFileUrl, hasFileAccess, extractPdfContent } from '../domain/pdf.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { describeError, describeRecovery } from '../domain/errors.js';
+import { getAutoSummarizeRules, findAutoSummarizeRule, claimAutoSummarizeRun, releaseAutoSummarizeRun } from '../domain/auto_summarize.js';
+import { findSchema } from '../domain/extraction.js';
+import { protectPageContent } from '../domain/privacy.js';
+import { migrateSettings, restrictStorageAccess } from '../domain/storage.js';
+import { migrateKeyVault } from '../domain/key_vault.js';
+import { initJobManager, submitJob, attachToJob, detachPort, cancelJob, clearTabJobs } from '../domain/jobs.js';
 
 const logger = createLogger('background/background');
 
 logger.info('Background service worker started.');
 
-// Use a Map to store pending requests/promises keyed by tabId
+// Only extension pages and this worker may read the encrypted API keys, conversations and jobs
+restrictStorageAccess();
+
+// Resolve functions of the extractions waiting for a tab's content script, keyed by tabId.
+// Several jobs may read the same tab at once; one content script response answers all of them.
 const pendingContentRequests = new Map();
+// Ids of the jobs shown in an in-page overlay (context menu actions and keyboard shortcuts), keyed by tabId
+const overlayJobs = new Map();
+// Ids of the windows whose side panel is open; null until loaded after the service worker starts
+let openSidePanels = null;
+// Debounce timers and job ids of automatic summaries, keyed by tabId
+const autoSummarizeTimers = new Map();
+const autoSummarizeJobs = new Map();
 
 // Listener for messages from other parts of the extension (e.g., popup, content scripts)
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -22,9 +67,9 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         // Check if there's a pending request waiting for this content from this tab
         if (sender.tab?.id && pendingContentRequests.has(sender.tab.id)) {
             logger.info(`Received content response from content script for tab ${sender.tab.id}. Success: ${request.success}.`);
-            const resolve = pendingContentRequests.get(sender.tab.id);
+            const resolvers = pendingContentRequests.get(sender.tab.id);
             pendingContentRequests.delete(sender.tab.id);
-            resolve(request); // Resolve the promise in the message handler below
+            resolvers.forEach((resolve) => resolve(request)); // Resolve the promises in extractContentFromTab
         } else {
              // This might happen if a previous cleanup failed or message was sent unexpectedly
              logger.warn(`Received ${MESSAGE_TYPES.GET_PAGE_CONTENT} message without a pending request or valid tab ID. Tab ID: ${sender.tab?.id}.`);
@@ -33,136 +78,1401 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return false;
     }
 
-    // Handle summarization request from the popup
-    if (request.type === MESSAGE_TYPES.SUMMARIZE_CONTENT) {
-        logger.info('Received summarization request from popup.');
-
-        // Need the active tab to inject the content script
-        chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
-            const activeTab = tabs[0];
-            if (!activeTab?.id) {
-                logger.error('Could not get active tab ID.');
-                // Send error back to popup
-                chrome.runtime.sendMessage(sender.id, {
-                    type: MESSAGE_TYPES.SUMMARY_RESULT,
-                    success: false,
-                    error: ERROR_MESSAGES.UNKNOWN_ERROR // Generic error for tab access
-                });
+    // The user closed the in-page overlay: stop generating into it
+    if (request.type === MESSAGE_TYPES.OVERLAY_CLOSED) {
+        if (sender.tab?.id && overlayJobs.has(sender.tab.id)) {
+            logger.info(`Overlay closed in tab ${sender.tab.id}. Cancelling its request.`);
+            cancelJob(overlayJobs.get(sender.tab.id));
+            overlayJobs.delete(sender.tab.id);
+        }
+        if (sender.tab?.id && autoSummarizeJobs.has(sender.tab.id)) {
+            logger.info(`Overlay closed in tab ${sender.tab.id}. Cancelling its automatic summary.`);
+            cancelJob(autoSummarizeJobs.get(sender.tab.id));
+        }
+        return false;
+    }
+
+    // "Cancel" in the job list of the popup or side panel
+    if (request.type === MESSAGE_TYPES.CANCEL_JOB) {
+        sendResponse({ cancelled: cancelJob(request.jobId) });
+        return false;
+    }
+
+    // If the message type is not recognized
+    logger.warn('Received message with unrecognized type:', request.type);
+    // Return false for messages that are not handled asynchronously by sendResponse
+    return false;
+});
+
+/**
+ * Posts a message to a port, ignoring the error thrown when the popup has already closed.
+ * @param {chrome.runtime.Port} port
+ * @param {object} message
+ */
+const safePostMessage = (port, message) => {
+    try {
+        port.postMessage(message);
+    } catch (error) {
+        logger.warn(`Could not post ${message.type} to port (probably disconnected): ${error.message}`);
+    }
+};
+
+/**
+ * Injects the content script into a tab and waits for it to report the extracted page content.
+ * @param {number} tabId
+ * @returns {Promise<object>} - The GET_PAGE_CONTENT message sent by the content script.
+ */
+const extractContentFromTab = async (tabId) => {
+    // 1. Inject content script and get page content (using a promise to wait for response)
+    logger.info(`Injecting content script into tab ${tabId}.`);
+    // Create a promise and store its resolve function, keyed by tabId
+    let resolveContent;
+    let timeoutId;
+    const contentPromise = new Promise((resolve) => {
+       resolveContent = resolve;
+       pendingContentRequests.set(tabId, [...(pendingContentRequests.get(tabId) || []), resolve]);
+    });
+
+    try {
+        // Execute the content script
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: ['content_scripts/content.js'] // Path to your content script
+            // Note: Content scripts injected this way run in an isolated world.
+            // The function defined in content.js will send a message back.
+        });
+         logger.info(`Content script injection requested for tab ${tabId}. Waiting for response via message.`);
+
+        // Wait for the content script to send the content back via message
+        // Add a timeout for waiting for the content script response
+        const contentResponse = await Promise.race([
+            contentPromise,
+            new Promise((_, reject) => {
+                timeoutId = setTimeout(() => reject(new Error('Content script response timed out.')), 15000); // 15 seconds timeout
+            })
+        ]);
+        logger.debug(`Content script response promise settled for tab ${tabId}.`);
+        return contentResponse;
+    } finally {
+         // The timer would otherwise keep running for 15 seconds after every extraction
+         clearTimeout(timeoutId);
+         // Ensure pending request is cleaned up, even on error; other extractions of the tab keep waiting
+         const resolvers = (pendingContentRequests.get(tabId) || []).filter((resolve) => resolve !== resolveContent);
+         if (resolvers.length > 0) {
+             pendingContentRequests.set(tabId, resolvers);
+         } else if (pendingContentRequests.delete(tabId)) {
+             logger.debug(`Cleaned up pending content request entry for tab ${tabId}.`);
+         }
+    }
+};
+
+/**
+ * Tells whether a tab shows a PDF in Chrome's viewer. The viewer has no readable DOM, so
+ * PDFs are downloaded and parsed instead of running the content script.
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<boolean>}
+ */
+const isPdfTab = async (tab) => {
+    if (isPdfUrl(tab.url)) {
+        return true;
+    }
+    // PDFs served without a .pdf extension: the viewer's document keeps the PDF content type
+    try {
+        const [injection] = await chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: () => document.contentType
+        });
+        return injection?.result === 'application/pdf';
+    } catch (error) {
+        logger.debug(`Could not read the document type of tab ${tab.id}: ${error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Extracts the content of a tab: PDFs are downloaded and parsed, other pages go through the content script.
+ * The result has passed the privacy filter, so it may be sent to the LLM.
+ * @param {chrome.tabs.Tab} tab
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<object>} - The content script's GET_PAGE_CONTENT response (or the same shape for PDFs), redacted.
+ * @throws {Error} - DOMAIN_BLOCKED when the tab's site is on the privacy blocklist.
+ */
+const extractTabContent = async (tab, signal) => protectPageContent(await isPdfTab(tab)
+    ? await extractPdfContent(tab.url, { signal })
+    : await extractContentFromTab(tab.id), tab.url || '');
+
+// Tells the job manager (and the popup) that the request moves from reading the page to calling the LLM
+const reportCalling = (port) => safePostMessage(port, { type: MESSAGE_TYPES.JOB_STATUS, status: JOB_STATUSES.CALLING });
+
+/**
+ * Returns the tab a popup or side panel request is about. They send the id of the tab they
+ * show, because the active tab may change while the side panel stays open.
+ * @param {number} [tabId]
+ * @returns {Promise<chrome.tabs.Tab|undefined>} - undefined when the tab no longer exists.
+ */
+const getTargetTab = async (tabId) => {
+    if (tabId) {
+        return chrome.tabs.get(tabId).catch(() => undefined);
+    }
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    return activeTab;
+};
+
+/**
+ * Checks that the target tab can be read and extracts its (redacted) content.
+ * Problems with the tab are returned rather than thrown, so each task can report them in its own result message.
+ * @param {number} [tabId] - The tab the popup shows; defaults to the active tab.
+ * @param {AbortSignal} signal
+ * @returns {Promise<{tab?: chrome.tabs.Tab, contentResponse?: object, error?: string}>}
+ * @throws {Error} - When extraction itself fails, e.g. DOMAIN_BLOCKED or a PDF download error.
+ */
+const readTargetPage = async (tabId, signal) => {
+    // Need the target tab to inject the content script
+    const activeTab = await getTargetTab(tabId);
+    if (!activeTab?.id) {
+        logger.error('Could not get active tab ID.');
+        return { error: ERROR_MESSAGES.UNKNOWN_ERROR }; // Generic error for tab access
+    }
+
+    const tabUrl = activeTab.url || '';
+    logger.info(`Targeting active tab ID: ${activeTab.id}, URL: ${tabUrl}`);
+
+    // Check for restricted URLs
+    if (tabUrl.startsWith('chrome://') || tabUrl.startsWith('chrome-extension://')) {
+        logger.warn(`Cannot summarize content on restricted URL: ${tabUrl}`);
+        return { error: `无法在 ${tabUrl} 页面上进行总结。请在普通网页上使用。` };
+    }
+    // Local files (pages and PDFs) can only be read with "Allow access to file URLs" enabled
+    if (isFileUrl(tabUrl) && !(await hasFileAccess())) {
+        logger.warn(`File URL access is not granted. Cannot summarize ${tabUrl}.`);
+        return { error: ERROR_MESSAGES.FILE_ACCESS_DENIED };
+    }
+
+    const contentResponse = await extractTabContent(activeTab, signal);
+    if (!contentResponse || !contentResponse.success) {
+        const extractionError = contentResponse?.error || ERROR_MESSAGES.CONTENT_EXTRACTION_FAILED;
+        logger.error(`Failed to receive content or content extraction failed message from content script for tab ${activeTab.id}. Error: ${extractionError}.`);
+        return { error: extractionError };
+    }
+    // Only proceed if extracted a non-empty content (optional, LLM API might handle empty)
+    if (!contentResponse.content || contentResponse.content.trim().length === 0) {
+        logger.warn(`Extracted content is empty or only whitespace for tab ${activeTab.id}. Cannot summarize.`);
+        return { error: '无法提取页面内容进行总结（内容为空）。' };
+    }
+    return { tab: activeTab, contentResponse };
+};
+
+/**
+ * Runs the whole summarization pipeline for the target tab and streams the result over the port.
+ * Sends SUMMARY_CHUNK messages while the LLM is generating and a final SUMMARY_RESULT.
+ * @param {chrome.runtime.Port} port - The popup port to report progress to.
+ * @param {AbortSignal} signal - Aborted when the user presses Stop or closes the popup.
+ * @param {object} request - The SUMMARIZE_CONTENT message; `tabId`, `profileId` and `templateId` optionally select the tab, profile and template,
+ *   `regenerate` bypasses the response cache, `selectionOnly` summarizes only the text selected on the page and
+ *   `citations: false` turns off passage citations for views that cannot link them.
+ */
+const runSummarization = async (port, signal, request) => {
+    // `errorCode` (LLM_ERROR_CODES) lets the popup explain API failures in plain words
+    const sendError = (error, errorCode) => safePostMessage(port, {
+        type: MESSAGE_TYPES.SUMMARY_RESULT,
+        success: false,
+        error,
+        errorCode
+    });
+
+    try {
+        const page = await readTargetPage(request.tabId, signal);
+        if (page.error) {
+            sendError(page.error);
+            return;
+        }
+        const { tab: activeTab, contentResponse } = page;
+        const tabId = activeTab.id;
+        const tabUrl = activeTab.url || '';
+
+        let pageContent = contentResponse.content;
+        // Title, byline, publish date and canonical URL captured by the content script
+        const metadata = contentResponse.metadata || {};
+        logger.info(`Page content successfully retrieved from tab ${tabId}. Length: ${pageContent.length}, title: "${metadata.title || ''}"`);
+        if (request.selectionOnly) {
+            if (!contentResponse.selection) {
+                sendError('没有选中任何文字。');
                 return;
             }
+            pageContent = contentResponse.selection;
+        }
+
+        if (signal.aborted) {
+            logger.info('Summarization was cancelled before calling the LLM.');
+            sendError(ERROR_MESSAGES.REQUEST_CANCELLED);
+            return;
+        }
+        reportCalling(port);
+
+        // Explicit choice from the popup wins; otherwise site rules, then the active profile
+        const { profile } = await resolveProfile({ url: tabUrl, profileId: request.profileId });
+        // Template from the library (or the profile's own prompt) and its variables; a selection
+        // gets the same prompt as the context menu's "总结选中内容"
+        const promptTemplate = request.selectionOnly
+            ? SELECTION_SUMMARY_PROMPT_TEMPLATE
+            : await resolvePromptTemplate(request.templateId, profile);
+        const variables = await buildTemplateVariables({ metadata, tab: activeTab, selection: contentResponse.selection });
+        // Passage markers [P<n>] from the content script are only kept when the summary should cite them
+        const citations = request.citations !== false && await getCitationsEnabled() && hasPassageMarkers(pageContent);
+        if (!citations) {
+            pageContent = stripPassageMarkers(pageContent);
+        }
+
+        // Transcripts carry [m:ss] timestamps; the summary gets chapter bullets the popup can seek to
+        const timestamps = metadata?.contentType === CONTENT_TYPES.VIDEO_TRANSCRIPT;
 
-            const tabId = activeTab.id;
-            const tabUrl = activeTab.url;
-            logger.info(`Targeting active tab ID: ${tabId}, URL: ${tabUrl}`);
-
-            // --- NEW: Check for restricted URLs ---
-            if (tabUrl.startsWith('chrome://') || tabUrl.startsWith('chrome-extension://')) {
-                logger.warn(`Cannot summarize content on restricted URL: ${tabUrl}`);
-                 chrome.runtime.sendMessage(sender.id, {
-                    type: MESSAGE_TYPES.SUMMARY_RESULT,
-                    success: false,
-                    error: `无法在 ${tabUrl} 页面上进行总结。请在普通网页上使用。`
+        logger.info(`Calling summarizeContentWithLLM with streaming enabled. Citations: ${citations}, timestamps: ${timestamps}, regenerate: ${Boolean(request.regenerate)}.`);
+        let cachedEntry = null;
+        // Switches to the fallback profile's model when the primary profile fails
+        let modelName = profile.modelName;
+        const summary = await summarizeContentWithLLM(pageContent, {
+            profile,
+            promptTemplate,
+            variables,
+            metadata,
+            citations,
+            timestamps,
+            signal,
+            // "Regenerate" in the popup asks for a fresh summary and replaces the cached one
+            cache: request.regenerate ? CACHE_MODES.REFRESH : CACHE_MODES.USE,
+            onCacheHit: (entry) => { cachedEntry = entry; },
+            // 3. Forward each streamed piece to the popup so it can re-render progressively
+            onChunk: (delta, text) => safePostMessage(port, {
+                type: MESSAGE_TYPES.SUMMARY_CHUNK,
+                delta,
+                text
+            }),
+            // Long pages are summarized in chunks; report how many are done, and retries or the fallback profile
+            onProgress: (progress) => {
+                if (progress.phase === SUMMARY_PHASES.FALLBACK) {
+                    modelName = progress.modelName;
+                }
+                safePostMessage(port, {
+                    type: MESSAGE_TYPES.SUMMARY_PROGRESS,
+                    ...progress
                 });
-                return; // Stop processing
             }
-             // Add other restricted schemes if necessary, e.g., file://
-             // if (tabUrl.startsWith('file://')) { ... handle file URLs which require 'allow file access from extensions' }
+        });
 
-            // --- END NEW ---
+        // Keep the page and the summary so the user can ask follow-up questions about them
+        let conversationError = null;
+        try {
+            await startConversation({ tabId, url: tabUrl, content: pageContent, metadata, variables, summary, modelName });
+        } catch (error) {
+            // The summary itself succeeded; the popup explains why follow-up questions are not available
+            logger.errorWithStack('Failed to store the conversation for follow-up questions.', error);
+            conversationError = error.message;
+        }
 
+        // Record the summary so it can be found again on the history page or shown when the popup reopens.
+        // A cached summary is already in the history from when it was generated, and a selection
+        // does not stand for the page.
+        if (!cachedEntry && !request.selectionOnly) {
             try {
-                // 1. Inject content script and get page content (using a promise to wait for response)
-                logger.info(`Injecting content script into tab ${tabId}.`);
-                // Create a promise and store its resolve function, keyed by tabId
-                const contentPromise = new Promise((resolve) => {
-                   pendingContentRequests.set(tabId, resolve);
+                await addHistoryEntry({
+                    url: tabUrl,
+                    title: metadata.title || activeTab.title || tabUrl,
+                    profileName: profile.name,
+                    provider: profile.provider,
+                    modelName,
+                    prompt: promptTemplate,
+                    summary
                 });
+            } catch (historyError) {
+                logger.errorWithStack('Failed to record the summary in history.', historyError);
+            }
+        }
 
-                // Execute the content script
-                await chrome.scripting.executeScript({
-                    target: { tabId: tabId },
-                    files: ['content_scripts/content.js'] // Path to your content script
-                    // Note: Content scripts injected this way run in an isolated world.
-                    // The function defined in content.js will send a message back.
-                });
-                 logger.info(`Content script injection requested for tab ${tabId}. Waiting for response via message.`);
-
-                // Wait for the content script to send the content back via message
-                // Add a timeout for waiting for the content script response
-                const contentResponse = await Promise.race([
-                    contentPromise,
-                    new Promise((_, reject) =>
-                        setTimeout(() => reject(new Error('Content script response timed out.')), 15000) // 15 seconds timeout
-                    )
-                ]);
-                logger.debug(`Content script response promise settled for tab ${tabId}.`);
-
-                if (!contentResponse || !contentResponse.success) {
-                    const extractionError = contentResponse?.error || ERROR_MESSAGES.CONTENT_EXTRACTION_FAILED;
-                    logger.error(`Failed to receive content or content extraction failed message from content script for tab ${tabId}. Error: ${extractionError}.`);
-                     chrome.runtime.sendMessage(sender.id, {
-                        type: MESSAGE_TYPES.SUMMARY_RESULT,
-                        success: false,
-                        error: extractionError
-                    });
-                    return;
-                }
+        // 4. Send the final summary back to the popup
+        logger.info('Summarization successful. Sending final result back to popup.');
+        safePostMessage(port, {
+            type: MESSAGE_TYPES.SUMMARY_RESULT,
+            success: true,
+            summary: summary,
+            // Details for exporting the summary
+            title: metadata.title || activeTab.title || tabUrl,
+            url: tabUrl,
+            modelName,
+            // Lets the popup show the "cached" badge with a regenerate button
+            cached: cachedEntry ? { createdAt: cachedEntry.createdAt } : null,
+            // What the privacy filter removed from the page before sending it
+            redactions: contentResponse.redactions,
+            // Set when follow-up questions are not possible, e.g. SESSION_STORAGE_FULL
+            conversationError
+        });
 
-                const pageContent = contentResponse.content;
-                logger.info(`Page content successfully retrieved from tab ${tabId}. Length: ${pageContent.length}`);
-
-                // 2. Call the LLM summarization function
-                // Only proceed if extracted a non-empty content (optional, LLM API might handle empty)
-                if (!pageContent || pageContent.trim().length === 0) {
-                     logger.warn(`Extracted content is empty or only whitespace for tab ${tabId}. Cannot summarize.`);
-                      chrome.runtime.sendMessage(sender.id, {
-                        type: MESSAGE_TYPES.SUMMARY_RESULT,
-                        success: false,
-                        error: '无法提取页面内容进行总结（内容为空）。'
-                    });
-                     return;
-                }
+    } catch (error) {
+        // Catch blocks should log the error immediately upon catching
+        logger.errorWithStack('Error during summarization process.', error);
+        // Send error back to popup
+        sendError(error.message || ERROR_MESSAGES.UNKNOWN_ERROR, error.code);
+    }
+};
+
+/**
+ * Extracts structured data from the target tab with an extraction schema and sends an EXTRACTION_RESULT.
+ * Retries, the fallback profile and repair attempts are reported as SUMMARY_PROGRESS messages.
+ * @param {chrome.runtime.Port} port
+ * @param {AbortSignal} signal
+ * @param {object} request - The EXTRACT_CONTENT message with `schemaId` and optionally `tabId` and `profileId`.
+ */
+const runExtraction = async (port, signal, request) => {
+    const sendError = (error, errorCode) => safePostMessage(port, {
+        type: MESSAGE_TYPES.EXTRACTION_RESULT,
+        success: false,
+        error,
+        errorCode
+    });
+
+    try {
+        const schema = await findSchema(request.schemaId);
+        if (!schema) {
+            logger.warn(`Extraction schema ${request.schemaId} not found.`);
+            sendError('找不到所选的提取模式，请在设置页面检查。');
+            return;
+        }
 
-                logger.info('Calling summarizeContentWithLLM...');
-                const summary = await summarizeContentWithLLM(pageContent);
+        const page = await readTargetPage(request.tabId, signal);
+        if (page.error) {
+            sendError(page.error);
+            return;
+        }
+        const { tab, contentResponse } = page;
+        const tabUrl = tab.url || '';
+        const metadata = contentResponse.metadata || {};
+        if (signal.aborted) {
+            sendError(ERROR_MESSAGES.REQUEST_CANCELLED);
+            return;
+        }
+        reportCalling(port);
 
-                // 3. Send the summary back to the popup
-                logger.info('Summarization successful. Sending result back to popup.');
-                chrome.runtime.sendMessage(sender.id, {
-                    type: MESSAGE_TYPES.SUMMARY_RESULT,
-                    success: true,
-                    summary: summary
+        const { profile } = await resolveProfile({ url: tabUrl, profileId: request.profileId });
+        const variables = await buildTemplateVariables({ metadata, tab, selection: contentResponse.selection });
+        let modelName = profile.modelName;
+        logger.info(`Extracting "${schema.name}" from tab ${tab.id}.`);
+        const data = await extractStructuredData(stripPassageMarkers(contentResponse.content), {
+            profile,
+            schema,
+            variables,
+            metadata,
+            signal,
+            onProgress: (progress) => {
+                if (progress.phase === SUMMARY_PHASES.FALLBACK) {
+                    modelName = progress.modelName;
+                }
+                safePostMessage(port, {
+                    type: MESSAGE_TYPES.SUMMARY_PROGRESS,
+                    ...progress
                 });
+            }
+        });
+
+        safePostMessage(port, {
+            type: MESSAGE_TYPES.EXTRACTION_RESULT,
+            success: true,
+            data,
+            schema,
+            title: metadata.title || tab.title || tabUrl,
+            url: tabUrl,
+            modelName,
+            redactions: contentResponse.redactions
+        });
+    } catch (error) {
+        logger.errorWithStack('Error during extraction.', error);
+        sendError(error.message || ERROR_MESSAGES.UNKNOWN_ERROR, error.code);
+    }
+};
+
+/**
+ * Extracts and redacts the target tab's content without calling the LLM, so the user can check
+ * what a summary would send. Finishes with a PREVIEW_RESULT.
+ * @param {chrome.runtime.Port} port
+ * @param {AbortSignal} signal
+ * @param {object} request - The PREVIEW_CONTENT message, optionally with `tabId`.
+ */
+const runPreview = async (port, signal, request) => {
+    try {
+        const page = await readTargetPage(request.tabId, signal);
+        if (page.error) {
+            safePostMessage(port, { type: MESSAGE_TYPES.PREVIEW_RESULT, success: false, error: page.error });
+            return;
+        }
+        safePostMessage(port, {
+            type: MESSAGE_TYPES.PREVIEW_RESULT,
+            success: true,
+            // The header with title, author and URL is part of every prompt
+            content: formatMetadataHeader(page.contentResponse.metadata) + stripPassageMarkers(page.contentResponse.content),
+            redactions: page.contentResponse.redactions
+        });
+    } catch (error) {
+        logger.errorWithStack('Error while preparing the content preview.', error);
+        safePostMessage(port, { type: MESSAGE_TYPES.PREVIEW_RESULT, success: false, error: error.message || ERROR_MESSAGES.UNKNOWN_ERROR });
+    }
+};
+
+/**
+ * Answers a follow-up question about the page summarized in the target tab.
+ * Streams CHAT_CHUNK messages and finishes with a CHAT_RESULT.
+ * @param {chrome.runtime.Port} port
+ * @param {AbortSignal} signal
+ * @param {object} request - The CHAT_MESSAGE message with `question` and optionally `tabId` and `profileId`.
+ */
+const runFollowUp = async (port, signal, request) => {
+    const sendError = (error, errorCode) => safePostMessage(port, {
+        type: MESSAGE_TYPES.CHAT_RESULT,
+        success: false,
+        error,
+        errorCode
+    });
+
+    try {
+        const activeTab = await getTargetTab(request.tabId);
+        if (!activeTab?.id) {
+            logger.error('Could not get active tab ID.');
+            sendError(ERROR_MESSAGES.UNKNOWN_ERROR);
+            return;
+        }
+
+        // The conversation only applies while the tab still shows the summarized page
+        const conversation = await getConversation(activeTab.id, activeTab.url || '');
+        if (!conversation) {
+            logger.warn(`No conversation for tab ${activeTab.id}. The page has to be summarized first.`);
+            sendError(ERROR_MESSAGES.CONVERSATION_NOT_FOUND);
+            return;
+        }
+
+        reportCalling(port);
+        const { profile } = await resolveProfile({ url: activeTab.url, profileId: request.profileId });
+        const answer = await answerFollowUpQuestion(conversation, request.question, {
+            profile,
+            signal,
+            onChunk: (delta, text) => safePostMessage(port, {
+                type: MESSAGE_TYPES.CHAT_CHUNK,
+                delta,
+                text
+            }),
+            onProgress: (progress) => safePostMessage(port, {
+                type: MESSAGE_TYPES.SUMMARY_PROGRESS,
+                ...progress
+            })
+        });
 
+        await appendExchange(conversation, request.question, answer);
+        logger.info(`Follow-up answered for tab ${activeTab.id}. Sending result back to popup.`);
+        safePostMessage(port, {
+            type: MESSAGE_TYPES.CHAT_RESULT,
+            success: true,
+            answer
+        });
+    } catch (error) {
+        logger.errorWithStack('Error while answering follow-up question.', error);
+        sendError(error.message || ERROR_MESSAGES.UNKNOWN_ERROR, error.code);
+    }
+};
+
+/**
+ * Summarizes one tab of a digest with the selected template. Discarded tabs are reloaded first.
+ * @param {chrome.tabs.Tab} tab
+ * @param {object} request - The DIGEST_TABS message.
+ * @param {AbortSignal} signal
+ * @returns {Promise<{tab: chrome.tabs.Tab, title: string, url: string, summary: string}>}
+ */
+const summarizeTabForDigest = async (tab, request, signal) => {
+    const url = tab.url || '';
+    if (isFileUrl(url) && !(await hasFileAccess())) {
+        throw new Error(ERROR_MESSAGES.FILE_ACCESS_DENIED);
+    }
+    if (tab.discarded || tab.status === 'unloaded') {
+        logger.info(`Tab ${tab.id} is discarded. Reloading it for the digest.`);
+        await waitForTabComplete(tab.id, { reload: true });
+    }
+
+    const contentResponse = await extractTabContent(tab, signal);
+    if (!contentResponse?.success || !contentResponse.content?.trim()) {
+        throw new Error(contentResponse?.error || ERROR_MESSAGES.CONTENT_EXTRACTION_FAILED);
+    }
+    const metadata = contentResponse.metadata || {};
+    const { profile } = await resolveProfile({ url, profileId: request.profileId });
+    const promptTemplate = await resolvePromptTemplate(request.templateId, profile);
+    const summary = await summarizeContentWithLLM(stripPassageMarkers(contentResponse.content), {
+        profile,
+        promptTemplate,
+        variables: await buildTemplateVariables({ metadata, tab }),
+        metadata,
+        signal,
+        cache: CACHE_MODES.USE
+    });
+    const title = metadata.title || tab.title || url;
+
+    // Each tab's summary is a normal page summary, so it is also kept in the history
+    await addHistoryEntry({
+        url,
+        title,
+        profileName: profile.name,
+        provider: profile.provider,
+        modelName: profile.modelName,
+        prompt: promptTemplate,
+        summary
+    }).catch((historyError) => logger.errorWithStack('Failed to record the tab summary in history.', historyError));
+
+    return { tab, title, url, summary };
+};
+
+/**
+ * Formats the per-tab results as the {{content}} of the digest prompt. Failed tabs are listed
+ * too, so the report can mention them.
+ * @param {object[]} sources - Results of summarizeTabForDigest, or { tab, error } for failed tabs.
+ * @returns {string}
+ */
+const formatDigestSources = (sources) => sources.map((source, index) => {
+    const title = source.title || source.tab.title || source.tab.url;
+    const body = source.error ? `(无法读取此来源：${source.error})` : source.summary;
+    return `## [来源 ${index + 1}] ${title}\nURL: ${source.url || source.tab.url}\n\n${body}`;
+}).join('\n\n');
+
+/**
+ * Summarizes several tabs and merges the summaries into one comparative report.
+ * Tabs are summarized with bounded concurrency and reported as DIGEST progress; the report is
+ * streamed like a normal summary (SUMMARY_CHUNK / SUMMARY_RESULT).
+ * @param {chrome.runtime.Port} port
+ * @param {AbortSignal} signal
+ * @param {object} request - The DIGEST_TABS message with `tabIds`, and optionally `profileId` and `templateId`.
+ */
+const runDigest = async (port, signal, request) => {
+    // `errorCode` (LLM_ERROR_CODES) lets the popup explain API failures in plain words
+    const sendError = (error, errorCode) => safePostMessage(port, {
+        type: MESSAGE_TYPES.SUMMARY_RESULT,
+        success: false,
+        error,
+        errorCode
+    });
+
+    const tabs = (await Promise.all((request.tabIds || []).map((tabId) => chrome.tabs.get(tabId).catch(() => undefined)))).filter(Boolean);
+    if (tabs.length === 0) {
+        logger.warn('Digest requested without any existing tab.');
+        sendError('请至少选择一个标签页。');
+        return;
+    }
+    logger.info(`Starting digest of ${tabs.length} tab(s).`);
+
+    try {
+        let completed = 0;
+        const reportProgress = () => safePostMessage(port, {
+            type: MESSAGE_TYPES.SUMMARY_PROGRESS,
+            phase: SUMMARY_PHASES.DIGEST,
+            completed,
+            total: tabs.length
+        });
+        reportProgress();
+
+        const sources = await mapWithConcurrency(tabs, DIGEST_MAX_PARALLEL_TABS, async (tab) => {
+            if (signal.aborted) {
+                return { tab, error: ERROR_MESSAGES.REQUEST_CANCELLED };
+            }
+            try {
+                return await summarizeTabForDigest(tab, request, signal);
             } catch (error) {
-                // Catch blocks should log the error immediately upon catching
-                logger.errorWithStack('Error during summarization process.', error);
-                // Send error back to popup
-                chrome.runtime.sendMessage(sender.id, {
-                    type: MESSAGE_TYPES.SUMMARY_RESULT,
-                    success: false,
-                    error: error.message || ERROR_MESSAGES.UNKNOWN_ERROR
-                });
+                // One unreadable tab should not spoil the whole digest
+                logger.errorWithStack(`Digest: failed to summarize tab ${tab.id}.`, error);
+                return { tab, error: error.message || ERROR_MESSAGES.UNKNOWN_ERROR };
             } finally {
-                 // Ensure pending request is cleaned up, even on error
-                 if (pendingContentRequests.has(tabId)) {
-                     pendingContentRequests.delete(tabId);
-                     logger.debug(`Cleaned up pending content request entry for tab ${tabId}.`);
-                 }
+                completed += 1;
+                reportProgress();
             }
         });
 
-        // Return true to indicate that sendResponse will be called asynchronously
-        // Note: Using async tabs.query makes synchronous sendResponse difficult.
-        // We use chrome.runtime.sendMessage from within the async callback instead.
-        // Returning true is still correct here because we are sending a response via message.
-        return true;
+        if (signal.aborted) {
+            sendError(ERROR_MESSAGES.REQUEST_CANCELLED);
+            return;
+        }
+        const failed = sources.filter((source) => source.error);
+        if (failed.length === sources.length) {
+            sendError(`所有标签页都无法总结：${failed[0].error}`);
+            return;
+        }
+
+        // The report is written with the profile chosen in the popup (site rules do not apply to several sites)
+        reportCalling(port);
+        safePostMessage(port, { type: MESSAGE_TYPES.SUMMARY_PROGRESS, phase: SUMMARY_PHASES.SYNTHESIS });
+        const { profile } = await resolveProfile({ profileId: request.profileId });
+        const variables = await buildTemplateVariables({});
+        const report = await summarizeContentWithLLM(formatDigestSources(sources), {
+            profile,
+            promptTemplate: DIGEST_PROMPT_TEMPLATE,
+            variables,
+            signal,
+            onProgress: (progress) => safePostMessage(port, {
+                type: MESSAGE_TYPES.SUMMARY_PROGRESS,
+                ...progress
+            }),
+            onChunk: (delta, text) => safePostMessage(port, {
+                type: MESSAGE_TYPES.SUMMARY_CHUNK,
+                delta,
+                text
+            })
+        });
+
+        logger.info(`Digest finished: ${sources.length - failed.length} of ${sources.length} tab(s) summarized.`);
+        safePostMessage(port, {
+            type: MESSAGE_TYPES.SUMMARY_RESULT,
+            success: true,
+            summary: report,
+            title: '多标签综合报告',
+            url: '',
+            modelName: profile.modelName,
+            digest: { total: sources.length, failed: failed.length }
+        });
+    } catch (error) {
+        logger.errorWithStack('Error during digest.', error);
+        sendError(error.message || ERROR_MESSAGES.UNKNOWN_ERROR, error.code);
     }
+};
 
-    // If the message type is not recognized
-    logger.warn('Received message with unrecognized type:', request.type);
-    // Return false for messages that are not handled asynchronously by sendResponse
-    return false;
+/**
+ * Waits until a tab has finished loading. The listener is in place before the tab is reloaded or
+ * its status checked, so a page that completes in between is not missed.
+ * @param {number} tabId
+ * @param {object} [options]
+ * @param {boolean} [options.reload] - Reload the tab and wait for the reloaded page.
+ * @returns {Promise<void>} - Rejects after LINK_LOAD_TIMEOUT_MS, or when the tab cannot be reloaded or read.
+ */
+const waitForTabComplete = (tabId, { reload = false } = {}) => new Promise((resolve, reject) => {
+    const finish = (error) => {
+        clearTimeout(timeoutId);
+        chrome.tabs.onUpdated.removeListener(onUpdated);
+        if (error) {
+            reject(error);
+        } else {
+            resolve();
+        }
+    };
+    const timeoutId = setTimeout(() => finish(new Error('页面加载超时。')), LINK_LOAD_TIMEOUT_MS);
+    const onUpdated = (updatedTabId, changeInfo) => {
+        if (updatedTabId === tabId && changeInfo.status === 'complete') {
+            finish();
+        }
+    };
+    chrome.tabs.onUpdated.addListener(onUpdated);
+
+    // Without a reload the tab may already have loaded before the listener was added
+    const start = reload
+        ? chrome.tabs.reload(tabId)
+        : chrome.tabs.get(tabId).then((tab) => {
+            if (tab.status === 'complete') {
+                finish();
+            }
+        });
+    start.catch(finish);
+});
+
+/**
+ * Opens a URL in an inactive tab, waits for it to load and extracts its content.
+ * The page is rendered by the browser, so scripts, cookies and logins apply as for a normal visit.
+ * @param {string} url
+ * @returns {Promise<{contentResponse: object, tab: chrome.tabs.Tab}>}
+ */
+const extractContentFromUrl = async (url) => {
+    logger.info(`Opening ${url} in a background tab for extraction.`);
+    const tab = await chrome.tabs.create({ url, active: false });
+    try {
+        await waitForTabComplete(tab.id);
+        const loadedTab = await chrome.tabs.get(tab.id);
+        // Redirects may lead to a blocked site, so the loaded URL is checked
+        const contentResponse = await protectPageContent(await extractContentFromTab(tab.id), loadedTab.url || url);
+        return { contentResponse, tab: loadedTab };
+    } finally {
+        chrome.tabs.remove(tab.id).catch((error) => logger.warn(`Could not close extraction tab: ${error.message}`));
+    }
+};
+
+/**
+ * Injects the overlay (with the markdown renderer) into a tab. The overlay script ignores repeated injections.
+ * @param {number} tabId
+ */
+const injectOverlay = async (tabId) => {
+    await chrome.scripting.executeScript({
+        target: { tabId },
+        files: ['popup/marked.min.js', 'popup/purify.min.js', 'content_scripts/overlay.js']
+    });
+};
+
+// Sends a state or text update to the overlay of a tab
+const updateOverlay = (tabId, update) => {
+    chrome.tabs.sendMessage(tabId, { type: MESSAGE_TYPES.OVERLAY_UPDATE, ...update })
+        .catch((error) => logger.warn(`Could not update overlay in tab ${tabId}: ${error.message}`));
+};
+
+const CONTEXT_MENU_TITLES = {
+    [CONTEXT_MENU_IDS.SUMMARIZE_SELECTION]: '总结选中内容',
+    [CONTEXT_MENU_IDS.EXPLAIN_SELECTION]: '解释选中内容',
+    [CONTEXT_MENU_IDS.SUMMARIZE_LINK]: '总结链接页面',
+};
+
+/**
+ * Collects what a context menu action works on: the text to send as {{content}},
+ * the prompt template and the template variables.
+ * @param {object} info - chrome.contextMenus.OnClickData
+ * @param {chrome.tabs.Tab} tab - The tab the menu was opened in.
+ * @returns {Promise<{content: string, promptTemplate: (string|null), variables: object, metadata: object, pageUrl: string, pageTab: chrome.tabs.Tab}>}
+ */
+const prepareContextMenuInput = async (info, tab) => {
+    if (info.menuItemId === CONTEXT_MENU_IDS.SUMMARIZE_LINK && isPdfUrl(info.linkUrl)) {
+        // Linked PDFs are downloaded directly instead of being opened in a tab
+        const { content, metadata } = await protectPageContent(await extractPdfContent(info.linkUrl), info.linkUrl);
+        const pdfTab = { url: info.linkUrl, title: metadata.title };
+        return {
+            content,
+            promptTemplate: null,
+            variables: await buildTemplateVariables({ metadata, tab: pdfTab }),
+            metadata,
+            pageUrl: info.linkUrl,
+            pageTab: pdfTab
+        };
+    }
+
+    if (info.menuItemId === CONTEXT_MENU_IDS.SUMMARIZE_LINK) {
+        const { contentResponse, tab: linkTab } = await extractContentFromUrl(info.linkUrl);
+        if (!contentResponse?.success) {
+            throw new Error(contentResponse?.error || ERROR_MESSAGES.CONTENT_EXTRACTION_FAILED);
+        }
+        const metadata = contentResponse.metadata || {};
+        return {
+            // The overlay shows another page's summary, so passage citations would point nowhere
+            content: stripPassageMarkers(contentResponse.content),
+            promptTemplate: null, // Resolved later with the template selected in the popup
+            variables: await buildTemplateVariables({ metadata, tab: linkTab }),
+            metadata,
+            pageUrl: linkTab.url || info.linkUrl,
+            pageTab: linkTab
+        };
+    }
+
+    // Selection actions: the content script reports the selection and the text around it.
+    // The menu's own copy of the selection is used when the content script could not report it; both are redacted.
+    const extracted = await extractContentFromTab(tab.id);
+    const contentResponse = await protectPageContent({ ...extracted, selection: extracted?.selection || info.selectionText || '' }, tab.url || '');
+    const metadata = contentResponse.metadata || {};
+    const selection = contentResponse.selection;
+    if (!selection) {
+        throw new Error('没有选中任何文字。');
+    }
+    const variables = await buildTemplateVariables({ metadata, tab, selection });
+    const explain = info.menuItemId === CONTEXT_MENU_IDS.EXPLAIN_SELECTION;
+    return {
+        content: explain ? (contentResponse.selectionContext || selection) : selection,
+        promptTemplate: explain ? SELECTION_EXPLAIN_PROMPT_TEMPLATE : SELECTION_SUMMARY_PROMPT_TEMPLATE,
+        variables,
+        metadata,
+        pageUrl: tab.url || '',
+        pageTab: tab
+    };
+};
+
+/**
+ * Describes map-reduce, retry and fallback progress for the overlay's loading text.
+ * @param {object} progress - A SUMMARY_PROGRESS payload from summarizeContentWithLLM.
+ * @returns {string}
+ */
+const formatOverlayProgress = (progress) => {
+    switch (progress.phase) {
+        case SUMMARY_PHASES.MAP:
+            return `内容较长，正在分段总结 (${progress.completed}/${progress.total})...`;
+        case SUMMARY_PHASES.RETRY:
+        case SUMMARY_PHASES.FALLBACK:
+            return describeRecovery(progress);
+        default:
+            return '正在合并各部分摘要...';
+    }
+};
+
+/**
+ * Runs a CONTEXT_MENU_ACTION job and streams the result over the port like a popup summary.
+ * Messages carry `overlayTitle`, the overlay title with the name of a linked page.
+ * @param {object} port
+ * @param {AbortSignal} signal
+ * @param {object} request - The CONTEXT_MENU_ACTION request with `tabId` and `info` (menuItemId, selectionText, linkUrl).
+ */
+const runContextMenuTask = async (port, signal, request) => {
+    const { info } = request;
+    const sendError = (error, errorCode) => safePostMessage(port, {
+        type: MESSAGE_TYPES.SUMMARY_RESULT,
+        success: false,
+        error,
+        errorCode
+    });
+
+    try {
+        const tab = await chrome.tabs.get(request.tabId);
+        const input = await prepareContextMenuInput(info, tab);
+        if (!input.content || !input.content.trim()) {
+            throw new Error('无法提取页面内容进行总结（内容为空）。');
+        }
+        if (signal.aborted) {
+            sendError(ERROR_MESSAGES.REQUEST_CANCELLED);
+            return;
+        }
+        reportCalling(port);
+
+        const { profile } = await resolveProfile({ url: input.pageUrl });
+        let promptTemplate = input.promptTemplate;
+        if (!promptTemplate) {
+            const { selectedTemplateId } = await getTemplateSettings();
+            promptTemplate = await resolvePromptTemplate(selectedTemplateId, profile);
+        }
+        const title = CONTEXT_MENU_TITLES[info.menuItemId];
+        const overlayTitle = input.metadata.title && info.menuItemId === CONTEXT_MENU_IDS.SUMMARIZE_LINK
+            ? `${title}: ${input.metadata.title}`
+            : title;
+
+        let modelName = profile.modelName;
+        const summary = await summarizeContentWithLLM(input.content, {
+            profile,
+            promptTemplate,
+            variables: input.variables,
+            metadata: input.metadata,
+            signal,
+            cache: CACHE_MODES.USE,
+            onChunk: (delta, text) => safePostMessage(port, { type: MESSAGE_TYPES.SUMMARY_CHUNK, delta, text, overlayTitle }),
+            onProgress: (progress) => {
+                if (progress.phase === SUMMARY_PHASES.FALLBACK) {
+                    modelName = progress.modelName;
+                }
+                safePostMessage(port, { type: MESSAGE_TYPES.SUMMARY_PROGRESS, ...progress, overlayTitle });
+            }
+        });
+
+        // A linked page is summarized as a whole, so it belongs in the history like a popup summary
+        if (info.menuItemId === CONTEXT_MENU_IDS.SUMMARIZE_LINK) {
+            await addHistoryEntry({
+                url: input.pageUrl,
+                title: input.metadata.title || input.pageTab.title || input.pageUrl,
+                profileName: profile.name,
+                provider: profile.provider,
+                modelName,
+                prompt: promptTemplate,
+                summary
+            }).catch((historyError) => logger.errorWithStack('Failed to record the link summary in history.', historyError));
+        }
+
+        safePostMessage(port, {
+            type: MESSAGE_TYPES.SUMMARY_RESULT,
+            success: true,
+            summary,
+            title: input.metadata.title || input.pageTab.title || input.pageUrl,
+            url: input.pageUrl,
+            modelName,
+            overlayTitle
+        });
+    } catch (error) {
+        if (error.message === ERROR_MESSAGES.REQUEST_CANCELLED) {
+            logger.info(`Context menu action in tab ${request.tabId} was cancelled.`);
+        } else {
+            logger.errorWithStack('Error during context menu action.', error);
+        }
+        sendError(error.message || ERROR_MESSAGES.UNKNOWN_ERROR, error.code);
+    }
+};
+
+/**
+ * Queues a context menu action as a job and shows the streamed result in an overlay on the page.
+ * Closing the overlay cancels the job.
+ * @param {object} info - chrome.contextMenus.OnClickData
+ * @param {chrome.tabs.Tab} tab
+ */
+const runContextMenuAction = async (info, tab) => {
+    const tabId = tab.id;
+    const title = CONTEXT_MENU_TITLES[info.menuItemId];
+
+    try {
+        await injectOverlay(tabId);
+    } catch (error) {
+        // Restricted pages (Chrome Web Store, PDF viewer...) do not accept scripts
+        logger.errorWithStack(`Cannot show the overlay in tab ${tabId}.`, error);
+        return;
+    }
+
+    // One action per tab; a new one replaces the running one
+    cancelJob(overlayJobs.get(tabId));
+    updateOverlay(tabId, { state: OVERLAY_STATES.LOADING, title });
+
+    const job = await submitJob({
+        request: {
+            type: MESSAGE_TYPES.CONTEXT_MENU_ACTION,
+            tabId,
+            // The job is saved, so only the parts of the click data the action needs are kept
+            info: { menuItemId: info.menuItemId, selectionText: info.selectionText, linkUrl: info.linkUrl }
+        },
+        tab,
+        port: createOverlayPort(tabId, title),
+        view: { type: JOB_VIEWS.OVERLAY, title }
+    });
+    overlayJobs.set(tabId, job.id);
+};
+
+// Settings of older versions are migrated to the current schema, a device key that older
+// versions stored in plain form moves into IndexedDB, and API keys stored in sync storage move
+// into the encrypted local store. While a passphrase vault is locked the keys
+// wait for the next start or a visit to the options page.
+const migrateStoredSettings = async () => {
+    try {
+        await migrateSettings();
+        await migrateKeyVault();
+        await migrateApiKeys();
+    } catch (error) {
+        logger.warn('Settings were not migrated:', error.message);
+    }
+};
+
+chrome.runtime.onInstalled.addListener(migrateStoredSettings);
+chrome.runtime.onStartup.addListener(migrateStoredSettings);
+
+// Context menu items are stored by Chrome, so they are (re)created only on install and update
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_IDS.SUMMARIZE_SELECTION,
+            title: CONTEXT_MENU_TITLES[CONTEXT_MENU_IDS.SUMMARIZE_SELECTION],
+            contexts: ['selection']
+        });
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_IDS.EXPLAIN_SELECTION,
+            title: CONTEXT_MENU_TITLES[CONTEXT_MENU_IDS.EXPLAIN_SELECTION],
+            contexts: ['selection']
+        });
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_IDS.SUMMARIZE_LINK,
+            title: CONTEXT_MENU_TITLES[CONTEXT_MENU_IDS.SUMMARIZE_LINK],
+            contexts: ['link']
+        });
+        logger.info('Context menu items created.');
+    });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    logger.info('Context menu item clicked:', info.menuItemId);
+    if (!tab?.id || !CONTEXT_MENU_TITLES[info.menuItemId]) {
+        logger.warn('Ignoring context menu click without a tab or with an unknown item.');
+        return;
+    }
+    runContextMenuAction(info, tab).catch((error) => logger.errorWithStack('Context menu action failed.', error));
+});
+
+const KEYBOARD_COMMAND_TITLES = {
+    [KEYBOARD_COMMANDS.SUMMARIZE_PAGE]: '总结当前网页',
+    [KEYBOARD_COMMANDS.SUMMARIZE_SELECTION]: '总结选中内容',
+};
+
+/**
+ * Creates a stand-in for the popup port that shows the messages of a job in the overlay of a
+ * tab, so keyboard shortcuts and context menu actions run as jobs without opening the popup.
+ * @param {number} tabId
+ * @param {string} defaultTitle - Overlay title; a message's `overlayTitle` replaces it.
+ * @returns {{postMessage: function(object): void}}
+ */
+const createOverlayPort = (tabId, defaultTitle) => ({
+    postMessage: (message) => {
+        const title = message.overlayTitle || defaultTitle;
+        switch (message.type) {
+            case MESSAGE_TYPES.SUMMARY_CHUNK:
+                updateOverlay(tabId, { state: OVERLAY_STATES.STREAMING, title, text: message.text });
+                break;
+            case MESSAGE_TYPES.SUMMARY_PROGRESS:
+                updateOverlay(tabId, { state: OVERLAY_STATES.LOADING, title, statusText: formatOverlayProgress(message) });
+                break;
+            case MESSAGE_TYPES.SUMMARY_RESULT:
+                if (message.success) {
+                    updateOverlay(tabId, { state: OVERLAY_STATES.DONE, title, text: message.summary });
+                } else if (message.error !== ERROR_MESSAGES.REQUEST_CANCELLED) {
+                    updateOverlay(tabId, { state: OVERLAY_STATES.ERROR, title, error: describeError(message.error, message.errorCode) });
+                }
+                break;
+            default:
+                logger.debug(`Overlay port ignores ${message.type}.`);
+        }
+    }
+});
+
+/**
+ * Queues a SUMMARIZE_CONTENT job for a tab from a keyboard shortcut and shows the result in
+ * the overlay on the page. Closing the overlay cancels the job like a context menu action; the
+ * popup of the tab can attach to the job as well.
+ * @param {chrome.tabs.Tab} tab
+ * @param {string} command - KEYBOARD_COMMANDS.SUMMARIZE_PAGE or SUMMARIZE_SELECTION.
+ */
+const runKeyboardSummary = async (tab, command) => {
+    const tabId = tab.id;
+    const title = KEYBOARD_COMMAND_TITLES[command];
+
+    try {
+        await injectOverlay(tabId);
+    } catch (error) {
+        logger.errorWithStack(`Cannot show the overlay in tab ${tabId}.`, error);
+        return;
+    }
+
+    // The overlay shows one result at a time
+    cancelJob(overlayJobs.get(tabId));
+    updateOverlay(tabId, { state: OVERLAY_STATES.LOADING, title });
+
+    // Profile and template are chosen as for a popup summary without a choice: site rules, then the
+    // active profile, with the template last selected in the popup
+    const { selectedTemplateId } = await getTemplateSettings();
+    const job = await submitJob({
+        request: {
+            type: MESSAGE_TYPES.SUMMARIZE_CONTENT,
+            tabId,
+            templateId: selectedTemplateId,
+            selectionOnly: command === KEYBOARD_COMMANDS.SUMMARIZE_SELECTION,
+            // The overlay cannot link passage citations
+            citations: false
+        },
+        tab,
+        port: createOverlayPort(tabId, title),
+        view: { type: JOB_VIEWS.OVERLAY, title }
+    });
+    overlayJobs.set(tabId, job.id);
+};
+
+// The open side panels are asked from Chrome once per service worker start, then kept up to date
+// by the side panel events (Chrome 141 and later)
+const loadOpenSidePanels = async () => {
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['SIDE_PANEL'] });
+    openSidePanels = new Set(contexts.map((context) => context.windowId));
+};
+const openSidePanelsLoaded = loadOpenSidePanels()
+    .catch((error) => logger.warn('Could not find the open side panels:', error.message));
+chrome.sidePanel.onOpened?.addListener(({ windowId }) => openSidePanels?.add(windowId));
+chrome.sidePanel.onClosed?.addListener(({ windowId }) => openSidePanels?.delete(windowId));
+
+// Closes the side panel of a window; before chrome.sidePanel.close (Chrome 141) the panel closes itself
+const closeSidePanel = (windowId) => {
+    logger.info(`Closing the side panel of window ${windowId}.`);
+    openSidePanels?.delete(windowId);
+    const closing = chrome.sidePanel.close
+        ? chrome.sidePanel.close({ windowId })
+        : chrome.runtime.sendMessage({ type: MESSAGE_TYPES.CLOSE_SIDE_PANEL, windowId });
+    closing.catch((error) => logger.warn(`Could not close the side panel of window ${windowId}: ${error.message}`));
+};
+
+/**
+ * Closes the side panel of a window when it is open, otherwise opens it.
+ * @param {number} windowId
+ */
+const toggleSidePanel = (windowId) => {
+    if (openSidePanels?.has(windowId)) {
+        closeSidePanel(windowId);
+        return;
+    }
+    // The shortcut may have just started the service worker, before the open panels are known.
+    // Opening must happen right away (no await before it) to count as a user gesture and does
+    // nothing to an open panel; such a panel is closed once the list shows it was open.
+    const wasOpen = openSidePanels
+        ? Promise.resolve(false)
+        : openSidePanelsLoaded.then(() => Boolean(openSidePanels?.has(windowId)));
+    chrome.sidePanel.open({ windowId })
+        .then(async () => {
+            if (await wasOpen) {
+                closeSidePanel(windowId);
+            } else {
+                openSidePanels?.add(windowId);
+            }
+        })
+        .catch((error) => logger.errorWithStack('Failed to open the side panel.', error));
+};
+
+// Keyboard shortcuts (manifest.json "commands"). Opening the popup has its own _execute_action
+// shortcut and is handled by Chrome.
+chrome.commands.onCommand.addListener((command, tab) => {
+    logger.info('Keyboard command:', command);
+    switch (command) {
+        case KEYBOARD_COMMANDS.SUMMARIZE_PAGE:
+        case KEYBOARD_COMMANDS.SUMMARIZE_SELECTION:
+            if (!tab?.id) {
+                logger.warn(`Ignoring ${command} without a tab.`);
+                return;
+            }
+            runKeyboardSummary(tab, command).catch((error) => logger.errorWithStack(`Keyboard command ${command} failed.`, error));
+            break;
+        case KEYBOARD_COMMANDS.OPEN_HISTORY:
+            chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
+            break;
+        case KEYBOARD_COMMANDS.TOGGLE_SIDE_PANEL:
+            if (tab?.windowId) {
+                toggleSidePanel(tab.windowId);
+            }
+            break;
+        default:
+            logger.warn('Unknown keyboard command:', command);
+    }
+});
+
+/**
+ * Shows the state of an automatic summary on the action icon of a tab.
+ * @param {number} tabId
+ * @param {{text: string, color: string}|null} badge - One of AUTO_SUMMARIZE_BADGES, or null to clear the badge.
+ * @param {string} [title] - Tooltip of the action icon; the default title when omitted.
+ */
+const setAutoSummarizeBadge = async (tabId, badge, title = '') => {
+    try {
+        await chrome.action.setBadgeText({ tabId, text: badge?.text || '' });
+        if (badge) {
+            await chrome.action.setBadgeBackgroundColor({ tabId, color: badge.color });
+        }
+        await chrome.action.setTitle({ tabId, title });
+    } catch (error) {
+        // The tab was closed in the meantime
+        logger.debug(`Could not update the badge of tab ${tabId}: ${error.message}`);
+    }
+};
+
+const AUTO_SUMMARY_TITLE = '自动总结';
+
+/**
+ * Shows the result of an automatic summary job on the action badge and tells an open side panel.
+ * @param {chrome.tabs.Tab} tab
+ * @param {object} result - The job's SUMMARY_RESULT message.
+ */
+const finishAutoSummarization = async (tab, result) => {
+    const tabId = tab.id;
+    if (result.success) {
+        await setAutoSummarizeBadge(tabId, AUTO_SUMMARIZE_BADGES.DONE, '已自动总结此页面，点击查看');
+        // An open side panel showing this tab picks up the new summary
+        chrome.runtime.sendMessage({ type: MESSAGE_TYPES.AUTO_SUMMARY_READY, tabId })
+            .catch(() => logger.debug('No side panel is listening for automatic summaries.'));
+        logger.info(`Automatic summary of tab ${tabId} finished.`);
+        return;
+    }
+    if (result.error === ERROR_MESSAGES.REQUEST_CANCELLED) {
+        // Navigated away or closed the overlay: the page may be summarized again on the next visit
+        logger.info(`Automatic summary of tab ${tabId} was cancelled.`);
+        releaseAutoSummarizeRun(tab.url);
+        await setAutoSummarizeBadge(tabId, null);
+        return;
+    }
+    logger.warn(`Automatic summary of tab ${tabId} failed: ${result.error}`);
+    await setAutoSummarizeBadge(tabId, AUTO_SUMMARIZE_BADGES.ERROR, `自动总结失败: ${describeError(result.error, result.errorCode)}`);
+};
+
+/**
+ * Creates the port of an automatic summary job: the result goes to the action badge and, when
+ * the rule asks for it, to the overlay on the page.
+ * @param {{id: number, url: string}} tab
+ * @param {boolean} showOverlay
+ * @returns {{postMessage: function(object): void}}
+ */
+const createAutoSummaryPort = (tab, showOverlay) => {
+    const overlayPort = showOverlay ? createOverlayPort(tab.id, AUTO_SUMMARY_TITLE) : null;
+    let jobId = null;
+    return {
+        postMessage: (message) => {
+            overlayPort?.postMessage(message);
+            if (message.type === MESSAGE_TYPES.JOB_STARTED) {
+                jobId = message.jobId;
+            } else if (message.type === MESSAGE_TYPES.SUMMARY_RESULT) {
+                if (autoSummarizeJobs.get(tab.id) === jobId) {
+                    autoSummarizeJobs.delete(tab.id);
+                }
+                finishAutoSummarization(tab, message)
+                    .catch((error) => logger.errorWithStack(`Failed to report the automatic summary of tab ${tab.id}.`, error));
+            }
+        }
+    };
+};
+
+/**
+ * Queues a summary of a page that matched an automatic summarization rule. The job stores the
+ * result like a popup summary (conversation and history), so opening the popup or side panel
+ * shows it, and the popup can attach to it while it runs.
+ * @param {chrome.tabs.Tab} tab
+ * @param {import('../domain/auto_summarize.js').AutoSummarizeRule} rule
+ */
+const runAutoSummarization = async (tab, rule) => {
+    const tabId = tab.id;
+    logger.info(`Summarizing tab ${tabId} automatically (rule "${rule.pattern}", display: ${rule.display}).`);
+    await setAutoSummarizeBadge(tabId, AUTO_SUMMARIZE_BADGES.RUNNING, '正在自动总结此页面...');
+
+    let showOverlay = rule.display === AUTO_SUMMARIZE_DISPLAYS.OVERLAY;
+    if (showOverlay) {
+        try {
+            await injectOverlay(tabId);
+            updateOverlay(tabId, { state: OVERLAY_STATES.LOADING, title: AUTO_SUMMARY_TITLE });
+        } catch (error) {
+            logger.warn(`Cannot show the overlay in tab ${tabId}, using the badge only: ${error.message}`);
+            showOverlay = false;
+        }
+    }
+
+    const { selectedTemplateId } = await getTemplateSettings();
+    const job = await submitJob({
+        request: {
+            type: MESSAGE_TYPES.SUMMARIZE_CONTENT,
+            tabId,
+            templateId: selectedTemplateId,
+            // Passage markers are dropped: the overlay cannot link them, and the page may have
+            // changed by the time the summary is opened in the popup
+            citations: false
+        },
+        tab,
+        port: createAutoSummaryPort(tab, showOverlay),
+        view: { type: JOB_VIEWS.AUTO_SUMMARY, showOverlay }
+    });
+    autoSummarizeJobs.set(tabId, job.id);
+};
+
+/**
+ * Summarizes a tab when its page matches an automatic summarization rule and was not
+ * summarized recently.
+ * @param {number} tabId
+ */
+const startAutoSummarization = async (tabId) => {
+    const tab = await chrome.tabs.get(tabId).catch(() => undefined);
+    // Still loading: the 'complete' update schedules another attempt
+    if (!tab?.url || tab.status !== 'complete') {
+        return;
+    }
+    const rule = findAutoSummarizeRule(tab.url, await getAutoSummarizeRules());
+    if (!rule) {
+        return;
+    }
+    // Already summarized in this tab, from the popup or an earlier automatic run
+    if (await getConversation(tabId, tab.url)) {
+        logger.info(`Tab ${tabId} already has a summary of ${tab.url}. Not summarizing it automatically.`);
+        return;
+    }
+    if (!claimAutoSummarizeRun(tab.url)) {
+        return;
+    }
+    await runAutoSummarization(tab, rule);
+};
+
+// Stops the pending and running automatic summary of a tab whose page goes away
+const cancelAutoSummarization = (tabId) => {
+    clearTimeout(autoSummarizeTimers.get(tabId));
+    autoSummarizeTimers.delete(tabId);
+    cancelJob(autoSummarizeJobs.get(tabId));
+    autoSummarizeJobs.delete(tabId);
+};
+
+// Pages are summarized AUTO_SUMMARIZE_DEBOUNCE_MS after the last load or URL change of the tab,
+// so redirects, SPA route changes and quick reloads result in a single request
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.status === 'loading' || changeInfo.url) {
+        cancelAutoSummarization(tabId);
+    }
+    if (changeInfo.status !== 'complete' && !changeInfo.url) {
+        return;
+    }
+    clearTimeout(autoSummarizeTimers.get(tabId));
+    autoSummarizeTimers.set(tabId, setTimeout(() => {
+        autoSummarizeTimers.delete(tabId);
+        startAutoSummarization(tabId).catch((error) => logger.errorWithStack(`Failed to start the automatic summary of tab ${tabId}.`, error));
+    }, AUTO_SUMMARIZE_DEBOUNCE_MS));
+});
+
+// Handlers for the requests that can be started over the summarize port
+const PORT_TASKS = {
+    [MESSAGE_TYPES.SUMMARIZE_CONTENT]: runSummarization,
+    [MESSAGE_TYPES.CHAT_MESSAGE]: runFollowUp,
+    [MESSAGE_TYPES.DIGEST_TABS]: runDigest,
+    [MESSAGE_TYPES.EXTRACT_CONTENT]: runExtraction,
+    [MESSAGE_TYPES.PREVIEW_CONTENT]: runPreview,
+};
+
+// Handlers of all jobs: the port tasks and the jobs the background starts itself
+const JOB_TASKS = {
+    ...PORT_TASKS,
+    [MESSAGE_TYPES.CONTEXT_MENU_ACTION]: runContextMenuTask,
+};
+
+/**
+ * Reconnects the overlay or badge of a job that a previous service worker started, so it shows
+ * how the job ends (resumed from the queue, or interrupted).
+ * @param {import('../domain/jobs.js').Job} job
+ * @returns {object|null} - The port for the job, or null when it has no known view.
+ */
+const restoreJobViewPort = (job) => {
+    switch (job.view.type) {
+        case JOB_VIEWS.OVERLAY:
+            overlayJobs.set(job.tabId, job.id);
+            return createOverlayPort(job.tabId, job.view.title);
+        case JOB_VIEWS.AUTO_SUMMARY:
+            autoSummarizeJobs.set(job.tabId, job.id);
+            return createAutoSummaryPort({ id: job.tabId, url: job.url }, job.view.showOverlay);
+        default:
+            logger.warn(`Job ${job.id} has an unknown view: ${job.view.type}`);
+            return null;
+    }
+};
+
+// Jobs outlive the popup (see domain/jobs.js)
+initJobManager((type, port, signal, request) => JOB_TASKS[type](port, signal, request), restoreJobViewPort);
+
+// Conversations, jobs and automatic summaries are kept per tab; drop them when the tab goes away
+chrome.tabs.onRemoved.addListener((tabId) => {
+    cancelAutoSummarization(tabId);
+    overlayJobs.delete(tabId);
+    clearConversation(tabId).catch((error) => logger.errorWithStack(`Failed to clear conversation of tab ${tabId}.`, error));
+    clearTabJobs(tabId).catch((error) => logger.errorWithStack(`Failed to clear the jobs of tab ${tabId}.`, error));
+});
+
+// Listener for long-lived connections from the popup.
+// The popup opens a port per request, which becomes a job; its chunks are streamed back over the port.
+// The job keeps running when the popup closes (port disconnect), and a reopened popup attaches to it
+// again with ATTACH_JOB. Stop cancels the job of the port.
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== PORT_NAMES.SUMMARIZE) {
+        logger.warn('Ignoring connection on unknown port:', port.name);
+        return;
+    }
+    logger.info('Popup connected on summarize port.');
+
+    // The job started or attached on this port
+    let jobId = null;
+
+    port.onMessage.addListener(async (message) => {
+        logger.info('Received port message:', message.type);
+
+        try {
+            if (PORT_TASKS[message.type]) {
+                // A new request on the same port leaves the previous job running without this port
+                detachPort(port);
+                const job = await submitJob({ request: message, tab: await getTargetTab(message.tabId), port });
+                jobId = job.id;
+                return;
+            }
+
+            if (message.type === MESSAGE_TYPES.ATTACH_JOB) {
+                detachPort(port);
+                jobId = message.jobId;
+                await attachToJob(jobId, port);
+                return;
+            }
+        } catch (error) {
+            // Nothing to report the failure to if the popup has closed in the meantime
+            logger.warn(`Could not handle ${message.type} on the summarize port: ${error.message}`);
+            return;
+        }
+
+        if (message.type === MESSAGE_TYPES.STOP_SUMMARIZE) {
+            logger.info('Stop requested by popup. Cancelling its job.');
+            if (jobId) {
+                cancelJob(jobId);
+            }
+            return;
+        }
+
+        logger.warn('Received port message with unrecognized type:', message.type);
+    });
+
+    port.onDisconnect.addListener(() => {
+        logger.info('Popup port disconnected. Its job keeps running in the background.');
+        detachPort(port);
+    });
 });
 
 logger.info('Background script finished initial execution.');
\ No newline at end of file
@@ -52,6 +52,8 @@
       GET_PAGE_CONTENT: 'getPageContent',
       SUMMARIZE_CONTENT: 'summarizeContent',
       SUMMARY_RESULT: 'summaryResult',
+      HIGHLIGHT_PASSAGE: 'highlightPassage',
+      SEEK_VIDEO: 'seekVideo',
     };
 
     const ERROR_MESSAGES = {
@@ -67,61 +69,729 @@
 
     logger.info('Content script injected and running.');
 
-    // Function to safely extract text content from the page
+    // --- Start: Main-content extraction (Readability-style) ---
+
+    // Elements that never contain article text and are skipped entirely
+    const SKIPPED_TAGS = new Set([
+        'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'SVG', 'CANVAS', 'FORM', 'BUTTON',
+        'INPUT', 'SELECT', 'TEXTAREA', 'NAV', 'ASIDE', 'FOOTER', 'DIALOG', 'OBJECT', 'EMBED',
+    ]);
+
+    // class/id hints used to weight candidates and to drop boilerplate blocks
+    const POSITIVE_HINTS = /article|body|content|entry|hentry|main|page|post|text|blog|story|markdown|prose/i;
+    const NEGATIVE_HINTS = /comment|meta|footer|footnote|masthead|nav|sidebar|sponsor|shopping|ad-|ads|advert|banner|cookie|consent|gdpr|popup|modal|promo|related|share|social|subscribe|newsletter|widget|menu|breadcrumb|toolbar|skip/i;
+    // Stronger subset: blocks matching these are removed even inside the chosen article
+    const BOILERPLATE_HINTS = /cookie|consent|gdpr|newsletter|subscribe|advert|sponsor|share|social|related|comment|breadcrumb|promo/i;
+    const BOILERPLATE_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog', 'alertdialog']);
+
+    // Below this amount of text the chosen candidate is not trusted and the whole body is used
+    const MIN_ARTICLE_TEXT_LENGTH = 250;
+
+    const getHintString = (element) => `${element.className && typeof element.className === 'string' ? element.className : ''} ${element.id || ''}`;
+
+    const isHidden = (element) => {
+        if (element.hidden || element.getAttribute('aria-hidden') === 'true') {
+            return true;
+        }
+        // checkVisibility is cheap compared to getComputedStyle and handles display:none ancestors
+        if (typeof element.checkVisibility === 'function') {
+            return !element.checkVisibility();
+        }
+        return false;
+    };
+
+    // Decides whether an element is page chrome (menus, banners, ads) rather than content
+    const isBoilerplate = (element, root) => {
+        if (element === root) {
+            return false;
+        }
+        if (SKIPPED_TAGS.has(element.tagName)) {
+            return true;
+        }
+        if (BOILERPLATE_ROLES.has(element.getAttribute('role'))) {
+            return true;
+        }
+        // A header inside the article usually holds the title; a site header does not
+        if (element.tagName === 'HEADER' && !element.closest('article')) {
+            return true;
+        }
+        if (BOILERPLATE_HINTS.test(getHintString(element))) {
+            return true;
+        }
+        return isHidden(element);
+    };
+
+    // Ratio of link text to all text; high values indicate menus and link lists
+    const getLinkDensity = (element) => {
+        const textLength = (element.textContent || '').length;
+        if (textLength === 0) {
+            return 0;
+        }
+        let linkLength = 0;
+        element.querySelectorAll('a').forEach((link) => { linkLength += (link.textContent || '').length; });
+        return linkLength / textLength;
+    };
+
+    const getClassWeight = (element) => {
+        const hints = getHintString(element);
+        let weight = 0;
+        if (NEGATIVE_HINTS.test(hints)) weight -= 25;
+        if (POSITIVE_HINTS.test(hints)) weight += 25;
+        return weight;
+    };
+
+    /**
+     * Scores block elements the way Readability does: every paragraph-like node gives points to its
+     * parent and (half) to its grandparent based on length and comma count, then scores are scaled
+     * by class hints and link density. The highest scoring node is taken as the article root.
+     */
+    const findArticleRoot = () => {
+        const scores = new Map();
+        const addScore = (element, points) => {
+            if (!element || element === document.documentElement) {
+                return;
+            }
+            if (!scores.has(element)) {
+                // Initial score depends on the kind of element and its class/id hints
+                let base = getClassWeight(element);
+                if (element.tagName === 'ARTICLE' || element.tagName === 'MAIN') base += 10;
+                if (element.tagName === 'DIV') base += 5;
+                if (/^(UL|OL|DL|FORM|TH|ADDRESS)$/.test(element.tagName)) base -= 3;
+                scores.set(element, base);
+            }
+            scores.set(element, scores.get(element) + points);
+        };
+
+        document.body.querySelectorAll('p, pre, td, blockquote, li, h2, h3, section > div').forEach((node) => {
+            const text = (node.innerText || node.textContent || '').trim();
+            if (text.length < 25 || node.closest('nav, aside, footer')) {
+                return;
+            }
+            const points = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3);
+            addScore(node.parentElement, points);
+            addScore(node.parentElement?.parentElement, points / 2);
+        });
+
+        let best = null;
+        let bestScore = -Infinity;
+        scores.forEach((score, element) => {
+            const adjusted = score * (1 - getLinkDensity(element));
+            if (adjusted > bestScore) {
+                best = element;
+                bestScore = adjusted;
+            }
+        });
+        logger.debug(`Scored ${scores.size} candidate nodes. Best: <${best?.tagName?.toLowerCase()} class="${best ? getHintString(best).trim() : ''}"> score ${bestScore.toFixed(1)}.`);
+
+        // Prefer a semantic <article>/<main> that wraps the best candidate
+        const semantic = best?.closest('article, main, [role="main"]');
+        if (semantic && (semantic.innerText || '').length < (best.innerText || '').length * 3) {
+            return semantic;
+        }
+        return best;
+    };
+
+    const collapseWhitespace = (text) => text.replace(/\s+/g, ' ');
+
+    // Converts inline content (text, links, emphasis, inline code) to a single markdown line
+    const inlineToMarkdown = (node, root) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return collapseWhitespace(node.textContent);
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || isBoilerplate(node, root)) {
+            return '';
+        }
+        const inner = Array.from(node.childNodes).map((child) => inlineToMarkdown(child, root)).join('');
+        switch (node.tagName) {
+            case 'BR': return '\n';
+            case 'CODE': return inner.trim() ? `\`${inner.trim()}\`` : '';
+            case 'STRONG':
+            case 'B': return inner.trim() ? `**${inner.trim()}**` : '';
+            case 'EM':
+            case 'I': return inner.trim() ? `*${inner.trim()}*` : '';
+            case 'IMG': return node.alt ? `[图片: ${node.alt}]` : '';
+            default: return inner;
+        }
+    };
+
+    const tableToMarkdown = (table, root) => {
+        const rows = Array.from(table.querySelectorAll('tr')).map((row) =>
+            Array.from(row.children)
+                .filter((cell) => cell.tagName === 'TD' || cell.tagName === 'TH')
+                .map((cell) => inlineToMarkdown(cell, root).replace(/\|/g, '\\|').replace(/\n/g, ' ').trim())
+        ).filter((cells) => cells.length > 0);
+        if (rows.length === 0) {
+            return '';
+        }
+        const width = Math.max(...rows.map((cells) => cells.length));
+        const pad = (cells) => [...cells, ...Array(width - cells.length).fill('')];
+        const lines = [`| ${pad(rows[0]).join(' | ')} |`, `| ${Array(width).fill('---').join(' | ')} |`];
+        rows.slice(1).forEach((cells) => lines.push(`| ${pad(cells).join(' | ')} |`));
+        return lines.join('\n');
+    };
+
+    const listToMarkdown = (list, root, depth) => {
+        const ordered = list.tagName === 'OL';
+        const indent = '  '.repeat(depth);
+        let index = 0;
+        return Array.from(list.children).filter((item) => item.tagName === 'LI' && !isBoilerplate(item, root)).map((item) => {
+            index += 1;
+            const marker = ordered ? `${index}.` : '-';
+            // Nested lists are rendered on their own lines below the item text
+            const text = Array.from(item.childNodes)
+                .filter((child) => !(child.nodeType === Node.ELEMENT_NODE && /^(UL|OL)$/.test(child.tagName)))
+                .map((child) => inlineToMarkdown(child, root)).join('').trim();
+            const nested = Array.from(item.children)
+                .filter((child) => /^(UL|OL)$/.test(child.tagName))
+                .map((child) => listToMarkdown(child, root, depth + 1)).join('\n');
+            return `${indent}${marker} ${text}${nested ? `\n${nested}` : ''}`;
+        }).join('\n');
+    };
+
+    /**
+     * Serializes the article root to markdown, keeping headings, lists, tables and code blocks
+     * and dropping boilerplate blocks on the way.
+     * @param {Element} node
+     * @param {Element} root - The article root (never treated as boilerplate itself).
+     * @returns {string[]} - Markdown blocks in document order.
+     */
+    // Paragraphs, lists and tables are numbered so the summary can cite them as [P<n>].
+    // The number is also stored on the element, so a citation can scroll back to it later.
+    const PASSAGE_ATTRIBUTE = 'data-llm-summarizer-passage';
+    let passageCount = 0;
+
+    const markPassage = (element, markdown, separator = ' ') => {
+        passageCount += 1;
+        element.setAttribute(PASSAGE_ATTRIBUTE, String(passageCount));
+        return `[P${passageCount}]${separator}${markdown}`;
+    };
+
+    const blocksToMarkdown = (node, root) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            const text = collapseWhitespace(node.textContent).trim();
+            return text ? [text] : [];
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || isBoilerplate(node, root)) {
+            return [];
+        }
+
+        const tag = node.tagName;
+        if (/^H[1-6]$/.test(tag)) {
+            const text = inlineToMarkdown(node, root).replace(/\n/g, ' ').trim();
+            return text ? [`${'#'.repeat(Number(tag[1]))} ${text}`] : [];
+        }
+        if (tag === 'P') {
+            const text = inlineToMarkdown(node, root).trim();
+            return text ? [markPassage(node, text)] : [];
+        }
+        if (tag === 'UL' || tag === 'OL') {
+            // The marker goes on its own line so the list syntax stays intact
+            const list = listToMarkdown(node, root, 0);
+            return list ? [markPassage(node, list, '\n')] : [];
+        }
+        if (tag === 'TABLE') {
+            // Skip layout tables with link-heavy cells (old-style navigation)
+            const table = getLinkDensity(node) > 0.5 ? '' : tableToMarkdown(node, root);
+            return table ? [markPassage(node, table, '\n')] : [];
+        }
+        if (tag === 'PRE') {
+            const language = (node.querySelector('code')?.className.match(/language-(\S+)/) || [])[1] || '';
+            const code = (node.innerText || node.textContent || '').replace(/\n+$/, '');
+            return code.trim() ? [`\`\`\`${language}\n${code}\n\`\`\``] : [];
+        }
+        if (tag === 'BLOCKQUOTE') {
+            const quoted = Array.from(node.childNodes).flatMap((child) => blocksToMarkdown(child, root)).join('\n\n');
+            return quoted ? [quoted.split('\n').map((line) => `> ${line}`).join('\n')] : [];
+        }
+
+        // Generic container: drop link-heavy sub-blocks (menus, tag clouds) that slipped through
+        if (node !== root && (node.textContent || '').length > 0 && getLinkDensity(node) > 0.6) {
+            return [];
+        }
+
+        // Inline-only containers (e.g. a <div> holding text and <span>s) become a single paragraph
+        const hasBlockChild = Array.from(node.children).some((child) =>
+            /^(P|DIV|SECTION|ARTICLE|MAIN|HEADER|UL|OL|TABLE|PRE|BLOCKQUOTE|FIGURE|H[1-6]|DL)$/.test(child.tagName));
+        if (!hasBlockChild) {
+            const text = inlineToMarkdown(node, root).trim();
+            return text ? [markPassage(node, text)] : [];
+        }
+        return Array.from(node.childNodes).flatMap((child) => blocksToMarkdown(child, root));
+    };
+
+    const getMetaContent = (...selectors) => {
+        for (const selector of selectors) {
+            const value = document.querySelector(selector)?.getAttribute('content')?.trim();
+            if (value) {
+                return value;
+            }
+        }
+        return '';
+    };
+
+    // Reads schema.org Article data from JSON-LD blocks, used as a fallback for byline/date
+    const getJsonLdArticle = () => {
+        for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+            try {
+                const data = JSON.parse(script.textContent);
+                const items = [data, ...(Array.isArray(data) ? data : []), ...(data['@graph'] || [])];
+                const article = items.find((item) => item && /Article|BlogPosting|Report/.test(String(item['@type'])));
+                if (article) {
+                    return article;
+                }
+            } catch (e) {
+                // Invalid JSON-LD is common; just ignore it
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Collects title, byline, publish date and canonical URL for the prompt.
+     * @param {Element|null} articleRoot
+     */
+    const extractMetadata = (articleRoot) => {
+        const jsonLd = getJsonLdArticle();
+        const jsonLdAuthor = [jsonLd?.author].flat().map((author) => (typeof author === 'string' ? author : author?.name)).filter(Boolean).join(', ');
+
+        const title = getMetaContent('meta[property="og:title"]', 'meta[name="twitter:title"]')
+            || jsonLd?.headline
+            || articleRoot?.querySelector('h1')?.innerText?.trim()
+            || document.title.trim();
+        const byline = getMetaContent('meta[name="author"]', 'meta[property="article:author"]')
+            || jsonLdAuthor
+            || document.querySelector('[rel="author"], [itemprop="author"], .byline, .author')?.innerText?.trim()
+            || '';
+        const publishedTime = getMetaContent('meta[property="article:published_time"]', 'meta[name="date"]', 'meta[itemprop="datePublished"]')
+            || jsonLd?.datePublished
+            || (articleRoot || document).querySelector('time[datetime]')?.getAttribute('datetime')
+            || '';
+        const canonicalLink = document.querySelector('link[rel="canonical"]')?.href;
+        const canonicalUrl = canonicalLink || getMetaContent('meta[property="og:url"]') || location.href;
+
+        return {
+            title,
+            byline: byline.substring(0, 200), // Guard against a matched container holding a whole bio
+            publishedTime,
+            canonicalUrl,
+            siteName: getMetaContent('meta[property="og:site_name"]'),
+            excerpt: getMetaContent('meta[name="description"]', 'meta[property="og:description"]'),
+            language: document.documentElement.lang || '',
+        };
+    };
+
+    // --- End: Main-content extraction ---
+
+    // Text the user selected on the page; available to prompt templates as {{selection}}
+    const getSelectedText = () => {
+        try {
+            return (window.getSelection()?.toString() || '').trim();
+        } catch (e) {
+            return '';
+        }
+    };
+
+    // Characters of surrounding text kept on each side of the selection
+    const SELECTION_CONTEXT_CHARS = 1500;
+
+    /**
+     * Text around the current selection, so a selected phrase can be explained in context.
+     * Walks up from the selection to an ancestor with enough text, then keeps a window
+     * of SELECTION_CONTEXT_CHARS on each side of the selected text.
+     */
+    const getSelectionContext = () => {
+        try {
+            const selection = window.getSelection();
+            const selectedText = (selection?.toString() || '').trim();
+            if (!selectedText || selection.rangeCount === 0) {
+                return '';
+            }
+            let element = selection.getRangeAt(0).commonAncestorContainer;
+            if (element.nodeType !== Node.ELEMENT_NODE) {
+                element = element.parentElement;
+            }
+            while (element && element !== document.body && (element.innerText || '').length < selectedText.length + 2 * SELECTION_CONTEXT_CHARS) {
+                element = element.parentElement;
+            }
+            const text = ((element || document.body).innerText || '').replace(/\n{3,}/g, '\n\n');
+            // innerText may differ slightly from the selection string; fall back to the beginning
+            const index = Math.max(0, text.indexOf(selectedText));
+            const start = Math.max(0, index - SELECTION_CONTEXT_CHARS);
+            const end = Math.min(text.length, index + selectedText.length + SELECTION_CONTEXT_CHARS);
+            return `${start > 0 ? '...' : ''}${text.slice(start, end).trim()}${end < text.length ? '...' : ''}`;
+        } catch (e) {
+            logger.warn('Could not read the selection context:', e.message);
+            return '';
+        }
+    };
+
+    // Function to safely extract the main content of the page as markdown plus metadata
     const extractPageContent = () => {
         logger.info('Attempting to extract page content.');
-        let content = '';
         try {
-            // Prefer innerText as it's closer to visible text for better summary relevance
-            // Fallback to textContent if innerText is empty (e.g., for <pre> tags sometimes)
-            // Further fallback to documentElement.textContent if body somehow fails
-            if (document.body) {
-                 content = document.body.innerText || document.body.textContent || '';
-                 logger.debug(`Extracted from document.body. innerText length: ${document.body.innerText?.length}, textContent length: ${document.body.textContent?.length}, chosen content length: ${content.length}`);
-            } else if (document.documentElement) {
-                 content = document.documentElement.innerText || document.documentElement.textContent || '';
-                 logger.debug(`Extracted from document.documentElement. content length: ${content.length}`);
+            if (!document.body) {
+                // Non-HTML documents (e.g. raw XML) only have a documentElement
+                const rawText = (document.documentElement?.textContent || '').trim();
+                logger.debug(`No document.body. Using documentElement text, length: ${rawText.length}`);
+                return { content: rawText, metadata: extractMetadata(null), selection: getSelectedText(), selectionContext: '' };
             }
 
-            // Basic filtering: remove excessive newlines and trim leading/trailing whitespace
-            content = content.replace(/\n{2,}/g, '\n').trim();
+            // Numbers from an earlier extraction of this page are replaced
+            document.querySelectorAll(`[${PASSAGE_ATTRIBUTE}]`).forEach((element) => element.removeAttribute(PASSAGE_ATTRIBUTE));
+            const articleRoot = findArticleRoot();
+            let content = articleRoot ? blocksToMarkdown(articleRoot, articleRoot).join('\n\n') : '';
+            logger.debug(`Article extraction produced ${content.length} chars of markdown.`);
 
-            logger.info(`Content extraction finished. Final length: ${content.length}.`);
-            // Log first and last part of content, useful for very large strings
-            logger.debug('Extracted content (first 200 chars):', content.substring(0, 200) + (content.length > 200 ? '...' : ''));
-            if (content.length > 400) { // Also log the end for large content
-                 logger.debug('Extracted content (last 200 chars):', '...' + content.substring(content.length - Math.min(200, content.length / 2))); // Log end, min 200 chars or half length if short
+            // Fall back to the visible body text when no convincing article was found
+            // (the plain body text has no passage numbers, so such summaries have no citations)
+            if (content.length < MIN_ARTICLE_TEXT_LENGTH) {
+                logger.info('Article extraction result too short. Falling back to document.body text.');
+                content = document.body.innerText || document.body.textContent || '';
             }
 
+            // Basic filtering: collapse runs of blank lines and trim leading/trailing whitespace
+            content = content.replace(/\n{3,}/g, '\n\n').trim();
+            const metadata = extractMetadata(articleRoot);
+
+            logger.info(`Content extraction finished. Final length: ${content.length}.`);
+            logger.debug('Extracted metadata:', metadata);
+            // The page text itself is not logged: it may contain personal data that is redacted before sending
+
             if (content.length === 0) {
                  logger.warn('Extracted content is empty.');
-                 // Maybe refine extractPageContent to select specific elements or use alternative methods if needed for specific sites.
-                 // For now, returning empty string is okay, background script might handle it (e.g., LLM might return empty summary).
-                 // Or we could return null to explicitly indicate extraction failure on empty? Let's return content for now.
+                 // The background script rejects empty content with a user-facing message.
             }
 
-            return content;
+            return { content, metadata, selection: getSelectedText(), selectionContext: getSelectionContext() };
         } catch (error) {
             logger.errorWithStack('Error during page content extraction.', error);
             // Indicate extraction failure explicitly
-            return null; // Or an empty string with appropriate error handling downstream
+            return null;
+        }
+    };
+
+    // --- Start: Video transcripts ---
+
+    // Transcript segments are merged into lines of about this many seconds to save tokens
+    const TRANSCRIPT_LINE_SECONDS = 30;
+    const TRACK_LOAD_TIMEOUT_MS = 5000;
+    // Marks the <video> whose captions were extracted, so timestamp links can seek it
+    const VIDEO_ATTRIBUTE = 'data-llm-summarizer-video';
+    // Must match CONTENT_TYPES.VIDEO_TRANSCRIPT in utils/constants.js
+    const VIDEO_TRANSCRIPT_CONTENT_TYPE = 'videoTranscript';
+
+    // Formats seconds as [m:ss] or [h:mm:ss], the format the popup turns into seek links
+    const formatTimestamp = (totalSeconds) => {
+        const seconds = Math.floor(totalSeconds);
+        const pad = (value) => String(value).padStart(2, '0');
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return hours > 0 ? `[${hours}:${pad(minutes)}:${pad(seconds % 60)}]` : `[${minutes}:${pad(seconds % 60)}]`;
+    };
+
+    /**
+     * Turns timed segments into transcript lines such as "[1:30] text ...".
+     * @param {{start: number, text: string}[]} segments - start in seconds.
+     */
+    const segmentsToTranscript = (segments) => {
+        const lines = [];
+        let current = null;
+        segments.forEach(({ start, text }) => {
+            const cleaned = collapseWhitespace(text).trim();
+            if (!cleaned) {
+                return;
+            }
+            if (!current || start - current.start >= TRANSCRIPT_LINE_SECONDS) {
+                current = { start, parts: [] };
+                lines.push(current);
+            }
+            // Rolling auto-captions repeat the previous segment; skip exact repeats
+            if (current.parts[current.parts.length - 1] !== cleaned) {
+                current.parts.push(cleaned);
+            }
+        });
+        return lines.map((line) => `${formatTimestamp(line.start)} ${line.parts.join(' ')}`).join('\n');
+    };
+
+    /**
+     * Reads the JSON object assigned after `marker` in a script or HTML text,
+     * e.g. `var ytInitialPlayerResponse = {...};`. Braces inside strings are skipped.
+     */
+    const extractJsonObject = (text, marker) => {
+        const markerIndex = text.indexOf(marker);
+        const start = markerIndex === -1 ? -1 : text.indexOf('{', markerIndex);
+        if (start === -1) {
+            return null;
+        }
+        let depth = 0;
+        let inString = false;
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                if (char === '\\') {
+                    i++;
+                } else if (char === '"') {
+                    inString = false;
+                }
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth === 0) {
+                    try {
+                        return JSON.parse(text.slice(start, i + 1));
+                    } catch (e) {
+                        return null;
+                    }
+                }
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Gets YouTube's player response (video details and caption tracks) for a video.
+     * The inline script is only current for the first video loaded in the tab (YouTube navigates
+     * without page loads), so otherwise the watch page is fetched again.
+     */
+    const getYouTubePlayerResponse = async (videoId) => {
+        for (const script of document.querySelectorAll('script')) {
+            if (script.textContent.includes('ytInitialPlayerResponse')) {
+                const response = extractJsonObject(script.textContent, 'ytInitialPlayerResponse');
+                if (response?.videoDetails?.videoId === videoId) {
+                    return response;
+                }
+            }
+        }
+        logger.info('Inline player response is stale. Fetching the watch page.');
+        const html = await (await fetch(`https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`, { credentials: 'include' })).text();
+        return extractJsonObject(html, 'ytInitialPlayerResponse');
+    };
+
+    // Segments from the transcript panel, if the user opened "Show transcript"
+    const getYouTubeTranscriptPanelSegments = () => Array.from(document.querySelectorAll('ytd-transcript-segment-renderer')).map((segment) => {
+        const timestamp = segment.querySelector('.segment-timestamp')?.textContent.trim() || '0:00';
+        const start = timestamp.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+        return { start, text: segment.querySelector('.segment-text')?.textContent || '' };
+    });
+
+    /**
+     * Extracts the transcript of a YouTube video: caption track (manual captions preferred over
+     * auto-generated ones), falling back to the transcript panel.
+     * @returns {Promise<{content: string, metadata: object}|null>}
+     */
+    const extractYouTubeTranscript = async () => {
+        const videoId = new URLSearchParams(location.search).get('v') || (location.pathname.match(/^\/shorts\/([\w-]+)/) || [])[1];
+        if (!videoId) {
+            return null;
+        }
+        logger.info(`YouTube video detected: ${videoId}`);
+
+        const playerResponse = await getYouTubePlayerResponse(videoId);
+        const details = playerResponse?.videoDetails || {};
+        const tracks = playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+        const track = tracks.find((item) => item.kind !== 'asr') || tracks[0];
+
+        let segments = [];
+        if (track?.baseUrl) {
+            logger.info(`Fetching caption track "${track.languageCode}"${track.kind === 'asr' ? ' (auto-generated)' : ''}.`);
+            try {
+                const captions = await (await fetch(`${track.baseUrl}&fmt=json3`, { credentials: 'include' })).json();
+                segments = (captions.events || [])
+                    .filter((event) => event.segs)
+                    .map((event) => ({ start: event.tStartMs / 1000, text: event.segs.map((seg) => seg.utf8 || '').join('') }));
+            } catch (error) {
+                logger.warn('Could not load the caption track:', error.message);
+            }
+        }
+        if (segments.length === 0) {
+            segments = getYouTubeTranscriptPanelSegments();
+        }
+        if (segments.length === 0) {
+            logger.warn('No captions available for this video.');
+            return null;
+        }
+
+        const description = (details.shortDescription || '').trim();
+        const transcript = segmentsToTranscript(segments);
+        return {
+            content: `${description ? `## 视频简介\n\n${description}\n\n` : ''}## 视频字幕\n\n${transcript}`,
+            metadata: {
+                title: details.title || document.title,
+                byline: details.author || '',
+                publishedTime: playerResponse?.microformat?.playerMicroformatRenderer?.publishDate || '',
+                canonicalUrl: `https://www.youtube.com/watch?v=${videoId}`,
+                siteName: 'YouTube',
+                excerpt: description.substring(0, 300),
+                language: track?.languageCode || document.documentElement.lang || '',
+                contentType: VIDEO_TRANSCRIPT_CONTENT_TYPE,
+            },
+        };
+    };
+
+    // Resolves once a <track> has loaded its cues (or failed, or timed out)
+    const waitForTrack = (trackElement) => new Promise((resolve) => {
+        if (trackElement.readyState === 2 || trackElement.readyState === 3) { // LOADED or ERROR
+            resolve();
+            return;
+        }
+        const timeoutId = setTimeout(resolve, TRACK_LOAD_TIMEOUT_MS);
+        const done = () => {
+            clearTimeout(timeoutId);
+            resolve();
+        };
+        trackElement.addEventListener('load', done, { once: true });
+        trackElement.addEventListener('error', done, { once: true });
+    });
+
+    /**
+     * Extracts the captions of the first HTML5 video with a subtitles/captions <track>.
+     * @returns {Promise<string|null>} - Transcript lines, or null when there is no such video.
+     */
+    const extractHtml5Transcript = async () => {
+        const trackElement = document.querySelector('video track[kind="subtitles"], video track[kind="captions"], video track:not([kind])');
+        if (!trackElement?.track) {
+            return null;
+        }
+        const video = trackElement.closest('video');
+        // Prefer the default track or one in the page language
+        const tracks = Array.from(video.querySelectorAll('track'));
+        const chosen = tracks.find((item) => item.default) || tracks.find((item) => item.srclang && document.documentElement.lang.startsWith(item.srclang)) || trackElement;
+        const textTrack = chosen.track;
+
+        // Disabled tracks do not load their cues; hide the captions instead and restore the mode afterwards
+        const previousMode = textTrack.mode;
+        if (previousMode === 'disabled') {
+            textTrack.mode = 'hidden';
+        }
+        await waitForTrack(chosen);
+        const cues = Array.from(textTrack.cues || []);
+        textTrack.mode = previousMode;
+
+        if (cues.length === 0) {
+            logger.warn('Video caption track has no cues (it may be blocked by CORS).');
+            return null;
+        }
+        video.setAttribute(VIDEO_ATTRIBUTE, '');
+        logger.info(`Extracted ${cues.length} caption cues from an HTML5 video track.`);
+        // Cue text may contain WebVTT tags such as <v Speaker> or <i>
+        return segmentsToTranscript(cues.map((cue) => ({ start: cue.startTime, text: (cue.text || '').replace(/<[^>]+>/g, ' ') })));
+    };
+
+    // The video that timestamp links control
+    const findControlledVideo = () => document.querySelector(`video[${VIDEO_ATTRIBUTE}]`)
+        || document.querySelector('#movie_player video, video.html5-main-video')
+        || document.querySelector('video');
+
+    /**
+     * Seeks the video to a timestamp from the summary and starts playing.
+     * @param {number} seconds
+     * @returns {boolean} - false when there is no video on the page.
+     */
+    const seekVideo = (seconds) => {
+        const video = findControlledVideo();
+        if (!video) {
+            logger.warn('No video found to seek.');
+            return false;
+        }
+        video.currentTime = seconds;
+        video.play().catch(() => {}); // Autoplay policies may refuse; the seek still happened
+        video.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return true;
+    };
+
+    // --- End: Video transcripts ---
+
+    // --- Start: Citation targets ---
+
+    const HIGHLIGHT_DURATION_MS = 2500;
+
+    /**
+     * Scrolls to a numbered passage and briefly highlights it.
+     * @param {number} passage - The number from a [P<n>] citation.
+     * @returns {boolean} - false when the passage is not on the page (anymore).
+     */
+    const highlightPassage = (passage) => {
+        const element = document.querySelector(`[${PASSAGE_ATTRIBUTE}="${Number(passage)}"]`);
+        if (!element) {
+            logger.warn(`Passage ${passage} not found on the page.`);
+            return false;
+        }
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        const previous = { outline: element.style.outline, backgroundColor: element.style.backgroundColor, transition: element.style.transition };
+        element.style.transition = 'background-color 0.3s';
+        element.style.outline = '2px solid #ffc107';
+        element.style.backgroundColor = 'rgba(255, 193, 7, 0.25)';
+        setTimeout(() => Object.assign(element.style, previous), HIGHLIGHT_DURATION_MS);
+        return true;
+    };
+
+    // The script is injected for every summary; register the listener only once per page
+    if (!window.__llmSummarizerCitationListener) {
+        window.__llmSummarizerCitationListener = true;
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (message.type === MESSAGE_TYPES.HIGHLIGHT_PASSAGE) {
+                sendResponse({ found: highlightPassage(message.passage) });
+            } else if (message.type === MESSAGE_TYPES.SEEK_VIDEO) {
+                sendResponse({ found: seekVideo(message.seconds) });
+            }
+            return false;
+        });
+    }
+
+    // --- End: Citation targets ---
+
+    /**
+     * Chooses the extractor for the page: YouTube videos use their transcript; other pages use
+     * the article extractor, with the captions of an HTML5 video appended when there are any.
+     * @returns {Promise<object|null>} - null when extraction failed.
+     */
+    const extractContent = async () => {
+        if (/(^|\.)youtube\.com$/.test(location.hostname)) {
+            try {
+                const transcript = await extractYouTubeTranscript();
+                if (transcript) {
+                    return { ...transcript, selection: getSelectedText(), selectionContext: getSelectionContext() };
+                }
+            } catch (error) {
+                logger.errorWithStack('YouTube transcript extraction failed. Falling back to the page text.', error);
+            }
+        }
+
+        const extraction = extractPageContent();
+        if (extraction) {
+            try {
+                const transcript = await extractHtml5Transcript();
+                if (transcript) {
+                    extraction.content = `${extraction.content}\n\n## 视频字幕\n\n${transcript}`;
+                    extraction.metadata.contentType = VIDEO_TRANSCRIPT_CONTENT_TYPE;
+                }
+            } catch (error) {
+                logger.errorWithStack('Reading the video captions failed.', error);
+            }
         }
+        return extraction;
     };
 
     // The main execution logic for this content script
     // It runs immediately once the script is injected
     (async () => {
         logger.debug('Content script main execution started within IIFE.');
-        const pageContent = extractPageContent(); // This might return null on error
+        const extraction = await extractContent(); // This might return null on error
 
-        if (pageContent !== null) { // Check if extraction was successful (did not return null)
+        if (extraction !== null) { // Check if extraction was successful (did not return null)
             // Send the extracted content back to the sender (likely the background script)
             logger.info('Sending content extraction success message...');
             // Use chrome.runtime.sendMessage to communicate with the background script
             chrome.runtime.sendMessage({
                 type: MESSAGE_TYPES.GET_PAGE_CONTENT,
                 success: true,
-                content: pageContent
+                content: extraction.content,
+                metadata: extraction.metadata,
+                selection: extraction.selection,
+                selectionContext: extraction.selectionContext
             }).then(() => {
                 logger.info('Message GET_PAGE_CONTENT (success) sent.');
                 // Note: The promise from sendMessage resolves when the message is sent,
@@ -148,4 +818,4 @@
         logger.debug('Content script main execution finished within IIFE.');
     })();
 
-})(); // End of IIFE
\ No newline at end of file
+})(); // End of IIFE
@@ -0,0 +1,202 @@
+// chrome-llm-summarizer/content_scripts/overlay.js
+
+// In-page result panel for context menu actions.
+// Injected together with marked.min.js and purify.min.js; the background drives it with
+// OVERLAY_UPDATE messages. The panel lives in a shadow root so page styles cannot leak in.
+(() => {
+
+    // Injected again for every context menu action; the first instance keeps listening
+    if (window.__llmSummarizerOverlayLoaded) {
+        return;
+    }
+    window.__llmSummarizerOverlayLoaded = true;
+
+    // --- Start: Inlined Dependencies ---
+
+    const createLogger = (moduleName) => {
+      const log = (level, ...args) => {
+        const message = args.map(arg => (typeof arg === 'object' && arg !== null ? JSON.stringify(arg) : String(arg))).join(' ');
+        console[level](`[${new Date().toISOString()}] [${level.toUpperCase()}] [${moduleName}] - ${message}`);
+      };
+      return {
+        debug: (...args) => log('debug', ...args),
+        info: (...args) => log('info', ...args),
+        warn: (...args) => log('warn', ...args),
+        error: (...args) => log('error', ...args),
+      };
+    };
+
+    // Must match MESSAGE_TYPES / OVERLAY_STATES in utils/constants.js
+    const MESSAGE_TYPES = {
+      OVERLAY_UPDATE: 'overlayUpdate',
+      OVERLAY_CLOSED: 'overlayClosed',
+    };
+
+    const OVERLAY_STATES = {
+      LOADING: 'loading',
+      STREAMING: 'streaming',
+      DONE: 'done',
+      ERROR: 'error',
+    };
+
+    // --- End: Inlined Dependencies ---
+
+    const logger = createLogger('content_scripts/overlay');
+
+    const STYLES = `
+        :host { all: initial; }
+        .panel {
+            position: fixed;
+            top: 16px;
+            right: 16px;
+            z-index: 2147483647;
+            width: 420px;
+            max-width: calc(100vw - 32px);
+            max-height: calc(100vh - 32px);
+            display: flex;
+            flex-direction: column;
+            background: #f8f9fa;
+            color: #212529;
+            border: 1px solid #dee2e6;
+            border-radius: 8px;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+            font: 14px/1.5 sans-serif;
+        }
+        .header {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 8px;
+            padding: 8px 12px;
+            border-bottom: 1px solid #dee2e6;
+            font-weight: bold;
+        }
+        .close {
+            border: none;
+            background: none;
+            font-size: 18px;
+            line-height: 1;
+            cursor: pointer;
+            color: #6c757d;
+        }
+        .close:hover { color: #212529; }
+        .status {
+            padding: 6px 12px 0 12px;
+            font-size: 12px;
+            color: #6c757d;
+        }
+        .status:empty { display: none; }
+        .body {
+            padding: 8px 12px 12px 12px;
+            overflow-y: auto;
+            word-wrap: break-word;
+        }
+        .body p { margin: 0 0 0.5em 0; }
+        .body ul, .body ol { margin: 0 0 0.5em 0; padding-left: 1.5em; }
+        .error {
+            color: #721c24;
+            background: #f8d7da;
+            border-radius: 4px;
+            padding: 8px;
+            white-space: pre-wrap;
+        }
+    `;
+
+    const STATUS_TEXT = {
+        [OVERLAY_STATES.LOADING]: '正在获取内容并总结...',
+        [OVERLAY_STATES.STREAMING]: '正在生成...',
+        [OVERLAY_STATES.DONE]: '',
+        [OVERLAY_STATES.ERROR]: '',
+    };
+
+    let host = null;
+    let elements = null;
+    let pendingText = null;
+
+    // Builds the panel on first use
+    const ensurePanel = () => {
+        if (host?.isConnected) {
+            return elements;
+        }
+        host = document.createElement('llm-summarizer-overlay');
+        const shadow = host.attachShadow({ mode: 'closed' });
+        shadow.innerHTML = `
+            <style>${STYLES}</style>
+            <div class="panel" role="dialog">
+                <div class="header"><span class="title"></span><button class="close" title="关闭">×</button></div>
+                <div class="status"></div>
+                <div class="body"></div>
+            </div>`;
+        elements = {
+            title: shadow.querySelector('.title'),
+            status: shadow.querySelector('.status'),
+            body: shadow.querySelector('.body'),
+        };
+        shadow.querySelector('.close').addEventListener('click', closePanel);
+        document.documentElement.appendChild(host);
+        return elements;
+    };
+
+    const closePanel = () => {
+        logger.info('Overlay closed by the user.');
+        host?.remove();
+        host = null;
+        // Lets the background abort the request if it is still running
+        chrome.runtime.sendMessage({ type: MESSAGE_TYPES.OVERLAY_CLOSED }).catch(() => {});
+    };
+
+    const renderMarkdown = (text) => {
+        const body = ensurePanel().body;
+        if (typeof marked !== 'undefined' && typeof DOMPurify !== 'undefined') {
+            body.innerHTML = DOMPurify.sanitize(marked.parse(text));
+        } else {
+            body.textContent = text;
+        }
+    };
+
+    // Streamed text can arrive faster than the screen refreshes; render once per frame
+    const scheduleRender = (text) => {
+        const scheduled = pendingText !== null;
+        pendingText = text;
+        if (!scheduled) {
+            requestAnimationFrame(() => {
+                if (pendingText !== null) {
+                    renderMarkdown(pendingText);
+                    pendingText = null;
+                }
+            });
+        }
+    };
+
+    const applyUpdate = (update) => {
+        const { title, status, body } = ensurePanel();
+        if (update.title) {
+            title.textContent = update.title;
+        }
+        status.textContent = update.statusText ?? STATUS_TEXT[update.state] ?? '';
+
+        if (update.state === OVERLAY_STATES.LOADING) {
+            body.textContent = '';
+        } else if (update.state === OVERLAY_STATES.STREAMING) {
+            scheduleRender(update.text || '');
+        } else if (update.state === OVERLAY_STATES.DONE) {
+            pendingText = null;
+            renderMarkdown(update.text || '');
+        } else if (update.state === OVERLAY_STATES.ERROR) {
+            pendingText = null;
+            const error = document.createElement('div');
+            error.className = 'error';
+            error.textContent = `错误: ${update.error}`;
+            body.appendChild(error);
+        }
+    };
+
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.type === MESSAGE_TYPES.OVERLAY_UPDATE) {
+            applyUpdate(message);
+        }
+        return false;
+    });
+
+    logger.info('Overlay script ready.');
+})();
@@ -0,0 +1,85 @@
+// chrome-llm-summarizer/domain/auto_summarize.js
+
+import createLogger from '../utils/logger.js';
+import { getStorage } from './storage.js';
+import { findMatchingRule } from '../utils/url_pattern.js';
+import { STORAGE_KEYS, AUTO_SUMMARIZE_DISPLAYS, AUTO_SUMMARIZE_COOLDOWN_MS } from '../utils/constants.js';
+
+const logger = createLogger('domain/auto_summarize');
+
+/**
+ * A page that is summarized as soon as it has loaded.
+ * @typedef {object} AutoSummarizeRule
+ * @property {string} pattern - URL pattern, see utils/url_pattern.js.
+ * @property {string} display - One of AUTO_SUMMARIZE_DISPLAYS.
+ */
+
+// When each URL was last summarized automatically. Kept in memory only: after the service worker
+// restarts a page may be summarized once more, which the response cache usually answers.
+const recentRuns = new Map();
+
+/**
+ * Loads the automatic summarization rules. Without rules nothing is summarized automatically.
+ * @returns {Promise<AutoSummarizeRule[]>}
+ */
+export const getAutoSummarizeRules = async () => {
+  const items = await getStorage(STORAGE_KEYS.AUTO_SUMMARIZE_RULES);
+  return Array.isArray(items[STORAGE_KEYS.AUTO_SUMMARIZE_RULES]) ? items[STORAGE_KEYS.AUTO_SUMMARIZE_RULES] : [];
+};
+
+/**
+ * Returns the rule that asks for a page to be summarized automatically. Only web pages qualify.
+ * @param {string} url
+ * @param {AutoSummarizeRule[]} rules - Rules in priority order.
+ * @returns {AutoSummarizeRule|null}
+ */
+export const findAutoSummarizeRule = (url, rules) => {
+  if (!/^https?:\/\//i.test(url || '')) {
+    return null;
+  }
+  return findMatchingRule(url, rules);
+};
+
+/**
+ * Reserves an automatic run for a URL. Returns false when the URL was summarized automatically
+ * within AUTO_SUMMARIZE_COOLDOWN_MS, e.g. because the page was reloaded.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export const claimAutoSummarizeRun = (url) => {
+  const now = Date.now();
+  for (const [recentUrl, time] of recentRuns) {
+    if (now - time >= AUTO_SUMMARIZE_COOLDOWN_MS) {
+      recentRuns.delete(recentUrl);
+    }
+  }
+  if (recentRuns.has(url)) {
+    logger.info(`Skipping automatic summary of ${url}: it was summarized ${Math.round((now - recentRuns.get(url)) / 1000)}s ago.`);
+    return false;
+  }
+  recentRuns.set(url, now);
+  return true;
+};
+
+/**
+ * Gives up the reservation of a URL, so a cancelled run does not block the next visit.
+ * @param {string} url
+ */
+export const releaseAutoSummarizeRun = (url) => {
+  recentRuns.delete(url);
+};
+
+/**
+ * Validates automatic summarization rules for the options page.
+ * @param {AutoSummarizeRule[]} rules
+ * @returns {string|null} - An error message, or null when the rules are fine.
+ */
+export const validateAutoSummarizeRules = (rules) => {
+  if (rules.some((rule) => !rule.pattern)) {
+    return '自动总结规则的网址不能为空。';
+  }
+  if (rules.some((rule) => !Object.values(AUTO_SUMMARIZE_DISPLAYS).includes(rule.display))) {
+    return '请为每条自动总结规则选择显示方式。';
+  }
+  return null;
+};
@@ -0,0 +1,145 @@
+// chrome-llm-summarizer/domain/cache.js
+
+import createLogger from '../utils/logger.js';
+import { getStorage, getLocalStorage, setLocalStorage, removeLocalStorage } from './storage.js';
+import {
+  STORAGE_KEYS,
+  DEFAULT_CACHE_ENABLED,
+  DEFAULT_CACHE_TTL_HOURS,
+  RESPONSE_CACHE_MAX_ENTRIES,
+  RESPONSE_CACHE_MAX_CHARS,
+} from '../utils/constants.js';
+
+const logger = createLogger('domain/cache');
+
+// Bump when the key layout changes so old entries are no longer hit
+const CACHE_KEY_VERSION = 1;
+
+/**
+ * A cached LLM response (chrome.storage.local, newest first).
+ * @typedef {object} CacheEntry
+ * @property {string} key - SHA-256 of the prompt and model parameters.
+ * @property {string} response
+ * @property {number} createdAt - Timestamp in milliseconds.
+ */
+
+/**
+ * Loads the cache switch and the time-to-live.
+ * @returns {Promise<{enabled: boolean, ttlHours: number}>}
+ */
+export const getCacheSettings = async () => {
+  const items = await getStorage([STORAGE_KEYS.CACHE_ENABLED, STORAGE_KEYS.CACHE_TTL_HOURS]);
+  return {
+    enabled: items[STORAGE_KEYS.CACHE_ENABLED] ?? DEFAULT_CACHE_ENABLED,
+    ttlHours: items[STORAGE_KEYS.CACHE_TTL_HOURS] || DEFAULT_CACHE_TTL_HOURS,
+  };
+};
+
+/**
+ * Computes the cache key of a request. Whitespace in the prompt is normalized, so re-extracting
+ * a page whose layout shifted slightly still hits the cache.
+ * @param {object} params
+ * @param {string} params.prompt - The fully rendered prompt (content, template and instructions).
+ * @param {object} params.apiConfig - Provider, host, model and generation parameters.
+ * @param {number} params.chunkSizeTokens - Changes how long pages are split, and so the result.
+ * @returns {Promise<string>} - Hex SHA-256.
+ */
+export const computeCacheKey = async ({ prompt, apiConfig, chunkSizeTokens }) => {
+  const normalizedPrompt = prompt.replace(/\s+/g, ' ').trim();
+  const material = JSON.stringify([
+    CACHE_KEY_VERSION,
+    normalizedPrompt,
+    apiConfig.provider,
+    apiConfig.apiHost,
+    apiConfig.modelName,
+    apiConfig.temperature,
+    apiConfig.maxTokens,
+    chunkSizeTokens,
+  ]);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(material));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const getEntries = async () => {
+  const items = await getLocalStorage(STORAGE_KEYS.RESPONSE_CACHE);
+  return Array.isArray(items[STORAGE_KEYS.RESPONSE_CACHE]) ? items[STORAGE_KEYS.RESPONSE_CACHE] : [];
+};
+
+// Writes are queued so parallel summaries (e.g. a digest) do not overwrite each other's entries
+let writeQueue = Promise.resolve();
+const updateEntries = (update) => {
+  const run = writeQueue.then(async () => {
+    const updated = update(await getEntries());
+    await setLocalStorage({ [STORAGE_KEYS.RESPONSE_CACHE]: updated });
+    return updated;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+const isFresh = (entry, ttlHours, now = Date.now()) => now - entry.createdAt < ttlHours * 60 * 60 * 1000;
+
+/**
+ * Looks up a cached response that has not expired.
+ * @param {string} key
+ * @param {number} ttlHours
+ * @returns {Promise<CacheEntry|null>}
+ */
+export const getCachedResponse = async (key, ttlHours) => {
+  const entry = (await getEntries()).find((item) => item.key === key);
+  if (!entry) {
+    return null;
+  }
+  if (!isFresh(entry, ttlHours)) {
+    logger.info(`Cache entry ${key.slice(0, 12)} expired.`);
+    return null;
+  }
+  return entry;
+};
+
+/**
+ * Stores a response, replacing an older one with the same key. Expired entries are dropped,
+ * then the oldest entries beyond RESPONSE_CACHE_MAX_ENTRIES or RESPONSE_CACHE_MAX_CHARS.
+ * @param {string} key
+ * @param {string} response
+ * @param {number} ttlHours
+ * @returns {Promise<void>}
+ */
+export const putCachedResponse = async (key, response, ttlHours) => {
+  const now = Date.now();
+  await updateEntries((entries) => {
+    const kept = [{ key, response, createdAt: now }];
+    let totalChars = response.length;
+    for (const entry of entries) {
+      if (entry.key === key || !isFresh(entry, ttlHours, now)) {
+        continue;
+      }
+      if (kept.length >= RESPONSE_CACHE_MAX_ENTRIES || totalChars + entry.response.length > RESPONSE_CACHE_MAX_CHARS) {
+        break;
+      }
+      kept.push(entry);
+      totalChars += entry.response.length;
+    }
+    return kept;
+  });
+  logger.info(`Cached response ${key.slice(0, 12)} (${response.length} chars).`);
+};
+
+/**
+ * Counts the cached responses, for the options page.
+ * @returns {Promise<{entries: number, chars: number}>}
+ */
+export const getResponseCacheStats = async () => {
+  const entries = await getEntries();
+  return { entries: entries.length, chars: entries.reduce((total, entry) => total + entry.response.length, 0) };
+};
+
+/**
+ * Deletes all cached responses.
+ * @returns {Promise<void>}
+ */
+export const clearResponseCache = async () => {
+  await writeQueue;
+  await removeLocalStorage(STORAGE_KEYS.RESPONSE_CACHE);
+  logger.info('Response cache cleared.');
+};
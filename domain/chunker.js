@@ -0,0 +1,107 @@
+// chrome-llm-summarizer/domain/chunker.js
+
+import createLogger from '../utils/logger.js';
+
+const logger = createLogger('domain/chunker');
+
+// CJK ideographs, kana and hangul are roughly one token per character in common tokenizers
+const CJK_CHAR_REGEX = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿＀-￯]/g;
+// Latin text averages about four characters per token
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimates how many tokens a text will use. This is a heuristic, not a real tokenizer,
+ * so callers should keep a safety margin below the model's actual context size.
+ * @param {string} text
+ * @returns {number} - The estimated token count.
+ */
+export const estimateTokens = (text) => {
+  if (!text) {
+    return 0;
+  }
+  const cjkCount = (text.match(CJK_CHAR_REGEX) || []).length;
+  const otherCount = text.length - cjkCount;
+  return Math.ceil(cjkCount + otherCount / CHARS_PER_TOKEN);
+};
+
+// Structural separators tried from coarsest to finest. Each entry splits text into pieces
+// that keep the separator attached, so joining the pieces gives back the original text.
+const SPLITTERS = [
+  { name: 'heading', split: (text) => text.split(/(?=^#{1,6} )/m) },
+  { name: 'paragraph', split: (text) => text.split(/(?<=\n\n)/) },
+  { name: 'line', split: (text) => text.split(/(?<=\n)/) },
+  { name: 'sentence', split: (text) => text.split(/(?<=[.!?。！？；;]\s*)/) },
+];
+
+/**
+ * Splits a piece that is too large using the next finer separator, falling back to a
+ * hard cut by characters when no separator helps (e.g. one huge minified line).
+ */
+const splitOversized = (text, maxTokens, level) => {
+  if (estimateTokens(text) <= maxTokens) {
+    return [text];
+  }
+  if (level >= SPLITTERS.length) {
+    // Hard cut: size the slices from the text's own chars-per-token ratio
+    const charsPerSlice = Math.max(1, Math.floor(text.length * maxTokens / estimateTokens(text)));
+    const slices = [];
+    for (let i = 0; i < text.length; i += charsPerSlice) {
+      slices.push(text.slice(i, i + charsPerSlice));
+    }
+    return slices;
+  }
+  const pieces = SPLITTERS[level].split(text).filter((piece) => piece.length > 0);
+  if (pieces.length <= 1) {
+    return splitOversized(text, maxTokens, level + 1);
+  }
+  return pieces.flatMap((piece) => splitOversized(piece, maxTokens, level + 1));
+};
+
+/**
+ * Shortens a text to at most `maxTokens` (estimated), cutting at the coarsest structural
+ * boundary that fits (heading, paragraph, line, sentence).
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string} - The text itself when it already fits.
+ */
+export const truncateToTokens = (text, maxTokens) => {
+  if (estimateTokens(text) <= maxTokens) {
+    return text;
+  }
+  let result = '';
+  for (const piece of splitOversized(text, maxTokens, 0)) {
+    if (estimateTokens(result + piece) > maxTokens) {
+      break;
+    }
+    result += piece;
+  }
+  return result.trim();
+};
+
+/**
+ * Splits content into chunks of at most `maxTokens` (estimated), preferring structural
+ * boundaries: markdown headings first, then paragraphs, lines and sentences.
+ * Small neighbouring pieces are packed together so chunks are as full as possible.
+ * @param {string} text - The content to split (markdown from the content script).
+ * @param {number} maxTokens - The token budget for one chunk.
+ * @returns {string[]} - The chunks in document order.
+ */
+export const splitIntoChunks = (text, maxTokens) => {
+  const pieces = splitOversized(text, maxTokens, 0);
+  const chunks = [];
+  let current = '';
+
+  for (const piece of pieces) {
+    if (current && estimateTokens(current + piece) > maxTokens) {
+      chunks.push(current.trim());
+      current = '';
+    }
+    current += piece;
+  }
+  if (current.trim()) {
+    chunks.push(current.trim());
+  }
+
+  logger.info(`Split ${text.length} chars (~${estimateTokens(text)} tokens) into ${chunks.length} chunk(s) of at most ~${maxTokens} tokens.`);
+  return chunks;
+};
@@ -0,0 +1,50 @@
+// chrome-llm-summarizer/domain/citations.js
+
+import { getStorage } from './storage.js';
+import { STORAGE_KEYS, DEFAULT_CITATIONS_ENABLED } from '../utils/constants.js';
+
+// A passage marker added by the content script, e.g. "[P12]" (with the space or line break after it)
+const PASSAGE_MARKER_REGEX = /\[P\d+\][ \n]?/g;
+
+// A citation in generated text: "[P3]" or a group such as "[P3, P7]"
+export const CITATION_REGEX = /\[(P\d+(?:\s*[,，、;；]\s*P?\d+)*)\]/g;
+
+/**
+ * Reads whether summaries should cite the numbered page passages.
+ * @returns {Promise<boolean>}
+ */
+export const getCitationsEnabled = async () => {
+  const items = await getStorage(STORAGE_KEYS.CITATIONS_ENABLED);
+  return items[STORAGE_KEYS.CITATIONS_ENABLED] ?? DEFAULT_CITATIONS_ENABLED;
+};
+
+/**
+ * Removes the passage markers from extracted content, for prompts that do not ask for citations.
+ * @param {string} content
+ * @returns {string}
+ */
+export const stripPassageMarkers = (content) => content.replace(PASSAGE_MARKER_REGEX, '');
+
+/**
+ * Tells whether content carries passage markers (pages whose article could not be found do not).
+ * @param {string} content
+ * @returns {boolean}
+ */
+export const hasPassageMarkers = (content) => new RegExp(PASSAGE_MARKER_REGEX.source).test(content);
+
+// A video timestamp in generated text: "[1:23]" or "[1:02:03]"
+export const TIMESTAMP_REGEX = /\[(\d{1,2}(?::\d{2}){1,2})\]/g;
+
+/**
+ * Converts a timestamp such as "1:23" or "1:02:03" into seconds.
+ * @param {string} timestamp - The text inside the brackets.
+ * @returns {number}
+ */
+export const parseTimestamp = (timestamp) => timestamp.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+
+/**
+ * Parses the passage numbers of a citation group such as "P3, P7" (the text inside the brackets).
+ * @param {string} group
+ * @returns {number[]}
+ */
+export const parseCitationGroup = (group) => group.split(/[,，、;；]/).map((part) => Number(part.trim().replace(/^P/, ''))).filter((passage) => Number.isInteger(passage) && passage > 0);
@@ -0,0 +1,141 @@
+// chrome-llm-summarizer/domain/conversation.js
+
+import createLogger from '../utils/logger.js';
+import { getSessionStorage, setSessionStorage, removeSessionStorage } from './storage.js';
+import { truncateToTokens } from './chunker.js';
+import {
+  STORAGE_KEYS,
+  ERROR_MESSAGES,
+  MAX_CONVERSATIONS,
+  MAX_CONVERSATION_CONTENT_TOKENS,
+  MAX_CONVERSATION_MESSAGES,
+} from '../utils/constants.js';
+
+const logger = createLogger('domain/conversation');
+
+/**
+ * The follow-up chat about a summarized page. One conversation is kept per tab in
+ * chrome.storage.session, so it survives closing and reopening the popup but not a browser restart.
+ * @typedef {object} Conversation
+ * @property {number} tabId
+ * @property {string} url - URL of the tab when it was summarized; a different URL means the conversation is stale.
+ * @property {string} content - The extracted page content (markdown), cut to MAX_CONVERSATION_CONTENT_TOKENS.
+ * @property {boolean} contentTruncated - Whether the end of the page content was cut off.
+ * @property {object} metadata - Page metadata from the content script.
+ * @property {object} variables - Template variables of the summary (title, language...).
+ * @property {string} summary - The summary the conversation starts from.
+ * @property {string} modelName - Model that wrote the summary.
+ * @property {number} createdAt - When the summary was made (milliseconds).
+ * @property {number} updatedAt - When the conversation was last saved; the least recently used are dropped first.
+ * @property {{role: string, content: string}[]} messages - The latest MAX_CONVERSATION_MESSAGES follow-up questions and answers, oldest first.
+ */
+
+const conversationKey = (tabId) => `${STORAGE_KEYS.CONVERSATION_PREFIX}${tabId}`;
+
+/**
+ * Drops the least recently used conversations of other tabs.
+ * @param {string} ownKey - Storage key of the conversation being saved, which is kept.
+ * @param {function(number): number} keepCount - How many of the other conversations to keep, given their number.
+ * @returns {Promise<number>} - The number of dropped conversations.
+ */
+const evictConversations = async (ownKey, keepCount) => {
+  const others = Object.entries(await getSessionStorage(null))
+    .filter(([key]) => key.startsWith(STORAGE_KEYS.CONVERSATION_PREFIX) && key !== ownKey)
+    .sort(([, a], [, b]) => (b.updatedAt || b.createdAt) - (a.updatedAt || a.createdAt));
+  const evicted = others.slice(Math.max(0, keepCount(others.length))).map(([key]) => key);
+  if (evicted.length > 0) {
+    await removeSessionStorage(evicted);
+    logger.info(`Dropped ${evicted.length} least recently used conversation(s).`);
+  }
+  return evicted.length;
+};
+
+/**
+ * Saves a conversation. When session storage is full, the older half of the other conversations
+ * is dropped and the save tried once more.
+ * @param {Conversation} conversation
+ * @returns {Promise<Conversation>}
+ * @throws {Error} - SESSION_STORAGE_FULL when there is still no room.
+ */
+const saveConversation = async (conversation) => {
+  const key = conversationKey(conversation.tabId);
+  const saved = { ...conversation, updatedAt: Date.now() };
+  try {
+    await setSessionStorage({ [key]: saved });
+  } catch (error) {
+    if (error.message !== ERROR_MESSAGES.SESSION_STORAGE_FULL) {
+      throw error;
+    }
+    logger.warn(`Session storage is full. Making room for the conversation of tab ${conversation.tabId}.`);
+    if (await evictConversations(key, (count) => Math.floor(count / 2)) === 0) {
+      throw error;
+    }
+    await setSessionStorage({ [key]: saved });
+  }
+  return saved;
+};
+
+/**
+ * Starts a new conversation for a tab, replacing any previous one. Only the beginning of long
+ * pages is kept, and the least recently used conversations beyond MAX_CONVERSATIONS are dropped.
+ * @param {Omit<Conversation, 'messages'|'createdAt'|'updatedAt'|'contentTruncated'>} fields
+ * @returns {Promise<Conversation>}
+ * @throws {Error} - SESSION_STORAGE_FULL when the conversation does not fit into session storage.
+ */
+export const startConversation = async (fields) => {
+  const content = truncateToTokens(fields.content, MAX_CONVERSATION_CONTENT_TOKENS);
+  await evictConversations(conversationKey(fields.tabId), () => MAX_CONVERSATIONS - 1);
+  const conversation = await saveConversation({
+    ...fields,
+    content,
+    contentTruncated: content.length < fields.content.length,
+    createdAt: Date.now(),
+    messages: [],
+  });
+  logger.info(`Started conversation for tab ${fields.tabId}.`);
+  return conversation;
+};
+
+/**
+ * Loads the conversation of a tab.
+ * @param {number} tabId
+ * @param {string} [url] - When given, a conversation started on another URL is treated as missing.
+ * @returns {Promise<Conversation|null>}
+ */
+export const getConversation = async (tabId, url) => {
+  const key = conversationKey(tabId);
+  const conversation = (await getSessionStorage(key))[key] || null;
+  if (conversation && url !== undefined && conversation.url !== url) {
+    logger.info(`Conversation of tab ${tabId} belongs to ${conversation.url}, not ${url}. Ignoring it.`);
+    return null;
+  }
+  return conversation;
+};
+
+/**
+ * Appends a question and its answer to a conversation and saves it, keeping the latest
+ * MAX_CONVERSATION_MESSAGES messages.
+ * @param {Conversation} conversation
+ * @param {string} question
+ * @param {string} answer
+ * @returns {Promise<Conversation>}
+ * @throws {Error} - SESSION_STORAGE_FULL when the conversation does not fit into session storage.
+ */
+export const appendExchange = async (conversation, question, answer) => saveConversation({
+  ...conversation,
+  messages: [
+    ...conversation.messages,
+    { role: 'user', content: question },
+    { role: 'assistant', content: answer },
+  ].slice(-MAX_CONVERSATION_MESSAGES),
+});
+
+/**
+ * Deletes the conversation of a tab (e.g. when the tab is closed).
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+export const clearConversation = async (tabId) => {
+  await removeSessionStorage(conversationKey(tabId));
+  logger.info(`Cleared conversation for tab ${tabId}.`);
+};
@@ -0,0 +1,160 @@
+// chrome-llm-summarizer/domain/errors.js
+
+import { ERROR_MESSAGES, SUMMARY_PHASES } from '../utils/constants.js';
+
+/**
+ * Kinds of LLM API failures. The code travels with the error message to the popup,
+ * which shows the matching LOCALIZED_ERROR_MESSAGES text.
+ */
+export const LLM_ERROR_CODES = {
+  AUTH: 'auth', // Invalid or missing API key, no access to the model (401/403)
+  QUOTA: 'quota', // Credits or billing quota used up (402, 429 insufficient_quota)
+  RATE_LIMIT: 'rateLimit', // Too many requests (429) after all retries
+  CONTEXT_LENGTH: 'contextLength', // The prompt does not fit into the model's context window
+  NETWORK: 'network', // The server could not be reached
+  TIMEOUT: 'timeout', // No data received within the request timeout
+  SERVER: 'server', // 5xx or overloaded after all retries
+  API: 'api', // Any other rejection (bad request, unknown model, malformed response)
+};
+
+// Shown in the popup instead of the raw API error; the details stay available below it
+export const LOCALIZED_ERROR_MESSAGES = {
+  [LLM_ERROR_CODES.AUTH]: 'API Key 无效或没有访问该模型的权限，请在设置页面检查配置。',
+  [LLM_ERROR_CODES.QUOTA]: '账户额度已用完或未开通付费，请到服务商处充值或检查账单。',
+  [LLM_ERROR_CODES.RATE_LIMIT]: '请求过于频繁，已多次重试仍被限流。请稍后再试，或在设置中降低并行请求数。',
+  [LLM_ERROR_CODES.CONTEXT_LENGTH]: '内容超出了模型的上下文长度。请在设置中调小分段大小，或换用上下文更长的模型。',
+  [LLM_ERROR_CODES.NETWORK]: '无法连接到 API 服务器，请检查网络和 API Host 设置。',
+  [LLM_ERROR_CODES.TIMEOUT]: '请求超时，服务器长时间没有响应。可在设置中延长超时时间。',
+  [LLM_ERROR_CODES.SERVER]: 'API 服务器暂时不可用 (已多次重试)，请稍后再试。',
+  [LLM_ERROR_CODES.API]: 'API 拒绝了请求。',
+};
+
+// Error codes worth another attempt with the same profile
+const RETRYABLE_CODES = [LLM_ERROR_CODES.RATE_LIMIT, LLM_ERROR_CODES.SERVER, LLM_ERROR_CODES.NETWORK, LLM_ERROR_CODES.TIMEOUT];
+
+// Phrases providers use for prompts that exceed the context window
+const CONTEXT_LENGTH_PATTERN = /context[_ ]length|context window|maximum context|prompt is too long|too many tokens|input token count|reduce the length/i;
+
+const QUOTA_PATTERN = /insufficient_quota|quota|billing|credit/i;
+
+/**
+ * Creates an LLM API error. The message starts with ERROR_MESSAGES.LLM_API_ERROR like
+ * the other API errors, so logs and older checks keep working.
+ * @param {string} code - One of LLM_ERROR_CODES.
+ * @param {string} details - What went wrong, e.g. the provider's error message.
+ * @param {object} [extra]
+ * @param {number} [extra.status] - HTTP status.
+ * @param {number} [extra.retryAfterMs] - Delay requested by the server.
+ * @returns {Error & {code: string, status?: number, retryAfterMs?: number}}
+ */
+export const createLlmError = (code, details, { status, retryAfterMs } = {}) => {
+  const error = new Error(`${ERROR_MESSAGES.LLM_API_ERROR} ${details}`);
+  error.name = 'LlmApiError';
+  error.code = code;
+  error.status = status;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+};
+
+/**
+ * Tells whether an error is an LLM API error created by createLlmError.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isLlmError = (error) => error?.name === 'LlmApiError';
+
+/**
+ * Tells whether a request that failed with this error may succeed when sent again.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => isLlmError(error) && RETRYABLE_CODES.includes(error.code);
+
+/**
+ * Maps a failed HTTP response to an error code.
+ * @param {number} status
+ * @param {string} details - The provider's error message or the response body.
+ * @returns {string} - One of LLM_ERROR_CODES.
+ */
+export const classifyHttpError = (status, details) => {
+  if (status === 401 || status === 403) {
+    return LLM_ERROR_CODES.AUTH;
+  }
+  if (status === 402 || (status === 429 && QUOTA_PATTERN.test(details))) {
+    return LLM_ERROR_CODES.QUOTA;
+  }
+  if (status === 429) {
+    return LLM_ERROR_CODES.RATE_LIMIT;
+  }
+  if ((status === 400 || status === 413) && CONTEXT_LENGTH_PATTERN.test(details)) {
+    return LLM_ERROR_CODES.CONTEXT_LENGTH;
+  }
+  if (status === 408) {
+    return LLM_ERROR_CODES.TIMEOUT;
+  }
+  // 529 is Anthropic's "overloaded"
+  if (status >= 500) {
+    return LLM_ERROR_CODES.SERVER;
+  }
+  return LLM_ERROR_CODES.API;
+};
+
+/**
+ * Maps an error reported inside a 200 stream (e.g. Anthropic "overloaded_error") to an error code.
+ * @param {string} details
+ * @returns {string} - One of LLM_ERROR_CODES.
+ */
+export const classifyStreamError = (details) => {
+  if (/overloaded|unavailable|internal/i.test(details)) {
+    return LLM_ERROR_CODES.SERVER;
+  }
+  if (/rate.?limit/i.test(details)) {
+    return LLM_ERROR_CODES.RATE_LIMIT;
+  }
+  if (CONTEXT_LENGTH_PATTERN.test(details)) {
+    return LLM_ERROR_CODES.CONTEXT_LENGTH;
+  }
+  return LLM_ERROR_CODES.API;
+};
+
+/**
+ * Reads a Retry-After header, given either in seconds or as an HTTP date.
+ * @param {string|null} value
+ * @returns {number|undefined} - Delay in milliseconds.
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+/**
+ * Formats an error for the popup or the overlay: the localized explanation of its code
+ * followed by the original message with the provider's details.
+ * @param {string} message
+ * @param {string} [code] - One of LLM_ERROR_CODES.
+ * @returns {string}
+ */
+export const describeError = (message, code) => {
+  const localized = LOCALIZED_ERROR_MESSAGES[code];
+  return localized ? `${localized}\n(${message})` : message;
+};
+
+/**
+ * Describes retry and fallback progress for the loading indicator.
+ * @param {object} progress - A RETRY ({ attempt, maxRetries, delayMs, code }) or FALLBACK ({ profileName }) progress event.
+ * @returns {string}
+ */
+export const describeRecovery = ({ phase, attempt, maxRetries, delayMs, code, profileName }) => {
+  if (phase === SUMMARY_PHASES.FALLBACK) {
+    return `请求失败，正在改用备用配置 "${profileName}"...`;
+  }
+  const reason = code === LLM_ERROR_CODES.RATE_LIMIT ? '请求被限流' : '请求失败';
+  return `${reason}，${Math.ceil(delayMs / 1000)} 秒后重试 (${attempt}/${maxRetries})...`;
+};
@@ -0,0 +1,177 @@
+// chrome-llm-summarizer/domain/export.js
+
+import createLogger from '../utils/logger.js';
+import { getStorage } from './storage.js';
+import { renderTemplate, validateTemplate } from '../utils/template_engine.js';
+import {
+  STORAGE_KEYS,
+  DEFAULT_EXPORT_FILENAME_TEMPLATE,
+  EXPORT_FILENAME_VARIABLES,
+} from '../utils/constants.js';
+
+const logger = createLogger('domain/export');
+
+// Long titles are cut so paths stay below common file system limits
+const MAX_PATH_SEGMENT_LENGTH = 100;
+
+/**
+ * A summary to export.
+ * @typedef {object} ExportDocument
+ * @property {string} title
+ * @property {string} url - Empty for summaries that do not belong to one page (digests).
+ * @property {number} createdAt - Timestamp in milliseconds.
+ * @property {string} modelName
+ * @property {string} summary - The summary as markdown.
+ */
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatLocalDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Local time with the UTC offset, e.g. 2024-05-01T14:03:00+08:00 (Obsidian reads it as a date property)
+const formatLocalDateTime = (date) => {
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  return `${formatLocalDate(date)}T${time}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+const getDomain = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+};
+
+// JSON strings are valid YAML double-quoted scalars, which keeps colons, quotes and newlines safe
+const toYamlString = (value) => JSON.stringify(String(value ?? ''));
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Loads the filename template used for downloads.
+ * @returns {Promise<string>}
+ */
+export const getExportFilenameTemplate = async () => {
+  const items = await getStorage(STORAGE_KEYS.EXPORT_FILENAME_TEMPLATE);
+  return items[STORAGE_KEYS.EXPORT_FILENAME_TEMPLATE] || DEFAULT_EXPORT_FILENAME_TEMPLATE;
+};
+
+/**
+ * Builds a Markdown file with YAML front matter, ready for Obsidian vaults or a Notion import.
+ * @param {ExportDocument} doc
+ * @returns {string}
+ */
+export const buildMarkdownExport = (doc) => [
+  '---',
+  `title: ${toYamlString(doc.title)}`,
+  `url: ${toYamlString(doc.url)}`,
+  `date: ${formatLocalDateTime(new Date(doc.createdAt))}`,
+  `model: ${toYamlString(doc.modelName)}`,
+  '---',
+  '',
+  `# ${doc.title}`,
+  '',
+  doc.summary.trim(),
+  '',
+].join('\n');
+
+/**
+ * Builds a self-contained HTML page (inline styles, no external resources).
+ * @param {ExportDocument} doc
+ * @param {string} bodyHtml - The summary rendered to sanitized HTML.
+ * @returns {string}
+ */
+export const buildHtmlExport = (doc, bodyHtml) => {
+  const createdAt = new Date(doc.createdAt);
+  const source = doc.url ? `<a href="${escapeHtml(doc.url)}">${escapeHtml(doc.url)}</a> · ` : '';
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(doc.title)}</title>
+<style>
+  body { max-width: 760px; margin: 40px auto; padding: 0 20px; font: 16px/1.6 sans-serif; color: #212529; }
+  h1 { font-size: 1.6rem; margin-bottom: 0.2em; }
+  .meta { color: #6c757d; font-size: 0.85rem; margin-bottom: 2em; word-break: break-all; }
+  pre { background: #f1f3f5; padding: 12px; border-radius: 4px; overflow-x: auto; }
+  code { font-family: monospace; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #dee2e6; padding: 4px 8px; }
+  blockquote { margin-left: 0; padding-left: 12px; border-left: 3px solid #dee2e6; color: #495057; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(doc.title)}</h1>
+<p class="meta">${source}${escapeHtml(createdAt.toLocaleString())} · ${escapeHtml(doc.modelName)}</p>
+<article>
+${bodyHtml}
+</article>
+</body>
+</html>
+`;
+};
+
+// Removes characters that are invalid in Windows, macOS or Linux file names
+const sanitizePathSegment = (segment) => segment
+  .replace(/[:*?"<>|\u0000-\u001f]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^\.+|\.+$/g, '') // No "..", hidden files or trailing dots
+  .slice(0, MAX_PATH_SEGMENT_LENGTH)
+  .trim();
+
+/**
+ * Renders the download path of an export, relative to the browser's download folder.
+ * "/" in the template creates folders; slashes inside values (e.g. the title) do not.
+ * @param {string} template - e.g. "LLM Summaries/{{date}} {{title}}".
+ * @param {ExportDocument} doc
+ * @param {string} extension - "md" or "html".
+ * @returns {string}
+ */
+export const renderExportFilename = (template, doc, extension) => {
+  const createdAt = new Date(doc.createdAt);
+  const variables = {
+    title: doc.title,
+    domain: getDomain(doc.url),
+    date: formatLocalDate(createdAt),
+    time: `${pad(createdAt.getHours())}-${pad(createdAt.getMinutes())}`,
+    model: doc.modelName,
+  };
+  Object.keys(variables).forEach((name) => {
+    variables[name] = String(variables[name] || '').replace(/[\\/]/g, '-');
+  });
+
+  const segments = renderTemplate(template || DEFAULT_EXPORT_FILENAME_TEMPLATE, variables)
+    .split(/[\\/]+/)
+    .map(sanitizePathSegment)
+    .filter(Boolean);
+  if (segments.length === 0) {
+    logger.warn('Export filename template rendered to an empty path. Using "summary".');
+    segments.push('summary');
+  }
+  return `${segments.join('/')}.${extension}`;
+};
+
+/**
+ * Validates a filename template for the options page.
+ * @param {string} template
+ * @returns {string[]} - Human readable problems; empty when the template is fine.
+ */
+export const validateExportFilenameTemplate = (template) => {
+  if (!template.trim()) {
+    return ['导出文件名模板不能为空。'];
+  }
+  const { errors, unknownVariables } = validateTemplate(template, EXPORT_FILENAME_VARIABLES);
+  const problems = [...errors];
+  if (unknownVariables.length > 0) {
+    problems.push(`未知变量: ${unknownVariables.map((name) => `{{${name}}}`).join(', ')}。可用变量: ${EXPORT_FILENAME_VARIABLES.map((name) => `{{${name}}}`).join(', ')}。`);
+  }
+  return problems;
+};
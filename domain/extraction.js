@@ -0,0 +1,281 @@
+// chrome-llm-summarizer/domain/extraction.js
+
+import createLogger from '../utils/logger.js';
+import { getStorage, setStorage } from './storage.js';
+import {
+  STORAGE_KEYS,
+  EXTRACTION_FIELD_TYPES,
+  BUILT_IN_EXTRACTION_SCHEMAS,
+} from '../utils/constants.js';
+
+const logger = createLogger('domain/extraction');
+
+/**
+ * One value to extract from a page.
+ * @typedef {object} SchemaField
+ * @property {string} name - Key in the JSON object and row label in the popup.
+ * @property {string} type - One of EXTRACTION_FIELD_TYPES.
+ * @property {string} description - Tells the model what belongs in the field.
+ */
+
+/**
+ * A named set of fields for the extraction mode.
+ * @typedef {object} ExtractionSchema
+ * @property {string} id
+ * @property {string} name
+ * @property {SchemaField[]} fields
+ */
+
+// JSON Schema type of each field type
+const JSON_SCHEMA_TYPES = {
+  [EXTRACTION_FIELD_TYPES.TEXT]: { type: ['string', 'null'] },
+  [EXTRACTION_FIELD_TYPES.NUMBER]: { type: ['number', 'null'] },
+  [EXTRACTION_FIELD_TYPES.BOOLEAN]: { type: ['boolean', 'null'] },
+  [EXTRACTION_FIELD_TYPES.LIST]: { type: ['array', 'null'], items: { type: 'string' } },
+};
+
+/**
+ * Creates an id for a user-defined schema.
+ * @returns {string}
+ */
+export const createSchemaId = () => `schema-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Loads the user's schemas and the schema selected in the popup.
+ * @returns {Promise<{customSchemas: ExtractionSchema[], selectedSchemaId: string}>} - An empty id means summary mode.
+ */
+export const getExtractionSettings = async () => {
+  const items = await getStorage([STORAGE_KEYS.CUSTOM_SCHEMAS, STORAGE_KEYS.SELECTED_SCHEMA_ID]);
+  return {
+    customSchemas: Array.isArray(items[STORAGE_KEYS.CUSTOM_SCHEMAS]) ? items[STORAGE_KEYS.CUSTOM_SCHEMAS] : [],
+    selectedSchemaId: items[STORAGE_KEYS.SELECTED_SCHEMA_ID] || '',
+  };
+};
+
+/**
+ * Saves the user-defined schemas.
+ * @param {ExtractionSchema[]} customSchemas
+ * @returns {Promise<void>}
+ */
+export const saveCustomSchemas = async (customSchemas) => {
+  await setStorage({ [STORAGE_KEYS.CUSTOM_SCHEMAS]: customSchemas });
+  logger.info(`Saved ${customSchemas.length} custom extraction schema(s).`);
+};
+
+/**
+ * Remembers the mode chosen in the popup.
+ * @param {string} schemaId - Empty for summary mode.
+ * @returns {Promise<void>}
+ */
+export const setSelectedSchemaId = async (schemaId) => {
+  await setStorage({ [STORAGE_KEYS.SELECTED_SCHEMA_ID]: schemaId });
+};
+
+/**
+ * Lists built-in schemas followed by the user's own.
+ * @param {ExtractionSchema[]} customSchemas
+ * @returns {ExtractionSchema[]}
+ */
+export const listSchemas = (customSchemas) => [...BUILT_IN_EXTRACTION_SCHEMAS, ...customSchemas];
+
+/**
+ * Finds a schema by id.
+ * @param {string} schemaId
+ * @returns {Promise<ExtractionSchema|null>}
+ */
+export const findSchema = async (schemaId) => {
+  const { customSchemas } = await getExtractionSettings();
+  return listSchemas(customSchemas).find((schema) => schema.id === schemaId) || null;
+};
+
+/**
+ * Parses the field editor text: one field per line as "name | type | description".
+ * The type defaults to text and the description is optional.
+ * @param {string} text
+ * @returns {{fields: SchemaField[], problems: string[]}}
+ */
+export const parseSchemaFields = (text) => {
+  const fields = [];
+  const problems = [];
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    const [name = '', type = '', ...description] = line.split('|').map((part) => part.trim());
+    const fieldType = type || EXTRACTION_FIELD_TYPES.TEXT;
+    if (!name) {
+      problems.push(`第 ${index + 1} 行缺少字段名。`);
+    } else if (!Object.values(EXTRACTION_FIELD_TYPES).includes(fieldType)) {
+      problems.push(`第 ${index + 1} 行的类型 "${type}" 无效，可用类型: ${Object.values(EXTRACTION_FIELD_TYPES).join('、')}。`);
+    }
+    fields.push({ name, type: fieldType, description: description.join(' | ') });
+  });
+  return { fields, problems };
+};
+
+/**
+ * Formats fields for the field editor, the reverse of parseSchemaFields.
+ * @param {SchemaField[]} fields
+ * @returns {string}
+ */
+export const formatSchemaFields = (fields) => fields
+  .map((field) => [field.name, field.type, field.description].filter(Boolean).join(' | '))
+  .join('\n');
+
+/**
+ * Validates a schema for the options page.
+ * @param {ExtractionSchema} schema
+ * @returns {string[]} - Human readable problems; empty when the schema is fine.
+ */
+export const validateExtractionSchema = (schema) => {
+  const problems = [];
+  if (!schema.name) {
+    problems.push('提取模式名称不能为空。');
+  }
+  if (schema.fields.length === 0) {
+    problems.push('至少需要一个字段。');
+  }
+  const names = schema.fields.map((field) => field.name);
+  const duplicates = [...new Set(names.filter((name, index) => name && names.indexOf(name) !== index))];
+  if (duplicates.length > 0) {
+    problems.push(`字段名重复: ${duplicates.join('、')}。`);
+  }
+  return problems;
+};
+
+/**
+ * Builds the JSON Schema sent to the model. Every field is required but may be null.
+ * @param {ExtractionSchema} schema
+ * @returns {object}
+ */
+export const buildJsonSchema = (schema) => ({
+  type: 'object',
+  properties: Object.fromEntries(schema.fields.map((field) => [field.name, {
+    ...JSON_SCHEMA_TYPES[field.type],
+    ...(field.description ? { description: field.description } : {}),
+  }])),
+  required: schema.fields.map((field) => field.name),
+  additionalProperties: false,
+});
+
+/**
+ * Reads the JSON object from a model answer. Code fences and text around the object are ignored,
+ * since models without a JSON mode often add them.
+ * @param {string} text
+ * @returns {object}
+ * @throws {Error} - With a message for the repair prompt when there is no valid JSON object.
+ */
+export const parseJsonResponse = (text) => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('输出中没有 JSON 对象。');
+  }
+  let value;
+  try {
+    value = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`JSON 语法错误: ${error.message}`);
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('输出必须是一个 JSON 对象。');
+  }
+  return value;
+};
+
+// Converts a value to a field's type when the intent is unambiguous (e.g. "19.9" for a number)
+const coerceFieldValue = (value, type) => {
+  if (value === null || value === undefined || value === '') {
+    return { value: null };
+  }
+  switch (type) {
+    case EXTRACTION_FIELD_TYPES.NUMBER: {
+      const number = typeof value === 'string' ? Number(value.replace(/[,\s]/g, '')) : value;
+      return typeof number === 'number' && Number.isFinite(number) ? { value: number } : { problem: '应为数字' };
+    }
+    case EXTRACTION_FIELD_TYPES.BOOLEAN:
+      if (typeof value === 'boolean') {
+        return { value };
+      }
+      return value === 'true' || value === 'false' ? { value: value === 'true' } : { problem: '应为 true 或 false' };
+    case EXTRACTION_FIELD_TYPES.LIST:
+      if (Array.isArray(value) && value.every((item) => ['string', 'number'].includes(typeof item))) {
+        return { value: value.map(String) };
+      }
+      return typeof value === 'string' ? { value: [value] } : { problem: '应为字符串数组' };
+    default:
+      return ['string', 'number', 'boolean'].includes(typeof value) ? { value: String(value) } : { problem: '应为字符串' };
+  }
+};
+
+/**
+ * Checks extracted data against a schema and normalizes it: missing and empty fields become
+ * null, numbers given as text are converted, a single text becomes a one-item list.
+ * @param {object} data - Parsed JSON from the model.
+ * @param {ExtractionSchema} schema
+ * @returns {{data: object, problems: string[]}} - `data` only has the schema's fields, in order.
+ */
+export const validateExtractedData = (data, schema) => {
+  const normalized = {};
+  const problems = [];
+  for (const field of schema.fields) {
+    if (!(field.name in data)) {
+      problems.push(`缺少字段 "${field.name}"。`);
+      continue;
+    }
+    const { value, problem } = coerceFieldValue(data[field.name], field.type);
+    if (problem) {
+      problems.push(`字段 "${field.name}" ${problem}，实际为 ${JSON.stringify(data[field.name])}。`);
+    } else {
+      normalized[field.name] = value;
+    }
+  }
+  const unknown = Object.keys(data).filter((key) => !schema.fields.some((field) => field.name === key));
+  if (unknown.length > 0) {
+    // Extra keys are dropped rather than rejected; the model only needs to fix real problems
+    logger.info(`Ignoring unknown extracted field(s): ${unknown.join(', ')}`);
+  }
+  return { data: normalized, problems };
+};
+
+/**
+ * Formats a field value as text for the CSV export and the copy of a table cell.
+ * @param {*} value
+ * @returns {string}
+ */
+export const formatFieldValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return Array.isArray(value) ? value.join('; ') : String(value);
+};
+
+const escapeCsvCell = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+/**
+ * Builds a CSV file with the field names as header and the extracted values as one row.
+ * Starts with a byte order mark so spreadsheet programs detect UTF-8.
+ * @param {object} data - Validated data from validateExtractedData.
+ * @param {ExtractionSchema} schema
+ * @returns {string}
+ */
+export const buildCsvExport = (data, schema) => {
+  const header = schema.fields.map((field) => escapeCsvCell(field.name)).join(',');
+  const row = schema.fields.map((field) => escapeCsvCell(formatFieldValue(data[field.name]))).join(',');
+  return `\uFEFF${header}\r\n${row}\r\n`;
+};
+
+/**
+ * Builds a JSON file with the extracted values and where they came from.
+ * @param {object} data
+ * @param {{title: string, url: string, createdAt: number, modelName: string, schemaName: string}} source
+ * @returns {string}
+ */
+export const buildJsonExport = (data, { title, url, createdAt, modelName, schemaName }) => JSON.stringify({
+  schema: schemaName,
+  title,
+  url,
+  extractedAt: new Date(createdAt).toISOString(),
+  model: modelName,
+  data,
+}, null, 2);
@@ -0,0 +1,170 @@
+// chrome-llm-summarizer/domain/history.js
+
+import createLogger from '../utils/logger.js';
+import { getStorage, getLocalStorage, setLocalStorage } from './storage.js';
+import {
+  STORAGE_KEYS,
+  DEFAULT_HISTORY_MAX_ENTRIES,
+  HISTORY_MAX_ENTRIES_LIMIT,
+} from '../utils/constants.js';
+
+const logger = createLogger('domain/history');
+
+/**
+ * A summary recorded in the history (chrome.storage.local, newest first).
+ * @typedef {object} HistoryEntry
+ * @property {string} id
+ * @property {string} url - Page URL without the #fragment.
+ * @property {string} domain - Host name of the page.
+ * @property {string} title
+ * @property {number} createdAt - Timestamp in milliseconds.
+ * @property {string} profileName
+ * @property {string} provider
+ * @property {string} modelName
+ * @property {string} prompt - The prompt template used.
+ * @property {string} summary
+ */
+
+/**
+ * Normalizes a URL for history lookups: the #fragment does not change the page content.
+ * @param {string} url
+ * @returns {string}
+ */
+export const normalizeHistoryUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  } catch (error) {
+    return url || '';
+  }
+};
+
+const getDomain = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * Loads all history entries, newest first.
+ * @returns {Promise<HistoryEntry[]>}
+ */
+export const getHistory = async () => {
+  const items = await getLocalStorage(STORAGE_KEYS.HISTORY);
+  return Array.isArray(items[STORAGE_KEYS.HISTORY]) ? items[STORAGE_KEYS.HISTORY] : [];
+};
+
+/**
+ * Loads the retention limit (number of entries kept).
+ * @returns {Promise<number>}
+ */
+export const getHistoryMaxEntries = async () => {
+  const items = await getStorage(STORAGE_KEYS.HISTORY_MAX_ENTRIES);
+  const maxEntries = items[STORAGE_KEYS.HISTORY_MAX_ENTRIES];
+  return Number.isInteger(maxEntries) ? Math.min(maxEntries, HISTORY_MAX_ENTRIES_LIMIT) : DEFAULT_HISTORY_MAX_ENTRIES;
+};
+
+// Writes from this context are queued so two summaries finishing together do not overwrite each other
+let writeQueue = Promise.resolve();
+const updateHistory = (update) => {
+  const run = writeQueue.then(async () => {
+    const entries = await getHistory();
+    const updated = await update(entries);
+    await setLocalStorage({ [STORAGE_KEYS.HISTORY]: updated });
+    return updated;
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Records a summary. Older entries beyond the retention limit are dropped.
+ * A retention limit of 0 disables the history.
+ * @param {Omit<HistoryEntry, 'id'|'createdAt'|'domain'>} fields
+ * @returns {Promise<HistoryEntry|null>} - The new entry, or null when the history is disabled.
+ */
+export const addHistoryEntry = async (fields) => {
+  const maxEntries = await getHistoryMaxEntries();
+  if (maxEntries === 0) {
+    logger.info('Summary history is disabled. Not recording.');
+    return null;
+  }
+
+  const url = normalizeHistoryUrl(fields.url);
+  const entry = {
+    ...fields,
+    id: `history-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    url,
+    domain: getDomain(url),
+    createdAt: Date.now(),
+  };
+  await updateHistory((entries) => [entry, ...entries].slice(0, maxEntries));
+  logger.info(`Recorded summary of ${url} in history (limit ${maxEntries}).`);
+  return entry;
+};
+
+/**
+ * Finds the most recent summary of a URL.
+ * @param {string} url
+ * @returns {Promise<HistoryEntry|null>}
+ */
+export const findLatestHistoryEntry = async (url) => {
+  const normalized = normalizeHistoryUrl(url);
+  const entries = await getHistory();
+  return entries.find((entry) => entry.url === normalized) || null;
+};
+
+/**
+ * Deletes history entries by id.
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+export const deleteHistoryEntries = async (ids) => {
+  const idSet = new Set(ids);
+  await updateHistory((entries) => entries.filter((entry) => !idSet.has(entry.id)));
+  logger.info(`Deleted ${ids.length} history entr${ids.length === 1 ? 'y' : 'ies'}.`);
+};
+
+/**
+ * Drops the oldest entries beyond a new retention limit (used when the limit is lowered).
+ * @param {number} maxEntries
+ * @returns {Promise<void>}
+ */
+export const applyHistoryRetention = async (maxEntries) => {
+  await updateHistory((entries) => entries.slice(0, maxEntries));
+};
+
+/**
+ * Filters history entries by a search query, domain and date range.
+ * The query matches case-insensitively against title, URL, summary and prompt;
+ * every whitespace-separated word has to match.
+ * @param {HistoryEntry[]} entries
+ * @param {object} filters
+ * @param {string} [filters.query]
+ * @param {string} [filters.domain] - Exact host name; empty for all domains.
+ * @param {number} [filters.from] - Inclusive start timestamp.
+ * @param {number} [filters.to] - Exclusive end timestamp.
+ * @returns {HistoryEntry[]}
+ */
+export const filterHistory = (entries, { query = '', domain = '', from, to } = {}) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return entries.filter((entry) => {
+    if (domain && entry.domain !== domain) {
+      return false;
+    }
+    if (from !== undefined && entry.createdAt < from) {
+      return false;
+    }
+    if (to !== undefined && entry.createdAt >= to) {
+      return false;
+    }
+    if (words.length === 0) {
+      return true;
+    }
+    const haystack = [entry.title, entry.url, entry.summary, entry.prompt].join('\n').toLowerCase();
+    return words.every((word) => haystack.includes(word));
+  });
+};
@@ -0,0 +1,415 @@
+// chrome-llm-summarizer/domain/jobs.js
+
+import createLogger from '../utils/logger.js';
+import { getSessionStorage, setSessionStorage, removeSessionStorage } from './storage.js';
+import {
+  STORAGE_KEYS,
+  MESSAGE_TYPES,
+  ERROR_MESSAGES,
+  JOB_STATUSES,
+  MAX_CONCURRENT_JOBS,
+  JOB_RETENTION_MS,
+  JOB_SAVE_INTERVAL_MS,
+  MAX_JOB_TEXT_LENGTH,
+  JOB_TEXT_TRUNCATED_NOTE,
+} from '../utils/constants.js';
+
+const logger = createLogger('domain/jobs');
+
+/**
+ * A request (summary, follow-up question, digest, extraction, preview or context menu action) run by the background.
+ * Jobs are kept in chrome.storage.session, so a reopened popup finds the job of its tab, and a
+ * restarted service worker knows which jobs it lost. The saved copy has its long texts cut to
+ * MAX_JOB_TEXT_LENGTH; the ports attached while the job runs get the full messages.
+ * @typedef {object} Job
+ * @property {string} id
+ * @property {string} type - MESSAGE_TYPES value of the request, e.g. SUMMARIZE_CONTENT.
+ * @property {object} request - The request message.
+ * @property {number|null} tabId - The tab the job belongs to.
+ * @property {string} url - URL of the tab when the job was created; jobs of another URL are stale.
+ * @property {string} title - Title of the tab, for the job list.
+ * @property {string} status - One of JOB_STATUSES.
+ * @property {string} text - Summary or answer streamed so far.
+ * @property {object|null} progress - The latest SUMMARY_PROGRESS message.
+ * @property {object|null} result - The final result message (SUMMARY_RESULT, CHAT_RESULT...) once done or failed.
+ * @property {object|null} view - Where the background shows the job ({ type: JOB_VIEWS value, ... }), so a
+ *   restarted service worker can reconnect it; null for jobs only the popup shows.
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ */
+
+// The message each kind of request finishes with
+const RESULT_TYPES = {
+  [MESSAGE_TYPES.SUMMARIZE_CONTENT]: MESSAGE_TYPES.SUMMARY_RESULT,
+  [MESSAGE_TYPES.DIGEST_TABS]: MESSAGE_TYPES.SUMMARY_RESULT,
+  [MESSAGE_TYPES.CHAT_MESSAGE]: MESSAGE_TYPES.CHAT_RESULT,
+  [MESSAGE_TYPES.EXTRACT_CONTENT]: MESSAGE_TYPES.EXTRACTION_RESULT,
+  [MESSAGE_TYPES.PREVIEW_CONTENT]: MESSAGE_TYPES.PREVIEW_RESULT,
+  [MESSAGE_TYPES.CONTEXT_MENU_ACTION]: MESSAGE_TYPES.SUMMARY_RESULT,
+};
+
+const jobKey = (jobId) => `${STORAGE_KEYS.JOB_PREFIX}${jobId}`;
+
+/**
+ * Tells whether a job is still waiting or running.
+ * @param {Job} job
+ * @returns {boolean}
+ */
+export const isJobActive = (job) => job.status !== JOB_STATUSES.DONE && job.status !== JOB_STATUSES.FAILED;
+
+/**
+ * Loads the saved jobs, newest first.
+ * @param {object} [filter]
+ * @param {number} [filter.tabId] - Only the jobs of this tab.
+ * @returns {Promise<Job[]>}
+ */
+export const listJobs = async ({ tabId } = {}) => {
+  const items = await getSessionStorage(null);
+  return Object.entries(items)
+    .filter(([key]) => key.startsWith(STORAGE_KEYS.JOB_PREFIX))
+    .map(([, job]) => job)
+    .filter((job) => tabId === undefined || job.tabId === tabId)
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Finds the newest job of a tab that was started on the given URL.
+ * @param {number} tabId
+ * @param {string} url
+ * @returns {Promise<Job|null>}
+ */
+export const findLatestJob = async (tabId, url) => (await listJobs({ tabId })).find((job) => job.url === url) || null;
+
+// Jobs queued or running in this service worker, by id:
+// { job, controller: AbortController|null (null while queued), ports: Set, saveTimer }
+const activeJobs = new Map();
+// Runs a request: function(type, port, signal, request): Promise<void>
+let runTask = null;
+// Rebuilds the port of a job's view after a restart: function(Job): object|null
+let restoreViewPort = null;
+// Settles once the jobs of a previous service worker have been recovered
+let recovered = Promise.resolve();
+
+// Cuts a text of a saved job to MAX_JOB_TEXT_LENGTH
+const truncateText = (text) => (typeof text === 'string' && text.length > MAX_JOB_TEXT_LENGTH
+  ? `${text.slice(0, MAX_JOB_TEXT_LENGTH)}${JOB_TEXT_TRUNCATED_NOTE}`
+  : text);
+
+/**
+ * The copy of a job that is saved: the streamed text and the summary, answer or previewed page
+ * of the result are cut to MAX_JOB_TEXT_LENGTH.
+ * @param {Job} job
+ * @returns {Job}
+ */
+const toStoredJob = (job) => ({
+  ...job,
+  text: truncateText(job.text),
+  result: job.result && {
+    ...job.result,
+    ...['summary', 'answer', 'content'].reduce((fields, name) => (
+      name in job.result ? { ...fields, [name]: truncateText(job.result[name]) } : fields
+    ), {}),
+  },
+});
+
+/**
+ * Removes the older half of the finished jobs to make room in session storage.
+ * @returns {Promise<number>} - The number of removed jobs.
+ */
+const evictFinishedJobs = async () => {
+  const finished = (await listJobs()).filter((job) => !isJobActive(job) && !activeJobs.has(job.id));
+  const evicted = finished.slice(Math.floor(finished.length / 2));
+  if (evicted.length > 0) {
+    await removeSessionStorage(evicted.map((job) => jobKey(job.id)));
+    logger.info(`Removed ${evicted.length} finished job(s) to make room in session storage.`);
+  }
+  return evicted.length;
+};
+
+/**
+ * Saves a job. When session storage is full, the older half of the finished jobs is removed and
+ * the save tried once more.
+ * @param {object} entry
+ * @returns {Promise<void>}
+ * @throws {Error} - SESSION_STORAGE_FULL when there is still no room.
+ */
+const saveJob = async (entry) => {
+  clearTimeout(entry.saveTimer);
+  entry.saveTimer = null;
+  const data = { [jobKey(entry.job.id)]: toStoredJob(entry.job) };
+  try {
+    await setSessionStorage(data);
+  } catch (error) {
+    if (error.message !== ERROR_MESSAGES.SESSION_STORAGE_FULL || await evictFinishedJobs() === 0) {
+      throw error;
+    }
+    await setSessionStorage(data);
+  }
+};
+
+// Saves a running job. Its ports get the messages anyway; only a reopened popup or a restarted
+// service worker miss what could not be saved, and the next save tries again.
+const saveRunningJob = (entry) => saveJob(entry)
+  .catch((error) => logger.errorWithStack(`Failed to save job ${entry.job.id}.`, error));
+
+// Streamed text arrives many times per second; it is saved in batches
+const saveJobSoon = (entry) => {
+  if (!entry.saveTimer) {
+    entry.saveTimer = setTimeout(() => saveRunningJob(entry), JOB_SAVE_INTERVAL_MS);
+  }
+};
+
+// Posts to a popup port, which throws once the popup has closed
+const postToPort = (port, message) => {
+  try {
+    port.postMessage(message);
+    return true;
+  } catch (error) {
+    logger.warn(`Could not post ${message.type} to port (probably disconnected): ${error.message}`);
+    return false;
+  }
+};
+
+// Forwards a message to the popups and side panels attached to the job
+const broadcast = (entry, message) => {
+  entry.ports.forEach((port) => {
+    if (!postToPort(port, message)) {
+      entry.ports.delete(port);
+    }
+  });
+};
+
+/**
+ * Records a message of the running task in the job and forwards it to the attached ports.
+ * @param {object} entry
+ * @param {object} message - A message the task posted to its port.
+ */
+const handleTaskMessage = (entry, message) => {
+  const { job } = entry;
+  job.updatedAt = Date.now();
+  if (message.type === MESSAGE_TYPES.JOB_STATUS) {
+    job.status = message.status;
+    saveRunningJob(entry);
+  } else if (message.type === MESSAGE_TYPES.SUMMARY_CHUNK || message.type === MESSAGE_TYPES.CHAT_CHUNK) {
+    job.text = message.text;
+    saveJobSoon(entry);
+  } else if (message.type === MESSAGE_TYPES.SUMMARY_PROGRESS) {
+    job.progress = message;
+    saveJobSoon(entry);
+  } else if (message.type === RESULT_TYPES[job.type]) {
+    job.status = message.success ? JOB_STATUSES.DONE : JOB_STATUSES.FAILED;
+    job.result = message;
+    saveRunningJob(entry);
+    logger.info(`Job ${job.id} (${job.type}) ${job.status}.`);
+  }
+  broadcast(entry, message);
+};
+
+// Ends a job that cannot run (any more) with a failed result
+const failJob = (entry, error) => handleTaskMessage(entry, { type: RESULT_TYPES[entry.job.type], success: false, error });
+
+// Starts queued jobs, oldest first, while fewer than MAX_CONCURRENT_JOBS are running
+const startQueuedJobs = () => {
+  const entries = [...activeJobs.values()];
+  const running = entries.filter((entry) => entry.controller).length;
+  entries
+    .filter((entry) => !entry.controller)
+    .sort((a, b) => a.job.createdAt - b.job.createdAt)
+    .slice(0, Math.max(0, MAX_CONCURRENT_JOBS - running))
+    .forEach((entry) => runJob(entry));
+};
+
+const runJob = (entry) => {
+  const { job } = entry;
+  entry.controller = new AbortController();
+  logger.info(`Starting job ${job.id} (${job.type}) for tab ${job.tabId}.`);
+  handleTaskMessage(entry, { type: MESSAGE_TYPES.JOB_STATUS, status: JOB_STATUSES.EXTRACTING });
+  const port = { postMessage: (message) => handleTaskMessage(entry, message) };
+  runTask(job.type, port, entry.controller.signal, job.request)
+    .catch((error) => logger.errorWithStack(`Job ${job.id} failed unexpectedly.`, error))
+    .finally(() => {
+      // Tasks report their own failures; this covers one that ended without a result
+      if (isJobActive(job)) {
+        failJob(entry, ERROR_MESSAGES.UNKNOWN_ERROR);
+      }
+      activeJobs.delete(job.id);
+      startQueuedJobs();
+    });
+};
+
+/**
+ * Removes finished jobs older than JOB_RETENTION_MS.
+ * @param {Job[]} jobs - The saved jobs.
+ * @returns {Promise<void>}
+ */
+const pruneJobs = async (jobs) => {
+  const expired = jobs.filter((job) => !isJobActive(job) && job.updatedAt < Date.now() - JOB_RETENTION_MS);
+  if (expired.length > 0) {
+    await removeSessionStorage(expired.map((job) => jobKey(job.id)));
+    logger.info(`Removed ${expired.length} expired job(s).`);
+  }
+};
+
+// Attaches a port to a job, which receives JOB_STARTED with the job id first
+const attachPort = (entry, port) => {
+  if (port && postToPort(port, { type: MESSAGE_TYPES.JOB_STARTED, jobId: entry.job.id })) {
+    entry.ports.add(port);
+  }
+};
+
+/**
+ * Picks up the jobs of a previous service worker: queued jobs run now; jobs that were running
+ * cannot be resumed and fail with JOB_INTERRUPTED. Jobs with a view get their port back first,
+ * so the overlay or badge shows how they end.
+ * @returns {Promise<void>}
+ */
+const recoverJobs = async () => {
+  const jobs = await listJobs();
+  for (const job of jobs) {
+    if (!isJobActive(job) || activeJobs.has(job.id)) {
+      continue;
+    }
+    const entry = { job, controller: null, ports: new Set(), saveTimer: null };
+    if (job.view && restoreViewPort) {
+      attachPort(entry, restoreViewPort(job));
+    }
+    if (job.status === JOB_STATUSES.QUEUED) {
+      logger.info(`Resuming queued job ${job.id}.`);
+      activeJobs.set(job.id, entry);
+    } else {
+      logger.warn(`Job ${job.id} was interrupted by a service worker restart.`);
+      failJob(entry, ERROR_MESSAGES.JOB_INTERRUPTED);
+    }
+  }
+  await pruneJobs(jobs);
+  startQueuedJobs();
+};
+
+/**
+ * Sets up the job manager in the background service worker. Call once at startup.
+ * @param {function(string, object, AbortSignal, object): Promise<void>} runner - Runs a request
+ *   (type, port, signal, request); the port's postMessage records the task's messages in the job.
+ * @param {function(Job): (object|null)} [restorePort] - Creates the port of a job's view for the
+ *   jobs recovered from a previous service worker.
+ */
+export const initJobManager = (runner, restorePort = null) => {
+  runTask = runner;
+  restoreViewPort = restorePort;
+  recovered = recoverJobs().catch((error) => logger.errorWithStack('Failed to recover the jobs of the previous service worker.', error));
+};
+
+/**
+ * Queues a request as a new job. It starts right away unless MAX_CONCURRENT_JOBS are running.
+ * A job that cannot be saved (SESSION_STORAGE_FULL) does not run: it fails at once, and the
+ * attached port gets its failed result.
+ * @param {object} params
+ * @param {object} params.request - The request message; its `type` selects the task.
+ * @param {chrome.tabs.Tab} [params.tab] - The tab the job belongs to.
+ * @param {object} [params.port] - Port to attach; it receives JOB_STARTED with the job id and then the job's messages.
+ * @param {object} [params.view] - Where the background shows the job; see Job.view.
+ * @returns {Promise<Job>}
+ */
+export const submitJob = async ({ request, tab, port, view = null }) => {
+  await recovered;
+  const now = Date.now();
+  const job = {
+    id: crypto.randomUUID(),
+    type: request.type,
+    request,
+    tabId: tab?.id ?? null,
+    url: tab?.url || '',
+    title: tab?.title || '',
+    status: JOB_STATUSES.QUEUED,
+    text: '',
+    progress: null,
+    result: null,
+    view,
+    createdAt: now,
+    updatedAt: now,
+  };
+  const entry = { job, controller: null, ports: new Set(), saveTimer: null };
+  attachPort(entry, port);
+  try {
+    await saveJob(entry);
+  } catch (error) {
+    logger.errorWithStack(`Failed to save job ${job.id}. Not running it.`, error);
+    failJob(entry, error.message);
+    return job;
+  }
+  activeJobs.set(job.id, entry);
+  logger.info(`Queued job ${job.id} (${job.type}) for tab ${job.tabId}.`);
+  startQueuedJobs();
+  if (job.status === JOB_STATUSES.QUEUED) {
+    // Tells the popup why nothing happens yet
+    broadcast(entry, { type: MESSAGE_TYPES.JOB_STATUS, status: JOB_STATUSES.QUEUED });
+  }
+  listJobs().then(pruneJobs).catch((error) => logger.warn('Failed to prune jobs:', error.message));
+  return job;
+};
+
+/**
+ * Attaches a port to a job: the port receives a JOB_SNAPSHOT with the job's state (null when the
+ * job no longer exists) and, while the job runs, its further messages.
+ * @param {string} jobId
+ * @param {object} port
+ * @returns {Promise<void>}
+ */
+export const attachToJob = async (jobId, port) => {
+  await recovered;
+  const entry = activeJobs.get(jobId);
+  if (entry) {
+    if (postToPort(port, { type: MESSAGE_TYPES.JOB_SNAPSHOT, job: entry.job })) {
+      entry.ports.add(port);
+    }
+    return;
+  }
+  const key = jobKey(jobId);
+  postToPort(port, { type: MESSAGE_TYPES.JOB_SNAPSHOT, job: (await getSessionStorage(key))[key] || null });
+};
+
+/**
+ * Stops sending job messages to a port (the popup closed). The jobs keep running.
+ * @param {object} port
+ */
+export const detachPort = (port) => {
+  activeJobs.forEach((entry) => entry.ports.delete(port));
+};
+
+/**
+ * Cancels a queued or running job. A running task stops and reports REQUEST_CANCELLED.
+ * @param {string} jobId
+ * @returns {boolean} - false when the job is not queued or running.
+ */
+export const cancelJob = (jobId) => {
+  const entry = activeJobs.get(jobId);
+  if (!entry) {
+    return false;
+  }
+  logger.info(`Cancelling job ${jobId}.`);
+  if (entry.controller) {
+    entry.controller.abort();
+  } else {
+    activeJobs.delete(jobId);
+    failJob(entry, ERROR_MESSAGES.REQUEST_CANCELLED);
+  }
+  return true;
+};
+
+/**
+ * Cancels and forgets the jobs of a closed tab.
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+export const clearTabJobs = async (tabId) => {
+  activeJobs.forEach((entry, jobId) => {
+    if (entry.job.tabId === tabId) {
+      cancelJob(jobId);
+    }
+  });
+  const jobs = await listJobs({ tabId });
+  // Running jobs are still stopping; they are saved as failed and pruned after JOB_RETENTION_MS
+  const finished = jobs.filter((job) => !activeJobs.has(job.id));
+  if (finished.length > 0) {
+    await removeSessionStorage(finished.map((job) => jobKey(job.id)));
+  }
+};
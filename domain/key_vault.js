@@ -0,0 +1,326 @@
+// chrome-llm-summarizer/domain/key_vault.js
+
+import createLogger from '../utils/logger.js';
+import {
+  getLocalStorage,
+  setLocalStorage,
+  removeLocalStorage,
+  getSessionStorage,
+  setSessionStorage,
+  removeSessionStorage,
+} from './storage.js';
+import { STORAGE_KEYS, ERROR_MESSAGES, KEY_VAULT_MODES, KEY_DERIVATION_ITERATIONS } from '../utils/constants.js';
+
+const logger = createLogger('domain/key_vault');
+
+/**
+ * API keys are kept in chrome.storage.local (never synced), encrypted with AES-GCM. The key
+ * is either a random device key, or derived from a passphrase with PBKDF2; a passphrase key
+ * is kept in chrome.storage.session once unlocked, so it is gone when the browser closes.
+ * The device key is a non-extractable CryptoKey in the extension's IndexedDB: it is never
+ * stored next to the keys it protects, and its bytes cannot be read back.
+ *
+ * @typedef {object} KeyVault
+ * @property {string} mode - One of KEY_VAULT_MODES.
+ * @property {string} [deviceKey] - Base64 raw AES key of older versions (DEVICE mode); moved into IndexedDB by loadVault.
+ * @property {string} [salt] - Base64 PBKDF2 salt (PASSPHRASE mode).
+ * @property {number} [iterations] - PBKDF2 iterations (PASSPHRASE mode).
+ * @property {{iv: string, data: string}} [check] - VAULT_CHECK_TEXT encrypted with the passphrase key, to tell a wrong passphrase.
+ */
+
+const VAULT_CHECK_TEXT = 'chrome-llm-summarizer';
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+const importAesKey = (rawKey) => crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+// IndexedDB database holding the device key
+const KEY_DATABASE_NAME = 'llmKeyVault';
+const KEY_STORE_NAME = 'keys';
+const DEVICE_KEY_ID = 'device';
+
+const openKeyDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(KEY_DATABASE_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE_NAME);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Runs one request on the key store and resolves with its result once the transaction completes
+const runKeyStoreRequest = async (mode, makeRequest) => {
+  const database = await openKeyDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = database.transaction(KEY_STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(KEY_STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    database.close();
+  }
+};
+
+const readDeviceKey = async () => (await runKeyStoreRequest('readonly', (store) => store.get(DEVICE_KEY_ID))) || null;
+const writeDeviceKey = (key) => runKeyStoreRequest('readwrite', (store) => store.put(key, DEVICE_KEY_ID));
+const deleteDeviceKey = () => runKeyStoreRequest('readwrite', (store) => store.delete(DEVICE_KEY_ID));
+
+const exportAesKey = async (key) => toBase64(await crypto.subtle.exportKey('raw', key));
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt'],
+  );
+};
+
+const encryptText = async (key, text) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return { iv: toBase64(iv), data: toBase64(data) };
+};
+
+const decryptText = async (key, { iv, data }) => new TextDecoder().decode(
+  await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data)),
+);
+
+// Shown on the options page instead of the key, e.g. "…3xQz"
+const createKeyHint = (apiKey) => (apiKey.length > 8 ? apiKey.slice(-4) : '');
+
+// Builds a vault for a passphrase, or a device vault for an empty one. A new device key is
+// written to IndexedDB right away; the vault itself is saved by the caller.
+const createVault = async (passphrase) => {
+  if (!passphrase) {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await writeDeviceKey(key);
+    return { vault: { mode: KEY_VAULT_MODES.DEVICE }, key };
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, KEY_DERIVATION_ITERATIONS);
+  return {
+    vault: {
+      mode: KEY_VAULT_MODES.PASSPHRASE,
+      salt: toBase64(salt),
+      iterations: KEY_DERIVATION_ITERATIONS,
+      check: await encryptText(key, VAULT_CHECK_TEXT),
+    },
+    key,
+  };
+};
+
+/**
+ * Creates the device vault, moves the raw device key of older versions into IndexedDB, or
+ * replaces a device key that is gone (e.g. the browser's site data was cleared).
+ * @param {KeyVault|undefined} storedVault - The vault in chrome.storage.local, if any.
+ * @returns {Promise<KeyVault>}
+ */
+const setUpDeviceVault = async (storedVault) => {
+  if (storedVault?.deviceKey) {
+    const key = await importAesKey(fromBase64(storedVault.deviceKey));
+    await writeDeviceKey(key);
+    const vault = { mode: KEY_VAULT_MODES.DEVICE };
+    await setLocalStorage({ [STORAGE_KEYS.KEY_VAULT]: vault });
+    logger.info('Moved the device key out of chrome.storage.local.');
+    return vault;
+  }
+  if (storedVault) {
+    // Without the device key the stored keys cannot be decrypted any more
+    logger.warn('The device key is missing. Removing the API keys encrypted with it.');
+    await removeLocalStorage(STORAGE_KEYS.ENCRYPTED_API_KEYS);
+  }
+  const { vault } = await createVault('');
+  await setLocalStorage({ [STORAGE_KEYS.KEY_VAULT]: vault });
+  logger.info('Created a device key for encrypting API keys.');
+  return vault;
+};
+
+// Pending set-up of the device vault, so two callers cannot each write a different device key
+let vaultSetUp = null;
+
+// Read on every use: the options page may change the vault while the service worker runs
+const loadVault = async () => {
+  const items = await getLocalStorage(STORAGE_KEYS.KEY_VAULT);
+  const vault = items[STORAGE_KEYS.KEY_VAULT];
+  if (vault?.mode === KEY_VAULT_MODES.PASSPHRASE || (vault && !vault.deviceKey && await readDeviceKey())) {
+    return vault;
+  }
+  vaultSetUp ??= setUpDeviceVault(vault).finally(() => {
+    vaultSetUp = null;
+  });
+  return vaultSetUp;
+};
+
+/**
+ * Moves the raw device key that older versions kept in chrome.storage.local into IndexedDB.
+ * Called at startup; the vault is also set up on first use.
+ * @returns {Promise<void>}
+ */
+export const migrateKeyVault = async () => {
+  await loadVault();
+};
+
+/**
+ * Returns the key that encrypts the API keys, or null while a passphrase vault is locked.
+ * @returns {Promise<CryptoKey|null>}
+ */
+const getVaultKey = async () => {
+  const vault = await loadVault();
+  if (vault.mode === KEY_VAULT_MODES.DEVICE) {
+    return readDeviceKey();
+  }
+  const items = await getSessionStorage(STORAGE_KEYS.VAULT_SESSION_KEY);
+  return items[STORAGE_KEYS.VAULT_SESSION_KEY] ? importAesKey(fromBase64(items[STORAGE_KEYS.VAULT_SESSION_KEY])) : null;
+};
+
+const getEncryptedKeys = async () => {
+  const items = await getLocalStorage(STORAGE_KEYS.ENCRYPTED_API_KEYS);
+  return items[STORAGE_KEYS.ENCRYPTED_API_KEYS] || {};
+};
+
+/**
+ * Tells how the keys are protected and whether they can be read right now.
+ * @returns {Promise<{mode: string, locked: boolean}>}
+ */
+export const getKeyVaultStatus = async () => {
+  const vault = await loadVault();
+  return { mode: vault.mode, locked: (await getVaultKey()) === null };
+};
+
+/**
+ * Unlocks a passphrase vault for the rest of the browser session.
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} - WRONG_PASSPHRASE when the passphrase does not match.
+ */
+export const unlockKeyVault = async (passphrase) => {
+  const vault = await loadVault();
+  if (vault.mode !== KEY_VAULT_MODES.PASSPHRASE) {
+    return;
+  }
+  const key = await deriveKey(passphrase, fromBase64(vault.salt), vault.iterations);
+  try {
+    await decryptText(key, vault.check);
+  } catch (error) {
+    // AES-GCM rejects the ciphertext when the key is wrong
+    logger.warn('Unlocking the API keys failed: wrong passphrase.');
+    throw new Error(ERROR_MESSAGES.WRONG_PASSPHRASE);
+  }
+  await setSessionStorage({ [STORAGE_KEYS.VAULT_SESSION_KEY]: await exportAesKey(key) });
+  logger.info('API keys unlocked for this session.');
+};
+
+/**
+ * Forgets the unlocked passphrase key. Requests need the passphrase again afterwards.
+ * @returns {Promise<void>}
+ */
+export const lockKeyVault = async () => {
+  await removeSessionStorage(STORAGE_KEYS.VAULT_SESSION_KEY);
+  logger.info('API keys locked.');
+};
+
+/**
+ * Sets, changes or removes the passphrase and re-encrypts all stored API keys with the new key.
+ * An empty passphrase switches back to a device key. The vault must be unlocked.
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} - API_KEYS_LOCKED when the current passphrase has not been entered.
+ */
+export const setKeyVaultPassphrase = async (passphrase) => {
+  const currentKey = await getVaultKey();
+  if (!currentKey) {
+    throw new Error(ERROR_MESSAGES.API_KEYS_LOCKED);
+  }
+  const encryptedKeys = await getEncryptedKeys();
+  const { vault, key } = await createVault(passphrase);
+
+  const reencrypted = {};
+  for (const [profileId, entry] of Object.entries(encryptedKeys)) {
+    reencrypted[profileId] = { ...(await encryptText(key, await decryptText(currentKey, entry))), hint: entry.hint };
+  }
+  // Both in one write, so the keys never end up encrypted with a key the vault does not describe
+  await setLocalStorage({ [STORAGE_KEYS.KEY_VAULT]: vault, [STORAGE_KEYS.ENCRYPTED_API_KEYS]: reencrypted });
+  if (vault.mode === KEY_VAULT_MODES.PASSPHRASE) {
+    await setSessionStorage({ [STORAGE_KEYS.VAULT_SESSION_KEY]: await exportAesKey(key) });
+    await deleteDeviceKey();
+  } else {
+    await removeSessionStorage(STORAGE_KEYS.VAULT_SESSION_KEY);
+  }
+  logger.info(`Re-encrypted ${Object.keys(reencrypted).length} API key(s) (${vault.mode} key).`);
+};
+
+/**
+ * Deletes all stored API keys and the passphrase, e.g. when the passphrase is forgotten.
+ * A new device key is created on the next use.
+ * @returns {Promise<void>}
+ */
+export const resetKeyVault = async () => {
+  await removeLocalStorage([STORAGE_KEYS.KEY_VAULT, STORAGE_KEYS.ENCRYPTED_API_KEYS]);
+  await removeSessionStorage(STORAGE_KEYS.VAULT_SESSION_KEY);
+  await deleteDeviceKey();
+  logger.warn('Key vault reset: all stored API keys were deleted.');
+};
+
+/**
+ * Reads and decrypts the API key of a profile.
+ * @param {string} profileId
+ * @returns {Promise<string>} - The key, or an empty string when the profile has none.
+ * @throws {Error} - API_KEYS_LOCKED when the profile has a key but the vault is locked.
+ */
+export const readApiKey = async (profileId) => {
+  const entry = (await getEncryptedKeys())[profileId];
+  if (!entry) {
+    return '';
+  }
+  const key = await getVaultKey();
+  if (!key) {
+    throw new Error(ERROR_MESSAGES.API_KEYS_LOCKED);
+  }
+  return decryptText(key, entry);
+};
+
+/**
+ * Returns which profiles have a stored key, with the last characters of each key for display.
+ * Works while the vault is locked.
+ * @returns {Promise<Object<string, string>>} - { profileId: hint }; the hint may be empty.
+ */
+export const getApiKeyHints = async () => Object.fromEntries(
+  Object.entries(await getEncryptedKeys()).map(([profileId, entry]) => [profileId, entry.hint || '']),
+);
+
+/**
+ * Encrypts and stores changed API keys and drops the keys of profiles that no longer exist.
+ * @param {Object<string, string>} changes - { profileId: apiKey }; an empty key removes the stored one.
+ * @param {string[]} [profileIds] - All existing profiles. Keys of other profiles are deleted; omit to keep them.
+ * @returns {Promise<void>}
+ * @throws {Error} - API_KEYS_LOCKED when a key has to be encrypted while the vault is locked.
+ */
+export const saveApiKeys = async (changes, profileIds) => {
+  const encryptedKeys = await getEncryptedKeys();
+  const entries = Object.entries(changes);
+  const needsKey = entries.some(([, apiKey]) => apiKey);
+  const key = needsKey ? await getVaultKey() : null;
+  if (needsKey && !key) {
+    throw new Error(ERROR_MESSAGES.API_KEYS_LOCKED);
+  }
+
+  for (const [profileId, apiKey] of entries) {
+    if (apiKey) {
+      encryptedKeys[profileId] = { ...(await encryptText(key, apiKey)), hint: createKeyHint(apiKey) };
+    } else {
+      delete encryptedKeys[profileId];
+    }
+  }
+  if (profileIds) {
+    Object.keys(encryptedKeys)
+      .filter((profileId) => !profileIds.includes(profileId))
+      .forEach((profileId) => delete encryptedKeys[profileId]);
+  }
+  await setLocalStorage({ [STORAGE_KEYS.ENCRYPTED_API_KEYS]: encryptedKeys });
+  logger.info(`Stored API keys updated: ${Object.keys(encryptedKeys).length} profile(s) with a key.`);
+};
@@ -2,156 +2,780 @@
 
 import createLogger from '../utils/logger.js';
 import { getStorage } from './storage.js';
-import { STORAGE_KEYS, ERROR_MESSAGES, PLACEHOLDER_CONTENT } from '../utils/constants.js';
+import { getProvider } from './providers/index.js';
+import { estimateTokens, splitIntoChunks, truncateToTokens } from './chunker.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { renderTemplate } from '../utils/template_engine.js';
+import { hasPassageMarkers } from './citations.js';
+import { getCacheSettings, computeCacheKey, getCachedResponse, putCachedResponse } from './cache.js';
+import { assertWithinBudget, recordUsage } from './usage.js';
+import { getFallbackProfile } from './profiles.js';
+import { buildJsonSchema, parseJsonResponse, validateExtractedData } from './extraction.js';
+import {
+  LLM_ERROR_CODES,
+  createLlmError,
+  isLlmError,
+  isRetryableError,
+  classifyHttpError,
+  classifyStreamError,
+  parseRetryAfter,
+} from './errors.js';
+import {
+  STORAGE_KEYS,
+  ERROR_MESSAGES,
+  DEFAULT_CHUNK_SIZE_TOKENS,
+  DEFAULT_MAX_PARALLEL_CHUNKS,
+  MAX_REDUCE_ROUNDS,
+  CHUNK_SUMMARY_PROMPT_TEMPLATE,
+  REDUCE_CONTENT_PREAMBLE,
+  SUMMARY_PHASES,
+  DEFAULT_PROVIDER,
+  DEFAULT_TEMPERATURE,
+  DEFAULT_MAX_TOKENS,
+  CHAT_SYSTEM_PROMPT_TEMPLATE,
+  CHAT_PAGE_CONTEXT_PREAMBLE,
+  CHAT_CONTEXT_TRUNCATED_NOTE,
+  MAX_CHAT_HISTORY_MESSAGES,
+  CITATION_INSTRUCTION,
+  VIDEO_TIMESTAMP_INSTRUCTION,
+  CACHE_MODES,
+  EXTRACTION_PROMPT_TEMPLATE,
+  EXTRACTION_REPAIR_PROMPT_TEMPLATE,
+  EXTRACTION_REPAIR_ATTEMPTS,
+  DEFAULT_REQUEST_TIMEOUT_SECONDS,
+  DEFAULT_MAX_RETRIES,
+  RETRY_BASE_DELAY_MS,
+  RETRY_MAX_DELAY_MS,
+  RETRY_AFTER_MAX_MS,
+} from '../utils/constants.js';
 
 const logger = createLogger('domain/llm_client');
 
-// THIS SECTION IS ADAPTED FOR OPENAI CHAT COMPLETIONS API
-// You MUST adjust this section based on the SPECIFIC LLM API you are using.
-const makeApiRequest = async (apiHost, apiKey, modelName, promptText) => {
-  logger.info('Attempting to make LLM API request (assuming OpenAI Chat Completions format). Host:', apiHost, 'Model:', modelName);
-  logger.debug('Request Prompt (first 200 chars):', promptText.substring(0, 200) + (promptText.length > 200 ? '...' : ''));
-
-  // For OpenAI Chat Completions, the standard endpoint is /v1/chat/completions
-  // Assume apiHost is the base like "https://api.openai.com"
-  const fullApiUrl = `${apiHost}/v1/chat/completions`; // Explicitly use OpenAI Chat Completions endpoint
-
-  logger.info('LLM API full request URL:', fullApiUrl);
-
-  // OpenAI Chat Completions API requires a 'messages' array in the body
-  const requestBody = {
-    model: modelName, // e.g., 'gpt-3.5-turbo'
-    messages: [
-      // You can optionally add a system message here to guide the model's behavior
-      // { role: "system", content: "You are a helpful assistant that summarizes text concisely." },
-      {
-        role: "user",
-        content: promptText // The entire prompt text including the page content substitution
+/**
+ * Reads a streamed response body line by line and invokes a callback for every complete line.
+ * @param {Response} response - The fetch response whose body is streamed.
+ * @param {function(string): (boolean|void)} onLine - Called with each line; returning true stops reading.
+ * @param {function(): void} onActivity - Called whenever bytes arrive (used to reset the idle timeout).
+ * @returns {Promise<void>}
+ */
+const readLines = async (response, onLine, onActivity) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    onActivity();
+    buffer += decoder.decode(value, { stream: true });
+
+    // Process complete lines only; keep the trailing partial line in the buffer
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (onLine(line)) {
+        await reader.cancel();
+        return;
       }
-    ],
-    // Add optional parameters like temperature, max_tokens etc.
-    // max_tokens is important to control summary length. You could add a setting for this.
-     max_tokens: 5000, // Example: Limit output to ~200 tokens (roughly corresponds to 200 Chinese characters)
-     temperature: 0.7,
-     // N.B.: The prompt template also asks for 200 characters. max_tokens controls tokens, not characters directly,
-     // but setting it around the expected character count is a reasonable starting point.
+    }
+  }
+  // A final line without trailing newline (common for NDJSON)
+  if (buffer.trim()) {
+    onLine(buffer);
+  }
+};
+
+/**
+ * Reads a Server-Sent Events body and invokes a callback for every `data:` payload.
+ * Stops when the stream ends or when the OpenAI `[DONE]` sentinel is received.
+ */
+const readSseStream = (response, onData, onActivity) => readLines(response, (line) => {
+  if (!line.startsWith('data:')) {
+    return false; // Ignore comments, `event:` lines and the blank separator lines
+  }
+  const data = line.slice(5).trim();
+  if (data === '[DONE]') {
+    logger.debug('Received [DONE] sentinel from SSE stream.');
+    return true;
+  }
+  onData(data);
+  return false;
+}, onActivity);
+
+/**
+ * Reads a newline-delimited JSON body (Ollama) and invokes a callback for every non-empty line.
+ */
+const readNdjsonStream = (response, onData, onActivity) => readLines(response, (line) => {
+  if (line.trim()) {
+    onData(line);
+  }
+  return false;
+}, onActivity);
+
+const STREAM_READERS = {
+  sse: readSseStream,
+  ndjson: readNdjsonStream,
+};
+
+/**
+ * Sends one streamed chat request through the configured provider adapter and accumulates the generated text.
+ * The adapter decides the URL, headers, request body and how stream events and errors are parsed.
+ * @param {object} config - Connection settings, see makeApiRequest.
+ * @param {{role: string, content: string}[]} messages - Chat messages in OpenAI role format.
+ * @param {object} options
+ * @param {AbortSignal} [options.signal] - Aborts the request when the caller cancels (e.g. Stop button).
+ * @param {function(string, string): void} [options.onChunk] - Called with (delta, fullTextSoFar) for every streamed token batch.
+ * @param {string} [options.sourceUrl] - The page the request is about, for the usage statistics per domain.
+ * @param {boolean} [options.json] - Ask the provider for a JSON object (extraction mode).
+ * @param {number} options.timeoutMs - Inactivity timeout. The timer is reset on every received chunk,
+ *   so long generations are fine as long as the server keeps sending data.
+ * @returns {Promise<string>} - The complete generated text.
+ * @throws {Error} - REQUEST_CANCELLED, or an LLM API error with a code from LLM_ERROR_CODES (see domain/errors.js).
+ */
+const sendApiRequest = async (config, messages, { signal, onChunk, sourceUrl, json = false, timeoutMs }) => {
+  const provider = getProvider(config.provider);
+  const apiHost = config.apiHost.replace(/\/+$/, ''); // Tolerate a trailing slash in the setting
+  logger.info(`Attempting to make streamed LLM API request. Provider: ${provider.id}, Host: ${apiHost}, Model: ${config.modelName}`);
+  // Only sizes: the messages carry page text, which does not belong in the log
+  logger.debug(`Request has ${messages.length} message(s), ${messages.reduce((sum, message) => sum + message.content.length, 0)} characters.`);
+
+  const { url, headers, body } = provider.buildRequest({
+    apiHost,
+    apiKey: config.apiKey,
+    modelName: config.modelName,
+    messages,
+    temperature: config.temperature ?? DEFAULT_TEMPERATURE,
+    maxTokens: config.maxTokens ?? DEFAULT_MAX_TOKENS,
+    json,
+  });
+  logger.info('LLM API full request URL:', url);
+
+  // Our own controller lets both the idle timeout and the caller's signal abort the fetch
+  const controller = new AbortController();
+  let timedOut = false;
+  let timeoutId = null;
+  const resetIdleTimeout = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
   };
-  logger.debug('OpenAI Request Body:', requestBody);
+  const onExternalAbort = () => controller.abort();
+
+  if (signal?.aborted) {
+    throw new Error(ERROR_MESSAGES.REQUEST_CANCELLED);
+  }
+  signal?.addEventListener('abort', onExternalAbort);
 
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 60000); // Set a timeout for the request (e.g., 60 seconds)
+    resetIdleTimeout();
 
-    const response = await fetch(fullApiUrl, { // Use the constructed full URL
+    const response = await fetch(url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        // OpenAI uses Authorization: Bearer header for API Key
-        'Authorization': `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify(requestBody),
+      headers,
+      body: JSON.stringify(body),
       signal: controller.signal,
     });
 
-    clearTimeout(timeoutId); // Clear timeout if request completes
-
     logger.info('LLM API response status:', response.status, response.statusText);
 
     if (!response.ok) {
       const errorBody = await response.text(); // Get error body for more details
        logger.error(`LLM API returned error status ${response.status}: ${errorBody}`);
-      // Attempt to parse JSON error if possible
+      // Attempt to parse JSON error if possible; each provider has its own error shape
+      let details;
       try {
          const errorJson = JSON.parse(errorBody);
-         // OpenAI error structure: { error: { message, type, param, code } }
-         throw new Error(`${ERROR_MESSAGES.LLM_API_ERROR} Status: ${response.status}. Details: ${errorJson.error?.message || JSON.stringify(errorJson)}`);
+         details = `Details: ${provider.extractErrorMessage(errorJson) || JSON.stringify(errorJson)}`;
       } catch (parseError) {
          // If parsing fails or no specific error message
-         throw new Error(`${ERROR_MESSAGES.LLM_API_ERROR} Status: ${response.status}. Response: ${errorBody.substring(0, 200)}...`); // Log part of response to avoid huge logs
+         details = `Response: ${errorBody.substring(0, 200)}...`; // Log part of response to avoid huge logs
       }
+      throw createLlmError(classifyHttpError(response.status, errorBody), `Status: ${response.status}. ${details}`, {
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get('Retry-After')),
+      });
     }
 
-    const responseData = await response.json();
-    logger.debug('LLM API raw response data:', responseData);
-
-    // --- IMPORTANT: Extract summary based on OPENAI CHAT COMPLETIONS response structure ---
-    // OpenAI Chat Completions response structure: { choices: [{ message: { content: "..." } }] }
-    // Need to handle potential missing fields gracefully
-
-    const summary = responseData.choices?.[0]?.message?.content || '';
+    let summary = '';
+    // Token counts reported in the stream; providers send them in one or several events
+    const usage = {};
+    const readStream = STREAM_READERS[provider.streamFormat];
+    await readStream(response, (data) => {
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (parseError) {
+        logger.warn('Skipping malformed stream payload:', data.substring(0, 100));
+        return;
+      }
+      let delta;
+      try {
+        delta = provider.parseStreamEvent(event);
+      } catch (streamError) {
+        // Providers report some failures (overload, safety) as events inside a 200 stream
+        throw createLlmError(classifyStreamError(streamError.message), streamError.message);
+      }
+      if (delta) {
+        summary += delta;
+        onChunk?.(delta, summary);
+      }
+      Object.entries(provider.parseUsage(event) || {}).forEach(([field, count]) => {
+        if (Number.isFinite(count)) {
+          usage[field] = count;
+        }
+      });
+    }, resetIdleTimeout);
 
-    // Check if summary was extracted
+    // Check if any text was generated
     if (!summary) {
-         // Log the response data to understand why summary wasn't found
-         logger.error('LLM API response did not contain expected summary field in OpenAI format.');
-         logger.debug('Raw response data missing OpenAI summary path:', responseData);
-         throw new Error(`${ERROR_MESSAGES.LLM_API_ERROR} Invalid API response format or empty content in response.`);
+         logger.error(`LLM API stream did not contain any content in ${provider.id} format.`);
+         throw createLlmError(LLM_ERROR_CODES.API, 'Invalid API response format or empty content in response.');
     }
 
-    logger.info('Successfully received summary from LLM API (first 100 chars):', summary.substring(0, 100) + '...');
+    logger.info('Successfully received streamed summary from LLM API (first 100 chars):', summary.substring(0, 100) + '...');
+
+    // Servers that do not report usage are recorded with estimated token counts
+    const estimated = usage.promptTokens === undefined || usage.completionTokens === undefined;
+    await recordUsage({
+      provider: provider.id,
+      modelName: config.modelName,
+      url: sourceUrl,
+      promptTokens: usage.promptTokens ?? estimateTokens(messages.map((message) => message.content).join('\n')),
+      completionTokens: usage.completionTokens ?? estimateTokens(summary),
+      estimated,
+    }).catch((usageError) => logger.warn('Failed to record token usage:', usageError.message));
     return summary;
 
   } catch (error) {
     if (error.name === 'AbortError') {
-        logger.error('LLM API request timed out.');
-        throw new Error(`${ERROR_MESSESAGES.LLM_API_ERROR} Request timed out.`);
+        if (timedOut) {
+            logger.error(`LLM API request timed out after ${timeoutMs} ms without data.`);
+            throw createLlmError(LLM_ERROR_CODES.TIMEOUT, 'Request timed out.');
+        }
+        logger.info('LLM API request was cancelled by the caller.');
+        throw new Error(ERROR_MESSAGES.REQUEST_CANCELLED);
     } else {
         logger.errorWithStack('Error during LLM API request.', error);
-        // Check if it's already a specific error message we threw
-        if (error.message.startsWith(ERROR_MESSAGES.LLM_API_ERROR)) {
+        // Check if it's already a specific error we threw
+        if (isLlmError(error)) {
              throw error; // Re-throw the specific error we created
         }
-        throw new Error(`${ERROR_MESSAGES.LLM_API_ERROR} Network or unexpected issue: ${error.message}`);
+        // fetch rejects with a TypeError when the server cannot be reached or the connection drops
+        throw createLlmError(LLM_ERROR_CODES.NETWORK, `Network or unexpected issue: ${error.message}`);
     }
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onExternalAbort);
+    controller.abort(); // Releases the connection if parsing stopped before the stream ended
   }
 };
 
 /**
- * Orchestrates the summarization process: fetches settings, prepares prompt, calls API.
- * @param {string} pageContent - The text content of the webpage.
- * @returns {Promise<string>} - A promise that resolves with the summary text.
+ * Loads the request timeout and the number of retries from the settings.
+ * @returns {Promise<{timeoutMs: number, maxRetries: number}>}
  */
-export const summarizeContentWithLLM = async (pageContent) => {
-  logger.info('Starting summarization process.');
+const loadRequestSettings = async () => {
+  const settings = await getStorage([STORAGE_KEYS.REQUEST_TIMEOUT_SECONDS, STORAGE_KEYS.MAX_RETRIES]);
+  return {
+    timeoutMs: (settings[STORAGE_KEYS.REQUEST_TIMEOUT_SECONDS] || DEFAULT_REQUEST_TIMEOUT_SECONDS) * 1000,
+    maxRetries: settings[STORAGE_KEYS.MAX_RETRIES] ?? DEFAULT_MAX_RETRIES,
+  };
+};
 
-  // 1. Load settings
-  const settings = await getStorage([
-    STORAGE_KEYS.API_KEY,
-    STORAGE_KEYS.API_HOST,
-    STORAGE_KEYS.MODEL_NAME,
-    STORAGE_KEYS.PROMPT_TEMPLATE,
-  ]);
+/**
+ * Waits before a retry; resolves early with REQUEST_CANCELLED when the caller cancels.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(new Error(ERROR_MESSAGES.REQUEST_CANCELLED));
+  };
+  const timeoutId = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Exponential backoff with jitter: 1s, 2s, 4s ... (capped), each randomly shortened by up to half
+const getRetryDelay = (attempt) => {
+  const delay = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+/**
+ * Sends a chat request, retrying rate limits (429), server errors (5xx), network errors and
+ * timeouts with exponential backoff. A Retry-After header from the server replaces the computed
+ * delay. Requests are not retried once text has been streamed to the caller.
+ * @param {object} config
+ * @param {string} config.provider - Provider id (see PROVIDER_IDS).
+ * @param {string} config.apiHost - Base URL of the API, e.g. "https://api.openai.com".
+ * @param {string} config.apiKey - The API key (optional for local providers).
+ * @param {string} config.modelName - The model (or Azure deployment) to use.
+ * @param {number} [config.temperature]
+ * @param {number} [config.maxTokens]
+ * @param {{role: string, content: string}[]} messages - Chat messages in OpenAI role format.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request when the caller cancels (e.g. Stop button).
+ * @param {function(string, string): void} [options.onChunk] - Called with (delta, fullTextSoFar) for every streamed token batch.
+ * @param {string} [options.sourceUrl] - The page the request is about, for the usage statistics per domain.
+ * @param {boolean} [options.json] - Ask the provider for a JSON object (extraction mode).
+ * @param {function(object): void} [options.onRetry] - Receives { attempt, maxRetries, delayMs, code } before each retry.
+ * @returns {Promise<string>} - The complete generated text.
+ * @throws {Error} - BUDGET_EXCEEDED before sending when the monthly budget blocks further requests,
+ *   REQUEST_CANCELLED, or an LLM API error with a code from LLM_ERROR_CODES.
+ */
+const makeApiRequest = async (config, messages, { signal, onChunk, sourceUrl, json, onRetry } = {}) => {
+  // Checked per request, so a map-reduce summary stops once the budget is used up
+  await assertWithinBudget();
+  const { timeoutMs, maxRetries } = await loadRequestSettings();
+
+  let streamed = false;
+  const trackChunk = (delta, text) => {
+    streamed = true;
+    onChunk?.(delta, text);
+  };
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await sendApiRequest(config, messages, { signal, onChunk: trackChunk, sourceUrl, json, timeoutMs });
+    } catch (error) {
+      if (!isRetryableError(error) || streamed || attempt > maxRetries) {
+        throw error;
+      }
+      if (error.retryAfterMs > RETRY_AFTER_MAX_MS) {
+        logger.warn(`Server asked to retry after ${error.retryAfterMs} ms, longer than allowed. Giving up.`);
+        throw error;
+      }
+      const delayMs = error.retryAfterMs ?? getRetryDelay(attempt);
+      logger.warn(`LLM API request failed (${error.code}). Retry ${attempt}/${maxRetries} in ${delayMs} ms.`);
+      onRetry?.({ attempt, maxRetries, delayMs, code: error.code });
+      await wait(delayMs, signal);
+    }
+  }
+};
+
+/**
+ * Creates the request function of one summary or chat answer. When a request fails with an
+ * LLM API error and the profile has a fallback profile, that request and all later ones use
+ * the fallback, so a map-reduce summary does not keep trying the failing profile. Like retries,
+ * the fallback only takes over a request that has not streamed any text yet; the fallback's
+ * answer would otherwise follow the partial one already shown.
+ * @param {object} profile
+ * @param {object} options
+ * @param {AbortSignal} [options.signal]
+ * @param {string} [options.sourceUrl]
+ * @param {function(object): void} [options.onProgress] - Receives RETRY and FALLBACK progress.
+ * @returns {Promise<{request: function(object[], object=): Promise<string>, usedFallback: function(): boolean}>}
+ */
+const createRequester = async (profile, { signal, sourceUrl, onProgress }) => {
+  let fallbackProfile = await getFallbackProfile(profile);
+  if (fallbackProfile && !isProfileComplete(fallbackProfile)) {
+    logger.warn(`Fallback profile "${fallbackProfile.name}" is incomplete. Not using it.`);
+    fallbackProfile = null;
+  }
+  let activeProfile = profile;
+
+  const onRetry = (retry) => onProgress?.({ phase: SUMMARY_PHASES.RETRY, ...retry });
+
+  const request = async (messages, { onChunk, json } = {}) => {
+    const current = activeProfile;
+    let streamed = false;
+    const trackChunk = (delta, text) => {
+      streamed = true;
+      onChunk?.(delta, text);
+    };
+    try {
+      return await makeApiRequest(toApiConfig(current), messages, { signal, onChunk: trackChunk, sourceUrl, json, onRetry });
+    } catch (error) {
+      if (!isLlmError(error) || !fallbackProfile || current === fallbackProfile || streamed) {
+        throw error;
+      }
+      if (activeProfile !== fallbackProfile) {
+        logger.warn(`Profile "${profile.name}" failed (${error.code}). Switching to fallback profile "${fallbackProfile.name}".`);
+        activeProfile = fallbackProfile;
+        onProgress?.({ phase: SUMMARY_PHASES.FALLBACK, profileName: fallbackProfile.name, modelName: fallbackProfile.modelName, code: error.code });
+      }
+      return makeApiRequest(toApiConfig(fallbackProfile), messages, { signal, onChunk, sourceUrl, json, onRetry });
+    }
+  };
+
+  return { request, usedFallback: () => activeProfile !== profile };
+};
+
+// Labels for the page metadata lines placed above the content in the prompt
+const METADATA_LABELS = {
+  title: 'Title',
+  byline: 'Author',
+  publishedTime: 'Published',
+  siteName: 'Site',
+  canonicalUrl: 'URL',
+  pageCount: 'Pages',
+};
 
-  // 2. Validate settings
-  const {
-    llmApiKey,
-    llmApiHost,
-    llmModelName,
-    llmPromptTemplate
-  } = settings;
-
-  // Basic validation for required settings
-  if (!llmApiKey || !llmApiHost || !llmModelName || !llmPromptTemplate) {
-    logger.warn('LLM API settings are incomplete.');
+/**
+ * Formats page metadata (title, byline, date, canonical URL) as a short header block.
+ * Only fields that were actually found on the page are included. Also shown by the content preview.
+ * @param {object} [metadata] - Metadata object produced by the content script.
+ * @returns {string} - The header followed by a separator, or an empty string when nothing is known.
+ */
+export const formatMetadataHeader = (metadata) => {
+  if (!metadata) {
+    return '';
+  }
+  const lines = Object.entries(METADATA_LABELS)
+    .filter(([field]) => metadata[field])
+    .map(([field, label]) => `${label}: ${metadata[field]}`);
+  return lines.length > 0 ? `${lines.join('\n')}\n---\n` : '';
+};
+
+/**
+ * Summarizes content that does not fit into one prompt: the content is split into chunks,
+ * each chunk is summarized (map), and the partial summaries are merged with the user's
+ * template (reduce). If the partial summaries are still too long they are reduced again, for at
+ * most MAX_REDUCE_ROUNDS rounds; when a round does not make them shorter (e.g. verbose output
+ * or a max_tokens close to the budget) or the rounds run out, they are cut to fit the final reduce.
+ * @param {object} params
+ * @param {function(string, object=): Promise<string>} params.request - Sends one prompt to the API.
+ * @param {string} params.content - The page content (without metadata header).
+ * @param {string} params.metadataHeader - Header prepended to every prompt.
+ * @param {string} params.promptTemplate - The user's template, used for the final reduce pass.
+ * @param {object} params.variables - Template variables other than {{content}}.
+ * @param {string} params.promptSuffix - Appended to every prompt (e.g. the citation instruction).
+ * @param {number} params.chunkSizeTokens - Token budget of one prompt.
+ * @param {number} params.maxParallel - Maximum concurrent chunk requests.
+ * @param {function(string, string): void} [params.onChunk] - Streams the final reduce pass.
+ * @param {function(object): void} [params.onProgress] - Receives { phase, completed, total }.
+ * @returns {Promise<string>}
+ */
+const summarizeInChunks = async ({ request, content, metadataHeader, promptTemplate, variables, promptSuffix, chunkSizeTokens, maxParallel, onChunk, onProgress }) => {
+  // Budget left for content once the fixed parts of the map prompt are accounted for
+  const overhead = estimateTokens(renderTemplate(CHUNK_SUMMARY_PROMPT_TEMPLATE, { ...variables, content: metadataHeader }) + promptSuffix) + 50;
+  const contentBudget = Math.max(200, chunkSizeTokens - overhead);
+
+  let partials = splitIntoChunks(content, contentBudget);
+  let round = 0;
+  // Estimated size of what the current round summarizes, to tell whether rounds still shrink it
+  let roundTokens = estimateTokens(content);
+
+  const buildReducePrompt = (parts) => renderTemplate(promptTemplate, {
+    ...variables,
+    content: `${metadataHeader}${REDUCE_CONTENT_PREAMBLE}\n\n${parts.map((part, index) => `### Part ${index + 1}\n${part}`).join('\n\n')}`,
+  }) + promptSuffix;
+  // Reduce phase: the user's template is applied to the merged partial summaries
+  const reduce = (reducePrompt) => {
+    logger.info(`Reduce phase: merging ${partials.length} partial summaries.`);
+    onProgress?.({ phase: SUMMARY_PHASES.REDUCE, round, completed: 0, total: 1 });
+    return request(reducePrompt, { onChunk });
+  };
+
+  // Map phase, repeated while the joined partial summaries still exceed the budget
+  while (true) {
+    round += 1;
+    const total = partials.length;
+    let completed = 0;
+    logger.info(`Map-reduce round ${round}: summarizing ${total} chunk(s) with up to ${maxParallel} in parallel.`);
+    onProgress?.({ phase: SUMMARY_PHASES.MAP, round, completed, total });
+
+    partials = await mapWithConcurrency(partials, maxParallel, async (chunk, index) => {
+      const prompt = renderTemplate(CHUNK_SUMMARY_PROMPT_TEMPLATE, {
+        ...variables,
+        chunkIndex: String(index + 1),
+        chunkCount: String(total),
+        content: metadataHeader + chunk,
+      }) + promptSuffix;
+      const partial = await request(prompt);
+      completed += 1;
+      logger.info(`Chunk ${index + 1}/${total} summarized (${completed}/${total} done).`);
+      onProgress?.({ phase: SUMMARY_PHASES.MAP, round, completed, total });
+      return partial;
+    });
+
+    const joined = partials.map((partial, index) => `### Part ${index + 1}\n${partial}`).join('\n\n');
+    const reducePrompt = buildReducePrompt(partials);
+
+    if (partials.length === 1 || estimateTokens(reducePrompt) <= chunkSizeTokens) {
+      return reduce(reducePrompt);
+    }
+
+    const joinedTokens = estimateTokens(joined);
+    if (round >= MAX_REDUCE_ROUNDS || joinedTokens >= roundTokens) {
+      // Another round would not get below the budget (or costs too much): shorten every partial
+      // summary evenly so they fit one reduce prompt
+      const fixedTokens = estimateTokens(buildReducePrompt(partials.map(() => '')));
+      const partialBudget = Math.max(50, Math.floor((chunkSizeTokens - fixedTokens) / partials.length));
+      logger.warn(`Partial summaries did not shrink enough after ${round} round(s) (~${joinedTokens} tokens). Cutting each to ~${partialBudget} tokens.`);
+      return reduce(buildReducePrompt(partials.map((partial) => truncateToTokens(partial, partialBudget))));
+    }
+
+    // Still too long: treat the partial summaries as the new content and summarize again
+    logger.info(`Partial summaries still exceed the budget (~${estimateTokens(reducePrompt)} tokens). Running another round.`);
+    roundTokens = joinedTokens;
+    partials = splitIntoChunks(joined, contentBudget);
+  }
+};
+
+// Local providers such as Ollama need no key
+const isProfileComplete = (profile) => Boolean(profile)
+  && (!getProvider(profile.provider).requiresApiKey || Boolean(profile.apiKey))
+  && Boolean(profile.apiHost && profile.modelName && profile.promptTemplate);
+
+/**
+ * Checks that a profile has everything needed to call its provider.
+ * @param {object} profile
+ * @throws {Error} - API_KEYS_LOCKED when the key is stored but locked, SETTINGS_MISSING when a required field is empty.
+ */
+const assertProfileComplete = (profile) => {
+  if (profile?.apiKeyLocked) {
+    logger.warn(`The API key of profile "${profile.name}" is locked.`);
+    throw new Error(ERROR_MESSAGES.API_KEYS_LOCKED);
+  }
+  if (!isProfileComplete(profile)) {
+    logger.warn(`LLM profile "${profile?.name}" is incomplete.`);
     // Send a specific error that the popup can display
     throw new Error(ERROR_MESSAGES.SETTINGS_MISSING);
   }
+};
+
+/**
+ * Maps a profile to the connection settings expected by makeApiRequest.
+ * @param {object} profile
+ * @returns {object}
+ */
+const toApiConfig = (profile) => ({
+  provider: profile.provider || DEFAULT_PROVIDER,
+  apiHost: profile.apiHost,
+  apiKey: profile.apiKey,
+  modelName: profile.modelName,
+  temperature: profile.temperature,
+  maxTokens: profile.maxTokens,
+});
+
+/**
+ * Loads the prompt budget and the chunk parallelism from the settings.
+ * @returns {Promise<{chunkSizeTokens: number, maxParallel: number}>}
+ */
+const loadChunkSettings = async () => {
+  const settings = await getStorage([
+    STORAGE_KEYS.CHUNK_SIZE_TOKENS,
+    STORAGE_KEYS.MAX_PARALLEL_CHUNKS,
+  ]);
+  return {
+    chunkSizeTokens: settings[STORAGE_KEYS.CHUNK_SIZE_TOKENS] || DEFAULT_CHUNK_SIZE_TOKENS,
+    maxParallel: settings[STORAGE_KEYS.MAX_PARALLEL_CHUNKS] || DEFAULT_MAX_PARALLEL_CHUNKS,
+  };
+};
 
+/**
+ * Orchestrates the summarization process: validates the profile, prepares the prompt, calls the API.
+ * @param {string} pageContent - The text content of the webpage.
+ * @param {object} options
+ * @param {object} options.profile - The LLM profile to use (see domain/profiles.js).
+ * @param {string} [options.promptTemplate] - Template from the template library; defaults to the profile's template.
+ * @param {object} [options.variables] - Template variables (title, url, selection, language, date).
+ * @param {object} [options.metadata] - Page metadata (title, byline, publishedTime, canonicalUrl...) from the content script.
+ * @param {boolean} [options.citations] - Ask the model to cite the [P<n>] passage markers in the content.
+ * @param {boolean} [options.timestamps] - The content is a timed transcript; ask for [m:ss] chapter bullets.
+ * @param {AbortSignal} [options.signal] - Cancels the underlying API request.
+ * @param {function(string, string): void} [options.onChunk] - Receives (delta, fullTextSoFar) as the summary streams in.
+ * @param {function(object): void} [options.onProgress] - Receives map-reduce progress for long pages, retries and
+ *   the switch to the fallback profile ({ phase: FALLBACK, profileName, modelName }).
+ * @param {string} [options.cache] - One of CACHE_MODES; ignored while the cache is disabled in the options.
+ * @param {function(object): void} [options.onCacheHit] - Receives the cache entry when the summary comes from the cache.
+ * @returns {Promise<string>} - A promise that resolves with the complete summary text.
+ */
+export const summarizeContentWithLLM = async (pageContent, { profile, promptTemplate, variables = {}, metadata, citations = false, timestamps = false, signal, onChunk, onProgress, cache = CACHE_MODES.OFF, onCacheHit } = {}) => {
+  logger.info(`Starting summarization process with profile "${profile?.name}".`);
+
+  // 1. Validate the profile and load the chunking settings
+  assertProfileComplete(profile);
+  const { chunkSizeTokens, maxParallel } = await loadChunkSettings();
+  const llmPromptTemplate = promptTemplate || profile.promptTemplate;
+
+  // 2. Settings are ready
   logger.info('Settings loaded successfully.');
   // Avoid logging API Key
-  logger.debug('Loaded Settings (excluding API Key):', { llmApiHost, llmModelName, llmPromptTemplate });
+  logger.debug('Loaded Settings (excluding API Key):', { provider: profile.provider, apiHost: profile.apiHost, modelName: profile.modelName, chunkSizeTokens, maxParallel });
+
+  const apiConfig = toApiConfig(profile);
+
+  // Every API call shares the settings, the cancel signal and the fallback; only the final pass streams to the popup
+  const requester = await createRequester(profile, { signal, sourceUrl: variables.url, onProgress });
+  const request = (prompt, { onChunk: onPromptChunk } = {}) =>
+    requester.request([{ role: 'user', content: prompt }], { onChunk: onPromptChunk });
 
   // 3. Prepare the prompt
-  // Replace the placeholder {{content}} with the actual page content
-  // Use split/join for robustness against potential issues with regex in some content
-  const promptText = llmPromptTemplate.split(PLACEHOLDER_CONTENT).join(pageContent);
-  logger.info(`Prompt prepared by replacing "${PLACEHOLDER_CONTENT}".`);
-  logger.debug('Final Prompt (first 200 chars):', promptText.substring(0, 200) + (promptText.length > 200 ? '...' : ''));
+  // Render the template: {{content}} becomes the page content, other variables come from the caller
+  // The metadata header gives the model the article title, author and date as context
+  const metadataHeader = formatMetadataHeader(metadata);
+  const promptSuffix = (citations ? `\n\n${CITATION_INSTRUCTION}` : '') + (timestamps ? `\n\n${VIDEO_TIMESTAMP_INSTRUCTION}` : '');
+  const promptText = renderTemplate(llmPromptTemplate, { ...variables, content: metadataHeader + pageContent }) + promptSuffix;
+  const promptTokens = estimateTokens(promptText);
+  logger.info(`Prompt rendered from template. Estimated tokens: ${promptTokens} (budget ${chunkSizeTokens}).`);
+  logger.debug(`Final prompt has ${promptText.length} characters.`);
 
-  // 4. Call the LLM API
-  logger.info('Calling makeApiRequest with prepared prompt.');
-  const summary = await makeApiRequest(llmApiHost, llmApiKey, llmModelName, promptText);
+  // The same prompt sent to the same model with the same parameters is answered from the cache
+  const cacheSettings = cache === CACHE_MODES.OFF ? null : await getCacheSettings();
+  const cacheKey = cacheSettings?.enabled ? await computeCacheKey({ prompt: promptText, apiConfig, chunkSizeTokens }) : null;
+  if (cacheKey && cache === CACHE_MODES.USE) {
+    const cached = await getCachedResponse(cacheKey, cacheSettings.ttlHours);
+    if (cached) {
+      logger.info(`Returning cached summary from ${new Date(cached.createdAt).toISOString()}.`);
+      onCacheHit?.(cached);
+      return cached.response;
+    }
+  }
+
+  // 4. Call the LLM API, splitting the page when it does not fit into one prompt
+  let summary;
+  if (promptTokens <= chunkSizeTokens) {
+    logger.info('Calling makeApiRequest with prepared prompt.');
+    summary = await request(promptText, { onChunk });
+  } else {
+    logger.info('Content exceeds the prompt budget. Using chunked map-reduce summarization.');
+    summary = await summarizeInChunks({
+      request,
+      content: pageContent,
+      metadataHeader,
+      promptTemplate: llmPromptTemplate,
+      variables,
+      promptSuffix,
+      chunkSizeTokens,
+      maxParallel,
+      onChunk,
+      onProgress,
+    });
+  }
+
+  // A summary written by the fallback profile is not stored under the primary profile's key
+  if (cacheKey && !requester.usedFallback()) {
+    // A full cache must not fail a summary that was already paid for
+    await putCachedResponse(cacheKey, summary, cacheSettings.ttlHours)
+      .catch((error) => logger.warn('Failed to cache the summary:', error.message));
+  }
 
   logger.info('Summarization process completed successfully.');
   return summary;
-};
\ No newline at end of file
+};
+
+/**
+ * Builds the multi-turn messages for a follow-up question:
+ * system instructions, the page content as the first user turn, the summary as the
+ * assistant's answer, the recent chat history and finally the new question.
+ * @param {object} conversation - See domain/conversation.js.
+ * @param {string} question
+ * @param {number} contextBudgetTokens - Maximum estimated tokens of the page content.
+ * @returns {{role: string, content: string}[]}
+ */
+const buildChatMessages = (conversation, question, contextBudgetTokens) => {
+  let pageContext = formatMetadataHeader(conversation.metadata) + conversation.content;
+  if (estimateTokens(pageContext) > contextBudgetTokens) {
+    // Long pages were summarized with map-reduce; the chat only gets their beginning
+    logger.info(`Page context (~${estimateTokens(pageContext)} tokens) exceeds the budget. Truncating.`);
+    pageContext = `${splitIntoChunks(pageContext, contextBudgetTokens)[0]}\n\n${CHAT_CONTEXT_TRUNCATED_NOTE}`;
+  } else if (conversation.contentTruncated) {
+    // Already cut when the conversation was stored
+    pageContext = `${pageContext}\n\n${CHAT_CONTEXT_TRUNCATED_NOTE}`;
+  }
+
+  return [
+    // Answers may cite passages too when the page content carries the markers
+    { role: 'system', content: renderTemplate(CHAT_SYSTEM_PROMPT_TEMPLATE, conversation.variables) + (hasPassageMarkers(pageContext) ? `\n\n${CITATION_INSTRUCTION}` : '') },
+    { role: 'user', content: `${CHAT_PAGE_CONTEXT_PREAMBLE}\n\n${pageContext}` },
+    { role: 'assistant', content: conversation.summary },
+    ...conversation.messages.slice(-MAX_CHAT_HISTORY_MESSAGES),
+    { role: 'user', content: question },
+  ];
+};
+
+/**
+ * Answers a follow-up question about a summarized page, streaming the answer.
+ * @param {object} conversation - The tab's conversation (page content, summary and history).
+ * @param {string} question - The user's new question.
+ * @param {object} options
+ * @param {object} options.profile - The LLM profile to use.
+ * @param {AbortSignal} [options.signal] - Cancels the API request.
+ * @param {function(string, string): void} [options.onChunk] - Receives (delta, fullTextSoFar).
+ * @param {function(object): void} [options.onProgress] - Receives retries and the switch to the fallback profile.
+ * @returns {Promise<string>} - The complete answer.
+ */
+export const answerFollowUpQuestion = async (conversation, question, { profile, signal, onChunk, onProgress } = {}) => {
+  logger.info(`Answering follow-up question with profile "${profile?.name}". History: ${conversation.messages.length} message(s).`);
+  assertProfileComplete(profile);
+  const { chunkSizeTokens } = await loadChunkSettings();
+
+  const messages = buildChatMessages(conversation, question, chunkSizeTokens);
+  const { request } = await createRequester(profile, { signal, sourceUrl: conversation.url, onProgress });
+  const answer = await request(messages, { onChunk });
+  logger.info('Follow-up question answered.');
+  return answer;
+};
+
+/**
+ * Extracts structured data from a page with an extraction schema. The model is asked for a JSON
+ * object (using the provider's JSON mode where available); an answer that is not valid JSON or
+ * does not match the schema is sent back with the problems, up to EXTRACTION_REPAIR_ATTEMPTS times.
+ * Pages longer than the chunk size are cut like in the chat, since the fields usually appear early.
+ * @param {string} pageContent - The page text.
+ * @param {object} options
+ * @param {object} options.profile - The LLM profile to use.
+ * @param {object} options.schema - The extraction schema (see domain/extraction.js).
+ * @param {object} [options.variables] - Template variables (title, url, language).
+ * @param {object} [options.metadata] - Page metadata from the content script.
+ * @param {AbortSignal} [options.signal] - Cancels the API request.
+ * @param {function(object): void} [options.onProgress] - Receives retries, the switch to the fallback profile
+ *   and repair attempts ({ phase: REPAIR, attempt, maxAttempts }).
+ * @returns {Promise<object>} - The extracted values, one key per schema field.
+ * @throws {Error} - EXTRACTION_INVALID with the remaining problems when no valid answer was returned.
+ */
+export const extractStructuredData = async (pageContent, { profile, schema, variables = {}, metadata, signal, onProgress } = {}) => {
+  logger.info(`Extracting "${schema.name}" with profile "${profile?.name}".`);
+  assertProfileComplete(profile);
+  const { chunkSizeTokens } = await loadChunkSettings();
+
+  let content = formatMetadataHeader(metadata) + pageContent;
+  if (estimateTokens(content) > chunkSizeTokens) {
+    logger.info(`Page content (~${estimateTokens(content)} tokens) exceeds the budget. Truncating for extraction.`);
+    content = splitIntoChunks(content, chunkSizeTokens)[0];
+  }
+  const prompt = renderTemplate(EXTRACTION_PROMPT_TEMPLATE, {
+    ...variables,
+    schema: JSON.stringify(buildJsonSchema(schema), null, 2),
+    content,
+  });
+
+  const { request } = await createRequester(profile, { signal, sourceUrl: variables.url, onProgress });
+  const messages = [{ role: 'user', content: prompt }];
+  for (let attempt = 0; ; attempt += 1) {
+    const answer = await request(messages, { json: true });
+    let problems;
+    try {
+      const result = validateExtractedData(parseJsonResponse(answer), schema);
+      if (result.problems.length === 0) {
+        logger.info(`Extraction completed after ${attempt} repair attempt(s).`);
+        return result.data;
+      }
+      problems = result.problems;
+    } catch (error) {
+      problems = [error.message];
+    }
+    logger.warn(`Extraction answer is invalid (attempt ${attempt + 1}):`, problems);
+    if (attempt >= EXTRACTION_REPAIR_ATTEMPTS) {
+      throw new Error(`${ERROR_MESSAGES.EXTRACTION_INVALID} ${problems.join(' ')}`);
+    }
+    // The model sees its own answer and what is wrong with it
+    onProgress?.({ phase: SUMMARY_PHASES.REPAIR, attempt: attempt + 1, maxAttempts: EXTRACTION_REPAIR_ATTEMPTS });
+    messages.push(
+      { role: 'assistant', content: answer },
+      { role: 'user', content: renderTemplate(EXTRACTION_REPAIR_PROMPT_TEMPLATE, { problems: problems.map((problem) => `- ${problem}`).join('\n') }) },
+    );
+  }
+};
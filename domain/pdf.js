@@ -0,0 +1,188 @@
+// chrome-llm-summarizer/domain/pdf.js
+
+import createLogger from '../utils/logger.js';
+import { extractPdfText } from './pdf_parser.js';
+import { ERROR_MESSAGES, CONTENT_TYPES, MAX_PDF_BYTES, MESSAGE_TYPES } from '../utils/constants.js';
+
+const logger = createLogger('domain/pdf');
+
+/**
+ * Tells whether a URL points to a PDF file by its path (query and fragment are ignored).
+ * PDFs served without a .pdf extension are detected from the tab's document instead.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export const isPdfUrl = (url) => {
+  try {
+    return /\.pdf$/i.test(new URL(url).pathname);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Tells whether a URL is a local file.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export const isFileUrl = (url) => (url || '').startsWith('file://');
+
+/**
+ * Reads the "Allow access to file URLs" switch of the extension.
+ * @returns {Promise<boolean>}
+ */
+export const hasFileAccess = () => chrome.extension.isAllowedFileSchemeAccess();
+
+// Title fallback for PDFs without one in their info dictionary: "report%202024.pdf" -> "report 2024.pdf"
+const fileNameFromUrl = (url) => {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+  } catch (error) {
+    return '';
+  }
+};
+
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen/offscreen.html';
+
+// Pending check for (and creation of) the offscreen document; shared by reads that start at the
+// same time, so only one of them creates it
+let offscreenDocumentReady = null;
+
+const ensureOffscreenDocument = () => {
+  offscreenDocumentReady ??= (async () => {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)],
+    });
+    if (contexts.length > 0) {
+      return;
+    }
+    try {
+      await chrome.offscreen.createDocument({
+        url: OFFSCREEN_DOCUMENT_PATH,
+        reasons: [chrome.offscreen.Reason.WORKERS],
+        justification: 'Read local PDF files, which fetch() cannot load from the service worker, and parse them in a worker.',
+      });
+    } catch (error) {
+      // Created in the meantime, e.g. by the previous service worker
+      if (!/single offscreen document/i.test(error.message)) {
+        throw error;
+      }
+    }
+  })().finally(() => {
+    offscreenDocumentReady = null;
+  });
+  return offscreenDocumentReady;
+};
+
+/**
+ * Reads and parses a local PDF in the offscreen document: the service worker's fetch() does not
+ * support file:// URLs, an XMLHttpRequest in an extension page does. Aborting the signal stops
+ * the read in the offscreen document and rejects right away.
+ * @param {string} url - A file:// URL.
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{pages: string[], info: object}>}
+ */
+const readLocalPdf = async (url, signal) => {
+  await ensureOffscreenDocument();
+  if (signal?.aborted) {
+    throw new Error(ERROR_MESSAGES.REQUEST_CANCELLED);
+  }
+  const requestId = crypto.randomUUID();
+  let onAbort = null;
+  const cancelled = new Promise((resolve, reject) => {
+    onAbort = () => {
+      chrome.runtime.sendMessage({ type: MESSAGE_TYPES.CANCEL_LOCAL_PDF, requestId })
+        .catch((error) => logger.warn(`Could not cancel the local PDF read: ${error.message}`));
+      reject(new Error(ERROR_MESSAGES.REQUEST_CANCELLED));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+  try {
+    const response = await Promise.race([
+      chrome.runtime.sendMessage({ type: MESSAGE_TYPES.READ_LOCAL_PDF, requestId, url }),
+      cancelled,
+    ]);
+    if (!response?.success) {
+      throw new Error(response?.error || ERROR_MESSAGES.PDF_FETCH_FAILED);
+    }
+    return response;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+/**
+ * Downloads a PDF, refusing files above MAX_PDF_BYTES.
+ * @param {string} url
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<ArrayBuffer>}
+ */
+const fetchPdf = async (url, signal) => {
+  let response;
+  try {
+    // Cookies are sent so PDFs behind a login can be read like in the viewer
+    response = await fetch(url, { credentials: 'include', signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(ERROR_MESSAGES.REQUEST_CANCELLED);
+    }
+    logger.errorWithStack(`Failed to fetch PDF ${url}.`, error);
+    throw new Error(ERROR_MESSAGES.PDF_FETCH_FAILED);
+  }
+  if (!response.ok) {
+    logger.error(`PDF request failed with status ${response.status}.`);
+    throw new Error(`${ERROR_MESSAGES.PDF_FETCH_FAILED} (HTTP ${response.status})`);
+  }
+  const declaredLength = Number(response.headers.get('Content-Length'));
+  if (declaredLength > MAX_PDF_BYTES) {
+    throw new Error(ERROR_MESSAGES.PDF_TOO_LARGE);
+  }
+  const buffer = await response.arrayBuffer();
+  if (buffer.byteLength > MAX_PDF_BYTES) {
+    throw new Error(ERROR_MESSAGES.PDF_TOO_LARGE);
+  }
+  logger.info(`Downloaded PDF (${buffer.byteLength} bytes).`);
+  return buffer;
+};
+
+/**
+ * Downloads a PDF and turns it into content for the summarization pipeline, in the same
+ * shape as the content script's response. Each page becomes a "## 第 n 页" section so the
+ * summary can refer to page numbers.
+ * @param {string} url - http(s) or file:// URL of the PDF.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{success: true, content: string, metadata: object}>}
+ * @throws {Error} - FILE_ACCESS_DENIED, PDF_FETCH_FAILED, PDF_TOO_LARGE, PDF_INVALID, PDF_ENCRYPTED or PDF_NO_TEXT.
+ */
+export const extractPdfContent = async (url, { signal } = {}) => {
+  if (isFileUrl(url) && !(await hasFileAccess())) {
+    logger.warn('File URL access is not granted. Cannot read local PDF.');
+    throw new Error(ERROR_MESSAGES.FILE_ACCESS_DENIED);
+  }
+
+  const { pages, info } = isFileUrl(url) ? await readLocalPdf(url, signal) : await extractPdfText(await fetchPdf(url, signal));
+  const sections = pages
+    .map((text, index) => (text.trim() ? `## 第 ${index + 1} 页\n\n${text}` : ''))
+    .filter(Boolean);
+  if (sections.length === 0) {
+    throw new Error(ERROR_MESSAGES.PDF_NO_TEXT);
+  }
+  logger.info(`Extracted text from ${sections.length} of ${pages.length} PDF pages.`);
+
+  const content = sections.join('\n\n');
+  return {
+    success: true,
+    content,
+    metadata: {
+      title: info.title || fileNameFromUrl(url),
+      byline: info.author,
+      publishedTime: info.creationDate,
+      canonicalUrl: url,
+      excerpt: pages.find((text) => text.trim())?.substring(0, 300) || '',
+      contentType: CONTENT_TYPES.PDF,
+      pageCount: pages.length,
+    },
+  };
+};
@@ -0,0 +1,686 @@
+// chrome-llm-summarizer/domain/pdf_parser.js
+
+import createLogger from '../utils/logger.js';
+import { ERROR_MESSAGES } from '../utils/constants.js';
+
+const logger = createLogger('domain/pdf_parser');
+
+/*
+ * Minimal PDF text extractor, enough to summarize typical text PDFs without bundling pdf.js.
+ *
+ * Supported: plain and compressed object streams, FlateDecode / ASCIIHexDecode streams,
+ * the page tree (with inherited resources), ToUnicode CMaps, simple fonts (read as Latin-1)
+ * and form XObjects.
+ * Not supported: encrypted files, scanned pages (text inside images), LZW/ASCII85/predictor
+ * filters and custom font encodings without a ToUnicode map.
+ *
+ * Objects are represented as plain JS values: numbers, booleans, null, arrays, names as strings,
+ * dictionaries as null-prototype objects, strings as { string }, references as { ref } and
+ * content stream operators as { operator }. Strings hold raw bytes as char codes 0-255.
+ */
+
+// Form XObjects can nest; stop following them after this depth
+const MAX_FORM_DEPTH = 5;
+// TJ offsets (thousandths of a text unit) at least this far to the left are treated as word gaps
+const TJ_SPACE_THRESHOLD = -150;
+
+const isWhitespace = (char) => char === ' ' || char === '\n' || char === '\r' || char === '\t' || char === '\f' || char === '\0';
+const isDelimiter = (char) => '()<>[]{}/%'.includes(char);
+const isReference = (value) => value !== null && typeof value === 'object' && 'ref' in value;
+
+// Latin-1 "binary string": one char per byte, so offsets match the file and regexes can scan it
+const bytesToBinaryString = (bytes) => {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return result;
+};
+
+const binaryStringToBytes = (text) => {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+};
+
+const hexToBinaryString = (hex) => {
+  const digits = hex.replace(/[^0-9a-fA-F]/g, '');
+  const padded = digits.length % 2 === 0 ? digits : `${digits}0`;
+  let result = '';
+  for (let i = 0; i < padded.length; i += 2) {
+    result += String.fromCharCode(parseInt(padded.slice(i, i + 2), 16));
+  }
+  return result;
+};
+
+// UTF-16BE bytes (as a binary string) to a JS string
+const decodeUtf16Be = (bytes) => {
+  let result = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    result += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+  }
+  return result;
+};
+
+/**
+ * Decodes a text string from the document information dictionary: UTF-16BE with a byte
+ * order mark, UTF-8 with a BOM (PDF 2.0) or PDFDocEncoding (read as Latin-1).
+ */
+const decodeTextString = (value) => {
+  const bytes = value?.string;
+  if (typeof bytes !== 'string') {
+    return '';
+  }
+  if (bytes.startsWith('\xfe\xff')) {
+    return decodeUtf16Be(bytes.slice(2));
+  }
+  if (bytes.startsWith('\xef\xbb\xbf')) {
+    return new TextDecoder().decode(binaryStringToBytes(bytes.slice(3)));
+  }
+  return bytes;
+};
+
+/**
+ * Creates a parser reading PDF objects (or content stream tokens) from a binary string.
+ * @param {string} data
+ * @param {number} [start]
+ */
+const createParser = (data, start = 0) => {
+  let pos = start;
+
+  const skipWhitespace = () => {
+    while (pos < data.length) {
+      if (isWhitespace(data[pos])) {
+        pos++;
+      } else if (data[pos] === '%') {
+        while (pos < data.length && data[pos] !== '\n' && data[pos] !== '\r') {
+          pos++;
+        }
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readWord = () => {
+    const wordStart = pos;
+    while (pos < data.length && !isWhitespace(data[pos]) && !isDelimiter(data[pos])) {
+      pos++;
+    }
+    return data.slice(wordStart, pos);
+  };
+
+  const readLiteralString = () => {
+    pos++; // (
+    let depth = 1;
+    let result = '';
+    while (pos < data.length) {
+      const char = data[pos++];
+      if (char === '\\') {
+        const next = data[pos++];
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        if (escapes[next]) {
+          result += escapes[next];
+        } else if (next >= '0' && next <= '7') {
+          let octal = next;
+          while (octal.length < 3 && data[pos] >= '0' && data[pos] <= '7') {
+            octal += data[pos++];
+          }
+          result += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === '\r') {
+          // Line continuation
+          if (data[pos] === '\n') {
+            pos++;
+          }
+        } else if (next !== '\n') {
+          result += next;
+        }
+      } else if (char === '(') {
+        depth++;
+        result += char;
+      } else if (char === ')') {
+        depth--;
+        if (depth === 0) {
+          break;
+        }
+        result += char;
+      } else {
+        result += char;
+      }
+    }
+    return result;
+  };
+
+  const readHexString = () => {
+    const end = data.indexOf('>', pos);
+    const hex = data.slice(pos + 1, end === -1 ? data.length : end);
+    pos = end === -1 ? data.length : end + 1;
+    return hexToBinaryString(hex);
+  };
+
+  /**
+   * Reads the next value or operator.
+   * @returns {*} - undefined at the end of the data.
+   */
+  const parseValue = () => {
+    skipWhitespace();
+    if (pos >= data.length) {
+      return undefined;
+    }
+    const char = data[pos];
+
+    if (char === '(') {
+      return { string: readLiteralString() };
+    }
+    if (char === '<') {
+      if (data[pos + 1] !== '<') {
+        return { string: readHexString() };
+      }
+      pos += 2;
+      const dict = Object.create(null);
+      for (;;) {
+        skipWhitespace();
+        if (pos >= data.length) {
+          break;
+        }
+        if (data.startsWith('>>', pos)) {
+          pos += 2;
+          break;
+        }
+        const key = parseValue();
+        if (typeof key !== 'string') {
+          continue; // Malformed entry; skip it
+        }
+        dict[key] = parseValue();
+      }
+      return dict;
+    }
+    if (char === '[') {
+      pos++;
+      const array = [];
+      for (;;) {
+        skipWhitespace();
+        if (pos >= data.length) {
+          break;
+        }
+        if (data[pos] === ']') {
+          pos++;
+          break;
+        }
+        array.push(parseValue());
+      }
+      return array;
+    }
+    if (char === '/') {
+      pos++;
+      return readWord().replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+    if (isDelimiter(char)) {
+      // Stray ')', '>', ']' or PostScript braces
+      pos++;
+      return { operator: char };
+    }
+
+    const word = readWord();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      const number = Number(word);
+      // "12 0 R" is a reference
+      if (/^\d+$/.test(word)) {
+        const afterNumber = pos;
+        skipWhitespace();
+        const generation = readWord();
+        skipWhitespace();
+        if (/^\d+$/.test(generation) && data[pos] === 'R' && (pos + 1 >= data.length || isWhitespace(data[pos + 1]) || isDelimiter(data[pos + 1]))) {
+          pos++;
+          return { ref: number };
+        }
+        pos = afterNumber;
+      }
+      return number;
+    }
+    if (word === 'true' || word === 'false') {
+      return word === 'true';
+    }
+    if (word === 'null') {
+      return null;
+    }
+    return { operator: word };
+  };
+
+  // Skips the binary data of an inline image (BI ... ID <data> EI)
+  const skipInlineImage = () => {
+    const dataStart = data.indexOf('ID', pos);
+    let end = dataStart === -1 ? data.length : dataStart + 3;
+    for (;;) {
+      end = data.indexOf('EI', end);
+      if (end === -1) {
+        pos = data.length;
+        return;
+      }
+      if (isWhitespace(data[end - 1]) && (end + 2 >= data.length || isWhitespace(data[end + 2]))) {
+        pos = end + 2;
+        return;
+      }
+      end += 2;
+    }
+  };
+
+  return {
+    parseValue,
+    skipWhitespace,
+    skipInlineImage,
+    get position() {
+      return pos;
+    },
+  };
+};
+
+/**
+ * Inflates zlib data with the browser's DecompressionStream.
+ * Truncated streams are common in real files, so whatever was decoded before an error is kept.
+ */
+const inflate = async (bytes) => {
+  const reader = new Blob([binaryStringToBytes(bytes)]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+  let result = '';
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      result += bytesToBinaryString(value);
+    }
+  } catch (error) {
+    logger.warn(`Stream could not be fully inflated (${error.message}). Using ${result.length} decoded bytes.`);
+  }
+  return result;
+};
+
+/**
+ * Reads all objects of the file, including those inside object streams.
+ * Objects are found by scanning for "n g obj" rather than through the xref table, which also
+ * copes with damaged cross-reference data. Later definitions (incremental updates) win.
+ * @param {string} data
+ * @returns {Promise<Map<number, {value: *, stream?: string}>>}
+ */
+const readObjects = async (data) => {
+  const objects = new Map();
+  const header = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+  while ((match = header.exec(data)) !== null) {
+    const parser = createParser(data, match.index + match[0].length);
+    const value = parser.parseValue();
+    parser.skipWhitespace();
+    let end = parser.position;
+    const entry = { value };
+
+    if (data.startsWith('stream', end)) {
+      let streamStart = end + 'stream'.length;
+      if (data[streamStart] === '\r') {
+        streamStart++;
+      }
+      if (data[streamStart] === '\n') {
+        streamStart++;
+      }
+      // Trust /Length only when "endstream" follows it; it may also be an indirect reference
+      // that is not parsed yet, in which case the end marker is searched for
+      const declaredEnd = typeof value?.Length === 'number' ? streamStart + value.Length : -1;
+      if (declaredEnd >= streamStart && /^\s*endstream/.test(data.slice(declaredEnd, declaredEnd + 20))) {
+        entry.stream = data.slice(streamStart, declaredEnd);
+        end = declaredEnd;
+      } else {
+        const markerIndex = data.indexOf('endstream', streamStart);
+        end = markerIndex === -1 ? data.length : markerIndex;
+        entry.stream = data.slice(streamStart, end).replace(/\r?\n$/, '');
+      }
+    }
+    objects.set(Number(match[1]), entry);
+    // Do not look for object headers inside the stream data
+    header.lastIndex = Math.max(end, header.lastIndex);
+  }
+  return objects;
+};
+
+/**
+ * Loads a PDF and gives access to its objects.
+ * @param {string} data - The file as a binary string.
+ */
+const openDocument = async (data) => {
+  const objects = await readObjects(data);
+
+  const resolve = (value, depth = 0) => {
+    if (isReference(value) && depth < 10) {
+      return resolve(objects.get(value.ref)?.value ?? null, depth + 1);
+    }
+    return value;
+  };
+
+  /**
+   * Returns the decoded data of a stream object, or null when it uses an unsupported filter.
+   */
+  const decodeStream = async (entry) => {
+    if (typeof entry?.stream !== 'string') {
+      return null;
+    }
+    const filter = resolve(entry.value?.Filter);
+    const filters = Array.isArray(filter) ? filter.map((item) => resolve(item)) : (filter ? [filter] : []);
+    let result = entry.stream;
+    for (const name of filters) {
+      if (name === 'FlateDecode' || name === 'Fl') {
+        result = await inflate(result);
+      } else if (name === 'ASCIIHexDecode' || name === 'AHx') {
+        result = hexToBinaryString(result.split('>')[0]);
+      } else {
+        logger.debug(`Skipping stream with unsupported filter ${name}.`);
+        return null;
+      }
+    }
+    return result;
+  };
+
+  const getStream = (value) => (isReference(value) ? decodeStream(objects.get(value.ref)) : Promise.resolve(null));
+
+  // Objects packed into object streams (PDF 1.5+); objects defined directly take precedence
+  for (const entry of [...objects.values()]) {
+    if (entry.value?.Type !== 'ObjStm') {
+      continue;
+    }
+    const content = await decodeStream(entry);
+    if (!content) {
+      continue;
+    }
+    const count = resolve(entry.value.N) || 0;
+    const first = resolve(entry.value.First) || 0;
+    const headerParser = createParser(content);
+    for (let i = 0; i < count; i++) {
+      const number = headerParser.parseValue();
+      const offset = headerParser.parseValue();
+      if (typeof number !== 'number' || typeof offset !== 'number') {
+        break;
+      }
+      if (!objects.has(number)) {
+        objects.set(number, { value: createParser(content, first + offset).parseValue() });
+      }
+    }
+  }
+
+  // The last trailer (or cross-reference stream) names the catalog and the info dictionary
+  const lastReference = (key) => {
+    const matches = [...data.matchAll(new RegExp(`/${key}\\s+(\\d+)\\s+\\d+\\s+R`, 'g'))];
+    return matches.length > 0 ? resolve({ ref: Number(matches[matches.length - 1][1]) }) : null;
+  };
+
+  return { objects, resolve, getStream, lastReference };
+};
+
+/**
+ * Parses a ToUnicode CMap into a code -> text map.
+ * @param {string} cmap - The decoded CMap stream.
+ * @returns {{bytesPerCode: number, map: Map<number, string>}}
+ */
+const parseToUnicodeCMap = (cmap) => {
+  const map = new Map();
+  const codespace = cmap.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  const bytesPerCode = codespace ? Math.max(1, Math.ceil(codespace[1].length / 2)) : 1;
+
+  for (const [, block] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, source, target] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(source, 16), decodeUtf16Be(hexToBinaryString(target)));
+    }
+  }
+
+  for (const [, block] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, target] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const start = parseInt(low, 16);
+      const end = Math.min(parseInt(high, 16), start + 0xffff);
+      if (target.startsWith('[')) {
+        const targets = [...target.matchAll(/<([0-9a-fA-F]*)>/g)].map(([, hex]) => decodeUtf16Be(hexToBinaryString(hex)));
+        targets.forEach((text, index) => map.set(start + index, text));
+      } else {
+        // Consecutive codes map to consecutive characters: increment the last UTF-16 unit
+        const base = decodeUtf16Be(hexToBinaryString(target.slice(1, -1)));
+        const prefix = base.slice(0, -1);
+        const last = base.charCodeAt(base.length - 1);
+        for (let code = start; code <= end; code++) {
+          map.set(code, prefix + String.fromCharCode(last + code - start));
+        }
+      }
+    }
+  }
+  return { bytesPerCode, map };
+};
+
+/**
+ * Builds a decoder turning the bytes of shown strings into text for one font.
+ * @returns {Promise<function(string): string>}
+ */
+const createFontDecoder = async (doc, font) => {
+  const isComposite = font?.Subtype === 'Type0';
+  const cmapData = await doc.getStream(font?.ToUnicode);
+  if (cmapData) {
+    const { bytesPerCode, map } = parseToUnicodeCMap(cmapData);
+    const width = isComposite ? Math.max(bytesPerCode, 2) : bytesPerCode;
+    return (bytes) => {
+      let text = '';
+      for (let i = 0; i < bytes.length; i += width) {
+        let code = 0;
+        for (let j = 0; j < width; j++) {
+          code = (code << 8) | (bytes.charCodeAt(i + j) || 0);
+        }
+        text += map.get(code) ?? (isComposite ? '' : String.fromCharCode(code));
+      }
+      return text;
+    };
+  }
+  // Composite fonts without a ToUnicode map use glyph ids that cannot be turned into text
+  return isComposite ? () => '' : (bytes) => bytes;
+};
+
+/**
+ * Extracts the text lines of a content stream.
+ * @param {object} doc
+ * @param {string} content - The decoded content stream.
+ * @param {object} resources - The resource dictionary in effect.
+ * @param {Map<string, function>} fontCache - Decoders by font object.
+ * @param {number} depth - Form XObject nesting depth.
+ * @returns {Promise<string[]>}
+ */
+const extractContentLines = async (doc, content, resources, fontCache, depth = 0) => {
+  const parser = createParser(content);
+  const fonts = doc.resolve(resources?.Font) || {};
+  const xObjects = doc.resolve(resources?.XObject) || {};
+  const lines = [];
+  let line = '';
+  let decode = (bytes) => bytes;
+  let operands = [];
+  let lastY = null;
+
+  const newLine = () => {
+    const trimmed = line.replace(/\s+/g, ' ').trim();
+    if (trimmed) {
+      lines.push(trimmed);
+    }
+    line = '';
+  };
+  const addSpace = () => {
+    if (line && !line.endsWith(' ')) {
+      line += ' ';
+    }
+  };
+  const show = (value) => {
+    if (typeof value?.string === 'string') {
+      line += decode(value.string);
+    }
+  };
+
+  for (;;) {
+    const token = parser.parseValue();
+    if (token === undefined) {
+      break;
+    }
+    if (token === null || typeof token !== 'object' || !('operator' in token)) {
+      operands.push(token);
+      continue;
+    }
+
+    switch (token.operator) {
+      case 'BI':
+        parser.skipInlineImage();
+        break;
+      case 'Tf': {
+        const fontReference = fonts[operands[0]];
+        const font = doc.resolve(fontReference);
+        // Shared fonts are decoded once per document; inline font dictionaries are keyed by identity
+        const cacheKey = isReference(fontReference) ? fontReference.ref : font;
+        if (!fontCache.has(cacheKey)) {
+          fontCache.set(cacheKey, await createFontDecoder(doc, font));
+        }
+        decode = fontCache.get(cacheKey);
+        break;
+      }
+      case 'Tj':
+        show(operands[0]);
+        break;
+      case '\'':
+      case '"':
+        newLine();
+        show(operands[operands.length - 1]);
+        break;
+      case 'TJ':
+        (Array.isArray(operands[0]) ? operands[0] : []).forEach((item) => {
+          if (typeof item === 'number') {
+            if (item <= TJ_SPACE_THRESHOLD) {
+              addSpace();
+            }
+          } else {
+            show(item);
+          }
+        });
+        break;
+      case 'Td':
+      case 'TD':
+        if (Math.abs(operands[1] || 0) > 0.01) {
+          newLine();
+        } else if ((operands[0] || 0) > 0) {
+          addSpace();
+        }
+        break;
+      case 'T*':
+        newLine();
+        break;
+      case 'Tm': {
+        const y = operands[5];
+        if (lastY !== null && typeof y === 'number' && Math.abs(y - lastY) > 0.01) {
+          newLine();
+        } else {
+          addSpace();
+        }
+        lastY = typeof y === 'number' ? y : lastY;
+        break;
+      }
+      case 'Do': {
+        const xObjectReference = xObjects[operands[0]];
+        const xObject = isReference(xObjectReference) ? doc.objects.get(xObjectReference.ref) : null;
+        if (xObject?.value?.Subtype === 'Form' && depth < MAX_FORM_DEPTH) {
+          const formContent = await doc.getStream(xObjectReference);
+          if (formContent) {
+            newLine();
+            const formResources = doc.resolve(xObject.value.Resources) || resources;
+            lines.push(...await extractContentLines(doc, formContent, formResources, fontCache, depth + 1));
+          }
+        }
+        break;
+      }
+      default:
+        break;
+    }
+    operands = [];
+  }
+  newLine();
+  return lines;
+};
+
+/**
+ * Lists the pages in document order with their (possibly inherited) resources.
+ * @returns {{page: object, resources: object}[]}
+ */
+const listPages = (doc) => {
+  const pages = [];
+  const visited = new Set();
+  const walk = (node, inheritedResources) => {
+    const resources = doc.resolve(node?.Resources) || inheritedResources;
+    const kids = doc.resolve(node?.Kids);
+    if (Array.isArray(kids)) {
+      kids.forEach((kid) => {
+        if (isReference(kid) && !visited.has(kid.ref)) {
+          visited.add(kid.ref);
+          walk(doc.resolve(kid), resources);
+        }
+      });
+    } else if (node?.Type === 'Page') {
+      pages.push({ page: node, resources });
+    }
+  };
+
+  const catalog = doc.lastReference('Root') || [...doc.objects.values()].find((entry) => entry.value?.Type === 'Catalog')?.value;
+  walk(doc.resolve(catalog?.Pages), null);
+
+  if (pages.length === 0) {
+    // Broken page tree: fall back to all page objects in object number order
+    logger.warn('Page tree not found. Falling back to page objects in file order.');
+    [...doc.objects.entries()]
+      .sort(([a], [b]) => a - b)
+      .filter(([, entry]) => entry.value?.Type === 'Page')
+      .forEach(([, entry]) => pages.push({ page: entry.value, resources: doc.resolve(entry.value.Resources) }));
+  }
+  return pages;
+};
+
+// "D:20240102153000+08'00'" -> "2024-01-02"
+const parsePdfDate = (value) => {
+  const match = decodeTextString(value).match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?/);
+  return match ? [match[1], match[2] || '01', match[3] || '01'].join('-') : '';
+};
+
+/**
+ * Extracts the text of a PDF page by page.
+ * @param {ArrayBuffer|Uint8Array} buffer - The PDF file.
+ * @returns {Promise<{pages: string[], info: {title: string, author: string, creationDate: string}}>} - One string per page (empty for pages without text).
+ * @throws {Error} - PDF_INVALID when the data is not a PDF, PDF_ENCRYPTED for encrypted files.
+ */
+export const extractPdfText = async (buffer) => {
+  const data = bytesToBinaryString(buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer));
+  if (!data.slice(0, 1024).includes('%PDF-')) {
+    throw new Error(ERROR_MESSAGES.PDF_INVALID);
+  }
+  if (/\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(data)) {
+    throw new Error(ERROR_MESSAGES.PDF_ENCRYPTED);
+  }
+
+  const doc = await openDocument(data);
+  const pageList = listPages(doc);
+  logger.info(`PDF parsed: ${doc.objects.size} objects, ${pageList.length} pages.`);
+
+  const fontCache = new Map();
+  const pages = [];
+  for (const { page, resources } of pageList) {
+    const contents = doc.resolve(page.Contents);
+    const streams = Array.isArray(contents) ? contents : [page.Contents];
+    // A page's content may be split over several streams, even in the middle of an operator
+    const decoded = await Promise.all(streams.map((stream) => doc.getStream(stream)));
+    const lines = await extractContentLines(doc, decoded.filter(Boolean).join('\n'), resources, fontCache);
+    pages.push(lines.join('\n'));
+  }
+
+  const info = doc.lastReference('Info') || {};
+  return {
+    pages,
+    info: {
+      title: decodeTextString(doc.resolve(info.Title)).trim(),
+      author: decodeTextString(doc.resolve(info.Author)).trim(),
+      creationDate: parsePdfDate(doc.resolve(info.CreationDate)),
+    },
+  };
+};
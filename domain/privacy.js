@@ -0,0 +1,192 @@
+// chrome-llm-summarizer/domain/privacy.js
+
+import createLogger from '../utils/logger.js';
+import { getStorage } from './storage.js';
+import { matchesUrlPattern } from '../utils/url_pattern.js';
+import { REDACTION_DETECTORS, redactText } from '../utils/redaction.js';
+import { STORAGE_KEYS, ERROR_MESSAGES } from '../utils/constants.js';
+
+const logger = createLogger('domain/privacy');
+
+/**
+ * What is removed from page content before it is sent to an LLM.
+ * @typedef {object} PrivacySettings
+ * @property {string[]} detectors - Ids of the enabled built-in detectors.
+ * @property {{name: string, pattern: string}[]} customPatterns - User regexes.
+ * @property {string[]} blockedDomains - URL patterns (see utils/url_pattern.js) whose content is never sent.
+ */
+
+/**
+ * Loads the privacy settings. All built-in detectors are enabled until the user turns some off.
+ * @returns {Promise<PrivacySettings>}
+ */
+export const getPrivacySettings = async () => {
+  const items = await getStorage([STORAGE_KEYS.REDACTION_DETECTORS, STORAGE_KEYS.REDACTION_PATTERNS, STORAGE_KEYS.BLOCKED_DOMAINS]);
+  return {
+    detectors: Array.isArray(items[STORAGE_KEYS.REDACTION_DETECTORS])
+      ? items[STORAGE_KEYS.REDACTION_DETECTORS]
+      : REDACTION_DETECTORS.map((detector) => detector.id),
+    customPatterns: Array.isArray(items[STORAGE_KEYS.REDACTION_PATTERNS]) ? items[STORAGE_KEYS.REDACTION_PATTERNS] : [],
+    blockedDomains: Array.isArray(items[STORAGE_KEYS.BLOCKED_DOMAINS]) ? items[STORAGE_KEYS.BLOCKED_DOMAINS] : [],
+  };
+};
+
+/**
+ * Returns the blocklist pattern matching a URL.
+ * @param {string} url
+ * @param {string[]} blockedDomains
+ * @returns {string|undefined}
+ */
+export const findBlockedPattern = (url, blockedDomains) => blockedDomains.find((pattern) => matchesUrlPattern(url, pattern));
+
+/**
+ * Counts all redacted items.
+ * @param {Object<string, number>} [redactions]
+ * @returns {number}
+ */
+export const countRedactions = (redactions) => Object.values(redactions || {}).reduce((sum, count) => sum + count, 0);
+
+/**
+ * Redacts the values of URL parameters (a query string, or a fragment such as
+ * #access_token=...). Each name=value pair is checked decoded, so percent-encoded values
+ * (e.g. %40 in an email) are found, and the parameters are encoded again afterwards.
+ * @param {string} text - The query string or fragment without its leading ? or #.
+ * @param {function(string): string} redact
+ * @returns {string|null} - The redacted parameters, or null when nothing was redacted.
+ */
+const redactUrlParams = (text, redact) => {
+  let changed = false;
+  const params = [...new URLSearchParams(text)].map(([name, value]) => {
+    const pair = `${name}=${value}`;
+    const redacted = redact(pair);
+    if (redacted === pair) {
+      return [name, value];
+    }
+    changed = true;
+    return redacted.startsWith(`${name}=`) ? [name, redacted.slice(name.length + 1)] : [name, redact(value)];
+  });
+  return changed ? new URLSearchParams(params).toString() : null;
+};
+
+/**
+ * Redacts the query string and fragment of a URL, where tokens, session ids and email addresses
+ * end up; the host and path stay readable. A URL without anything to redact is returned unchanged.
+ * @param {string} url
+ * @param {function(string): string} redact
+ * @returns {string}
+ */
+const redactUrl = (url, redact) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    // Not a URL after all; treated as plain text
+    return redact(url);
+  }
+  const search = parsed.search && redactUrlParams(parsed.search.slice(1), redact);
+  const fragment = parsed.hash.slice(1);
+  const hash = fragment.includes('=') ? redactUrlParams(fragment, redact) : fragment && redact(fragment);
+  if (!search && (!hash || hash === fragment)) {
+    return url;
+  }
+  if (search) {
+    parsed.search = search;
+  }
+  if (hash && hash !== fragment) {
+    parsed.hash = hash;
+  }
+  return parsed.href;
+};
+
+/**
+ * Redacts every text field of the page metadata (title, author, site name, URLs...), which
+ * is sent in the prompt's header and as {{title}} / {{url}}.
+ * @param {object} metadata
+ * @param {function(string): string} redact
+ * @returns {object}
+ */
+const redactMetadata = (metadata, redact) => Object.fromEntries(Object.entries(metadata).map(([field, value]) => {
+  if (typeof value !== 'string') {
+    return [field, value];
+  }
+  return [field, /url$/i.test(field) ? redactUrl(value, redact) : redact(value)];
+}));
+
+/**
+ * Redacts extracted page content before it leaves the browser: the page text, the selection,
+ * the text around it and the page metadata. Every caller that sends page content to an LLM goes through this.
+ * @param {object} contentResponse - A successful GET_PAGE_CONTENT response (or the same shape for PDFs).
+ * @param {string} url - The page URL, checked against the blocklist.
+ * @returns {Promise<object>} - A copy with redacted text and `redactions` ({ label: count }).
+ * @throws {Error} - DOMAIN_BLOCKED when the page is on the blocklist.
+ */
+export const protectPageContent = async (contentResponse, url) => {
+  const settings = await getPrivacySettings();
+  const blockedPattern = findBlockedPattern(url, settings.blockedDomains);
+  if (blockedPattern) {
+    logger.warn(`Not sending content of ${url}: it matches the blocklist pattern "${blockedPattern}".`);
+    throw new Error(ERROR_MESSAGES.DOMAIN_BLOCKED);
+  }
+
+  const redactions = {};
+  const redact = (text) => {
+    if (!text) {
+      return text;
+    }
+    const result = redactText(text, settings);
+    Object.entries(result.counts).forEach(([label, count]) => {
+      redactions[label] = (redactions[label] || 0) + count;
+    });
+    return result.text;
+  };
+  const protectedResponse = {
+    ...contentResponse,
+    content: redact(contentResponse.content),
+    selection: redact(contentResponse.selection),
+    selectionContext: redact(contentResponse.selectionContext),
+    // Without metadata (e.g. only the selected text) the page URL stands in for the canonical URL
+    metadata: redactMetadata({ canonicalUrl: url, ...contentResponse.metadata }, redact),
+    redactions,
+  };
+  const total = countRedactions(redactions);
+  if (total > 0) {
+    logger.info(`Redacted ${total} item(s) from the content of ${url}.`);
+  }
+  return protectedResponse;
+};
+
+/**
+ * Describes redaction counts for the popup, e.g. "邮箱 2、电话号码 1".
+ * @param {Object<string, number>} redactions
+ * @returns {string}
+ */
+export const describeRedactions = (redactions) => Object.entries(redactions || {})
+  .map(([label, count]) => `${label} ${count}`)
+  .join('、');
+
+/**
+ * Validates user regexes for the options page.
+ * @param {{name: string, pattern: string}[]} customPatterns
+ * @returns {string|null} - An error message, or null when the patterns are fine.
+ */
+export const validateRedactionPatterns = (customPatterns) => {
+  for (const { name, pattern } of customPatterns) {
+    if (!name || !pattern) {
+      return '自定义过滤规则的名称和正则表达式不能为空。';
+    }
+    if (!/^[\w一-龥-]+$/.test(name)) {
+      return `过滤规则名称 "${name}" 只能包含字母、数字、汉字、下划线和连字符。`;
+    }
+    let regex;
+    try {
+      regex = new RegExp(pattern, 'g');
+    } catch (error) {
+      return `过滤规则 "${name}" 的正则表达式无效: ${error.message}`;
+    }
+    // A pattern matching the empty string would insert placeholders between all characters
+    if (regex.test('')) {
+      return `过滤规则 "${name}" 的正则表达式会匹配空字符串。`;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,287 @@
+// chrome-llm-summarizer/domain/profiles.js
+
+import createLogger from '../utils/logger.js';
+import { getStorage, setStorage, removeStorage, getManagedPolicy } from './storage.js';
+import { readApiKey, saveApiKeys } from './key_vault.js';
+import { findMatchingRule } from '../utils/url_pattern.js';
+import {
+  STORAGE_KEYS,
+  DEFAULT_PROVIDER,
+  DEFAULT_PROMPT_TEMPLATE,
+  DEFAULT_TEMPERATURE,
+  DEFAULT_MAX_TOKENS,
+  DEFAULT_PROFILE_ID,
+  ERROR_MESSAGES,
+  LEGACY_STORAGE_KEYS,
+  MANAGED_POLICY_KEYS,
+  MANAGED_PROFILE_FIELDS,
+} from '../utils/constants.js';
+
+const logger = createLogger('domain/profiles');
+
+/**
+ * A named LLM configuration.
+ * @typedef {object} Profile
+ * @property {string} id
+ * @property {string} name
+ * @property {string} provider - One of PROVIDER_IDS.
+ * @property {string} apiHost
+ * @property {string} apiKey - Not stored with the profile: kept encrypted in local storage (see
+ *   domain/key_vault.js) and filled in by resolveProfile and getFallbackProfile.
+ * @property {string} modelName
+ * @property {number} temperature
+ * @property {number} maxTokens
+ * @property {string} promptTemplate
+ * @property {string} fallbackProfileId - Profile tried when requests with this one fail; empty for none.
+ * @property {string[]} [lockedFields] - Only on team profiles from the managed policy: fields the user cannot change.
+ */
+
+/**
+ * Creates a profile with default values, overridden by the given fields.
+ * @param {Partial<Profile>} [fields]
+ * @returns {Profile}
+ */
+export const createProfile = (fields = {}) => ({
+  id: `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  name: '新配置',
+  provider: DEFAULT_PROVIDER,
+  apiHost: '',
+  apiKey: '',
+  modelName: '',
+  temperature: DEFAULT_TEMPERATURE,
+  maxTokens: DEFAULT_MAX_TOKENS,
+  promptTemplate: DEFAULT_PROMPT_TEMPLATE,
+  fallbackProfileId: '',
+  ...fields,
+});
+
+// Team profiles of the policy; entries without an id or name are ignored
+const getPolicyProfiles = (policy) => (policy[MANAGED_POLICY_KEYS.PROFILES] || []).filter((profile) => profile?.id && profile.name);
+
+/**
+ * Puts the team profiles of the managed policy in front of the user's profiles. A stored
+ * profile with the same id keeps only the fields the policy allows users to override.
+ * @param {Profile[]} storedProfiles
+ * @param {object} policy - See MANAGED_POLICY_KEYS.
+ * @returns {Profile[]}
+ */
+const applyManagedProfiles = (storedProfiles, policy) => {
+  const managedProfiles = getPolicyProfiles(policy);
+  if (managedProfiles.length === 0) {
+    return storedProfiles;
+  }
+  const allowedFields = policy[MANAGED_POLICY_KEYS.ALLOWED_PROFILE_OVERRIDES] || [];
+  const lockedFields = MANAGED_PROFILE_FIELDS.filter((field) => !allowedFields.includes(field));
+  const managedIds = new Set(managedProfiles.map((profile) => profile.id));
+
+  const teamProfiles = managedProfiles.map((policyProfile) => {
+    const stored = storedProfiles.find((profile) => profile.id === policyProfile.id) || {};
+    const overrides = Object.fromEntries(allowedFields
+      .filter((field) => MANAGED_PROFILE_FIELDS.includes(field) && stored[field] !== undefined)
+      .map((field) => [field, stored[field]]));
+    return createProfile({ ...policyProfile, ...overrides, lockedFields });
+  });
+  const ownProfiles = policy[MANAGED_POLICY_KEYS.ALLOW_CUSTOM_PROFILES] === false
+    ? []
+    : storedProfiles.filter((profile) => !managedIds.has(profile.id));
+  return [...teamProfiles, ...ownProfiles];
+};
+
+/**
+ * Loads profiles, the active profile id and the site rules.
+ * When no profiles are stored yet, a "默认" profile is built from the legacy flat keys so
+ * existing installations keep working before their settings are migrated. Team profiles of
+ * the managed policy come first. The profiles come without their API keys.
+ * @returns {Promise<{profiles: Profile[], activeProfileId: string, siteRules: {pattern: string, profileId: string}[]}>}
+ */
+export const getProfileSettings = async () => {
+  const items = await getStorage([
+    STORAGE_KEYS.PROFILES,
+    STORAGE_KEYS.ACTIVE_PROFILE_ID,
+    STORAGE_KEYS.SITE_RULES,
+    ...LEGACY_STORAGE_KEYS,
+  ]);
+  const policy = await getManagedPolicy();
+  const hasManagedProfiles = getPolicyProfiles(policy).length > 0;
+
+  let profiles = Array.isArray(items[STORAGE_KEYS.PROFILES]) ? items[STORAGE_KEYS.PROFILES] : [];
+  // Team profiles make the empty "默认" profile unnecessary, unless there are legacy settings for it
+  if (profiles.length === 0 && (!hasManagedProfiles || LEGACY_STORAGE_KEYS.some((key) => items[key]))) {
+    logger.info('No profiles stored. Building the default profile from legacy settings.');
+    profiles = [createProfile({
+      id: DEFAULT_PROFILE_ID,
+      name: '默认',
+      provider: items[STORAGE_KEYS.PROVIDER] || DEFAULT_PROVIDER,
+      apiHost: items[STORAGE_KEYS.API_HOST] || '',
+      apiKey: items[STORAGE_KEYS.API_KEY] || '',
+      modelName: items[STORAGE_KEYS.MODEL_NAME] || '',
+      promptTemplate: items[STORAGE_KEYS.PROMPT_TEMPLATE] || DEFAULT_PROMPT_TEMPLATE,
+    })];
+  }
+  profiles = applyManagedProfiles(profiles, policy);
+
+  const storedActiveId = items[STORAGE_KEYS.ACTIVE_PROFILE_ID];
+  const activeProfileId = profiles.some((profile) => profile.id === storedActiveId) ? storedActiveId : profiles[0].id;
+
+  return {
+    profiles,
+    activeProfileId,
+    siteRules: Array.isArray(items[STORAGE_KEYS.SITE_RULES]) ? items[STORAGE_KEYS.SITE_RULES] : [],
+  };
+};
+
+// Profiles as written to sync storage, where API keys must never end up
+const withoutApiKey = ({ apiKey, lockedFields, ...profile }) => profile;
+
+/**
+ * Saves profiles, the active profile id and the site rules, and drops the legacy flat keys.
+ * API keys go to the key vault; keys of deleted profiles are removed from it. Own profiles
+ * hidden by the managed policy are kept as they are.
+ * @param {{profiles: Profile[], activeProfileId: string, siteRules: object[], apiKeys?: Object<string, string>}} settings
+ *   `apiKeys` maps profile ids to changed keys (an empty string removes the key).
+ * @returns {Promise<void>}
+ * @throws {Error} - API_KEYS_LOCKED when a changed key cannot be encrypted; nothing is saved then.
+ */
+export const saveProfileSettings = async ({ profiles, activeProfileId, siteRules, apiKeys = {} }) => {
+  let storedProfiles = profiles;
+  if ((await getManagedPolicy())[MANAGED_POLICY_KEYS.ALLOW_CUSTOM_PROFILES] === false) {
+    const { [STORAGE_KEYS.PROFILES]: previous = [] } = await getStorage(STORAGE_KEYS.PROFILES);
+    storedProfiles = [...profiles, ...previous.filter((profile) => !profiles.some((item) => item.id === profile.id))];
+  }
+  await saveApiKeys(apiKeys, storedProfiles.map((profile) => profile.id));
+  await setStorage({
+    [STORAGE_KEYS.PROFILES]: storedProfiles.map(withoutApiKey),
+    [STORAGE_KEYS.ACTIVE_PROFILE_ID]: activeProfileId,
+    [STORAGE_KEYS.SITE_RULES]: siteRules,
+  });
+  await removeStorage(LEGACY_STORAGE_KEYS);
+  logger.info(`Saved ${profiles.length} profile(s) and ${siteRules.length} site rule(s).`);
+};
+
+/**
+ * Moves API keys stored in plain text in sync storage (in profiles or the legacy flat key)
+ * into the key vault. Runs on install, update and browser start, and when the options page
+ * opens; a key synced in from an older version is picked up the next time.
+ * @returns {Promise<void>}
+ * @throws {Error} - API_KEYS_LOCKED when keys are waiting to be moved but the vault is locked.
+ */
+export const migrateApiKeys = async () => {
+  const items = await getStorage([STORAGE_KEYS.PROFILES, STORAGE_KEYS.API_KEY]);
+  const storedProfiles = Array.isArray(items[STORAGE_KEYS.PROFILES]) ? items[STORAGE_KEYS.PROFILES] : [];
+  const apiKeys = Object.fromEntries(storedProfiles.filter((profile) => profile.apiKey).map((profile) => [profile.id, profile.apiKey]));
+  // Before profiles existed, the single key belongs to the "默认" profile built from the legacy keys
+  if (storedProfiles.length === 0 && items[STORAGE_KEYS.API_KEY]) {
+    apiKeys[DEFAULT_PROFILE_ID] = items[STORAGE_KEYS.API_KEY];
+  }
+  if (Object.keys(apiKeys).length === 0 && !items[STORAGE_KEYS.API_KEY]) {
+    return;
+  }
+
+  await saveApiKeys(apiKeys);
+  if (storedProfiles.some((profile) => 'apiKey' in profile)) {
+    await setStorage({ [STORAGE_KEYS.PROFILES]: storedProfiles.map(withoutApiKey) });
+  }
+  await removeStorage(STORAGE_KEYS.API_KEY);
+  logger.info(`Moved ${Object.keys(apiKeys).length} API key(s) from sync storage into the encrypted local store.`);
+};
+
+// Adds the decrypted API key. While the keys are locked the profile is marked with
+// `apiKeyLocked`, so requests can report it and the popup can still show the profile.
+const withApiKey = async (profile) => {
+  // A key not migrated yet is still stored with the profile
+  if (profile.apiKey) {
+    return profile;
+  }
+  try {
+    return { ...profile, apiKey: await readApiKey(profile.id) };
+  } catch (error) {
+    if (error.message !== ERROR_MESSAGES.API_KEYS_LOCKED) {
+      throw error;
+    }
+    return { ...profile, apiKeyLocked: true };
+  }
+};
+
+/**
+ * Persists the profile chosen in the popup as the active one.
+ * @param {string} profileId
+ * @returns {Promise<void>}
+ */
+export const setActiveProfileId = async (profileId) => {
+  await setStorage({ [STORAGE_KEYS.ACTIVE_PROFILE_ID]: profileId });
+};
+
+// Picks the profile for a page: an explicitly requested profile, then the first site rule
+// matching the URL, then the active profile
+const pickProfile = async ({ url, profileId }) => {
+  const { profiles, activeProfileId, siteRules } = await getProfileSettings();
+  const byId = (id) => profiles.find((profile) => profile.id === id);
+
+  if (profileId) {
+    const explicit = byId(profileId);
+    if (!explicit) {
+      logger.warn(`Requested profile ${profileId} does not exist.`);
+      throw new Error(ERROR_MESSAGES.PROFILE_NOT_FOUND);
+    }
+    logger.info(`Using explicitly selected profile "${explicit.name}".`);
+    return { profile: explicit, matchedRule: null };
+  }
+
+  const matchedRule = findMatchingRule(url, siteRules.filter((rule) => byId(rule.profileId)));
+  if (matchedRule) {
+    const profile = byId(matchedRule.profileId);
+    logger.info(`Site rule "${matchedRule.pattern}" matched. Using profile "${profile.name}".`);
+    return { profile, matchedRule };
+  }
+
+  const profile = byId(activeProfileId);
+  logger.info(`No site rule matched. Using active profile "${profile.name}".`);
+  return { profile, matchedRule: null };
+};
+
+/**
+ * Picks the profile to use for a page, without its API key (for the popup, which only shows it).
+ * Order: an explicitly requested profile, then the first site rule matching the URL,
+ * then the active profile.
+ * @param {object} params
+ * @param {string} [params.url] - URL of the page being summarized.
+ * @param {string} [params.profileId] - Profile explicitly chosen by the user.
+ * @returns {Promise<{profile: Profile, matchedRule: object|null}>}
+ */
+export const selectProfile = async ({ url, profileId } = {}) => {
+  // A legacy key not migrated yet is still stored with the profile
+  const { profile: { apiKey, ...profile }, matchedRule } = await pickProfile({ url, profileId });
+  return { profile, matchedRule };
+};
+
+/**
+ * Picks the profile to use for a page like selectProfile and adds its decrypted API key.
+ * Only the background service worker, which makes the requests, calls this.
+ * @param {object} params
+ * @param {string} [params.url] - URL of the page being summarized.
+ * @param {string} [params.profileId] - Profile explicitly chosen by the user.
+ * @returns {Promise<{profile: Profile, matchedRule: object|null}>}
+ */
+export const resolveProfile = async ({ url, profileId } = {}) => {
+  const { profile, matchedRule } = await pickProfile({ url, profileId });
+  return { profile: await withApiKey(profile), matchedRule };
+};
+
+/**
+ * Finds the fallback profile of a profile. Fallbacks are not chained: the fallback's own
+ * fallback is ignored, and a profile cannot be its own fallback.
+ * @param {Profile} profile
+ * @returns {Promise<Profile|null>}
+ */
+export const getFallbackProfile = async (profile) => {
+  if (!profile?.fallbackProfileId || profile.fallbackProfileId === profile.id) {
+    return null;
+  }
+  const { profiles } = await getProfileSettings();
+  const fallback = profiles.find((item) => item.id === profile.fallbackProfileId);
+  if (!fallback) {
+    logger.warn(`Fallback profile ${profile.fallbackProfileId} of "${profile.name}" no longer exists.`);
+    return null;
+  }
+  return withApiKey(fallback);
+};
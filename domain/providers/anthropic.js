@@ -0,0 +1,72 @@
+// chrome-llm-summarizer/domain/providers/anthropic.js
+
+import { PROVIDER_IDS } from '../../utils/constants.js';
+
+/**
+ * Adapter for the Anthropic Messages API.
+ * Endpoint: {host}/v1/messages, `x-api-key` authentication, SSE streaming with typed events.
+ * System messages are moved to the top-level `system` field.
+ */
+const anthropicProvider = {
+  id: PROVIDER_IDS.ANTHROPIC,
+  label: 'Anthropic Claude',
+  defaultHost: 'https://api.anthropic.com',
+  modelPlaceholder: 'claude-3-5-haiku-latest',
+  requiresApiKey: true,
+  streamFormat: 'sse',
+
+  // The Messages API has no JSON mode; `json` requests rely on the prompt alone
+  buildRequest: ({ apiHost, apiKey, modelName, messages, temperature, maxTokens }) => {
+    const system = messages.filter((message) => message.role === 'system').map((message) => message.content).join('\n\n');
+    const body = {
+      model: modelName,
+      messages: messages.filter((message) => message.role !== 'system'),
+      stream: true,
+      max_tokens: maxTokens, // Required by the Messages API
+      temperature,
+    };
+    if (system) {
+      body.system = system;
+    }
+    return {
+      url: `${apiHost}/v1/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        // Required for requests sent from a browser context such as an extension
+        'anthropic-dangerous-direct-browser-access': 'true',
+      },
+      body,
+    };
+  },
+
+  // Text arrives in content_block_delta events; errors can also be sent mid-stream
+  parseStreamEvent: (event) => {
+    if (event.type === 'error') {
+      throw new Error(event.error?.message || 'Stream error');
+    }
+    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      return event.delta.text || '';
+    }
+    return '';
+  },
+
+  // message_start reports the prompt tokens, message_delta the output tokens generated so far
+  parseUsage: (event) => {
+    if (event.type === 'message_start' && event.message?.usage) {
+      const usage = event.message.usage;
+      // Cached prompt tokens are counted separately from input_tokens
+      return { promptTokens: (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0) };
+    }
+    if (event.type === 'message_delta' && event.usage) {
+      return { completionTokens: event.usage.output_tokens };
+    }
+    return null;
+  },
+
+  // Error structure: { type: "error", error: { type, message } }
+  extractErrorMessage: (errorJson) => errorJson.error?.message,
+};
+
+export default anthropicProvider;
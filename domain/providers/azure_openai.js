@@ -0,0 +1,48 @@
+// chrome-llm-summarizer/domain/providers/azure_openai.js
+
+import { PROVIDER_IDS } from '../../utils/constants.js';
+import openaiProvider from './openai.js';
+
+// Azure requires an explicit API version on every call
+const AZURE_API_VERSION = '2024-10-21';
+
+/**
+ * Adapter for Azure OpenAI. Requests go to a deployment rather than a model, so the
+ * "model name" setting holds the deployment name, and the key is sent in an `api-key` header.
+ * Request and streaming response bodies are the same as OpenAI's.
+ * Endpoint: {host}/openai/deployments/{deployment}/chat/completions?api-version=...
+ */
+const azureOpenaiProvider = {
+  id: PROVIDER_IDS.AZURE_OPENAI,
+  label: 'Azure OpenAI',
+  defaultHost: 'https://YOUR-RESOURCE.openai.azure.com',
+  modelPlaceholder: '部署名称 (deployment name)',
+  requiresApiKey: true,
+  streamFormat: 'sse',
+
+  buildRequest: ({ apiHost, apiKey, modelName, messages, temperature, maxTokens, json }) => ({
+    url: `${apiHost}/openai/deployments/${encodeURIComponent(modelName)}/chat/completions?api-version=${AZURE_API_VERSION}`,
+    headers: {
+      'Content-Type': 'application/json',
+      'api-key': apiKey,
+    },
+    body: {
+      // No `model` field: the deployment in the URL selects the model
+      messages,
+      stream: true,
+      stream_options: { include_usage: true },
+      max_tokens: maxTokens,
+      temperature,
+      ...(json ? { response_format: { type: 'json_object' } } : {}),
+    },
+  }),
+
+  // The first Azure event only carries prompt_filter_results with empty choices; that yields ''
+  parseStreamEvent: openaiProvider.parseStreamEvent,
+
+  parseUsage: openaiProvider.parseUsage,
+
+  extractErrorMessage: openaiProvider.extractErrorMessage,
+};
+
+export default azureOpenaiProvider;
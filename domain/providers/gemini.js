@@ -0,0 +1,64 @@
+// chrome-llm-summarizer/domain/providers/gemini.js
+
+import { PROVIDER_IDS } from '../../utils/constants.js';
+
+/**
+ * Adapter for the Google Gemini API (Generative Language API).
+ * Endpoint: {host}/v1beta/models/{model}:streamGenerateContent?alt=sse, `x-goog-api-key` authentication.
+ * Messages become `contents` with the roles "user" and "model"; system messages go to `systemInstruction`.
+ */
+const geminiProvider = {
+  id: PROVIDER_IDS.GEMINI,
+  label: 'Google Gemini',
+  defaultHost: 'https://generativelanguage.googleapis.com',
+  modelPlaceholder: 'gemini-2.0-flash',
+  requiresApiKey: true,
+  streamFormat: 'sse',
+
+  buildRequest: ({ apiHost, apiKey, modelName, messages, temperature, maxTokens, json }) => {
+    const system = messages.filter((message) => message.role === 'system').map((message) => message.content).join('\n\n');
+    const body = {
+      contents: messages
+        .filter((message) => message.role !== 'system')
+        .map((message) => ({
+          role: message.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: message.content }],
+        })),
+      generationConfig: {
+        temperature,
+        maxOutputTokens: maxTokens,
+        ...(json ? { responseMimeType: 'application/json' } : {}),
+      },
+    };
+    if (system) {
+      body.systemInstruction = { parts: [{ text: system }] };
+    }
+    return {
+      url: `${apiHost}/v1beta/models/${encodeURIComponent(modelName)}:streamGenerateContent?alt=sse`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': apiKey,
+      },
+      body,
+    };
+  },
+
+  // Each SSE event is a partial GenerateContentResponse: { candidates: [{ content: { parts: [{ text }] } }] }
+  parseStreamEvent: (event) => {
+    if (event.error) {
+      throw new Error(event.error.message || 'Stream error');
+    }
+    const parts = event.candidates?.[0]?.content?.parts || [];
+    return parts.map((part) => part.text || '').join('');
+  },
+
+  // Every event repeats the running totals in usageMetadata; the last one is final
+  parseUsage: (event) => (event.usageMetadata
+    ? { promptTokens: event.usageMetadata.promptTokenCount, completionTokens: event.usageMetadata.candidatesTokenCount }
+    : null),
+
+  // Error structure: { error: { code, message, status } }
+  extractErrorMessage: (errorJson) => errorJson.error?.message || errorJson[0]?.error?.message,
+};
+
+export default geminiProvider;
@@ -0,0 +1,41 @@
+// chrome-llm-summarizer/domain/providers/index.js
+
+import { DEFAULT_PROVIDER } from '../../utils/constants.js';
+import openaiProvider from './openai.js';
+import anthropicProvider from './anthropic.js';
+import geminiProvider from './gemini.js';
+import ollamaProvider from './ollama.js';
+import azureOpenaiProvider from './azure_openai.js';
+
+/**
+ * Registry of LLM API adapters. Every adapter exposes the same shape:
+ *   id, label, defaultHost, modelPlaceholder, requiresApiKey,
+ *   streamFormat ('sse' | 'ndjson'),
+ *   buildRequest(params) -> { url, headers, body } (params.json asks for a JSON object where the API supports it),
+ *   parseStreamEvent(event) -> text delta (throws on in-stream errors),
+ *   parseUsage(event) -> { promptTokens?, completionTokens? } | null (later events override earlier counts),
+ *   extractErrorMessage(errorJson) -> string | undefined.
+ */
+const PROVIDERS = [
+  openaiProvider,
+  anthropicProvider,
+  geminiProvider,
+  ollamaProvider,
+  azureOpenaiProvider,
+];
+
+const PROVIDERS_BY_ID = new Map(PROVIDERS.map((provider) => [provider.id, provider]));
+
+/**
+ * Returns the adapter for a provider id, falling back to the OpenAI-compatible adapter
+ * for unknown or missing ids (settings saved before providers existed).
+ * @param {string} [providerId]
+ * @returns {object}
+ */
+export const getProvider = (providerId) => PROVIDERS_BY_ID.get(providerId) || PROVIDERS_BY_ID.get(DEFAULT_PROVIDER);
+
+/**
+ * Lists all adapters, e.g. to build the provider dropdown on the options page.
+ * @returns {object[]}
+ */
+export const listProviders = () => PROVIDERS;
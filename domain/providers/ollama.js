@@ -0,0 +1,58 @@
+// chrome-llm-summarizer/domain/providers/ollama.js
+
+import { PROVIDER_IDS } from '../../utils/constants.js';
+
+/**
+ * Adapter for a local Ollama server.
+ * Endpoint: {host}/api/chat, no authentication by default, newline-delimited JSON streaming.
+ * Note: Ollama rejects requests from extension origins unless OLLAMA_ORIGINS allows them
+ * (e.g. OLLAMA_ORIGINS=chrome-extension://*).
+ */
+const ollamaProvider = {
+  id: PROVIDER_IDS.OLLAMA,
+  label: 'Ollama (本地)',
+  defaultHost: 'http://localhost:11434',
+  modelPlaceholder: 'llama3.1',
+  requiresApiKey: false,
+  streamFormat: 'ndjson',
+
+  buildRequest: ({ apiHost, apiKey, modelName, messages, temperature, maxTokens, json }) => {
+    const headers = { 'Content-Type': 'application/json' };
+    // A key is optional; it is useful when Ollama sits behind an authenticating proxy
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    return {
+      url: `${apiHost}/api/chat`,
+      headers,
+      body: {
+        model: modelName,
+        messages,
+        stream: true,
+        ...(json ? { format: 'json' } : {}),
+        options: {
+          temperature,
+          num_predict: maxTokens,
+        },
+      },
+    };
+  },
+
+  // Each line: { message: { role, content }, done: false }
+  parseStreamEvent: (event) => {
+    if (event.error) {
+      throw new Error(event.error);
+    }
+    return event.message?.content || '';
+  },
+
+  // The final line ({ done: true }) carries the token counts
+  parseUsage: (event) => (event.done
+    ? { promptTokens: event.prompt_eval_count, completionTokens: event.eval_count }
+    : null),
+
+  // Error structure: { error: "..." }
+  extractErrorMessage: (errorJson) => errorJson.error,
+};
+
+export default ollamaProvider;
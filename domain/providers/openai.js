@@ -0,0 +1,60 @@
+// chrome-llm-summarizer/domain/providers/openai.js
+
+import { PROVIDER_IDS } from '../../utils/constants.js';
+
+/**
+ * Adapter for the OpenAI Chat Completions API and the many servers that mimic it
+ * (DeepSeek, OpenRouter, vLLM, LM Studio, ...).
+ * Endpoint: {host}/v1/chat/completions, Bearer authentication, SSE streaming.
+ */
+const openaiProvider = {
+  id: PROVIDER_IDS.OPENAI,
+  label: 'OpenAI / OpenAI 兼容接口',
+  defaultHost: 'https://api.openai.com',
+  modelPlaceholder: 'gpt-4o-mini',
+  requiresApiKey: true,
+  streamFormat: 'sse',
+
+  /**
+   * @param {object} params
+   * @param {string} params.apiHost - Base URL without trailing slash.
+   * @param {string} params.apiKey
+   * @param {string} params.modelName
+   * @param {{role: string, content: string}[]} params.messages
+   * @param {number} params.temperature
+   * @param {number} params.maxTokens
+   * @param {boolean} [params.json] - Ask for a single JSON object instead of free text.
+   * @returns {{url: string, headers: object, body: object}}
+   */
+  buildRequest: ({ apiHost, apiKey, modelName, messages, temperature, maxTokens, json }) => ({
+    url: `${apiHost}/v1/chat/completions`,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`,
+    },
+    body: {
+      model: modelName,
+      messages, // OpenAI accepts system/user/assistant roles as-is
+      stream: true,
+      // Adds a final event with the token usage; compatible servers without it usually ignore the field
+      stream_options: { include_usage: true },
+      max_tokens: maxTokens,
+      temperature,
+      // JSON mode; the prompt must mention JSON, which the extraction prompt does
+      ...(json ? { response_format: { type: 'json_object' } } : {}),
+    },
+  }),
+
+  // Each SSE event: { choices: [{ delta: { content: "..." } }] }
+  parseStreamEvent: (event) => event.choices?.[0]?.delta?.content || '',
+
+  // The last event (with empty choices) carries { usage: { prompt_tokens, completion_tokens } }
+  parseUsage: (event) => (event.usage
+    ? { promptTokens: event.usage.prompt_tokens, completionTokens: event.usage.completion_tokens }
+    : null),
+
+  // Error structure: { error: { message, type, param, code } }
+  extractErrorMessage: (errorJson) => errorJson.error?.message,
+};
+
+export default openaiProvider;
@@ -0,0 +1,121 @@
+// chrome-llm-summarizer/domain/settings_transfer.js
+
+import createLogger from '../utils/logger.js';
+import { getStoredSettings, setStorage, applySettingsMigrations } from './storage.js';
+import { getApiKeyHints, readApiKey, saveApiKeys } from './key_vault.js';
+import { STORAGE_KEYS, SETTINGS_SCHEMA_VERSION, SETTINGS_EXPORT_FORMAT } from '../utils/constants.js';
+
+const logger = createLogger('domain/settings_transfer');
+
+/**
+ * A settings file exported from the options page.
+ * @typedef {object} SettingsFile
+ * @property {string} format - SETTINGS_EXPORT_FORMAT.
+ * @property {number} version - Schema version of `settings` (SETTINGS_SCHEMA_VERSION of the exporting build).
+ * @property {string} exportedAt - ISO timestamp.
+ * @property {object} settings - Sync storage settings, keyed by their STORAGE_KEYS value.
+ * @property {Object<string, string>} [apiKeys] - Plain-text API keys by profile id, only when chosen on export.
+ */
+
+// Keys that are not settings in sync storage: data kept locally or per session, and the
+// version, which the file carries in its header
+const NON_SETTING_KEYS = [
+  STORAGE_KEYS.CONVERSATION_PREFIX,
+  STORAGE_KEYS.HISTORY,
+  STORAGE_KEYS.RESPONSE_CACHE,
+  STORAGE_KEYS.USAGE_RECORDS,
+  STORAGE_KEYS.USAGE_TOTALS,
+  STORAGE_KEYS.KEY_VAULT,
+  STORAGE_KEYS.ENCRYPTED_API_KEYS,
+  STORAGE_KEYS.VAULT_SESSION_KEY,
+  STORAGE_KEYS.SETTINGS_VERSION,
+  STORAGE_KEYS.JOB_PREFIX,
+];
+const SETTING_KEYS = Object.values(STORAGE_KEYS).filter((key) => !NON_SETTING_KEYS.includes(key));
+
+const pickSettings = (items) => Object.fromEntries(Object.entries(items).filter(([key]) => SETTING_KEYS.includes(key)));
+
+/**
+ * Builds the settings file with everything the user has set (the managed policy is not included).
+ * @param {object} [options]
+ * @param {boolean} [options.includeApiKeys] - Add the decrypted API keys in plain text.
+ * @returns {Promise<SettingsFile>}
+ * @throws {Error} - API_KEYS_LOCKED when keys are requested while the key vault is locked.
+ */
+export const buildSettingsExport = async ({ includeApiKeys = false } = {}) => {
+  const stored = await getStoredSettings();
+  const data = {
+    format: SETTINGS_EXPORT_FORMAT,
+    version: stored[STORAGE_KEYS.SETTINGS_VERSION] ?? 0,
+    exportedAt: new Date().toISOString(),
+    settings: pickSettings(stored),
+  };
+  if (includeApiKeys) {
+    data.apiKeys = {};
+    for (const profileId of Object.keys(await getApiKeyHints())) {
+      data.apiKeys[profileId] = await readApiKey(profileId);
+    }
+  }
+  logger.info(`Exported ${Object.keys(data.settings).length} setting(s)${includeApiKeys ? ` and ${Object.keys(data.apiKeys).length} API key(s)` : ''}.`);
+  return data;
+};
+
+/**
+ * Reads a settings file and migrates it to the current schema version.
+ * @param {string} text - The file content.
+ * @returns {{error: string|null, settings?: object, apiKeys?: Object<string, string>}} - API keys
+ *   found in profiles (files of older versions) are moved into `apiKeys`.
+ */
+export const parseSettingsFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { error: '文件不是有效的 JSON。' };
+  }
+  if (data?.format !== SETTINGS_EXPORT_FORMAT) {
+    return { error: '这不是 LLM Summarizer 导出的设置文件。' };
+  }
+  if (!Number.isInteger(data.version) || data.version < 0) {
+    return { error: '设置文件的版本号无效。' };
+  }
+  if (data.version > SETTINGS_SCHEMA_VERSION) {
+    return { error: `设置文件来自更新版本的扩展 (设置版本 ${data.version})，请先更新扩展。` };
+  }
+  if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) {
+    return { error: '设置文件缺少设置内容。' };
+  }
+  const apiKeys = data.apiKeys ?? {};
+  if (typeof apiKeys !== 'object' || Object.values(apiKeys).some((apiKey) => typeof apiKey !== 'string')) {
+    return { error: '设置文件中的 API Key 格式无效。' };
+  }
+
+  const settings = applySettingsMigrations(pickSettings(data.settings), data.version);
+  const profiles = settings[STORAGE_KEYS.PROFILES];
+  if (profiles !== undefined) {
+    if (!Array.isArray(profiles) || profiles.some((profile) => typeof profile?.id !== 'string' || typeof profile.name !== 'string')) {
+      return { error: '设置文件中的 LLM 配置无效。' };
+    }
+    settings[STORAGE_KEYS.PROFILES] = profiles.map(({ apiKey, ...profile }) => {
+      if (apiKey && !apiKeys[profile.id]) {
+        apiKeys[profile.id] = apiKey;
+      }
+      return profile;
+    });
+  }
+  return { error: null, settings, apiKeys: Object.fromEntries(Object.entries(apiKeys).filter(([, apiKey]) => apiKey)) };
+};
+
+/**
+ * Saves imported settings. Settings missing from the file keep their current values, and
+ * settings locked by the managed policy are not changed.
+ * @param {{settings: object, apiKeys: Object<string, string>}} imported - From parseSettingsFile.
+ * @returns {Promise<void>}
+ * @throws {Error} - API_KEYS_LOCKED when the file has API keys and the key vault is locked; nothing is saved then.
+ */
+export const importSettings = async ({ settings, apiKeys }) => {
+  // First, so a locked vault stops the import before anything has changed
+  await saveApiKeys(apiKeys);
+  await setStorage({ ...settings, [STORAGE_KEYS.SETTINGS_VERSION]: SETTINGS_SCHEMA_VERSION });
+  logger.info(`Imported ${Object.keys(settings).length} setting(s) and ${Object.keys(apiKeys).length} API key(s).`);
+};
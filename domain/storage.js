@@ -1,19 +1,69 @@
 // chrome-llm-summarizer/domain/storage.js
 
 import createLogger from '../utils/logger.js';
-import { STORAGE_KEYS } from '../utils/constants.js';
+import {
+  STORAGE_KEYS,
+  LEGACY_STORAGE_KEYS,
+  SETTINGS_SCHEMA_VERSION,
+  MANAGED_POLICY_KEYS,
+  DEFAULT_PROFILE_ID,
+  DEFAULT_PROVIDER,
+  DEFAULT_PROMPT_TEMPLATE,
+  DEFAULT_TEMPERATURE,
+  DEFAULT_MAX_TOKENS,
+  ERROR_MESSAGES,
+} from '../utils/constants.js';
 
 const logger = createLogger('domain/storage');
 
+/**
+ * Reads the policy an administrator installed for the extension (chrome.storage.managed,
+ * described by managed_schema.json). Empty when there is none.
+ * @returns {Promise<object>} - See MANAGED_POLICY_KEYS.
+ */
+export const getManagedPolicy = async () => {
+  try {
+    return (await chrome.storage.managed?.get(null)) || {};
+  } catch (error) {
+    // Managed storage is unavailable in some environments (e.g. unpacked on Linux without policies)
+    logger.warn('Managed policy could not be read:', error.message);
+    return {};
+  }
+};
+
+// Default settings and locked keys of the policy
+const getPolicySettings = (policy) => ({
+  settings: policy[MANAGED_POLICY_KEYS.SETTINGS] || {},
+  lockedSettings: policy[MANAGED_POLICY_KEYS.LOCKED_SETTINGS] || [],
+});
+
 /**
  * Saves multiple key-value pairs to Chrome Sync Storage.
+ * Settings locked by the managed policy are not saved, and a value equal to the policy
+ * default is removed instead, so the user keeps following the default when it changes.
  * @param {object} data - An object containing key-value pairs to save (e.g., { key1: value1, key2: value2 }).
  * @returns {Promise<void>}
  */
 export const setStorage = async (data) => {
   logger.info('Attempting to save data to storage:', Object.keys(data));
+  const { settings, lockedSettings } = getPolicySettings(await getManagedPolicy());
+  const writable = {};
+  const followingDefault = [];
+  Object.entries(data).forEach(([key, value]) => {
+    if (lockedSettings.includes(key)) {
+      return;
+    }
+    if (key in settings && JSON.stringify(settings[key]) === JSON.stringify(value)) {
+      followingDefault.push(key);
+    } else {
+      writable[key] = value;
+    }
+  });
   try {
-    await chrome.storage.sync.set(data);
+    await chrome.storage.sync.set(writable);
+    if (followingDefault.length > 0) {
+      await chrome.storage.sync.remove(followingDefault);
+    }
     logger.info('Data saved successfully to storage.');
   } catch (error) {
     logger.errorWithStack('Failed to save data to storage.', error);
@@ -22,18 +72,253 @@ export const setStorage = async (data) => {
 };
 
 /**
- * Retrieves multiple values from Chrome Sync Storage.
+ * Retrieves multiple values from Chrome Sync Storage, with the managed policy applied:
+ * locked settings always have the policy value, and the policy defaults fill in settings
+ * the user has not set.
  * @param {string|string[]|object|null} keys - A key string or array of key strings to retrieve, or an object to default to. Defaults to all items if null.
  * @returns {Promise<object>} - A promise that resolves with an object containing the retrieved key-value pairs.
  */
 export const getStorage = async (keys) => {
   logger.info('Attempting to get data from storage for keys:', keys === null ? 'all' : keys);
+  let result;
+  try {
+    result = await chrome.storage.sync.get(keys);
+    // Only the keys: the values may be settings the user would not want in a log
+    logger.info('Data retrieved successfully from storage:', Object.keys(result));
+  } catch (error) {
+    logger.errorWithStack('Failed to get data from storage.', error);
+    throw new Error('Failed to retrieve settings.');
+  }
+
+  const { settings, lockedSettings } = getPolicySettings(await getManagedPolicy());
+  let requested = null;
+  if (typeof keys === 'string') {
+    requested = [keys];
+  } else if (Array.isArray(keys)) {
+    requested = keys;
+  } else if (keys) {
+    requested = Object.keys(keys);
+  }
+  Object.entries(settings)
+    .filter(([key]) => !requested || requested.includes(key))
+    .forEach(([key, value]) => {
+      if (lockedSettings.includes(key) || result[key] === undefined) {
+        result[key] = value;
+      }
+    });
+  return result;
+};
+
+/**
+ * Returns everything in sync storage as stored, without the policy, e.g. for an export.
+ * @returns {Promise<object>}
+ */
+export const getStoredSettings = async () => {
   try {
-    const result = await chrome.storage.sync.get(keys);
-    logger.info('Data retrieved successfully from storage:', result);
-    return result;
+    return await chrome.storage.sync.get(null);
   } catch (error) {
     logger.errorWithStack('Failed to get data from storage.', error);
     throw new Error('Failed to retrieve settings.');
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Migrations of the settings in sync storage, oldest first. `migrate` receives all settings of
+ * the previous version and returns those of its own version without changing its input. They
+ * run on install, update and browser start, and on imported settings files.
+ */
+const SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    // The single configuration of the first versions becomes the "默认" profile. Its API key
+    // goes along and is moved into the key vault by migrateApiKeys (domain/profiles.js).
+    migrate: (settings) => {
+      const migrated = { ...settings };
+      LEGACY_STORAGE_KEYS.forEach((key) => delete migrated[key]);
+      const hasProfiles = Array.isArray(settings[STORAGE_KEYS.PROFILES]) && settings[STORAGE_KEYS.PROFILES].length > 0;
+      if (!hasProfiles && LEGACY_STORAGE_KEYS.some((key) => settings[key])) {
+        migrated[STORAGE_KEYS.PROFILES] = [{
+          id: DEFAULT_PROFILE_ID,
+          name: '默认',
+          provider: settings[STORAGE_KEYS.PROVIDER] || DEFAULT_PROVIDER,
+          apiHost: settings[STORAGE_KEYS.API_HOST] || '',
+          apiKey: settings[STORAGE_KEYS.API_KEY] || '',
+          modelName: settings[STORAGE_KEYS.MODEL_NAME] || '',
+          temperature: DEFAULT_TEMPERATURE,
+          maxTokens: DEFAULT_MAX_TOKENS,
+          promptTemplate: settings[STORAGE_KEYS.PROMPT_TEMPLATE] || DEFAULT_PROMPT_TEMPLATE,
+          fallbackProfileId: '',
+        }];
+      }
+      return migrated;
+    },
+  },
+];
+
+/**
+ * Brings settings of an older schema version up to SETTINGS_SCHEMA_VERSION.
+ * @param {object} settings - Settings without the version key.
+ * @param {number} fromVersion - Their version; 0 for settings saved before versioning.
+ * @returns {object}
+ */
+export const applySettingsMigrations = (settings, fromVersion) => SETTINGS_MIGRATIONS
+  .filter((migration) => migration.version > fromVersion)
+  .reduce((current, migration) => {
+    logger.info(`Migrating settings to version ${migration.version}.`);
+    return migration.migrate(current);
+  }, settings);
+
+/**
+ * Migrates the settings in sync storage to the current schema version. Settings written by a
+ * newer version of the extension are left alone.
+ * @returns {Promise<void>}
+ */
+export const migrateSettings = async () => {
+  const { [STORAGE_KEYS.SETTINGS_VERSION]: storedVersion = 0, ...settings } = await getStoredSettings();
+  if (storedVersion >= SETTINGS_SCHEMA_VERSION) {
+    return;
+  }
+  const migrated = applySettingsMigrations(settings, storedVersion);
+  const removedKeys = Object.keys(settings).filter((key) => !(key in migrated));
+  const changed = Object.fromEntries(Object.entries(migrated)
+    .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(settings[key])));
+  try {
+    if (removedKeys.length > 0) {
+      await chrome.storage.sync.remove(removedKeys);
+    }
+    // Written as is: the policy filter of setStorage does not apply to migrations
+    await chrome.storage.sync.set({ ...changed, [STORAGE_KEYS.SETTINGS_VERSION]: SETTINGS_SCHEMA_VERSION });
+  } catch (error) {
+    logger.errorWithStack('Failed to save migrated settings.', error);
+    throw new Error('Failed to save settings.');
+  }
+  logger.info(`Settings migrated from version ${storedVersion} to ${SETTINGS_SCHEMA_VERSION}.`);
+};
+
+/**
+ * Removes one or more keys from Chrome Sync Storage.
+ * @param {string|string[]} keys - A key string or array of key strings to remove.
+ * @returns {Promise<void>}
+ */
+export const removeStorage = async (keys) => {
+  logger.info('Attempting to remove keys from storage:', keys);
+  try {
+    await chrome.storage.sync.remove(keys);
+    logger.info('Keys removed successfully from storage.');
+  } catch (error) {
+    logger.errorWithStack('Failed to remove keys from storage.', error);
+    throw new Error('Failed to remove settings.');
+  }
+};
+
+/**
+ * Retrieves values from chrome.storage.session. Session storage lives in memory, is cleared
+ * when the browser restarts and is only readable by extension pages and the service worker.
+ * @param {string|string[]|null} keys
+ * @returns {Promise<object>}
+ */
+export const getSessionStorage = async (keys) => {
+  logger.info('Attempting to get data from session storage for keys:', keys === null ? 'all' : keys);
+  try {
+    return await chrome.storage.session.get(keys);
+  } catch (error) {
+    logger.errorWithStack('Failed to get data from session storage.', error);
+    throw new Error('Failed to retrieve session data.');
+  }
+};
+
+/**
+ * Saves key-value pairs to chrome.storage.session.
+ * @param {object} data
+ * @returns {Promise<void>}
+ */
+export const setSessionStorage = async (data) => {
+  logger.info('Attempting to save data to session storage:', Object.keys(data));
+  try {
+    await chrome.storage.session.set(data);
+  } catch (error) {
+    logger.errorWithStack('Failed to save data to session storage.', error);
+    // Callers can make room and try again, or tell the user
+    if (/quota/i.test(error.message)) {
+      throw new Error(ERROR_MESSAGES.SESSION_STORAGE_FULL);
+    }
+    throw new Error('Failed to save session data.');
+  }
+};
+
+/**
+ * Removes one or more keys from chrome.storage.session.
+ * @param {string|string[]} keys
+ * @returns {Promise<void>}
+ */
+export const removeSessionStorage = async (keys) => {
+  logger.info('Attempting to remove keys from session storage:', keys);
+  try {
+    await chrome.storage.session.remove(keys);
+  } catch (error) {
+    logger.errorWithStack('Failed to remove keys from session storage.', error);
+    throw new Error('Failed to remove session data.');
+  }
+};
+
+/**
+ * Keeps content scripts out of chrome.storage.local and chrome.storage.session, so only extension
+ * pages and the service worker can read the encrypted API keys, conversations and jobs.
+ * Called on every start of the service worker.
+ * @returns {Promise<void>}
+ */
+export const restrictStorageAccess = async () => {
+  for (const [name, area] of [['local', chrome.storage.local], ['session', chrome.storage.session]]) {
+    try {
+      await area.setAccessLevel({ accessLevel: 'TRUSTED_CONTEXTS' });
+    } catch (error) {
+      logger.warn(`Could not restrict access to ${name} storage:`, error.message);
+    }
+  }
+};
+
+/**
+ * Retrieves values from chrome.storage.local, which holds larger data that should not be
+ * synced between devices (e.g. the summary history).
+ * @param {string|string[]|null} keys
+ * @returns {Promise<object>}
+ */
+export const getLocalStorage = async (keys) => {
+  logger.info('Attempting to get data from local storage for keys:', keys === null ? 'all' : keys);
+  try {
+    return await chrome.storage.local.get(keys);
+  } catch (error) {
+    logger.errorWithStack('Failed to get data from local storage.', error);
+    throw new Error('Failed to retrieve local data.');
+  }
+};
+
+/**
+ * Saves key-value pairs to chrome.storage.local.
+ * @param {object} data
+ * @returns {Promise<void>}
+ */
+export const setLocalStorage = async (data) => {
+  logger.info('Attempting to save data to local storage:', Object.keys(data));
+  try {
+    await chrome.storage.local.set(data);
+  } catch (error) {
+    logger.errorWithStack('Failed to save data to local storage.', error);
+    throw new Error('Failed to save local data.');
+  }
+};
+
+/**
+ * Removes one or more keys from chrome.storage.local.
+ * @param {string|string[]} keys
+ * @returns {Promise<void>}
+ */
+export const removeLocalStorage = async (keys) => {
+  logger.info('Attempting to remove keys from local storage:', keys);
+  try {
+    await chrome.storage.local.remove(keys);
+  } catch (error) {
+    logger.errorWithStack('Failed to remove keys from local storage.', error);
+    throw new Error('Failed to remove local data.');
+  }
+};
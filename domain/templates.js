@@ -0,0 +1,184 @@
+// chrome-llm-summarizer/domain/templates.js
+
+import createLogger from '../utils/logger.js';
+import { getStorage, setStorage } from './storage.js';
+import { validateTemplate } from '../utils/template_engine.js';
+import {
+  STORAGE_KEYS,
+  TEMPLATE_VARIABLES,
+  DEFAULT_OUTPUT_LANGUAGE,
+  PROFILE_TEMPLATE_ID,
+} from '../utils/constants.js';
+
+const logger = createLogger('domain/templates');
+
+/**
+ * Templates shipped with the extension. They cannot be edited, only selected.
+ * Ids are prefixed with "builtin-" so they never collide with user templates.
+ */
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'builtin-tldr',
+    name: 'TL;DR',
+    template: `请用{{language}}为以下网页写一段 TL;DR，不超过三句话，直接给出最核心的结论。
+{{#if selection}}
+读者特别关注这段选中的内容，请优先覆盖：
+{{selection}}
+{{/if}}
+{{content}}`,
+  },
+  {
+    id: 'builtin-key-takeaways',
+    name: '关键要点',
+    template: `请阅读以下网页{{#if title}}《{{title}}》{{/if}}，用{{language}}列出 5-8 条关键要点 (markdown 列表)，每条一句话，按重要性排序。
+
+{{content}}`,
+  },
+  {
+    id: 'builtin-action-items',
+    name: '行动项',
+    template: `请从以下内容中提取所有可执行的行动项 (待办事项、建议步骤、截止日期、负责人)，用{{language}}以 markdown 复选框列表 (- [ ]) 输出。没有明确截止日期时，可参考今天的日期 {{date}} 推断相对时间。如果没有任何行动项，请回答"未发现行动项"。
+
+{{content}}`,
+  },
+  {
+    id: 'builtin-translate-summarize',
+    name: '翻译并总结',
+    template: `以下网页可能使用其他语言撰写。请先理解原文，再完全使用{{language}}输出：
+1. 一句话概述
+2. 主要观点 (markdown 列表)
+3. 重要术语：原文 → {{language}}译名
+
+{{content}}`,
+  },
+  {
+    id: 'builtin-critique',
+    name: '批判性评论',
+    template: `请以批判性思维审阅以下文章{{#if title}}《{{title}}》{{/if}}，用{{language}}按以下结构输出：
+- **核心论点**
+- **论据强弱**：哪些论据有力，哪些缺乏支持
+- **潜在偏见或遗漏**
+- **总体评价**
+{{#if url}}
+来源：{{url}}
+{{/if}}
+{{content}}`,
+  },
+];
+
+/**
+ * Creates an id for a user-defined template.
+ * @returns {string}
+ */
+export const createTemplateId = () => `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Loads the user's templates, the template selected in the popup and the output language.
+ * @returns {Promise<{customTemplates: object[], selectedTemplateId: string, outputLanguage: string}>}
+ */
+export const getTemplateSettings = async () => {
+  const items = await getStorage([
+    STORAGE_KEYS.CUSTOM_TEMPLATES,
+    STORAGE_KEYS.SELECTED_TEMPLATE_ID,
+    STORAGE_KEYS.OUTPUT_LANGUAGE,
+  ]);
+  return {
+    customTemplates: Array.isArray(items[STORAGE_KEYS.CUSTOM_TEMPLATES]) ? items[STORAGE_KEYS.CUSTOM_TEMPLATES] : [],
+    selectedTemplateId: items[STORAGE_KEYS.SELECTED_TEMPLATE_ID] || PROFILE_TEMPLATE_ID,
+    outputLanguage: items[STORAGE_KEYS.OUTPUT_LANGUAGE] || DEFAULT_OUTPUT_LANGUAGE,
+  };
+};
+
+/**
+ * Saves the user-defined templates and the output language.
+ * @param {{customTemplates: object[], outputLanguage: string}} settings
+ * @returns {Promise<void>}
+ */
+export const saveTemplateSettings = async ({ customTemplates, outputLanguage }) => {
+  await setStorage({
+    [STORAGE_KEYS.CUSTOM_TEMPLATES]: customTemplates,
+    [STORAGE_KEYS.OUTPUT_LANGUAGE]: outputLanguage,
+  });
+  logger.info(`Saved ${customTemplates.length} custom template(s).`);
+};
+
+/**
+ * Remembers the template chosen in the popup.
+ * @param {string} templateId
+ * @returns {Promise<void>}
+ */
+export const setSelectedTemplateId = async (templateId) => {
+  await setStorage({ [STORAGE_KEYS.SELECTED_TEMPLATE_ID]: templateId });
+};
+
+/**
+ * Lists built-in templates followed by the user's own.
+ * @param {object[]} customTemplates
+ * @returns {object[]}
+ */
+export const listTemplates = (customTemplates) => [...BUILT_IN_TEMPLATES, ...customTemplates];
+
+/**
+ * Returns the template text to use for a summary.
+ * PROFILE_TEMPLATE_ID (or no id) means the prompt of the profile; unknown ids also fall back to it.
+ * @param {string} [templateId]
+ * @param {object} profile - The resolved LLM profile.
+ * @returns {Promise<string>}
+ */
+export const resolvePromptTemplate = async (templateId, profile) => {
+  if (!templateId || templateId === PROFILE_TEMPLATE_ID) {
+    return profile.promptTemplate;
+  }
+  const { customTemplates } = await getTemplateSettings();
+  const template = listTemplates(customTemplates).find((item) => item.id === templateId);
+  if (!template) {
+    logger.warn(`Template ${templateId} not found. Falling back to the profile prompt.`);
+    return profile.promptTemplate;
+  }
+  logger.info(`Using template "${template.name}".`);
+  return template.template;
+};
+
+// Local date as YYYY-MM-DD (toISOString would give the UTC date)
+const formatLocalDate = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Builds the template variables (everything except {{content}}) for a page.
+ * @param {object} params
+ * @param {object} [params.metadata] - Metadata from the content script.
+ * @param {object} [params.tab] - The chrome.tabs.Tab being summarized.
+ * @param {string} [params.selection] - Text selected on the page.
+ * @returns {Promise<object>}
+ */
+export const buildTemplateVariables = async ({ metadata = {}, tab = {}, selection = '' } = {}) => {
+  const { outputLanguage } = await getTemplateSettings();
+  return {
+    [TEMPLATE_VARIABLES.TITLE]: metadata.title || tab.title || '',
+    [TEMPLATE_VARIABLES.URL]: metadata.canonicalUrl || tab.url || '',
+    [TEMPLATE_VARIABLES.SELECTION]: selection,
+    [TEMPLATE_VARIABLES.LANGUAGE]: outputLanguage,
+    [TEMPLATE_VARIABLES.DATE]: formatLocalDate(new Date()),
+  };
+};
+
+/**
+ * Validates a prompt template for the options page.
+ * Flags syntax errors, variables that do not exist and a missing {{content}} placeholder.
+ * @param {string} template
+ * @returns {string[]} - Human readable problems; empty when the template is fine.
+ */
+export const validatePromptTemplate = (template) => {
+  const knownVariables = Object.values(TEMPLATE_VARIABLES);
+  const { errors, unknownVariables, variables } = validateTemplate(template, knownVariables);
+  const problems = [...errors];
+  if (unknownVariables.length > 0) {
+    problems.push(`未知变量: ${unknownVariables.map((name) => `{{${name}}}`).join(', ')}。可用变量: ${knownVariables.map((name) => `{{${name}}}`).join(', ')}。`);
+  }
+  if (!variables.includes(TEMPLATE_VARIABLES.CONTENT)) {
+    problems.push('模板中必须包含 {{content}} 占位符。');
+  }
+  return problems;
+};
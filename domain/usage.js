@@ -0,0 +1,289 @@
+// chrome-llm-summarizer/domain/usage.js
+
+import createLogger from '../utils/logger.js';
+import { getStorage, getLocalStorage, setLocalStorage, removeLocalStorage } from './storage.js';
+import { globToRegExp } from '../utils/url_pattern.js';
+import {
+  STORAGE_KEYS,
+  ERROR_MESSAGES,
+  PROVIDER_IDS,
+  USAGE_MAX_RECORDS,
+  USAGE_TOTALS_MAX_DAYS,
+  DEFAULT_PRICE_TABLE,
+  BUDGET_ACTIONS,
+  DEFAULT_BUDGET_ACTION,
+  BUDGET_WARNING_RATIO,
+} from '../utils/constants.js';
+
+const logger = createLogger('domain/usage');
+
+/**
+ * Token usage of one API request (chrome.storage.local, newest first).
+ * @typedef {object} UsageRecord
+ * @property {number} createdAt - Timestamp in milliseconds.
+ * @property {string} provider
+ * @property {string} modelName
+ * @property {string} domain - Host name of the page the request was about; empty for digests.
+ * @property {number} promptTokens
+ * @property {number} completionTokens
+ * @property {number|null} cost - Estimated cost in USD; null when the model has no price.
+ * @property {boolean} estimated - True when the provider reported no usage and the tokens were estimated.
+ */
+
+/**
+ * Usage added up per period (chrome.storage.local). Unlike the records, which are capped at
+ * USAGE_MAX_RECORDS, the totals count every request, so the monthly budget stays right.
+ * @typedef {object} UsageTotals
+ * @property {Object<string, object>} days - Totals by local day ("2024-05-31"), the last USAGE_TOTALS_MAX_DAYS days.
+ * @property {Object<string, object>} months - Totals by local month ("2024-05").
+ *   Each total is { requests, promptTokens, completionTokens, cost, unpriced } as in aggregateUsage.
+ */
+
+/**
+ * A row of the price table.
+ * @typedef {object} PriceRule
+ * @property {string} pattern - Model name glob, e.g. "gpt-4o-mini*".
+ * @property {number} inputPrice - USD per million prompt tokens.
+ * @property {number} outputPrice - USD per million completion tokens.
+ */
+
+const getDomain = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local calendar buckets, so "today" and "this month" match the user's clock
+const formatDay = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const formatMonth = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+
+/**
+ * Formats an estimated cost in USD. Small amounts keep more decimals so single requests are not shown as $0.00.
+ * @param {number} cost
+ * @returns {string}
+ */
+export const formatCost = (cost) => `$${cost >= 1 ? cost.toFixed(2) : cost.toFixed(4)}`;
+
+/**
+ * Loads the price table, falling back to the built-in prices.
+ * @returns {Promise<PriceRule[]>}
+ */
+export const getPriceTable = async () => {
+  const items = await getStorage(STORAGE_KEYS.PRICE_TABLE);
+  return Array.isArray(items[STORAGE_KEYS.PRICE_TABLE]) ? items[STORAGE_KEYS.PRICE_TABLE] : DEFAULT_PRICE_TABLE;
+};
+
+/**
+ * Validates price table rows for the options page.
+ * @param {PriceRule[]} priceTable
+ * @returns {string|null} - An error message, or null when the table is fine.
+ */
+export const validatePriceTable = (priceTable) => {
+  for (const rule of priceTable) {
+    if (!rule.pattern) {
+      return '价格表的模型名称不能为空。';
+    }
+    if (![rule.inputPrice, rule.outputPrice].every((price) => Number.isFinite(price) && price >= 0)) {
+      return `模型 "${rule.pattern}" 的价格必须是不小于 0 的数字。`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Estimates the cost of a request. Local Ollama models are free; models without a
+ * matching price rule have no cost (null) and are left out of the budget.
+ * @param {{provider: string, modelName: string, promptTokens: number, completionTokens: number}} usage
+ * @param {PriceRule[]} priceTable - Rules in priority order; the first matching pattern wins.
+ * @returns {number|null}
+ */
+export const estimateCost = ({ provider, modelName, promptTokens, completionTokens }, priceTable) => {
+  if (provider === PROVIDER_IDS.OLLAMA) {
+    return 0;
+  }
+  const rule = priceTable.find((item) => globToRegExp(item.pattern.trim()).test(modelName || ''));
+  if (!rule) {
+    return null;
+  }
+  return (promptTokens * rule.inputPrice + completionTokens * rule.outputPrice) / 1000000;
+};
+
+/**
+ * Loads all usage records, newest first.
+ * @returns {Promise<UsageRecord[]>}
+ */
+export const getUsageRecords = async () => {
+  const items = await getLocalStorage(STORAGE_KEYS.USAGE_RECORDS);
+  return Array.isArray(items[STORAGE_KEYS.USAGE_RECORDS]) ? items[STORAGE_KEYS.USAGE_RECORDS] : [];
+};
+
+// Adds a request to a total row (see aggregateUsage)
+const addToTotal = (total, record) => ({
+  requests: (total?.requests || 0) + 1,
+  promptTokens: (total?.promptTokens || 0) + record.promptTokens,
+  completionTokens: (total?.completionTokens || 0) + record.completionTokens,
+  cost: (total?.cost || 0) + (record.cost ?? 0),
+  unpriced: (total?.unpriced || 0) + (record.cost === null ? 1 : 0),
+});
+
+// Adds a request to the totals of its day and month, dropping days older than USAGE_TOTALS_MAX_DAYS
+const addToTotals = (totals, record) => {
+  const date = new Date(record.createdAt);
+  const oldestDay = formatDay(new Date(Date.now() - USAGE_TOTALS_MAX_DAYS * 24 * 60 * 60 * 1000));
+  const days = Object.fromEntries(Object.entries(totals.days).filter(([day]) => day >= oldestDay));
+  days[formatDay(date)] = addToTotal(days[formatDay(date)], record);
+  return { days, months: { ...totals.months, [formatMonth(date)]: addToTotal(totals.months[formatMonth(date)], record) } };
+};
+
+/**
+ * Loads the usage totals. Installations from before the totals existed get them from their records.
+ * @returns {Promise<UsageTotals>}
+ */
+const getStoredTotals = async () => {
+  const items = await getLocalStorage(STORAGE_KEYS.USAGE_TOTALS);
+  if (items[STORAGE_KEYS.USAGE_TOTALS]) {
+    return items[STORAGE_KEYS.USAGE_TOTALS];
+  }
+  return (await getUsageRecords()).reduceRight(addToTotals, { days: {}, months: {} });
+};
+
+// Writes are queued so parallel chunk requests do not overwrite each other's records and totals
+let writeQueue = Promise.resolve();
+const addRecord = (record) => {
+  const run = writeQueue.then(async () => {
+    const totals = addToTotals(await getStoredTotals(), record);
+    await setLocalStorage({
+      [STORAGE_KEYS.USAGE_RECORDS]: [record, ...await getUsageRecords()].slice(0, USAGE_MAX_RECORDS),
+      [STORAGE_KEYS.USAGE_TOTALS]: totals,
+    });
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Records the token usage of one API request with its estimated cost.
+ * @param {object} usage
+ * @param {string} usage.provider
+ * @param {string} usage.modelName
+ * @param {string} [usage.url] - The page the request was about.
+ * @param {number} usage.promptTokens
+ * @param {number} usage.completionTokens
+ * @param {boolean} [usage.estimated]
+ * @returns {Promise<UsageRecord>}
+ */
+export const recordUsage = async ({ provider, modelName, url, promptTokens, completionTokens, estimated = false }) => {
+  const record = {
+    createdAt: Date.now(),
+    provider,
+    modelName,
+    domain: getDomain(url),
+    promptTokens,
+    completionTokens,
+    cost: null,
+    estimated,
+  };
+  record.cost = estimateCost(record, await getPriceTable());
+  await addRecord(record);
+  logger.info(`Recorded usage of ${modelName}: ${promptTokens} prompt + ${completionTokens} completion tokens${estimated ? ' (estimated)' : ''}, cost ${record.cost ?? 'unknown'}.`);
+  return record;
+};
+
+/**
+ * Deletes all usage records and totals.
+ * @returns {Promise<void>}
+ */
+export const clearUsageRecords = async () => {
+  await writeQueue;
+  await removeLocalStorage([STORAGE_KEYS.USAGE_RECORDS, STORAGE_KEYS.USAGE_TOTALS]);
+  logger.info('Usage records cleared.');
+};
+
+/**
+ * Adds up usage records per day or month, optionally broken down by model or domain.
+ * @param {UsageRecord[]} records
+ * @param {object} options
+ * @param {'day'|'month'} options.period
+ * @param {'model'|'domain'} [options.groupBy] - Without it there is one row per period.
+ * @returns {{period: string, key: string, requests: number, promptTokens: number, completionTokens: number, cost: number, unpriced: number}[]}
+ *   Newest period first, most expensive first within a period. `unpriced` counts requests without a known price.
+ */
+export const aggregateUsage = (records, { period, groupBy }) => {
+  const formatPeriod = period === 'month' ? formatMonth : formatDay;
+  const rows = new Map();
+  for (const record of records) {
+    const periodKey = formatPeriod(new Date(record.createdAt));
+    const key = (groupBy === 'domain' && record.domain) || (groupBy === 'model' && record.modelName) || '';
+    const rowKey = `${periodKey}\n${key}`;
+    if (!rows.has(rowKey)) {
+      rows.set(rowKey, { period: periodKey, key, requests: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpriced: 0 });
+    }
+    const row = rows.get(rowKey);
+    row.requests += 1;
+    row.promptTokens += record.promptTokens;
+    row.completionTokens += record.completionTokens;
+    if (record.cost === null) {
+      row.unpriced += 1;
+    } else {
+      row.cost += record.cost;
+    }
+  }
+  return [...rows.values()].sort((a, b) => b.period.localeCompare(a.period) || b.cost - a.cost);
+};
+
+/**
+ * Totals of the current day and month, counting also the requests whose records were dropped.
+ * @returns {Promise<{today: object|null, month: object|null}>} - Rows as returned by aggregateUsage, or null without requests.
+ */
+export const getUsageTotals = async () => {
+  await writeQueue;
+  const { days, months } = await getStoredTotals();
+  const now = new Date();
+  const toRow = (period, total) => (total ? { period, key: '', ...total } : null);
+  return { today: toRow(formatDay(now), days[formatDay(now)]), month: toRow(formatMonth(now), months[formatMonth(now)]) };
+};
+
+/**
+ * Loads the monthly budget and what to do when it is reached.
+ * @returns {Promise<{monthlyBudget: number, action: string}>} - A budget of 0 means no limit.
+ */
+export const getBudgetSettings = async () => {
+  const items = await getStorage([STORAGE_KEYS.MONTHLY_BUDGET, STORAGE_KEYS.BUDGET_ACTION]);
+  return {
+    monthlyBudget: items[STORAGE_KEYS.MONTHLY_BUDGET] || 0,
+    action: items[STORAGE_KEYS.BUDGET_ACTION] || DEFAULT_BUDGET_ACTION,
+  };
+};
+
+/**
+ * Compares the estimated cost of the current month with the budget.
+ * @returns {Promise<{monthlyBudget: number, action: string, spent: number, near: boolean, exceeded: boolean}>}
+ */
+export const getBudgetStatus = async () => {
+  const { monthlyBudget, action } = await getBudgetSettings();
+  const spent = (await getUsageTotals()).month?.cost || 0;
+  return {
+    monthlyBudget,
+    action,
+    spent,
+    near: monthlyBudget > 0 && spent >= monthlyBudget * BUDGET_WARNING_RATIO,
+    exceeded: monthlyBudget > 0 && spent >= monthlyBudget,
+  };
+};
+
+/**
+ * Refuses a request when the monthly budget is reached and set to block.
+ * @returns {Promise<void>}
+ * @throws {Error} - BUDGET_EXCEEDED.
+ */
+export const assertWithinBudget = async () => {
+  const status = await getBudgetStatus();
+  if (status.exceeded && status.action === BUDGET_ACTIONS.BLOCK) {
+    logger.warn(`Monthly budget reached (${status.spent.toFixed(4)} of ${status.monthlyBudget} USD). Blocking the request.`);
+    throw new Error(ERROR_MESSAGES.BUDGET_EXCEEDED);
+  }
+};
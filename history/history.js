@@ -0,0 +1,151 @@
+// chrome-llm-summarizer/history/history.js
+
+import createLogger from '../utils/logger.js';
+import { getHistory, deleteHistoryEntries, filterHistory } from '../domain/history.js';
+import { STORAGE_KEYS } from '../utils/constants.js';
+
+const logger = createLogger('history/history');
+
+const searchInput = document.getElementById('search-input');
+const domainFilter = document.getElementById('domain-filter');
+const dateFrom = document.getElementById('date-from');
+const dateTo = document.getElementById('date-to');
+const resetFiltersButton = document.getElementById('reset-filters-button');
+const deleteFilteredButton = document.getElementById('delete-filtered-button');
+const resultCount = document.getElementById('result-count');
+const historyList = document.getElementById('history-list');
+const emptyMessage = document.getElementById('empty-message');
+const entryTemplate = document.getElementById('history-entry-template');
+
+// All entries as loaded from storage, and the ones currently shown
+let allEntries = [];
+let visibleEntries = [];
+
+const showStatus = (message, isError = false) => {
+  const statusElement = document.getElementById('status');
+  statusElement.textContent = message;
+  statusElement.className = isError ? 'status error' : 'status success';
+  statusElement.style.display = 'block';
+};
+
+// <input type="date"> values are local dates; convert them to a timestamp range
+const parseDateInput = (value, endOfDay) => {
+  if (!value) {
+    return undefined;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, endOfDay ? day + 1 : day).getTime();
+};
+
+const readFilters = () => ({
+  query: searchInput.value,
+  domain: domainFilter.value,
+  from: parseDateInput(dateFrom.value, false),
+  to: parseDateInput(dateTo.value, true),
+});
+
+// Rebuilds the domain dropdown, keeping the current choice when it still exists
+const renderDomainOptions = () => {
+  const selected = domainFilter.value;
+  const counts = new Map();
+  allEntries.forEach((entry) => counts.set(entry.domain, (counts.get(entry.domain) || 0) + 1));
+
+  domainFilter.length = 1; // Keep "全部网站"
+  [...counts.keys()].sort().forEach((domain) => {
+    const option = document.createElement('option');
+    option.value = domain;
+    option.textContent = `${domain || '(无域名)'} (${counts.get(domain)})`;
+    domainFilter.appendChild(option);
+  });
+  domainFilter.value = counts.has(selected) ? selected : '';
+};
+
+const createEntryElement = (entry) => {
+  const element = entryTemplate.content.firstElementChild.cloneNode(true);
+  const title = element.querySelector('.entry-title');
+  title.textContent = entry.title || entry.url;
+  title.href = entry.url;
+  element.querySelector('.entry-meta').textContent = [
+    entry.domain,
+    new Date(entry.createdAt).toLocaleString(),
+    `${entry.profileName} (${entry.modelName})`,
+  ].join(' · ');
+
+  // Markdown is rendered on first expand; the list can hold hundreds of entries
+  const summaryDetails = element.querySelector('.entry-summary');
+  summaryDetails.addEventListener('toggle', () => {
+    const output = summaryDetails.querySelector('.summary-output');
+    if (summaryDetails.open && !output.hasChildNodes()) {
+      output.innerHTML = DOMPurify.sanitize(marked.parse(entry.summary));
+    }
+  });
+  element.querySelector('.entry-prompt pre').textContent = entry.prompt || '';
+
+  element.querySelector('.entry-delete').addEventListener('click', () => deleteEntries([entry.id]));
+  return element;
+};
+
+const renderList = () => {
+  visibleEntries = filterHistory(allEntries, readFilters());
+  historyList.innerHTML = '';
+  const fragment = document.createDocumentFragment();
+  visibleEntries.forEach((entry) => fragment.appendChild(createEntryElement(entry)));
+  historyList.appendChild(fragment);
+
+  resultCount.textContent = `共 ${allEntries.length} 条，显示 ${visibleEntries.length} 条`;
+  emptyMessage.style.display = visibleEntries.length === 0 ? 'block' : 'none';
+  emptyMessage.textContent = allEntries.length === 0 ? '暂无历史记录。' : '没有符合条件的记录。';
+  deleteFilteredButton.disabled = visibleEntries.length === 0;
+};
+
+const loadHistory = async () => {
+  try {
+    allEntries = await getHistory();
+    logger.info(`Loaded ${allEntries.length} history entries.`);
+    renderDomainOptions();
+    renderList();
+  } catch (error) {
+    logger.errorWithStack('Failed to load history.', error);
+    showStatus(`加载历史记录失败: ${error.message}`, true);
+  }
+};
+
+const deleteEntries = async (ids) => {
+  try {
+    await deleteHistoryEntries(ids);
+    // The storage listener below reloads the list
+  } catch (error) {
+    logger.errorWithStack('Failed to delete history entries.', error);
+    showStatus(`删除失败: ${error.message}`, true);
+  }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  loadHistory();
+
+  searchInput.addEventListener('input', renderList);
+  domainFilter.addEventListener('change', renderList);
+  dateFrom.addEventListener('change', renderList);
+  dateTo.addEventListener('change', renderList);
+
+  resetFiltersButton.addEventListener('click', () => {
+    searchInput.value = '';
+    domainFilter.value = '';
+    dateFrom.value = '';
+    dateTo.value = '';
+    renderList();
+  });
+
+  deleteFilteredButton.addEventListener('click', () => {
+    if (visibleEntries.length > 0 && confirm(`确定删除当前列表中的 ${visibleEntries.length} 条记录吗？`)) {
+      deleteEntries(visibleEntries.map((entry) => entry.id));
+    }
+  });
+
+  // New summaries (or deletions from another history tab) show up without reloading the page
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[STORAGE_KEYS.HISTORY]) {
+      loadHistory();
+    }
+  });
+});
@@ -0,0 +1,101 @@
+// chrome-llm-summarizer/offscreen/offscreen.js
+
+import createLogger from '../utils/logger.js';
+import { extractPdfText } from '../domain/pdf_parser.js';
+import { MESSAGE_TYPES, ERROR_MESSAGES, MAX_PDF_BYTES } from '../utils/constants.js';
+
+const logger = createLogger('offscreen/offscreen');
+
+// Reads in progress, by request id: { xhr, cancelled, stopParsing }
+const activeReads = new Map();
+
+/**
+ * Reads a file:// URL. fetch() does not support the file scheme, XMLHttpRequest in an extension
+ * page does once "Allow access to file URLs" is enabled.
+ * @param {XMLHttpRequest} xhr
+ * @param {string} url
+ * @returns {Promise<ArrayBuffer>}
+ */
+const readFile = (xhr, url) => new Promise((resolve, reject) => {
+  xhr.open('GET', url);
+  xhr.responseType = 'arraybuffer';
+  // File responses have status 0 on success; a missing file or denied access ends in onerror
+  xhr.onload = () => (xhr.response ? resolve(xhr.response) : reject(new Error(ERROR_MESSAGES.PDF_FETCH_FAILED)));
+  xhr.onerror = () => reject(new Error(ERROR_MESSAGES.PDF_FETCH_FAILED));
+  xhr.onabort = () => reject(new Error(ERROR_MESSAGES.REQUEST_CANCELLED));
+  xhr.send();
+});
+
+/**
+ * Parses a PDF in a worker (see pdf_worker.js), which `read.stopParsing` terminates.
+ * @param {object} read - The entry of the read in activeReads.
+ * @param {ArrayBuffer} buffer - Transferred to the worker.
+ * @returns {Promise<{pages: string[], info: object}>}
+ */
+const parseInWorker = (read, buffer) => {
+  const worker = new Worker(new URL('pdf_worker.js', import.meta.url), { type: 'module' });
+  return new Promise((resolve, reject) => {
+    worker.onmessage = ({ data }) => (data.success ? resolve(data) : reject(new Error(data.error)));
+    worker.onerror = (event) => reject(new Error(event.message || ERROR_MESSAGES.PDF_INVALID));
+    read.stopParsing = () => reject(new Error(ERROR_MESSAGES.REQUEST_CANCELLED));
+    worker.postMessage({ buffer }, [buffer]);
+  }).finally(() => worker.terminate());
+};
+
+/**
+ * Reads and parses a local PDF. Only the extracted text is sent back, since whole files can be
+ * larger than a runtime message may be.
+ * @param {string} requestId - Lets the background cancel the read.
+ * @param {string} url
+ * @returns {Promise<{pages: string[], info: object}>}
+ */
+const readLocalPdf = async (requestId, url) => {
+  const read = { xhr: new XMLHttpRequest(), cancelled: false, stopParsing: null };
+  activeReads.set(requestId, read);
+  try {
+    const buffer = await readFile(read.xhr, url);
+    if (buffer.byteLength > MAX_PDF_BYTES) {
+      throw new Error(ERROR_MESSAGES.PDF_TOO_LARGE);
+    }
+    logger.info(`Read local PDF (${buffer.byteLength} bytes).`);
+    if (read.cancelled) {
+      throw new Error(ERROR_MESSAGES.REQUEST_CANCELLED);
+    }
+    const { pages, info } = await parseInWorker(read, buffer);
+    return { pages, info };
+  } finally {
+    activeReads.delete(requestId);
+  }
+};
+
+// Stops a read: the file request is aborted, or the worker parsing the file is terminated
+const cancelRead = (requestId) => {
+  const read = activeReads.get(requestId);
+  if (!read) {
+    return;
+  }
+  logger.info(`Cancelling local PDF read ${requestId}.`);
+  read.cancelled = true;
+  read.xhr.abort();
+  read.stopParsing?.();
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === MESSAGE_TYPES.CANCEL_LOCAL_PDF) {
+    cancelRead(message.requestId);
+    return false;
+  }
+  if (message.type !== MESSAGE_TYPES.READ_LOCAL_PDF) {
+    return false;
+  }
+  readLocalPdf(message.requestId, message.url)
+    .then(({ pages, info }) => sendResponse({ success: true, pages, info }))
+    .catch((error) => {
+      if (error.message !== ERROR_MESSAGES.REQUEST_CANCELLED) {
+        logger.errorWithStack(`Failed to read local PDF ${message.url}.`, error);
+      }
+      sendResponse({ success: false, error: error.message || ERROR_MESSAGES.PDF_FETCH_FAILED });
+    });
+  // The response is sent asynchronously
+  return true;
+});
@@ -0,0 +1,14 @@
+// chrome-llm-summarizer/offscreen/pdf_worker.js
+
+import { extractPdfText } from '../domain/pdf_parser.js';
+
+// Parses a PDF off the offscreen document's main thread, so a cancelled read can be stopped by
+// terminating the worker. Receives { buffer } and answers { success, pages, info } or { success, error }.
+self.onmessage = async ({ data }) => {
+  try {
+    const { pages, info } = await extractPdfText(data.buffer);
+    self.postMessage({ success: true, pages, info });
+  } catch (error) {
+    self.postMessage({ success: false, error: error.message });
+  }
+};
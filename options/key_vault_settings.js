@@ -0,0 +1,131 @@
+// chrome-llm-summarizer/options/key_vault_settings.js
+
+import createLogger from '../utils/logger.js';
+import {
+  getKeyVaultStatus,
+  unlockKeyVault,
+  lockKeyVault,
+  setKeyVaultPassphrase,
+  resetKeyVault,
+} from '../domain/key_vault.js';
+import { migrateApiKeys } from '../domain/profiles.js';
+import { KEY_VAULT_MODES, MIN_PASSPHRASE_LENGTH, ERROR_MESSAGES } from '../utils/constants.js';
+
+const logger = createLogger('options/key_vault_settings');
+
+// Called after the stored keys changed (unlocked, reset), so the profile form can refresh
+let onKeysChanged = async () => {};
+
+const showVaultMessage = (message, isError = false) => {
+  const messageElement = document.getElementById('key-vault-message');
+  messageElement.textContent = message;
+  messageElement.classList.toggle('valid', !isError);
+};
+
+/**
+ * Shows whether a passphrase is set and whether the keys are unlocked.
+ * @returns {Promise<void>}
+ */
+export const renderKeyVaultStatus = async () => {
+  const { mode, locked } = await getKeyVaultStatus();
+  const usesPassphrase = mode === KEY_VAULT_MODES.PASSPHRASE;
+  document.getElementById('key-vault-status').textContent = !usesPassphrase
+    ? '当前未设置口令：API Key 使用本机随机生成的密钥加密。'
+    : locked
+      ? '已设置口令，当前已锁定。请输入口令解锁，否则无法发送请求。'
+      : '已设置口令，本次浏览器会话中已解锁。';
+  document.getElementById('key-vault-unlock').style.display = locked ? 'block' : 'none';
+  document.getElementById('key-vault-manage').style.display = locked ? 'none' : 'block';
+  document.getElementById('lock-vault-button').style.display = usesPassphrase ? 'inline-block' : 'none';
+  document.getElementById('set-passphrase-button').textContent = usesPassphrase ? '更改口令' : '设置口令';
+  document.getElementById('new-vault-passphrase').placeholder = usesPassphrase
+    ? `新口令，至少 ${MIN_PASSPHRASE_LENGTH} 个字符；留空则取消口令`
+    : `至少 ${MIN_PASSPHRASE_LENGTH} 个字符`;
+};
+
+const unlock = async () => {
+  const passphraseInput = document.getElementById('vault-passphrase');
+  try {
+    await unlockKeyVault(passphraseInput.value);
+  } catch (error) {
+    showVaultMessage(error.message === ERROR_MESSAGES.WRONG_PASSPHRASE ? '口令错误。' : `解锁失败: ${error.message}`, true);
+    return;
+  }
+  passphraseInput.value = '';
+  // Keys synced in by an older version could not be moved while the vault was locked
+  await migrateApiKeys();
+  showVaultMessage('已解锁，直到关闭浏览器前无需再次输入口令。');
+  await renderKeyVaultStatus();
+  await onKeysChanged();
+};
+
+const lock = async () => {
+  await lockKeyVault();
+  showVaultMessage('已锁定。');
+  await renderKeyVaultStatus();
+};
+
+const changePassphrase = async () => {
+  const newInput = document.getElementById('new-vault-passphrase');
+  const confirmInput = document.getElementById('confirm-vault-passphrase');
+  const passphrase = newInput.value;
+  const { mode } = await getKeyVaultStatus();
+
+  if (!passphrase && mode !== KEY_VAULT_MODES.PASSPHRASE) {
+    showVaultMessage('请输入口令。', true);
+    return;
+  }
+  if (passphrase && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    showVaultMessage(`口令至少需要 ${MIN_PASSPHRASE_LENGTH} 个字符。`, true);
+    return;
+  }
+  if (passphrase !== confirmInput.value) {
+    showVaultMessage('两次输入的口令不一致。', true);
+    return;
+  }
+  if (!passphrase && !confirm('确定取消口令吗？API Key 将改用本机随机生成的密钥加密，无需解锁即可使用。')) {
+    return;
+  }
+
+  await setKeyVaultPassphrase(passphrase);
+  newInput.value = '';
+  confirmInput.value = '';
+  showVaultMessage(passphrase ? '口令已设置。每次启动浏览器后需要输入一次口令。' : '已取消口令。');
+  logger.info(passphrase ? 'Key vault passphrase set.' : 'Key vault passphrase removed.');
+  await renderKeyVaultStatus();
+};
+
+const reset = async () => {
+  if (!confirm('确定删除所有已保存的 API Key 和口令吗？之后需要为每个配置重新输入 API Key。')) {
+    return;
+  }
+  await resetKeyVault();
+  showVaultMessage('已删除所有 API Key。请重新输入并保存。');
+  await renderKeyVaultStatus();
+  await onKeysChanged();
+};
+
+// Runs an action of this section and reports unexpected failures next to its buttons
+const runVaultAction = (action) => () => action().catch((error) => {
+  logger.errorWithStack('Key vault action failed.', error);
+  showVaultMessage(`操作失败: ${error.message}`, true);
+});
+
+/**
+ * Registers the event listeners of the API key protection section. Call once on DOMContentLoaded.
+ * Passphrase changes take effect right away, independent of "save".
+ * @param {object} options
+ * @param {function(): Promise<void>} options.onKeysChanged - Called after unlocking or deleting all keys.
+ */
+export const bindKeyVaultEvents = (options) => {
+  onKeysChanged = options.onKeysChanged;
+  document.getElementById('unlock-vault-button').addEventListener('click', runVaultAction(unlock));
+  document.getElementById('vault-passphrase').addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      runVaultAction(unlock)();
+    }
+  });
+  document.getElementById('lock-vault-button').addEventListener('click', runVaultAction(lock));
+  document.getElementById('set-passphrase-button').addEventListener('click', runVaultAction(changePassphrase));
+  document.getElementById('reset-vault-button').addEventListener('click', runVaultAction(reset));
+};
@@ -0,0 +1,82 @@
+// chrome-llm-summarizer/options/managed_settings.js
+
+import { STORAGE_KEYS, MANAGED_POLICY_KEYS } from '../utils/constants.js';
+
+// Elements of each setting the managed policy can lock. Containers lock all controls inside.
+const SETTING_CONTROLS = {
+  [STORAGE_KEYS.ACTIVE_PROFILE_ID]: ['active-profile'],
+  [STORAGE_KEYS.SITE_RULES]: ['site-rules', 'add-rule-button'],
+  [STORAGE_KEYS.AUTO_SUMMARIZE_RULES]: ['auto-summarize-rules', 'add-auto-rule-button'],
+  [STORAGE_KEYS.REDACTION_DETECTORS]: ['redaction-detectors'],
+  [STORAGE_KEYS.REDACTION_PATTERNS]: ['redaction-patterns', 'add-redaction-pattern-button'],
+  [STORAGE_KEYS.BLOCKED_DOMAINS]: ['blocked-domains'],
+  [STORAGE_KEYS.OUTPUT_LANGUAGE]: ['output-language'],
+  [STORAGE_KEYS.CUSTOM_TEMPLATES]: ['template-list', 'add-template-button', 'delete-template-button', 'template-editor'],
+  [STORAGE_KEYS.CUSTOM_SCHEMAS]: ['schema-list', 'add-schema-button', 'delete-schema-button', 'schema-editor'],
+  [STORAGE_KEYS.CITATIONS_ENABLED]: ['citations-enabled'],
+  [STORAGE_KEYS.CHUNK_SIZE_TOKENS]: ['chunk-size'],
+  [STORAGE_KEYS.MAX_PARALLEL_CHUNKS]: ['max-parallel'],
+  [STORAGE_KEYS.REQUEST_TIMEOUT_SECONDS]: ['request-timeout'],
+  [STORAGE_KEYS.MAX_RETRIES]: ['max-retries'],
+  [STORAGE_KEYS.HISTORY_MAX_ENTRIES]: ['history-max-entries'],
+  [STORAGE_KEYS.MONTHLY_BUDGET]: ['monthly-budget'],
+  [STORAGE_KEYS.BUDGET_ACTION]: ['budget-action'],
+  [STORAGE_KEYS.PRICE_TABLE]: ['price-table', 'add-price-button', 'reset-prices-button'],
+  [STORAGE_KEYS.CACHE_ENABLED]: ['cache-enabled'],
+  [STORAGE_KEYS.CACHE_TTL_HOURS]: ['cache-ttl-hours'],
+  [STORAGE_KEYS.EXPORT_FILENAME_TEMPLATE]: ['export-filename-template'],
+};
+
+// Profile form inputs of the MANAGED_PROFILE_FIELDS
+const PROFILE_FIELD_CONTROLS = {
+  name: 'profile-name',
+  provider: 'provider',
+  apiHost: 'api-host',
+  modelName: 'model-name',
+  temperature: 'temperature',
+  maxTokens: 'max-tokens',
+  promptTemplate: 'prompt-template',
+  fallbackProfileId: 'fallback-profile',
+};
+
+let lockedSettings = [];
+
+const lockElement = (element) => {
+  const controls = element.matches('input, select, textarea, button')
+    ? [element]
+    : element.querySelectorAll('input, select, textarea, button');
+  controls.forEach((control) => {
+    control.disabled = true;
+  });
+};
+
+/**
+ * Disables the controls of settings locked by the policy. Call again after rows were re-rendered.
+ */
+export const applySettingLocks = () => {
+  lockedSettings.forEach((key) => (SETTING_CONTROLS[key] || []).forEach((id) => lockElement(document.getElementById(id))));
+};
+
+/**
+ * Shows that a policy is active and locks what it does not let the user change.
+ * @param {object} policy - From getManagedPolicy (domain/storage.js).
+ */
+export const initManagedSettings = (policy) => {
+  lockedSettings = policy[MANAGED_POLICY_KEYS.LOCKED_SETTINGS] || [];
+  document.getElementById('managed-notice').style.display = Object.keys(policy).length > 0 ? 'block' : 'none';
+  document.getElementById('add-profile-button').disabled = policy[MANAGED_POLICY_KEYS.ALLOW_CUSTOM_PROFILES] === false;
+  applySettingLocks();
+};
+
+/**
+ * Enables the profile form fields the shown profile lets the user change. Team profiles
+ * cannot be deleted.
+ * @param {object} profile
+ */
+export const applyProfileLocks = (profile) => {
+  Object.entries(PROFILE_FIELD_CONTROLS).forEach(([field, id]) => {
+    document.getElementById(id).disabled = Boolean(profile.lockedFields?.includes(field));
+  });
+  document.getElementById('managed-profile-note').style.display = profile.lockedFields ? 'block' : 'none';
+  document.getElementById('delete-profile-button').disabled = Boolean(profile.lockedFields);
+};
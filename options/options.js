@@ -1,11 +1,60 @@
 // chrome-llm-summarizer/options/options.js
 
 import createLogger from '../utils/logger.js';
-import { getStorage, setStorage } from '../domain/storage.js';
-import { STORAGE_KEYS, DEFAULT_PROMPT_TEMPLATE } from '../utils/constants.js';
+import { getStorage, setStorage, getManagedPolicy, migrateSettings } from '../domain/storage.js';
+import { getProvider, listProviders } from '../domain/providers/index.js';
+import { createProfile, getProfileSettings, saveProfileSettings, migrateApiKeys } from '../domain/profiles.js';
+import { getApiKeyHints, getKeyVaultStatus } from '../domain/key_vault.js';
+import { getTemplateSettings, saveTemplateSettings, validatePromptTemplate } from '../domain/templates.js';
+import { getHistoryMaxEntries, applyHistoryRetention } from '../domain/history.js';
+import { getExportFilenameTemplate, validateExportFilenameTemplate } from '../domain/export.js';
+import { getCitationsEnabled } from '../domain/citations.js';
+import { getCacheSettings, getResponseCacheStats, clearResponseCache } from '../domain/cache.js';
+import { getPriceTable, getBudgetSettings } from '../domain/usage.js';
+import { getAutoSummarizeRules, validateAutoSummarizeRules } from '../domain/auto_summarize.js';
+import { getExtractionSettings, saveCustomSchemas } from '../domain/extraction.js';
+import { getPrivacySettings } from '../domain/privacy.js';
+import {
+  initTemplateEditor,
+  bindTemplateEditorEvents,
+  collectTemplateSettings,
+  attachTemplateValidation,
+  revalidateTemplateField,
+} from './template_editor.js';
+import { initSchemaEditor, bindSchemaEditorEvents, collectSchemaSettings } from './schema_editor.js';
+import { initUsageSettings, bindUsageEvents, collectUsageSettings } from './usage_dashboard.js';
+import { initPrivacySettings, bindPrivacyEvents, collectPrivacySettings } from './privacy_settings.js';
+import { renderKeyVaultStatus, bindKeyVaultEvents } from './key_vault_settings.js';
+import { initManagedSettings, applySettingLocks, applyProfileLocks } from './managed_settings.js';
+import { bindSettingsTransferEvents } from './settings_transfer.js';
+import {
+  STORAGE_KEYS,
+  DEFAULT_TEMPERATURE,
+  DEFAULT_MAX_TOKENS,
+  DEFAULT_CHUNK_SIZE_TOKENS,
+  MIN_CHUNK_SIZE_TOKENS,
+  DEFAULT_MAX_PARALLEL_CHUNKS,
+  MAX_PARALLEL_CHUNKS_LIMIT,
+  HISTORY_MAX_ENTRIES_LIMIT,
+  CACHE_TTL_HOURS_LIMIT,
+  DEFAULT_REQUEST_TIMEOUT_SECONDS,
+  MIN_REQUEST_TIMEOUT_SECONDS,
+  REQUEST_TIMEOUT_SECONDS_LIMIT,
+  DEFAULT_MAX_RETRIES,
+  MAX_RETRIES_LIMIT,
+  AUTO_SUMMARIZE_DISPLAYS,
+} from '../utils/constants.js';
 
 const logger = createLogger('options/options');
 
+// Profiles being edited. Changes stay in memory until the save button is clicked.
+let profiles = [];
+let selectedProfileId = null;
+// Stored API keys are never loaded into the page: only which profiles have one, with the last
+// characters of the key. Keys entered or removed here wait in apiKeyChanges until saved.
+let apiKeyHints = {};
+let apiKeyChanges = {};
+
 // Function to display status messages
 const showStatus = (message, isError = false) => {
   const statusElement = document.getElementById('status');
@@ -14,24 +63,357 @@ const showStatus = (message, isError = false) => {
   statusElement.style.display = 'block';
 };
 
+// Fill the provider dropdown from the adapter registry
+const populateProviderSelect = () => {
+  const select = document.getElementById('provider');
+  listProviders().forEach((provider) => {
+    const option = document.createElement('option');
+    option.value = provider.id;
+    option.textContent = provider.label;
+    select.appendChild(option);
+  });
+};
+
+// Show the selected provider's default host and model as placeholders
+const updateProviderHints = () => {
+  const provider = getProvider(document.getElementById('provider').value);
+  document.getElementById('api-host').placeholder = `例如: ${provider.defaultHost}`;
+  document.getElementById('model-name').placeholder = `例如: ${provider.modelPlaceholder}`;
+  const profile = getSelectedProfile();
+  const storedKeyKept = profile && profile.id in apiKeyHints && apiKeyChanges[profile.id] !== '';
+  const hint = storedKeyKept && apiKeyHints[profile.id] ? ` (…${apiKeyHints[profile.id]})` : '';
+  document.getElementById('api-key').placeholder = storedKeyKept
+    ? `已保存${hint}，留空则保持不变`
+    : provider.requiresApiKey ? '您的LLM API密钥' : '可选，本地服务通常无需密钥';
+  document.getElementById('clear-api-key-button').style.display = profile && hasApiKey(profile) ? 'inline-block' : 'none';
+};
+
+const getSelectedProfile = () => profiles.find((profile) => profile.id === selectedProfileId);
+
+// A newly entered key, or a stored one that was not removed
+const hasApiKey = (profile) => (profile.id in apiKeyChanges ? Boolean(apiKeyChanges[profile.id]) : profile.id in apiKeyHints);
+
+const clearApiKey = () => {
+  apiKeyChanges[selectedProfileId] = '';
+  document.getElementById('api-key').value = '';
+  updateProviderHints();
+};
+
+const refreshApiKeyHints = async () => {
+  apiKeyHints = await getApiKeyHints();
+  updateProviderHints();
+};
+
+// Copies the form fields into the profile currently being edited (no validation)
+const readProfileForm = () => {
+  const profile = getSelectedProfile();
+  if (!profile) {
+    return;
+  }
+  const temperature = document.getElementById('temperature').value;
+  const maxTokens = document.getElementById('max-tokens').value;
+  const apiKey = document.getElementById('api-key').value.trim();
+  // An empty field keeps the stored key (or drops a key typed before)
+  if (apiKey) {
+    apiKeyChanges[profile.id] = apiKey;
+  } else if (apiKeyChanges[profile.id]) {
+    delete apiKeyChanges[profile.id];
+  }
+  Object.assign(profile, {
+    name: document.getElementById('profile-name').value.trim(),
+    provider: document.getElementById('provider').value,
+    apiHost: document.getElementById('api-host').value.trim(),
+    modelName: document.getElementById('model-name').value.trim(),
+    temperature: temperature === '' ? DEFAULT_TEMPERATURE : Number(temperature),
+    maxTokens: maxTokens === '' ? DEFAULT_MAX_TOKENS : Number(maxTokens),
+    promptTemplate: document.getElementById('prompt-template').value.trim(),
+    fallbackProfileId: document.getElementById('fallback-profile').value,
+  });
+};
+
+// Shows a profile's values in the form
+const renderProfileForm = (profile) => {
+  document.getElementById('profile-name').value = profile.name || '';
+  document.getElementById('provider').value = getProvider(profile.provider).id;
+  updateProviderHints();
+  document.getElementById('api-key').value = apiKeyChanges[profile.id] || '';
+  document.getElementById('api-host').value = profile.apiHost || '';
+  document.getElementById('model-name').value = profile.modelName || '';
+  document.getElementById('temperature').value = profile.temperature ?? DEFAULT_TEMPERATURE;
+  document.getElementById('max-tokens').value = profile.maxTokens ?? DEFAULT_MAX_TOKENS;
+  document.getElementById('prompt-template').value = profile.promptTemplate || '';
+  revalidateTemplateField(document.getElementById('prompt-template'));
+  fillFallbackOptions(profile);
+  applyProfileLocks(profile);
+};
+
+// Rebuilds a <select> with one option per profile, keeping the given value when it still exists
+const fillProfileOptions = (select, value) => {
+  select.innerHTML = '';
+  profiles.forEach((profile) => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name || '(未命名)';
+    select.appendChild(option);
+  });
+  select.value = profiles.some((profile) => profile.id === value) ? value : profiles[0]?.id;
+};
+
+// Offers every other profile as the fallback of the given one
+const fillFallbackOptions = (profile) => {
+  const select = document.getElementById('fallback-profile');
+  select.innerHTML = '';
+  const noneOption = document.createElement('option');
+  noneOption.value = '';
+  noneOption.textContent = '无';
+  select.appendChild(noneOption);
+  profiles.filter((item) => item.id !== profile.id).forEach((item) => {
+    const option = document.createElement('option');
+    option.value = item.id;
+    option.textContent = item.name || '(未命名)';
+    select.appendChild(option);
+  });
+  select.value = profiles.some((item) => item.id === profile.fallbackProfileId && item.id !== profile.id) ? profile.fallbackProfileId : '';
+};
+
+// Reads the site rules from the rule rows
+const collectSiteRules = () => Array.from(document.querySelectorAll('#site-rules .rule-row')).map((row) => ({
+  pattern: row.querySelector('input').value.trim(),
+  profileId: row.querySelector('select').value,
+}));
+
+const addRuleRow = (rule = { pattern: '', profileId: selectedProfileId }) => {
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+
+  const patternInput = document.createElement('input');
+  patternInput.type = 'text';
+  patternInput.placeholder = '网址规则，例如 github.com';
+  patternInput.value = rule.pattern;
+
+  const profileSelect = document.createElement('select');
+  fillProfileOptions(profileSelect, rule.profileId);
+
+  const removeButton = document.createElement('button');
+  removeButton.className = 'inline-button danger';
+  removeButton.textContent = '删除';
+  removeButton.addEventListener('click', () => row.remove());
+
+  row.append(patternInput, profileSelect, removeButton);
+  document.getElementById('site-rules').appendChild(row);
+};
+
+const renderSiteRules = (rules) => {
+  document.getElementById('site-rules').innerHTML = '';
+  rules.forEach((rule) => addRuleRow(rule));
+};
+
+// Labels of the AUTO_SUMMARIZE_DISPLAYS options
+const AUTO_SUMMARIZE_DISPLAY_LABELS = {
+  [AUTO_SUMMARIZE_DISPLAYS.OVERLAY]: '在页面浮窗中显示',
+  [AUTO_SUMMARIZE_DISPLAYS.BADGE]: '仅显示图标角标',
+};
+
+// Reads the automatic summarization rules from their rule rows
+const collectAutoSummarizeRules = () => Array.from(document.querySelectorAll('#auto-summarize-rules .rule-row')).map((row) => ({
+  pattern: row.querySelector('input').value.trim(),
+  display: row.querySelector('select').value,
+}));
+
+const addAutoSummarizeRuleRow = (rule = { pattern: '', display: AUTO_SUMMARIZE_DISPLAYS.OVERLAY }) => {
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+
+  const patternInput = document.createElement('input');
+  patternInput.type = 'text';
+  patternInput.placeholder = '网址规则，例如 news.ycombinator.com/item*';
+  patternInput.value = rule.pattern;
+
+  const displaySelect = document.createElement('select');
+  Object.entries(AUTO_SUMMARIZE_DISPLAY_LABELS).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    displaySelect.appendChild(option);
+  });
+  displaySelect.value = rule.display;
+
+  const removeButton = document.createElement('button');
+  removeButton.className = 'inline-button danger';
+  removeButton.textContent = '删除';
+  removeButton.addEventListener('click', () => row.remove());
+
+  row.append(patternInput, displaySelect, removeButton);
+  document.getElementById('auto-summarize-rules').appendChild(row);
+};
+
+// Refreshes every profile dropdown after profiles were added, removed or renamed
+const refreshProfileSelects = () => {
+  fillProfileOptions(document.getElementById('profile-list'), selectedProfileId);
+  const activeSelect = document.getElementById('active-profile');
+  fillProfileOptions(activeSelect, activeSelect.value);
+  renderSiteRules(collectSiteRules().filter((rule) => profiles.some((profile) => profile.id === rule.profileId)));
+  applySettingLocks();
+  fillFallbackOptions(getSelectedProfile());
+};
+
+const selectProfile = (profileId) => {
+  readProfileForm();
+  selectedProfileId = profileId;
+  refreshProfileSelects();
+  renderProfileForm(getSelectedProfile());
+  logger.debug('Editing profile:', profileId);
+};
+
+const addProfile = () => {
+  readProfileForm();
+  // Start from the current profile's connection so only the differences need to be entered
+  const current = getSelectedProfile();
+  const profile = createProfile({
+    name: `新配置 ${profiles.length + 1}`,
+    provider: current?.provider,
+    apiHost: current?.apiHost,
+  });
+  profiles.push(profile);
+  logger.info('Added new profile:', profile.id);
+  selectProfile(profile.id);
+};
+
+const deleteProfile = () => {
+  if (profiles.length <= 1) {
+    showStatus('至少需要保留一个配置。', true);
+    return;
+  }
+  const profile = getSelectedProfile();
+  // Team profiles come from the managed policy
+  if (profile.lockedFields) {
+    return;
+  }
+  if (!confirm(`确定删除配置 "${profile.name}" 吗？使用该配置的网站规则也会被删除。`)) {
+    return;
+  }
+  profiles = profiles.filter((item) => item.id !== profile.id);
+  // Its stored key is deleted with the next save
+  delete apiKeyChanges[profile.id];
+  // Profiles that fell back to the deleted one no longer have a fallback
+  profiles.forEach((item) => {
+    if (item.fallbackProfileId === profile.id) {
+      item.fallbackProfileId = '';
+    }
+  });
+  selectedProfileId = profiles[0].id;
+  logger.info('Deleted profile:', profile.id);
+  refreshProfileSelects();
+  renderProfileForm(getSelectedProfile());
+};
+
+/**
+ * Validates one profile. Returns an error message or null.
+ * @param {object} profile
+ * @returns {string|null}
+ */
+const validateProfile = (profile) => {
+  if (!profile.name) {
+    return '配置名称不能为空。';
+  }
+  if ((getProvider(profile.provider).requiresApiKey && !hasApiKey(profile)) || !profile.apiHost || !profile.modelName || !profile.promptTemplate) {
+    return `配置 "${profile.name}" 的 API Key、主机地址、模型名称和提示语均为必填项。`;
+  }
+  const templateProblems = validatePromptTemplate(profile.promptTemplate);
+  if (templateProblems.length > 0) {
+    return `配置 "${profile.name}" 的提示语模板有误: ${templateProblems.join(' ')}`;
+  }
+  if (!Number.isFinite(profile.temperature) || profile.temperature < 0 || profile.temperature > 2) {
+    return `配置 "${profile.name}" 的 Temperature 必须在 0 到 2 之间。`;
+  }
+  if (!Number.isInteger(profile.maxTokens) || profile.maxTokens < 1) {
+    return `配置 "${profile.name}" 的最大输出 tokens 必须是正整数。`;
+  }
+  return null;
+};
+
+// Shows how much the response cache holds next to the "clear" button
+const renderCacheStats = async () => {
+  const { entries, chars } = await getResponseCacheStats();
+  document.getElementById('cache-stats').textContent = entries > 0
+    ? `已缓存 ${entries} 条总结 (约 ${Math.ceil(chars / 1000)} 千字符)。`
+    : '缓存为空。';
+};
+
+const clearCache = async () => {
+  try {
+    await clearResponseCache();
+    await renderCacheStats();
+    showStatus('缓存已清空。');
+  } catch (error) {
+    logger.errorWithStack('Failed to clear the response cache.', error);
+    showStatus('清空缓存失败: ' + error.message, true);
+  }
+};
+
 // Load settings when the page loads
 const loadSettings = async () => {
   logger.info('Attempting to load settings from storage.');
   try {
+    try {
+      await migrateSettings();
+      await migrateApiKeys();
+    } catch (error) {
+      logger.warn('Settings were not migrated:', error.message);
+    }
+    const profileSettings = await getProfileSettings();
+    const templateSettings = await getTemplateSettings();
+    const historyMaxEntries = await getHistoryMaxEntries();
+    const citationsEnabled = await getCitationsEnabled();
+    const exportFilenameTemplate = await getExportFilenameTemplate();
+    const cacheSettings = await getCacheSettings();
+    const priceTable = await getPriceTable();
+    const budgetSettings = await getBudgetSettings();
+    const autoSummarizeRules = await getAutoSummarizeRules();
+    const extractionSettings = await getExtractionSettings();
+    const privacySettings = await getPrivacySettings();
     const items = await getStorage([
-      STORAGE_KEYS.API_KEY,
-      STORAGE_KEYS.API_HOST,
-      STORAGE_KEYS.MODEL_NAME,
-      STORAGE_KEYS.PROMPT_TEMPLATE,
+      STORAGE_KEYS.CHUNK_SIZE_TOKENS,
+      STORAGE_KEYS.MAX_PARALLEL_CHUNKS,
+      STORAGE_KEYS.REQUEST_TIMEOUT_SECONDS,
+      STORAGE_KEYS.MAX_RETRIES,
     ]);
 
-    logger.info('Settings loaded:', items);
+    logger.info(`Settings loaded: ${profileSettings.profiles.length} profile(s), ${profileSettings.siteRules.length} site rule(s).`);
+
+    apiKeyHints = await getApiKeyHints();
+    apiKeyChanges = {};
+    // Keys still stored with a profile (not migrated while the vault is locked) are saved
+    // into the vault with the next save
+    profiles = profileSettings.profiles.map(({ apiKey, ...profile }) => {
+      if (apiKey) {
+        apiKeyChanges[profile.id] = apiKey;
+      }
+      return profile;
+    });
+    selectedProfileId = profileSettings.activeProfileId;
+    fillProfileOptions(document.getElementById('profile-list'), selectedProfileId);
+    fillProfileOptions(document.getElementById('active-profile'), profileSettings.activeProfileId);
+    renderProfileForm(getSelectedProfile());
+    renderSiteRules(profileSettings.siteRules);
+    autoSummarizeRules.forEach((rule) => addAutoSummarizeRuleRow(rule));
+    initTemplateEditor(templateSettings);
+    initSchemaEditor(extractionSettings);
+    initPrivacySettings(privacySettings);
+    await renderKeyVaultStatus();
 
-    document.getElementById('api-key').value = items[STORAGE_KEYS.API_KEY] || '';
-    document.getElementById('api-host').value = items[STORAGE_KEYS.API_HOST] || '';
-    document.getElementById('model-name').value = items[STORAGE_KEYS.MODEL_NAME] || '';
-    // Use default template if none is saved
-    document.getElementById('prompt-template').value = items[STORAGE_KEYS.PROMPT_TEMPLATE] || DEFAULT_PROMPT_TEMPLATE;
+    document.getElementById('chunk-size').value = items[STORAGE_KEYS.CHUNK_SIZE_TOKENS] || DEFAULT_CHUNK_SIZE_TOKENS;
+    document.getElementById('max-parallel').value = items[STORAGE_KEYS.MAX_PARALLEL_CHUNKS] || DEFAULT_MAX_PARALLEL_CHUNKS;
+    document.getElementById('request-timeout').value = items[STORAGE_KEYS.REQUEST_TIMEOUT_SECONDS] || DEFAULT_REQUEST_TIMEOUT_SECONDS;
+    document.getElementById('max-retries').value = items[STORAGE_KEYS.MAX_RETRIES] ?? DEFAULT_MAX_RETRIES;
+    document.getElementById('history-max-entries').value = historyMaxEntries;
+    document.getElementById('citations-enabled').checked = citationsEnabled;
+    document.getElementById('export-filename-template').value = exportFilenameTemplate;
+    document.getElementById('cache-enabled').checked = cacheSettings.enabled;
+    document.getElementById('cache-ttl-hours').value = cacheSettings.ttlHours;
+    await renderCacheStats();
+    await initUsageSettings({ priceTable, ...budgetSettings });
+    initManagedSettings(await getManagedPolicy());
 
     logger.info('Settings successfully loaded into the form.');
 
@@ -44,28 +426,155 @@ const loadSettings = async () => {
 // Save settings when the button is clicked
 const saveSettings = async () => {
   logger.info('Attempting to save settings from the form.');
-  const apiKey = document.getElementById('api-key').value.trim();
-  const apiHost = document.getElementById('api-host').value.trim();
-  const modelName = document.getElementById('model-name').value.trim();
-  const promptTemplate = document.getElementById('prompt-template').value.trim();
+  readProfileForm();
+  const chunkSizeTokens = Number(document.getElementById('chunk-size').value);
+  const maxParallel = Number(document.getElementById('max-parallel').value);
+  const requestTimeoutSeconds = Number(document.getElementById('request-timeout').value);
+  const maxRetries = Number(document.getElementById('max-retries').value);
+  const historyMaxEntries = Number(document.getElementById('history-max-entries').value);
+  const exportFilenameTemplate = document.getElementById('export-filename-template').value.trim();
+  const cacheTtlHours = Number(document.getElementById('cache-ttl-hours').value);
+  const siteRules = collectSiteRules();
+  const autoSummarizeRules = collectAutoSummarizeRules();
+
+  for (const profile of profiles) {
+    const profileError = validateProfile(profile);
+    if (profileError) {
+      // Show the offending profile so the user can fix it right away
+      selectProfile(profile.id);
+      showStatus(profileError, true);
+      logger.warn('Attempted to save with an invalid profile:', profile.id);
+      return;
+    }
+  }
+
+  const templateSettings = collectTemplateSettings();
+  if (templateSettings.error) {
+    showStatus(templateSettings.error, true);
+    logger.warn('Attempted to save with an invalid custom template.');
+    return;
+  }
+
+  const schemaSettings = collectSchemaSettings();
+  if (schemaSettings.error) {
+    showStatus(schemaSettings.error, true);
+    logger.warn('Attempted to save with an invalid extraction schema.');
+    return;
+  }
+
+  if (siteRules.some((rule) => !rule.pattern)) {
+    showStatus('网站规则的网址不能为空。', true);
+    logger.warn('Attempted to save with an empty site rule pattern.');
+    return;
+  }
 
-  if (!apiKey || !apiHost || !modelName || !promptTemplate) {
-      showStatus('所有字段均为必填项。', true);
-      logger.warn('Attempted to save with missing fields.');
+  const autoSummarizeError = validateAutoSummarizeRules(autoSummarizeRules);
+  if (autoSummarizeError) {
+    showStatus(autoSummarizeError, true);
+    logger.warn('Attempted to save with an invalid automatic summarization rule.');
+    return;
+  }
+
+  const privacySettings = collectPrivacySettings();
+  if (privacySettings.error) {
+    showStatus(privacySettings.error, true);
+    logger.warn('Attempted to save with an invalid redaction pattern.');
+    return;
+  }
+
+  if (!Number.isInteger(chunkSizeTokens) || chunkSizeTokens < MIN_CHUNK_SIZE_TOKENS) {
+      showStatus(`分段大小必须是不小于 ${MIN_CHUNK_SIZE_TOKENS} 的整数。`, true);
+      logger.warn('Attempted to save with invalid chunk size:', chunkSizeTokens);
       return;
   }
 
-  const settingsToSave = {
-    [STORAGE_KEYS.API_KEY]: apiKey,
-    [STORAGE_KEYS.API_HOST]: apiHost,
-    [STORAGE_KEYS.MODEL_NAME]: modelName,
-    [STORAGE_KEYS.PROMPT_TEMPLATE]: promptTemplate,
-  };
+  if (!Number.isInteger(maxParallel) || maxParallel < 1 || maxParallel > MAX_PARALLEL_CHUNKS_LIMIT) {
+      showStatus(`最大并行请求数必须是 1 到 ${MAX_PARALLEL_CHUNKS_LIMIT} 之间的整数。`, true);
+      logger.warn('Attempted to save with invalid parallelism:', maxParallel);
+      return;
+  }
 
-  logger.info('Settings prepared for saving:', settingsToSave);
+  if (!Number.isInteger(requestTimeoutSeconds) || requestTimeoutSeconds < MIN_REQUEST_TIMEOUT_SECONDS || requestTimeoutSeconds > REQUEST_TIMEOUT_SECONDS_LIMIT) {
+      showStatus(`超时时间必须是 ${MIN_REQUEST_TIMEOUT_SECONDS} 到 ${REQUEST_TIMEOUT_SECONDS_LIMIT} 之间的整数 (秒)。`, true);
+      logger.warn('Attempted to save with invalid request timeout:', requestTimeoutSeconds);
+      return;
+  }
+
+  if (!Number.isInteger(maxRetries) || maxRetries < 0 || maxRetries > MAX_RETRIES_LIMIT) {
+      showStatus(`最大重试次数必须是 0 到 ${MAX_RETRIES_LIMIT} 之间的整数。`, true);
+      logger.warn('Attempted to save with invalid retry count:', maxRetries);
+      return;
+  }
+
+  if (!Number.isInteger(historyMaxEntries) || historyMaxEntries < 0 || historyMaxEntries > HISTORY_MAX_ENTRIES_LIMIT) {
+      showStatus(`历史记录保留条数必须是 0 到 ${HISTORY_MAX_ENTRIES_LIMIT} 之间的整数。`, true);
+      logger.warn('Attempted to save with invalid history limit:', historyMaxEntries);
+      return;
+  }
+
+  if (!Number.isInteger(cacheTtlHours) || cacheTtlHours < 1 || cacheTtlHours > CACHE_TTL_HOURS_LIMIT) {
+      showStatus(`缓存有效期必须是 1 到 ${CACHE_TTL_HOURS_LIMIT} 之间的整数 (小时)。`, true);
+      logger.warn('Attempted to save with invalid cache TTL:', cacheTtlHours);
+      return;
+  }
+
+  const usageSettings = collectUsageSettings();
+  if (usageSettings.error) {
+      showStatus(usageSettings.error, true);
+      logger.warn('Attempted to save with an invalid price table or budget.');
+      return;
+  }
+
+  const exportProblems = validateExportFilenameTemplate(exportFilenameTemplate);
+  if (exportProblems.length > 0) {
+      showStatus(`导出文件名模板有误: ${exportProblems.join(' ')}`, true);
+      logger.warn('Attempted to save with an invalid export filename template.');
+      return;
+  }
+
+  // Avoid logging API keys
+  logger.info(`Settings prepared for saving: ${profiles.length} profile(s), ${siteRules.length} site rule(s), ${autoSummarizeRules.length} automatic summarization rule(s).`);
 
   try {
-    await setStorage(settingsToSave);
+    if (Object.values(apiKeyChanges).some(Boolean) && (await getKeyVaultStatus()).locked) {
+      showStatus('API Key 已用口令加密并处于锁定状态，请先在"API 密钥保护"中解锁后再保存。', true);
+      logger.warn('Attempted to save new API keys while the key vault is locked.');
+      return;
+    }
+    await saveProfileSettings({
+      profiles,
+      activeProfileId: document.getElementById('active-profile').value,
+      siteRules,
+      apiKeys: apiKeyChanges,
+    });
+    apiKeyChanges = {};
+    await refreshApiKeyHints();
+    document.getElementById('api-key').value = '';
+    await saveTemplateSettings({
+      customTemplates: templateSettings.customTemplates,
+      outputLanguage: templateSettings.outputLanguage,
+    });
+    await saveCustomSchemas(schemaSettings.customSchemas);
+    await setStorage({
+      [STORAGE_KEYS.CHUNK_SIZE_TOKENS]: chunkSizeTokens,
+      [STORAGE_KEYS.MAX_PARALLEL_CHUNKS]: maxParallel,
+      [STORAGE_KEYS.REQUEST_TIMEOUT_SECONDS]: requestTimeoutSeconds,
+      [STORAGE_KEYS.MAX_RETRIES]: maxRetries,
+      [STORAGE_KEYS.AUTO_SUMMARIZE_RULES]: autoSummarizeRules,
+      [STORAGE_KEYS.REDACTION_DETECTORS]: privacySettings.detectors,
+      [STORAGE_KEYS.REDACTION_PATTERNS]: privacySettings.customPatterns,
+      [STORAGE_KEYS.BLOCKED_DOMAINS]: privacySettings.blockedDomains,
+      [STORAGE_KEYS.HISTORY_MAX_ENTRIES]: historyMaxEntries,
+      [STORAGE_KEYS.CITATIONS_ENABLED]: document.getElementById('citations-enabled').checked,
+      [STORAGE_KEYS.EXPORT_FILENAME_TEMPLATE]: exportFilenameTemplate,
+      [STORAGE_KEYS.CACHE_ENABLED]: document.getElementById('cache-enabled').checked,
+      [STORAGE_KEYS.CACHE_TTL_HOURS]: cacheTtlHours,
+      [STORAGE_KEYS.PRICE_TABLE]: usageSettings.priceTable,
+      [STORAGE_KEYS.MONTHLY_BUDGET]: usageSettings.monthlyBudget,
+      [STORAGE_KEYS.BUDGET_ACTION]: usageSettings.action,
+    });
+    // A lower limit applies to the existing history right away
+    await applyHistoryRetention(historyMaxEntries);
     showStatus('设置已保存。');
     logger.info('Settings saved successfully.');
   } catch (error) {
@@ -74,12 +583,34 @@ const saveSettings = async () => {
   }
 };
 
-// Add event listener to the save button
+// Add event listeners once the DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
   logger.info('Options page DOM fully loaded.');
+  populateProviderSelect();
+  document.getElementById('provider').addEventListener('change', updateProviderHints);
+  document.getElementById('profile-list').addEventListener('change', (event) => selectProfile(event.target.value));
+  // Keep the dropdown labels in sync while a profile is being renamed
+  document.getElementById('profile-name').addEventListener('change', () => {
+    readProfileForm();
+    refreshProfileSelects();
+  });
+  document.getElementById('add-profile-button').addEventListener('click', addProfile);
+  document.getElementById('delete-profile-button').addEventListener('click', deleteProfile);
+  document.getElementById('clear-api-key-button').addEventListener('click', clearApiKey);
+  document.getElementById('add-rule-button').addEventListener('click', () => addRuleRow());
+  document.getElementById('add-auto-rule-button').addEventListener('click', () => addAutoSummarizeRuleRow());
+  attachTemplateValidation(document.getElementById('prompt-template'), document.getElementById('prompt-template-validation'));
+  bindTemplateEditorEvents();
+  bindSchemaEditorEvents();
+  bindUsageEvents();
+  bindPrivacyEvents();
+  bindKeyVaultEvents({ onKeysChanged: refreshApiKeyHints });
+  bindSettingsTransferEvents();
   loadSettings();
   document.getElementById('save-button').addEventListener('click', saveSettings);
-  logger.info('Event listener added to save button.');
+  // Clearing takes effect right away, independent of "save"
+  document.getElementById('clear-cache-button').addEventListener('click', clearCache);
+  logger.info('Event listeners added to options page controls.');
 });
 
-logger.info('options.js script executed.'); // Indicating script loaded
\ No newline at end of file
+logger.info('options.js script executed.'); // Indicating script loaded
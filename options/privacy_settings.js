@@ -0,0 +1,75 @@
+// chrome-llm-summarizer/options/privacy_settings.js
+
+import { REDACTION_DETECTORS } from '../utils/redaction.js';
+import { validateRedactionPatterns } from '../domain/privacy.js';
+
+const addRedactionPatternRow = (rule = { name: '', pattern: '' }) => {
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.placeholder = '名称，例如 工号';
+  nameInput.value = rule.name;
+
+  const patternInput = document.createElement('input');
+  patternInput.type = 'text';
+  patternInput.placeholder = '正则表达式，例如 EMP-\\d{6}';
+  patternInput.value = rule.pattern;
+
+  const removeButton = document.createElement('button');
+  removeButton.className = 'inline-button danger';
+  removeButton.textContent = '删除';
+  removeButton.addEventListener('click', () => row.remove());
+
+  row.append(nameInput, patternInput, removeButton);
+  document.getElementById('redaction-patterns').appendChild(row);
+};
+
+/**
+ * Shows the stored privacy settings.
+ * @param {{detectors: string[], customPatterns: object[], blockedDomains: string[]}} settings - See domain/privacy.js.
+ */
+export const initPrivacySettings = ({ detectors, customPatterns, blockedDomains }) => {
+  const container = document.getElementById('redaction-detectors');
+  container.innerHTML = '';
+  REDACTION_DETECTORS.forEach((detector) => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = detector.id;
+    checkbox.checked = detectors.includes(detector.id);
+    label.append(checkbox, detector.label);
+    container.appendChild(label);
+  });
+
+  document.getElementById('redaction-patterns').innerHTML = '';
+  customPatterns.forEach((rule) => addRedactionPatternRow(rule));
+  document.getElementById('blocked-domains').value = blockedDomains.join('\n');
+};
+
+/**
+ * Registers the event listeners of the privacy section. Call once on DOMContentLoaded.
+ */
+export const bindPrivacyEvents = () => {
+  document.getElementById('add-redaction-pattern-button').addEventListener('click', () => addRedactionPatternRow());
+};
+
+/**
+ * Reads and validates the privacy section.
+ * @returns {{error: string|null, detectors: string[], customPatterns: object[], blockedDomains: string[]}}
+ */
+export const collectPrivacySettings = () => {
+  const detectors = Array.from(document.querySelectorAll('#redaction-detectors input:checked')).map((checkbox) => checkbox.value);
+  const customPatterns = Array.from(document.querySelectorAll('#redaction-patterns .rule-row')).map((row) => {
+    const [nameInput, patternInput] = row.querySelectorAll('input');
+    // The pattern is kept as typed; leading or trailing spaces may be intended
+    return { name: nameInput.value.trim(), pattern: patternInput.value };
+  });
+  const blockedDomains = document.getElementById('blocked-domains').value
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+  return { error: validateRedactionPatterns(customPatterns), detectors, customPatterns, blockedDomains };
+};
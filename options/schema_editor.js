@@ -0,0 +1,146 @@
+// chrome-llm-summarizer/options/schema_editor.js
+
+import createLogger from '../utils/logger.js';
+import {
+  createSchemaId,
+  parseSchemaFields,
+  formatSchemaFields,
+  validateExtractionSchema,
+} from '../domain/extraction.js';
+import { BUILT_IN_EXTRACTION_SCHEMAS, EXTRACTION_FIELD_TYPES } from '../utils/constants.js';
+
+const logger = createLogger('options/schema_editor');
+
+// User schemas being edited, with the field list as the text of the editor.
+// Changes stay in memory until the options page is saved.
+let customSchemas = [];
+let selectedSchemaId = null;
+
+const getSelectedSchema = () => customSchemas.find((schema) => schema.id === selectedSchemaId);
+
+// Problems of one schema being edited: the field lines first, then the schema as a whole
+const getSchemaProblems = ({ name, fieldsText }) => {
+  const { fields, problems } = parseSchemaFields(fieldsText);
+  return [...problems, ...validateExtractionSchema({ name, fields })];
+};
+
+const updateSchemaValidation = () => {
+  const problems = getSchemaProblems({
+    name: document.getElementById('schema-name').value.trim(),
+    fieldsText: document.getElementById('schema-fields').value,
+  });
+  const messageElement = document.getElementById('schema-validation');
+  messageElement.textContent = problems.join('\n');
+  messageElement.classList.toggle('valid', problems.length === 0);
+};
+
+// Copies the editor fields into the selected schema (no validation)
+const readSchemaForm = () => {
+  const schema = getSelectedSchema();
+  if (!schema) {
+    return;
+  }
+  schema.name = document.getElementById('schema-name').value.trim();
+  schema.fieldsText = document.getElementById('schema-fields').value;
+};
+
+const renderSchemaEditor = () => {
+  const list = document.getElementById('schema-list');
+  list.innerHTML = '';
+  if (customSchemas.length === 0) {
+    const option = document.createElement('option');
+    option.textContent = '(暂无自定义提取模式)';
+    option.value = '';
+    list.appendChild(option);
+  }
+  customSchemas.forEach((schema) => {
+    const option = document.createElement('option');
+    option.value = schema.id;
+    option.textContent = schema.name || '(未命名)';
+    list.appendChild(option);
+  });
+  list.value = selectedSchemaId || '';
+
+  const schema = getSelectedSchema();
+  document.getElementById('schema-editor').style.display = schema ? 'block' : 'none';
+  document.getElementById('delete-schema-button').disabled = !schema;
+  document.getElementById('schema-name').value = schema?.name || '';
+  document.getElementById('schema-fields').value = schema?.fieldsText || '';
+  updateSchemaValidation();
+};
+
+const selectSchema = (schemaId) => {
+  readSchemaForm();
+  selectedSchemaId = schemaId;
+  renderSchemaEditor();
+};
+
+const addSchema = () => {
+  readSchemaForm();
+  const schema = {
+    id: createSchemaId(),
+    name: `自定义提取 ${customSchemas.length + 1}`,
+    fieldsText: `标题 | ${EXTRACTION_FIELD_TYPES.TEXT} | 页面标题\n要点 | ${EXTRACTION_FIELD_TYPES.LIST} | 三到五条要点`,
+  };
+  customSchemas.push(schema);
+  logger.info('Added custom extraction schema:', schema.id);
+  selectSchema(schema.id);
+};
+
+const deleteSchema = () => {
+  const schema = getSelectedSchema();
+  if (!schema || !confirm(`确定删除提取模式 "${schema.name}" 吗？`)) {
+    return;
+  }
+  customSchemas = customSchemas.filter((item) => item.id !== schema.id);
+  selectedSchemaId = customSchemas[0]?.id || null;
+  logger.info('Deleted custom extraction schema:', schema.id);
+  renderSchemaEditor();
+};
+
+/**
+ * Wires up the extraction schema section and shows the stored schemas.
+ * @param {{customSchemas: object[]}} settings
+ */
+export const initSchemaEditor = (settings) => {
+  customSchemas = settings.customSchemas.map(({ id, name, fields }) => ({ id, name, fieldsText: formatSchemaFields(fields) }));
+  selectedSchemaId = customSchemas[0]?.id || null;
+
+  document.getElementById('builtin-schema-names').textContent = BUILT_IN_EXTRACTION_SCHEMAS.map((schema) => schema.name).join('、');
+  document.getElementById('schema-field-types').textContent = Object.values(EXTRACTION_FIELD_TYPES).join('、');
+  renderSchemaEditor();
+};
+
+/**
+ * Registers the event listeners of the extraction schema section. Call once on DOMContentLoaded.
+ */
+export const bindSchemaEditorEvents = () => {
+  document.getElementById('schema-fields').addEventListener('input', updateSchemaValidation);
+  document.getElementById('schema-list').addEventListener('change', (event) => selectSchema(event.target.value || null));
+  document.getElementById('schema-name').addEventListener('change', () => {
+    readSchemaForm();
+    renderSchemaEditor();
+  });
+  document.getElementById('add-schema-button').addEventListener('click', addSchema);
+  document.getElementById('delete-schema-button').addEventListener('click', deleteSchema);
+};
+
+/**
+ * Reads and validates the extraction schema section.
+ * @returns {{error: string|null, customSchemas: object[]}} - Schemas in the stored form { id, name, fields }.
+ */
+export const collectSchemaSettings = () => {
+  readSchemaForm();
+  for (const schema of customSchemas) {
+    const problems = getSchemaProblems(schema);
+    if (problems.length > 0) {
+      // Show the offending schema so the user can fix it right away
+      selectSchema(schema.id);
+      return { error: `提取模式 "${schema.name || '(未命名)'}" 有误: ${problems.join(' ')}`, customSchemas: [] };
+    }
+  }
+  return {
+    error: null,
+    customSchemas: customSchemas.map(({ id, name, fieldsText }) => ({ id, name, fields: parseSchemaFields(fieldsText).fields })),
+  };
+};
@@ -0,0 +1,83 @@
+// chrome-llm-summarizer/options/settings_transfer.js
+
+import createLogger from '../utils/logger.js';
+import { buildSettingsExport, parseSettingsFile, importSettings } from '../domain/settings_transfer.js';
+import { ERROR_MESSAGES } from '../utils/constants.js';
+
+const logger = createLogger('options/settings_transfer');
+
+const LOCKED_KEYS_MESSAGE = 'API Key 已用口令加密并处于锁定状态，请先在"API 密钥保护"中解锁。';
+
+const showTransferMessage = (message, isError = false) => {
+  const messageElement = document.getElementById('settings-transfer-message');
+  messageElement.textContent = message;
+  messageElement.classList.toggle('valid', !isError);
+};
+
+const exportSettings = async () => {
+  const includeApiKeys = document.getElementById('export-include-keys').checked;
+  if (includeApiKeys && !confirm('导出的文件将包含明文 API Key，任何拿到文件的人都能使用。确定继续吗？')) {
+    return;
+  }
+  let data;
+  try {
+    data = await buildSettingsExport({ includeApiKeys });
+  } catch (error) {
+    showTransferMessage(error.message === ERROR_MESSAGES.API_KEYS_LOCKED ? LOCKED_KEYS_MESSAGE : `导出失败: ${error.message}`, true);
+    return;
+  }
+
+  const blobUrl = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json;charset=utf-8' }));
+  try {
+    const filename = `llm-summarizer-settings-${data.exportedAt.slice(0, 10)}.json`;
+    await chrome.downloads.download({ url: blobUrl, filename, saveAs: true });
+    showTransferMessage(`设置已导出: ${filename}`);
+  } catch (error) {
+    logger.errorWithStack('Failed to download the settings file.', error);
+    showTransferMessage(`导出失败: ${error.message}`, true);
+  } finally {
+    // The download reads the blob asynchronously; release it once it surely has been read
+    setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+  }
+};
+
+const importFile = async (input) => {
+  const [file] = input.files;
+  // Cleared so the same file can be chosen again after fixing it
+  input.value = '';
+  if (!file) {
+    return;
+  }
+  const imported = parseSettingsFile(await file.text());
+  if (imported.error) {
+    showTransferMessage(`导入失败: ${imported.error}`, true);
+    return;
+  }
+  const keyCount = Object.keys(imported.apiKeys).length;
+  const summary = `${Object.keys(imported.settings).length} 项设置${keyCount > 0 ? `和 ${keyCount} 个 API Key` : ''}`;
+  if (!confirm(`导入 ${summary}？文件中的设置会覆盖当前的对应设置，未保存的修改将丢失。`)) {
+    return;
+  }
+  try {
+    await importSettings(imported);
+  } catch (error) {
+    showTransferMessage(error.message === ERROR_MESSAGES.API_KEYS_LOCKED ? LOCKED_KEYS_MESSAGE : `导入失败: ${error.message}`, true);
+    return;
+  }
+  logger.info(`Imported ${summary} from ${file.name}.`);
+  // Show the imported settings in every section
+  location.reload();
+};
+
+/**
+ * Registers the event listeners of the import / export section. Call once on DOMContentLoaded.
+ * Imports take effect right away, independent of "save".
+ */
+export const bindSettingsTransferEvents = () => {
+  const failed = (error) => {
+    logger.errorWithStack('Settings import or export failed.', error);
+    showTransferMessage(`操作失败: ${error.message}`, true);
+  };
+  document.getElementById('export-settings-button').addEventListener('click', () => exportSettings().catch(failed));
+  document.getElementById('import-settings-input').addEventListener('change', (event) => importFile(event.target).catch(failed));
+};
@@ -0,0 +1,150 @@
+// chrome-llm-summarizer/options/template_editor.js
+
+import createLogger from '../utils/logger.js';
+import { BUILT_IN_TEMPLATES, createTemplateId, validatePromptTemplate } from '../domain/templates.js';
+import { DEFAULT_OUTPUT_LANGUAGE } from '../utils/constants.js';
+
+const logger = createLogger('options/template_editor');
+
+// User templates being edited. Changes stay in memory until the options page is saved.
+let customTemplates = [];
+let selectedTemplateId = null;
+
+const getSelectedTemplate = () => customTemplates.find((template) => template.id === selectedTemplateId);
+
+/**
+ * Validates a textarea while the user types and shows the problems below it.
+ * @param {HTMLTextAreaElement} textarea
+ * @param {HTMLElement} messageElement
+ */
+export const attachTemplateValidation = (textarea, messageElement) => {
+  const update = () => {
+    const problems = validatePromptTemplate(textarea.value);
+    messageElement.textContent = problems.join('\n');
+    messageElement.classList.toggle('valid', problems.length === 0);
+  };
+  textarea.addEventListener('input', update);
+  // Re-run when the value is set programmatically (switching profiles or templates)
+  textarea.addEventListener('validate', update);
+};
+
+/**
+ * Triggers the validation listener after a programmatic value change.
+ * @param {HTMLTextAreaElement} textarea
+ */
+export const revalidateTemplateField = (textarea) => textarea.dispatchEvent(new Event('validate'));
+
+// Copies the editor fields into the selected template (no validation)
+const readTemplateForm = () => {
+  const template = getSelectedTemplate();
+  if (!template) {
+    return;
+  }
+  template.name = document.getElementById('template-name').value.trim();
+  template.template = document.getElementById('template-text').value;
+};
+
+const renderTemplateEditor = () => {
+  const list = document.getElementById('template-list');
+  list.innerHTML = '';
+  if (customTemplates.length === 0) {
+    const option = document.createElement('option');
+    option.textContent = '(暂无自定义模板)';
+    option.value = '';
+    list.appendChild(option);
+  }
+  customTemplates.forEach((template) => {
+    const option = document.createElement('option');
+    option.value = template.id;
+    option.textContent = template.name || '(未命名)';
+    list.appendChild(option);
+  });
+  list.value = selectedTemplateId || '';
+
+  const template = getSelectedTemplate();
+  document.getElementById('template-editor').style.display = template ? 'block' : 'none';
+  document.getElementById('delete-template-button').disabled = !template;
+  document.getElementById('template-name').value = template?.name || '';
+  document.getElementById('template-text').value = template?.template || '';
+  revalidateTemplateField(document.getElementById('template-text'));
+};
+
+const selectTemplate = (templateId) => {
+  readTemplateForm();
+  selectedTemplateId = templateId;
+  renderTemplateEditor();
+};
+
+const addTemplate = () => {
+  readTemplateForm();
+  const template = {
+    id: createTemplateId(),
+    name: `自定义模板 ${customTemplates.length + 1}`,
+    template: '请用{{language}}总结以下内容：\n\n{{content}}',
+  };
+  customTemplates.push(template);
+  logger.info('Added custom template:', template.id);
+  selectTemplate(template.id);
+};
+
+const deleteTemplate = () => {
+  const template = getSelectedTemplate();
+  if (!template || !confirm(`确定删除模板 "${template.name}" 吗？`)) {
+    return;
+  }
+  customTemplates = customTemplates.filter((item) => item.id !== template.id);
+  selectedTemplateId = customTemplates[0]?.id || null;
+  logger.info('Deleted custom template:', template.id);
+  renderTemplateEditor();
+};
+
+/**
+ * Wires up the template library section and shows the stored values.
+ * @param {{customTemplates: object[], outputLanguage: string}} settings
+ */
+export const initTemplateEditor = (settings) => {
+  customTemplates = settings.customTemplates.map((template) => ({ ...template }));
+  selectedTemplateId = customTemplates[0]?.id || null;
+
+  document.getElementById('builtin-template-names').textContent = BUILT_IN_TEMPLATES.map((template) => template.name).join('、');
+  document.getElementById('output-language').value = settings.outputLanguage || DEFAULT_OUTPUT_LANGUAGE;
+  renderTemplateEditor();
+};
+
+/**
+ * Registers the event listeners of the template library section. Call once on DOMContentLoaded.
+ */
+export const bindTemplateEditorEvents = () => {
+  attachTemplateValidation(document.getElementById('template-text'), document.getElementById('template-validation'));
+  document.getElementById('template-list').addEventListener('change', (event) => selectTemplate(event.target.value || null));
+  document.getElementById('template-name').addEventListener('change', () => {
+    readTemplateForm();
+    renderTemplateEditor();
+  });
+  document.getElementById('add-template-button').addEventListener('click', addTemplate);
+  document.getElementById('delete-template-button').addEventListener('click', deleteTemplate);
+};
+
+/**
+ * Reads and validates the template library section.
+ * @returns {{error: string|null, customTemplates: object[], outputLanguage: string}}
+ */
+export const collectTemplateSettings = () => {
+  readTemplateForm();
+  const outputLanguage = document.getElementById('output-language').value.trim() || DEFAULT_OUTPUT_LANGUAGE;
+
+  for (const template of customTemplates) {
+    const name = template.name || '(未命名)';
+    if (!template.name) {
+      selectTemplate(template.id);
+      return { error: '模板名称不能为空。', customTemplates, outputLanguage };
+    }
+    const problems = validatePromptTemplate(template.template);
+    if (problems.length > 0) {
+      // Show the offending template so the user can fix it right away
+      selectTemplate(template.id);
+      return { error: `模板 "${name}" 有误: ${problems.join(' ')}`, customTemplates, outputLanguage };
+    }
+  }
+  return { error: null, customTemplates, outputLanguage };
+};
@@ -0,0 +1,149 @@
+// chrome-llm-summarizer/options/usage_dashboard.js
+
+import createLogger from '../utils/logger.js';
+import { getUsageRecords, aggregateUsage, getUsageTotals, clearUsageRecords, validatePriceTable, formatCost } from '../domain/usage.js';
+import { DEFAULT_PRICE_TABLE, BUDGET_ACTIONS } from '../utils/constants.js';
+
+const logger = createLogger('options/usage_dashboard');
+
+// Daily rows cover this many days; monthly rows cover all records
+const DASHBOARD_DAYS = 30;
+
+const formatTokens = (count) => count.toLocaleString();
+
+// A total with the number of requests whose model has no price in the table
+const formatRowCost = ({ cost, unpriced }) => (unpriced > 0 ? `${formatCost(cost)} (+${unpriced} 次未计价)` : formatCost(cost));
+
+const addPriceRow = (rule = { pattern: '', inputPrice: 0, outputPrice: 0 }) => {
+  const row = document.createElement('div');
+  row.className = 'rule-row price-row';
+
+  const patternInput = document.createElement('input');
+  patternInput.type = 'text';
+  patternInput.placeholder = '模型名称，例如 gpt-4o-mini*';
+  patternInput.value = rule.pattern;
+
+  const createPriceInput = (value, title) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '0.01';
+    input.title = title;
+    input.value = value;
+    return input;
+  };
+
+  const removeButton = document.createElement('button');
+  removeButton.className = 'inline-button danger';
+  removeButton.textContent = '删除';
+  removeButton.addEventListener('click', () => row.remove());
+
+  row.append(
+    patternInput,
+    createPriceInput(rule.inputPrice, '输入价格 (美元 / 百万 tokens)'),
+    createPriceInput(rule.outputPrice, '输出价格 (美元 / 百万 tokens)'),
+    removeButton,
+  );
+  document.getElementById('price-table').appendChild(row);
+};
+
+const renderPriceTable = (priceTable) => {
+  document.getElementById('price-table').innerHTML = '';
+  priceTable.forEach((rule) => addPriceRow(rule));
+};
+
+/**
+ * Shows today's and this month's totals and the table for the chosen period and breakdown.
+ * @returns {Promise<void>}
+ */
+export const renderUsageDashboard = async () => {
+  const records = await getUsageRecords();
+  const period = document.getElementById('usage-period').value;
+  const groupBy = document.getElementById('usage-group-by').value;
+
+  const { today, month } = await getUsageTotals();
+  const describe = (row) => (row ? `${formatRowCost(row)}，${row.requests} 次请求，${formatTokens(row.promptTokens + row.completionTokens)} tokens` : '无');
+  document.getElementById('usage-summary').textContent = `今日: ${describe(today)}。本月: ${describe(month)}。`;
+
+  const since = Date.now() - DASHBOARD_DAYS * 24 * 60 * 60 * 1000;
+  const rows = aggregateUsage(period === 'day' ? records.filter((record) => record.createdAt >= since) : records, { period, groupBy });
+  const body = document.getElementById('usage-table-body');
+  body.innerHTML = '';
+  rows.forEach((row) => {
+    const tr = document.createElement('tr');
+    [
+      row.period,
+      row.key || (groupBy === 'domain' ? '(无网页)' : '(未知)'),
+      String(row.requests),
+      formatTokens(row.promptTokens),
+      formatTokens(row.completionTokens),
+      formatRowCost(row),
+    ].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+  document.getElementById('usage-empty').style.display = rows.length === 0 ? 'block' : 'none';
+};
+
+/**
+ * Shows the stored price table and budget and draws the dashboard.
+ * @param {{priceTable: object[], monthlyBudget: number, action: string}} settings
+ * @returns {Promise<void>}
+ */
+export const initUsageSettings = async ({ priceTable, monthlyBudget, action }) => {
+  renderPriceTable(priceTable);
+  document.getElementById('monthly-budget').value = monthlyBudget || '';
+  document.getElementById('budget-action').value = action;
+  await renderUsageDashboard();
+};
+
+const clearUsage = async () => {
+  if (!confirm('确定清空所有用量记录吗？本月费用也会归零。')) {
+    return;
+  }
+  await clearUsageRecords();
+  await renderUsageDashboard();
+  logger.info('Usage records cleared from the options page.');
+};
+
+/**
+ * Registers the event listeners of the usage section. Call once on DOMContentLoaded.
+ */
+export const bindUsageEvents = () => {
+  document.getElementById('usage-period').addEventListener('change', renderUsageDashboard);
+  document.getElementById('usage-group-by').addEventListener('change', renderUsageDashboard);
+  document.getElementById('add-price-button').addEventListener('click', () => addPriceRow());
+  document.getElementById('reset-prices-button').addEventListener('click', () => renderPriceTable(DEFAULT_PRICE_TABLE));
+  document.getElementById('clear-usage-button').addEventListener('click', () => clearUsage()
+    .catch((error) => logger.errorWithStack('Failed to clear usage records.', error)));
+};
+
+/**
+ * Reads and validates the price table and budget.
+ * @returns {{error: string|null, priceTable: object[], monthlyBudget: number, action: string}}
+ */
+export const collectUsageSettings = () => {
+  const priceTable = Array.from(document.querySelectorAll('#price-table .price-row')).map((row) => {
+    const [patternInput, inputPriceInput, outputPriceInput] = row.querySelectorAll('input');
+    return {
+      pattern: patternInput.value.trim(),
+      inputPrice: inputPriceInput.value === '' ? NaN : Number(inputPriceInput.value),
+      outputPrice: outputPriceInput.value === '' ? NaN : Number(outputPriceInput.value),
+    };
+  });
+  const budgetValue = document.getElementById('monthly-budget').value;
+  const monthlyBudget = budgetValue === '' ? 0 : Number(budgetValue);
+  const action = document.getElementById('budget-action').value;
+
+  let error = validatePriceTable(priceTable);
+  if (!error && (!Number.isFinite(monthlyBudget) || monthlyBudget < 0)) {
+    error = '每月预算必须是不小于 0 的数字。';
+  }
+  if (!error && !Object.values(BUDGET_ACTIONS).includes(action)) {
+    error = '请选择达到预算后的处理方式。';
+  }
+  return { error, priceTable, monthlyBudget, action };
+};
@@ -0,0 +1,162 @@
+// chrome-llm-summarizer/popup/command_palette.js
+
+import createLogger from '../utils/logger.js';
+
+const logger = createLogger('popup/command_palette');
+
+/**
+ * An entry of the command palette.
+ * @typedef {object} PaletteCommand
+ * @property {string} title - What is shown and searched, e.g. "总结: 关键要点".
+ * @property {string} [hint] - Shown on the right, e.g. the keyboard shortcut.
+ * @property {function(): void} run
+ */
+
+const palette = document.getElementById('command-palette');
+const paletteInput = document.getElementById('command-palette-input');
+const paletteList = document.getElementById('command-palette-list');
+
+// Commands of the open palette, the ones matching the input, and the highlighted one
+let commands = [];
+let matches = [];
+let selectedIndex = 0;
+
+const isOpen = () => palette.style.display === 'flex';
+
+/**
+ * Keeps the commands whose title contains every word of the query (case-insensitive).
+ * @param {PaletteCommand[]} items
+ * @param {string} query
+ * @returns {PaletteCommand[]}
+ */
+const filterCommands = (items, query) => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return items.filter((command) => words.every((word) => command.title.toLowerCase().includes(word)));
+};
+
+const renderMatches = () => {
+    paletteList.innerHTML = '';
+    if (matches.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'empty';
+        empty.textContent = '没有匹配的命令';
+        paletteList.appendChild(empty);
+        return;
+    }
+    matches.forEach((command, index) => {
+        const item = document.createElement('li');
+        item.classList.toggle('selected', index === selectedIndex);
+        const title = document.createElement('span');
+        title.textContent = command.title;
+        item.appendChild(title);
+        if (command.hint) {
+            const hint = document.createElement('span');
+            hint.className = 'command-hint';
+            hint.textContent = command.hint;
+            item.appendChild(hint);
+        }
+        item.addEventListener('mousedown', (event) => {
+            // Keeps the focus in the input until the command runs
+            event.preventDefault();
+            runCommand(command);
+        });
+        paletteList.appendChild(item);
+    });
+    paletteList.children[selectedIndex]?.scrollIntoView({ block: 'nearest' });
+};
+
+const updateMatches = () => {
+    matches = filterCommands(commands, paletteInput.value);
+    selectedIndex = 0;
+    renderMatches();
+};
+
+const closePalette = () => {
+    palette.style.display = 'none';
+    paletteInput.value = '';
+    commands = [];
+    matches = [];
+};
+
+const runCommand = (command) => {
+    logger.info('Running palette command:', command.title);
+    closePalette();
+    command.run();
+};
+
+/**
+ * Opens the palette with a fresh list of commands and focuses the search input.
+ * @param {function(): Promise<PaletteCommand[]>} loadCommands
+ */
+const openPalette = async (loadCommands) => {
+    try {
+        commands = await loadCommands();
+    } catch (error) {
+        logger.errorWithStack('Failed to load the palette commands.', error);
+        return;
+    }
+    palette.style.display = 'flex';
+    updateMatches();
+    paletteInput.focus();
+};
+
+/**
+ * Registers the palette's button, the Ctrl+K (⌘K) shortcut and the keyboard navigation.
+ * Commands are loaded every time the palette opens, so they reflect the current templates and profiles.
+ * @param {function(): Promise<PaletteCommand[]>} loadCommands
+ */
+export const bindCommandPalette = (loadCommands) => {
+    const paletteButton = document.getElementById('command-palette-button');
+    // Keeps the focus in the input, so the button closes an open palette instead of reopening it after the blur
+    paletteButton.addEventListener('mousedown', (event) => event.preventDefault());
+    paletteButton.addEventListener('click', () => {
+        if (isOpen()) {
+            closePalette();
+            return;
+        }
+        openPalette(loadCommands);
+    });
+
+    document.addEventListener('keydown', (event) => {
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+            event.preventDefault();
+            if (isOpen()) {
+                closePalette();
+                return;
+            }
+            openPalette(loadCommands);
+        }
+    });
+
+    paletteInput.addEventListener('input', updateMatches);
+
+    paletteInput.addEventListener('keydown', (event) => {
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                event.preventDefault();
+                if (matches.length > 0) {
+                    const step = event.key === 'ArrowDown' ? 1 : -1;
+                    selectedIndex = (selectedIndex + step + matches.length) % matches.length;
+                    renderMatches();
+                }
+                break;
+            case 'Enter':
+                event.preventDefault();
+                if (matches[selectedIndex]) {
+                    runCommand(matches[selectedIndex]);
+                }
+                break;
+            case 'Escape':
+                // Closes only the palette, not the popup
+                event.preventDefault();
+                closePalette();
+                break;
+            default:
+                break;
+        }
+    });
+
+    // Clicking elsewhere closes the palette
+    paletteInput.addEventListener('blur', closePalette);
+};
@@ -1,86 +1,1382 @@
 // chrome-llm-summarizer/popup/popup.js
 
 import createLogger from '../utils/logger.js';
-import { MESSAGE_TYPES } from '../utils/constants.js';
+import { MESSAGE_TYPES, PORT_NAMES, ERROR_MESSAGES, SUMMARY_PHASES, PROFILE_TEMPLATE_ID, BUDGET_ACTIONS, KEYBOARD_COMMANDS, STORAGE_KEYS, JOB_STATUSES } from '../utils/constants.js';
+import { getProfileSettings, selectProfile, setActiveProfileId } from '../domain/profiles.js';
+import { getTemplateSettings, listTemplates, setSelectedTemplateId } from '../domain/templates.js';
+import { getConversation } from '../domain/conversation.js';
+import { findLatestHistoryEntry } from '../domain/history.js';
+import { CITATION_REGEX, TIMESTAMP_REGEX, parseCitationGroup, parseTimestamp } from '../domain/citations.js';
+import { getExportFilenameTemplate, buildMarkdownExport, buildHtmlExport, renderExportFilename } from '../domain/export.js';
+import { getBudgetStatus, formatCost } from '../domain/usage.js';
+import { describeError, describeRecovery } from '../domain/errors.js';
+import { getExtractionSettings, listSchemas, setSelectedSchemaId, formatFieldValue, buildCsvExport, buildJsonExport } from '../domain/extraction.js';
+import { countRedactions, describeRedactions } from '../domain/privacy.js';
+import { listJobs, findLatestJob, isJobActive } from '../domain/jobs.js';
+import { bindCommandPalette } from './command_palette.js';
 
 const logger = createLogger('popup/popup');
 
 // Get DOM elements
+const profileSelect = document.getElementById('profile-select');
+const profileHint = document.getElementById('profile-hint');
+const budgetNotice = document.getElementById('budget-notice');
+const modeSelect = document.getElementById('mode-select');
+const templateRow = document.getElementById('template-row');
+const templateSelect = document.getElementById('template-select');
 const summarizeButton = document.getElementById('summarize-button');
+const stopButton = document.getElementById('stop-button');
+const previewButton = document.getElementById('preview-button');
+const previewOutput = document.getElementById('preview-output');
 const loadingIndicator = document.getElementById('loading');
+const loadingText = document.getElementById('loading-text');
 const resultContainer = document.getElementById('result-container');
+const resultMeta = document.getElementById('result-meta');
 const summaryOutput = document.getElementById('summary-output');
 const errorOutput = document.getElementById('error-output');
+const chatContainer = document.getElementById('chat-container');
+const chatHistory = document.getElementById('chat-history');
+const chatInput = document.getElementById('chat-input');
+const chatSendButton = document.getElementById('chat-send-button');
+const historyButton = document.getElementById('history-button');
+const sidePanelButton = document.getElementById('side-panel-button');
+const digestSection = document.getElementById('digest-section');
+const digestScope = document.getElementById('digest-scope');
+const digestTabList = document.getElementById('digest-tab-list');
+const digestButton = document.getElementById('digest-button');
+const exportActions = document.getElementById('export-actions');
+const copyButton = document.getElementById('copy-button');
+const exportMarkdownButton = document.getElementById('export-markdown-button');
+const exportHtmlButton = document.getElementById('export-html-button');
+const cacheNotice = document.getElementById('cache-notice');
+const cacheNoticeText = document.getElementById('cache-notice-text');
+const regenerateButton = document.getElementById('regenerate-button');
+const extractionOutput = document.getElementById('extraction-output');
+const extractionTableBody = document.getElementById('extraction-table-body');
+const extractionActions = document.getElementById('extraction-actions');
+const exportCsvButton = document.getElementById('export-csv-button');
+const exportJsonButton = document.getElementById('export-json-button');
+const jobListContainer = document.getElementById('job-list-container');
+const jobList = document.getElementById('job-list');
+
+const DEFAULT_LOADING_TEXT = '正在获取内容并总结...';
+const EXTRACTION_LOADING_TEXT = '正在获取内容并提取信息...';
+const PREVIEW_LOADING_TEXT = '正在读取并过滤页面内容...';
+const QUEUED_LOADING_TEXT = '排队中：等待其他任务完成...';
+const THINKING_TEXT = '正在思考...';
+
+// Loading text when reattaching to a job of each kind of request
+const JOB_LOADING_TEXTS = {
+    [MESSAGE_TYPES.SUMMARIZE_CONTENT]: DEFAULT_LOADING_TEXT,
+    [MESSAGE_TYPES.DIGEST_TABS]: DEFAULT_LOADING_TEXT,
+    [MESSAGE_TYPES.EXTRACT_CONTENT]: EXTRACTION_LOADING_TEXT,
+    [MESSAGE_TYPES.PREVIEW_CONTENT]: PREVIEW_LOADING_TEXT,
+    [MESSAGE_TYPES.CONTEXT_MENU_ACTION]: DEFAULT_LOADING_TEXT
+};
+
+// Names of the requests and job states in the job list
+const JOB_TYPE_LABELS = {
+    [MESSAGE_TYPES.SUMMARIZE_CONTENT]: '总结',
+    [MESSAGE_TYPES.DIGEST_TABS]: '综合报告',
+    [MESSAGE_TYPES.CHAT_MESSAGE]: '追问',
+    [MESSAGE_TYPES.EXTRACT_CONTENT]: '提取',
+    [MESSAGE_TYPES.PREVIEW_CONTENT]: '预览',
+    [MESSAGE_TYPES.CONTEXT_MENU_ACTION]: '右键菜单'
+};
+const JOB_STATUS_LABELS = {
+    [JOB_STATUSES.QUEUED]: '排队中',
+    [JOB_STATUSES.EXTRACTING]: '读取页面',
+    [JOB_STATUSES.CALLING]: '调用模型'
+};
+
+// Value of the mode dropdown for a free-form summary; other values are extraction schema ids
+const SUMMARY_MODE = '';
+
+// The same script drives the action popup and the side panel (sidepanel/sidepanel.html).
+// The side panel stays open across tab switches, so it follows the active tab.
+const IS_SIDE_PANEL = document.body.classList.contains('side-panel');
 
 // Function to show/hide elements
 const showElement = (element) => { element.style.display = 'block'; };
 const hideElement = (element) => { element.style.display = 'none'; };
 
+// Port to the background for the current summarization or follow-up question (null when idle).
+// Closing the popup only disconnects the port; the background job keeps running.
+let summarizePort = null;
+// Id of the background job the port is attached to (see domain/jobs.js)
+let currentJobId = null;
+// Loading text of the running request, shown again once a queued job starts
+let requestLoadingText = DEFAULT_LOADING_TEXT;
+// Latest full markdown text received and the element it goes to; rendered at most once per animation frame
+let pendingRender = null;
+let renderScheduled = false;
+// Chat bubble receiving the answer that is currently streaming
+let pendingAnswerElement = null;
+// The tab whose summary is shown; requests are sent for this tab
+let currentTab = null;
+// The finished summary shown, with the details used by copy and export (see domain/export.js)
+let exportDocument = null;
+// The extraction shown: { data, schema, title, url, createdAt, modelName }
+let extractionResult = null;
+
 // Initial state
 hideElement(loadingIndicator);
 hideElement(resultContainer); // Hide result container initially
 hideElement(errorOutput); // Initially, always hide the error output
+hideElement(stopButton);
+hideElement(chatContainer);
+hideElement(previewOutput);
 errorOutput.textContent = ''; // Clear previous error
 summaryOutput.textContent = ''; // Clear previous summary
 
-// Listener for messages from the background script (to receive the summary result)
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    logger.info('Popup received message:', request.type);
+/**
+ * Fills the profile dropdown and preselects the profile that applies to the current tab
+ * (a matching site rule, otherwise the active profile).
+ */
+const loadProfiles = async () => {
+    try {
+        const { profiles } = await getProfileSettings();
+        // Only the profile's name is shown; its API key stays with the background
+        const { profile, matchedRule } = await selectProfile({ url: currentTab?.url });
+
+        profileSelect.innerHTML = '';
+        profiles.forEach((item) => {
+            const option = document.createElement('option');
+            option.value = item.id;
+            option.textContent = item.modelName ? `${item.name} (${item.modelName})` : item.name;
+            profileSelect.appendChild(option);
+        });
+        profileSelect.value = profile.id;
+        profileHint.textContent = matchedRule ? `已根据网站规则 "${matchedRule.pattern}" 自动选择` : '';
+        logger.info(`Loaded ${profiles.length} profile(s). Preselected "${profile.name}".`);
+    } catch (error) {
+        logger.errorWithStack('Failed to load profiles.', error);
+        profileHint.textContent = `加载配置失败: ${error.message}`;
+    }
+};
+
+// Picking a profile in the dropdown makes it the active profile for future summaries
+profileSelect.addEventListener('change', async () => {
+    logger.info('Profile selection changed:', profileSelect.value);
+    profileHint.textContent = '';
+    try {
+        await setActiveProfileId(profileSelect.value);
+    } catch (error) {
+        logger.errorWithStack('Failed to save active profile.', error);
+    }
+});
+
+/**
+ * Fills the template dropdown with the profile's own prompt, the built-in templates and
+ * the user's templates, and restores the last selection.
+ */
+const loadTemplates = async () => {
+    try {
+        const { customTemplates, selectedTemplateId } = await getTemplateSettings();
+        const templates = [{ id: PROFILE_TEMPLATE_ID, name: '配置默认提示语' }, ...listTemplates(customTemplates)];
+
+        templateSelect.innerHTML = '';
+        templates.forEach((template) => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            templateSelect.appendChild(option);
+        });
+        // A deleted template falls back to the profile prompt
+        templateSelect.value = templates.some((template) => template.id === selectedTemplateId) ? selectedTemplateId : PROFILE_TEMPLATE_ID;
+        logger.info(`Loaded ${templates.length} template option(s). Selected: ${templateSelect.value}`);
+    } catch (error) {
+        logger.errorWithStack('Failed to load templates.', error);
+    }
+};
+
+templateSelect.addEventListener('change', async () => {
+    logger.info('Template selection changed:', templateSelect.value);
+    try {
+        await setSelectedTemplateId(templateSelect.value);
+    } catch (error) {
+        logger.errorWithStack('Failed to save selected template.', error);
+    }
+});
+
+// Templates only apply to summaries; extraction uses its own prompt
+const updateModeView = () => {
+    const extracting = modeSelect.value !== SUMMARY_MODE;
+    templateRow.style.display = extracting ? 'none' : 'flex';
+    summarizeButton.textContent = extracting ? '提取当前网页信息' : '总结当前网页';
+};
+
+/**
+ * Fills the mode dropdown with the summary mode and the extraction schemas and restores the last selection.
+ */
+const loadModes = async () => {
+    try {
+        const { customSchemas, selectedSchemaId } = await getExtractionSettings();
+        const schemas = listSchemas(customSchemas);
+
+        modeSelect.innerHTML = '';
+        [{ id: SUMMARY_MODE, name: '总结 (Markdown)' }, ...schemas.map((schema) => ({ id: schema.id, name: `提取: ${schema.name}` }))].forEach((mode) => {
+            const option = document.createElement('option');
+            option.value = mode.id;
+            option.textContent = mode.name;
+            modeSelect.appendChild(option);
+        });
+        // A deleted schema falls back to the summary
+        modeSelect.value = schemas.some((schema) => schema.id === selectedSchemaId) ? selectedSchemaId : SUMMARY_MODE;
+        logger.info(`Loaded ${schemas.length} extraction schema(s). Mode: ${modeSelect.value || 'summary'}`);
+    } catch (error) {
+        logger.errorWithStack('Failed to load extraction schemas.', error);
+    }
+    updateModeView();
+};
+
+modeSelect.addEventListener('change', async () => {
+    logger.info('Mode selection changed:', modeSelect.value || 'summary');
+    updateModeView();
+    try {
+        await setSelectedSchemaId(modeSelect.value);
+    } catch (error) {
+        logger.errorWithStack('Failed to save selected mode.', error);
+    }
+});
+
+/**
+ * Replaces every match of a pattern in the text of rendered markdown with a node.
+ * Code and existing links are left untouched.
+ * @param {HTMLElement} element
+ * @param {RegExp} regex - A global pattern.
+ * @param {function(RegExpMatchArray): Node} createNode
+ */
+const replaceTextMatches = (element, regex, createNode) => {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => (node.parentElement.closest('code, pre, a') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+
+    textNodes.forEach((node) => {
+        const text = node.textContent;
+        const matches = [...text.matchAll(regex)];
+        if (matches.length === 0) {
+            return;
+        }
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+        matches.forEach((match) => {
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+            fragment.appendChild(createNode(match));
+            lastIndex = match.index + match[0].length;
+        });
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+        node.replaceWith(fragment);
+    });
+};
+
+/**
+ * Turns citation markers such as [P3] or [P3, P7] into links that jump to the cited passage
+ * on the page, and video timestamps such as [1:23] into links that seek the video.
+ * @param {HTMLElement} element
+ */
+const linkReferences = (element) => {
+    replaceTextMatches(element, CITATION_REGEX, (match) => {
+        const group = document.createElement('sup');
+        group.className = 'citation-group';
+        parseCitationGroup(match[1]).forEach((passage) => {
+            const link = document.createElement('a');
+            link.href = '#';
+            link.className = 'citation';
+            link.dataset.passage = String(passage);
+            link.title = `跳转到原文第 ${passage} 段`;
+            link.textContent = String(passage);
+            group.appendChild(link);
+        });
+        return group;
+    });
+    replaceTextMatches(element, TIMESTAMP_REGEX, (match) => {
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'timestamp';
+        link.dataset.seconds = String(parseTimestamp(match[1]));
+        link.title = `跳转到视频 ${match[1]}`;
+        link.textContent = match[1];
+        return link;
+    });
+};
+
+/**
+ * Renders markdown into the summary output (or a chat bubble), sanitizing the generated HTML.
+ * @param {string} markdownText
+ * @param {HTMLElement} [element] - Defaults to the summary output.
+ */
+const renderMarkdown = (markdownText, element = summaryOutput) => {
+    const html = marked.parse(markdownText);
+    const cleanHtml = DOMPurify.sanitize(html);
+    element.innerHTML = cleanHtml;
+    element.marked = true; // Optional: if you use a markdown renderer, flag it
+    linkReferences(element);
+};
 
-    if (request.type === MESSAGE_TYPES.SUMMARY_RESULT) {
+/**
+ * Schedules a re-render of the streamed markdown. Tokens can arrive much faster than
+ * the screen refreshes, so only the latest text is parsed once per frame.
+ * @param {string} markdownText - The full text generated so far.
+ * @param {HTMLElement} [element] - Defaults to the summary output.
+ */
+const scheduleRender = (markdownText, element = summaryOutput) => {
+    pendingRender = { markdownText, element };
+    if (renderScheduled) {
+        return;
+    }
+    renderScheduled = true;
+    requestAnimationFrame(() => {
+        renderScheduled = false;
+        if (pendingRender !== null) {
+            renderMarkdown(pendingRender.markdownText, pendingRender.element);
+            pendingRender = null;
+        }
+    });
+};
+
+/**
+ * Adds a message bubble to the chat history.
+ * @param {'user'|'assistant'|'error'} role
+ * @param {string} text - Plain text for questions and errors, markdown for answers.
+ * @returns {HTMLElement} - The new bubble.
+ */
+const addChatMessage = (role, text) => {
+    const element = document.createElement('div');
+    element.className = `chat-message ${role}`;
+    if (role === 'assistant') {
+        renderMarkdown(text, element);
+    } else {
+        element.textContent = text;
+    }
+    chatHistory.appendChild(element);
+    chatHistory.scrollTop = chatHistory.scrollHeight;
+    return element;
+};
+
+// Warns before sending when the estimated cost of this month approaches or reaches the budget
+const updateBudgetNotice = async () => {
+    try {
+        const { monthlyBudget, action, spent, near, exceeded } = await getBudgetStatus();
+        const usage = `本月预估费用 ${formatCost(spent)} / 预算 ${formatCost(monthlyBudget)}`;
+        if (exceeded && action === BUDGET_ACTIONS.BLOCK) {
+            budgetNotice.textContent = `${usage}，已达到预算，新的请求将被拒绝。可在设置页面调整预算。`;
+        } else if (exceeded) {
+            budgetNotice.textContent = `${usage}，已超出预算。`;
+        } else if (near) {
+            budgetNotice.textContent = `${usage}，即将达到预算。`;
+        } else {
+            budgetNotice.textContent = '';
+        }
+    } catch (error) {
+        logger.errorWithStack('Failed to check the monthly budget.', error);
+    }
+};
+
+// Restore the idle UI state after the summarization or follow-up finished, failed or was stopped
+const finishRequest = () => {
+    hideElement(loadingIndicator);
+    hideElement(stopButton);
+    summarizeButton.disabled = false;
+    previewButton.disabled = false;
+    chatSendButton.disabled = false;
+    pendingAnswerElement = null;
+    currentJobId = null;
+    if (summarizePort) {
+        summarizePort.disconnect();
+        summarizePort = null;
+    }
+    updateDigestButton();
+    // The finished request added to this month's cost
+    updateBudgetNotice();
+    // A job the popup detached from is listed again
+    updateJobList();
+};
+
+// Shows the spinner with a text for the request that starts
+const showLoading = (text) => {
+    requestLoadingText = text;
+    loadingText.textContent = text;
+    showElement(loadingIndicator);
+};
+
+// `code` is the LLM_ERROR_CODES value of API failures, explained above the raw message
+const showError = (message, code) => {
+    errorOutput.textContent = `错误: ${describeError(message, code)}`;
+    showElement(resultContainer);
+    showElement(errorOutput); // Now show this, even if it was previously cleared
+};
+
+// Tells what the privacy filter removed from the page; empty when nothing was removed
+const formatRedactionNotice = (redactions) => (countRedactions(redactions) > 0 ? `已隐藏敏感信息: ${describeRedactions(redactions)}` : '');
+
+// Describes map-reduce, retry and fallback progress for the loading indicator
+const formatProgress = (progress) => {
+    const { phase, completed, total } = progress;
+    if (phase === SUMMARY_PHASES.RETRY || phase === SUMMARY_PHASES.FALLBACK) {
+        return describeRecovery(progress);
+    }
+    if (phase === SUMMARY_PHASES.MAP) {
+        return `页面较长，正在分段总结 (${completed}/${total})...`;
+    }
+    if (phase === SUMMARY_PHASES.DIGEST) {
+        return `正在总结各标签页 (${completed}/${total})...`;
+    }
+    if (phase === SUMMARY_PHASES.SYNTHESIS) {
+        return '正在生成综合报告...';
+    }
+    if (phase === SUMMARY_PHASES.REPAIR) {
+        return `输出不符合提取格式，正在请模型修正 (${progress.attempt}/${progress.maxAttempts})...`;
+    }
+    return '正在合并各部分摘要...';
+};
+
+// Handler for messages streamed back from the background over the port
+const handlePortMessage = (message) => {
+    if (message.type === MESSAGE_TYPES.JOB_STARTED) {
+        logger.info(`Request is running as job ${message.jobId}.`);
+        currentJobId = message.jobId;
+        return;
+    }
+
+    if (message.type === MESSAGE_TYPES.JOB_STATUS) {
+        // Only waiting in the queue and leaving it change what is shown
+        if (message.status !== JOB_STATUSES.QUEUED && message.status !== JOB_STATUSES.EXTRACTING) {
+            return;
+        }
+        const queued = message.status === JOB_STATUSES.QUEUED;
+        if (pendingAnswerElement?.classList.contains('pending')) {
+            pendingAnswerElement.textContent = queued ? QUEUED_LOADING_TEXT : THINKING_TEXT;
+            return;
+        }
+        loadingText.textContent = queued ? QUEUED_LOADING_TEXT : requestLoadingText;
+        return;
+    }
+
+    if (message.type === MESSAGE_TYPES.JOB_SNAPSHOT) {
+        showJobSnapshot(message.job);
+        return;
+    }
+
+    if (message.type === MESSAGE_TYPES.SUMMARY_PROGRESS) {
+        logger.debug('Summary progress:', message);
+        if (pendingAnswerElement?.classList.contains('pending')) {
+            // Retries of a follow-up question are shown in its placeholder
+            pendingAnswerElement.textContent = formatProgress(message);
+            return;
+        }
+        loadingText.textContent = formatProgress(message);
+        return;
+    }
+
+    if (message.type === MESSAGE_TYPES.SUMMARY_CHUNK) {
+        // First chunk: swap the spinner for the live result
+        if (resultContainer.style.display !== 'block') {
+            logger.info('First summary chunk received. Rendering stream.');
+            hideElement(loadingIndicator);
+            showElement(resultContainer);
+        }
+        scheduleRender(message.text);
+        return;
+    }
+
+    if (message.type === MESSAGE_TYPES.SUMMARY_RESULT) {
         logger.info('Received summary result from background.');
-        hideElement(loadingIndicator);
+        finishRequest();
         showElement(resultContainer);
 
-        if (request.success) {
+        if (message.success) {
             logger.info('Summary successful. Displaying summary.');
-
-            const markdownText = request.summary;
-            const html = marked.parse(markdownText);
-            const cleanHtml = DOMPurify.sanitize(html);
-
+            pendingRender = null; // The final text supersedes any frame still pending
             errorOutput.textContent = ''; // Clear any previous error
             hideElement(errorOutput); // Hide error div if there is no error
-            summaryOutput.innerHTML = cleanHtml
-            summaryOutput.marked = true; // Optional: if you use a markdown renderer, flag it
+            renderMarkdown(message.summary);
+            showExportActions({
+                title: message.title || currentTab?.title || '',
+                url: message.url ?? currentTab?.url ?? '',
+                createdAt: Date.now(),
+                modelName: message.modelName || '',
+                summary: message.summary
+            });
+            if (message.cached) {
+                // Answered from the response cache without calling the API; offer a fresh summary
+                cacheNoticeText.textContent = `生成于 ${new Date(message.cached.createdAt).toLocaleString()}，未再次调用 API。`;
+                cacheNotice.style.display = 'flex';
+            }
+            if (message.digest) {
+                // A digest covers several pages, so there is no single page to ask follow-up questions about
+                const { total, failed } = message.digest;
+                resultMeta.textContent = `多标签综合报告：共 ${total} 个标签页${failed > 0 ? `，其中 ${failed} 个无法读取` : ''}。`;
+            } else {
+                resultMeta.textContent = formatRedactionNotice(message.redactions);
+                if (message.conversationError) {
+                    resultMeta.textContent = [resultMeta.textContent, `无法保存页面内容，不能追问: ${message.conversationError}`].filter(Boolean).join(' · ');
+                } else {
+                    // The background kept the page and summary as context for follow-up questions
+                    showChat();
+                }
+            }
+        } else if (message.error === ERROR_MESSAGES.REQUEST_CANCELLED) {
+            // Stopped by the user: keep the partial summary and just note that generation stopped
+            logger.info('Summarization stopped by user.');
+            errorOutput.textContent = '已停止生成。';
+            showElement(errorOutput);
+        } else {
+            // Keep whatever was streamed before the failure visible above the error
+            logger.error('Summarization failed. Displaying error:', message.error);
+            showError(message.error, message.errorCode);
+        }
+        return;
+    }
 
+    if (message.type === MESSAGE_TYPES.EXTRACTION_RESULT) {
+        logger.info('Received extraction result from background.');
+        finishRequest();
+        if (message.success) {
+            showExtraction({
+                data: message.data,
+                schema: message.schema,
+                title: message.title || currentTab?.title || '',
+                url: message.url ?? currentTab?.url ?? '',
+                createdAt: Date.now(),
+                modelName: message.modelName || ''
+            });
+            const redactionNotice = formatRedactionNotice(message.redactions);
+            if (redactionNotice) {
+                resultMeta.textContent += ` · ${redactionNotice}`;
+            }
+        } else if (message.error === ERROR_MESSAGES.REQUEST_CANCELLED) {
+            logger.info('Extraction stopped by user.');
+            errorOutput.textContent = '已停止提取。';
+            showElement(resultContainer);
+            showElement(errorOutput);
         } else {
-            logger.error('Summarization failed. Displaying error:', request.error);
-            summaryOutput.textContent = ''; // Clear any previous summary
-            errorOutput.textContent = `错误: ${request.error}`;
-             showElement(errorOutput); // Now show this, even if it was previously cleared
+            logger.error('Extraction failed. Displaying error:', message.error);
+            showError(message.error, message.errorCode);
         }
-        return false; // Async nature handled
+        return;
     }
-    logger.warn('Popup received unrecognized message type:', request.type);
-     return false;
-});
+
+    if (message.type === MESSAGE_TYPES.PREVIEW_RESULT) {
+        finishRequest();
+        if (message.success) {
+            const redactionNotice = formatRedactionNotice(message.redactions);
+            resultMeta.textContent = `总结时将发送以下网页内容 (另加提示语)。${redactionNotice ? `${redactionNotice}。` : '未发现需要隐藏的信息。'}`;
+            previewOutput.textContent = message.content;
+            showElement(resultContainer);
+            showElement(previewOutput);
+        } else if (message.error !== ERROR_MESSAGES.REQUEST_CANCELLED) {
+            showError(message.error);
+        }
+        return;
+    }
+
+    if (message.type === MESSAGE_TYPES.CHAT_CHUNK) {
+        if (pendingAnswerElement) {
+            pendingAnswerElement.classList.remove('pending');
+            scheduleRender(message.text, pendingAnswerElement);
+            chatHistory.scrollTop = chatHistory.scrollHeight;
+        }
+        return;
+    }
+
+    if (message.type === MESSAGE_TYPES.CHAT_RESULT) {
+        logger.info('Received follow-up answer from background.');
+        const answerElement = pendingAnswerElement;
+        finishRequest();
+        pendingRender = null;
+
+        if (message.success) {
+            answerElement.classList.remove('pending');
+            renderMarkdown(message.answer, answerElement);
+        } else {
+            // A partial answer stays visible but is not kept in the conversation
+            if (answerElement.classList.contains('pending')) {
+                answerElement.remove();
+            }
+            if (message.error === ERROR_MESSAGES.REQUEST_CANCELLED) {
+                logger.info('Follow-up answer stopped by user.');
+                addChatMessage('error', '已停止生成。');
+            } else {
+                logger.error('Follow-up question failed:', message.error);
+                addChatMessage('error', `错误: ${describeError(message.error, message.errorCode)}`);
+            }
+        }
+        chatInput.focus();
+        return;
+    }
+
+    logger.warn('Popup received unrecognized port message type:', message.type);
+};
+
+/**
+ * Opens a long-lived port to the background, so chunks can be streamed back, and sends a request over it.
+ * @param {object} message - A request (SUMMARIZE_CONTENT, CHAT_MESSAGE...) or ATTACH_JOB for a job started earlier.
+ * @param {function(string): void} onFailure - Shows an error when the port cannot be opened or drops mid-request.
+ */
+const startRequest = (message, onFailure) => {
+    showElement(stopButton);
+    summarizeButton.disabled = true;
+    previewButton.disabled = true;
+    chatSendButton.disabled = true;
+    digestButton.disabled = true;
+
+    try {
+        logger.info(`Connecting to background and sending ${message.type} message.`);
+        summarizePort = chrome.runtime.connect({ name: PORT_NAMES.SUMMARIZE });
+        summarizePort.onMessage.addListener(handlePortMessage);
+        summarizePort.onDisconnect.addListener(() => {
+            // Unexpected disconnect (e.g. the service worker was terminated mid-request)
+            if (summarizePort) {
+                logger.warn('Summarize port disconnected unexpectedly.');
+                summarizePort = null;
+                finishRequest();
+                onFailure('与后台的连接已断开，请重试。');
+            }
+        });
+        summarizePort.postMessage(message);
+    } catch (error) {
+        logger.errorWithStack('Error connecting to background.', error);
+        finishRequest();
+        onFailure(`内部错误：无法启动总结进程: ${error.message}`); // Show if initial error starting process (e.g., background offline)
+    }
+};
+
+/**
+ * Shows the saved state of the job the port was attached to: what a running job has streamed
+ * so far and its latest progress, or the result of a finished job.
+ * @param {object|null} job - A Job (see domain/jobs.js); null when it no longer exists.
+ */
+const showJobSnapshot = (job) => {
+    if (!job) {
+        logger.warn('The job to attach to no longer exists.');
+        finishRequest();
+        return;
+    }
+    currentJobId = job.id;
+    if (job.status === JOB_STATUSES.QUEUED) {
+        handlePortMessage({ type: MESSAGE_TYPES.JOB_STATUS, status: job.status });
+    }
+    if (job.progress) {
+        handlePortMessage(job.progress);
+    }
+    if (job.text) {
+        handlePortMessage({ type: job.type === MESSAGE_TYPES.CHAT_MESSAGE ? MESSAGE_TYPES.CHAT_CHUNK : MESSAGE_TYPES.SUMMARY_CHUNK, text: job.text });
+    }
+    if (job.result) {
+        handlePortMessage(job.result);
+    }
+};
+
+/**
+ * Shows a job of the current tab that was started elsewhere (a popup that was closed since, or a
+ * keyboard shortcut) and streams the rest of it.
+ * @param {object} job - A Job (see domain/jobs.js).
+ */
+const attachJob = (job) => {
+    logger.info(`Attaching to job ${job.id} (${job.type}, ${job.status}).`);
+    let onFailure = showError;
+    if (job.type === MESSAGE_TYPES.CHAT_MESSAGE) {
+        // Below the restored conversation, like a question just sent
+        addChatMessage('user', job.request.question);
+        pendingAnswerElement = addChatMessage('assistant', THINKING_TEXT);
+        pendingAnswerElement.classList.add('pending');
+        onFailure = (error) => addChatMessage('error', `错误: ${error}`);
+    } else {
+        showLoading(JOB_LOADING_TEXTS[job.type] || DEFAULT_LOADING_TEXT);
+    }
+    // The job is shown above, not in the job list
+    currentJobId = job.id;
+    updateJobList();
+    startRequest({ type: MESSAGE_TYPES.ATTACH_JOB, jobId: job.id }, onFailure);
+};
+
+// Shows the follow-up chat input below the summary
+const showChat = () => {
+    chatContainer.style.display = 'flex';
+};
+
+/**
+ * Enables copy and export for the finished summary being shown.
+ * @param {object} doc - An ExportDocument (title, url, createdAt, modelName, summary).
+ */
+const showExportActions = (doc) => {
+    exportDocument = doc;
+    exportActions.style.display = 'flex';
+};
+
+/**
+ * Shows extracted data as a table of field names and values and enables the CSV and JSON export.
+ * @param {object} result - { data, schema, title, url, createdAt, modelName }.
+ */
+const showExtraction = (result) => {
+    extractionResult = result;
+    extractionTableBody.innerHTML = '';
+    result.schema.fields.forEach((field) => {
+        const row = document.createElement('tr');
+        const name = document.createElement('th');
+        name.textContent = field.name;
+        name.title = field.description || '';
+        const cell = document.createElement('td');
+        const value = result.data[field.name];
+        if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+            cell.textContent = '(未找到)';
+            cell.className = 'empty-value';
+        } else if (Array.isArray(value)) {
+            const list = document.createElement('ul');
+            value.forEach((item) => {
+                const listItem = document.createElement('li');
+                listItem.textContent = item;
+                list.appendChild(listItem);
+            });
+            cell.appendChild(list);
+        } else {
+            cell.textContent = formatFieldValue(value);
+        }
+        row.append(name, cell);
+        extractionTableBody.appendChild(row);
+    });
+    resultMeta.textContent = `提取模式: ${result.schema.name}`;
+    showElement(resultContainer);
+    extractionOutput.style.display = 'table';
+    extractionActions.style.display = 'flex';
+};
+
+// Clears the summary, errors and chat (before a new summary or when another tab is shown)
+const resetResultView = () => {
+    hideElement(resultContainer);
+    errorOutput.textContent = '';
+    hideElement(errorOutput);
+    summaryOutput.textContent = '';
+    resultMeta.textContent = '';
+    pendingRender = null;
+    hideElement(chatContainer);
+    chatHistory.innerHTML = '';
+    exportDocument = null;
+    hideElement(exportActions);
+    hideElement(cacheNotice);
+    previewOutput.textContent = '';
+    hideElement(previewOutput);
+    extractionResult = null;
+    extractionTableBody.innerHTML = '';
+    hideElement(extractionOutput);
+    hideElement(extractionActions);
+};
+
+/**
+ * Summarizes the current tab with the selected profile and template.
+ * @param {object} [options]
+ * @param {boolean} [options.regenerate] - Skip the response cache and replace the cached summary.
+ * @param {boolean} [options.selectionOnly] - Summarize only the text selected on the page.
+ */
+const requestSummary = ({ regenerate = false, selectionOnly = false } = {}) => {
+  // Clear previous results (a new summary starts a new conversation) and show loading
+  resetResultView();
+  showLoading(DEFAULT_LOADING_TEXT);
+
+  startRequest({
+      type: MESSAGE_TYPES.SUMMARIZE_CONTENT,
+      tabId: currentTab?.id,
+      profileId: profileSelect.value || undefined,
+      templateId: templateSelect.value || undefined,
+      regenerate,
+      selectionOnly
+  }, showError);
+};
+
+/**
+ * Extracts the fields of the selected schema from the current tab.
+ */
+const requestExtraction = () => {
+    resetResultView();
+    showLoading(EXTRACTION_LOADING_TEXT);
+
+    startRequest({
+        type: MESSAGE_TYPES.EXTRACT_CONTENT,
+        tabId: currentTab?.id,
+        profileId: profileSelect.value || undefined,
+        schemaId: modeSelect.value
+    }, showError);
+};
 
 // Event listener for the summarize button
 summarizeButton.addEventListener('click', () => {
   logger.info('Summarize button clicked.');
+  if (modeSelect.value !== SUMMARY_MODE) {
+    requestExtraction();
+    return;
+  }
+  requestSummary();
+});
 
-  // Clear previous results and show loading
-  hideElement(resultContainer);
-  errorOutput.textContent = '';
-  hideElement(errorOutput); // Also hide error output on re-summarization
-  summaryOutput.textContent = '';
-  showElement(loadingIndicator);
-
-  // Send message to background script to trigger summarization
-  logger.info('Sending summarizeContent message to background.');
-  chrome.runtime.sendMessage({ type: MESSAGE_TYPES.SUMMARIZE_CONTENT })
-    .then(() => {
-       logger.info('Message SUMMARIZE_CONTENT sent. Waiting for response...');
-       // Response is handled by the chrome.runtime.onMessage listener above
-    })
-    .catch((error) => {
-        logger.errorWithStack('Error sending message to background.', error);
-        hideElement(loadingIndicator);
-        showElement(resultContainer);
-        errorOutput.textContent = `内部错误：无法启动总结进程: ${error.message}`;
-        showElement(errorOutput); // Show if initial error starting process (e.g., background offline)
+// Shows the redacted page content without calling the API
+previewButton.addEventListener('click', () => {
+    logger.info('Preview button clicked.');
+    resetResultView();
+    showLoading(PREVIEW_LOADING_TEXT);
+    startRequest({ type: MESSAGE_TYPES.PREVIEW_CONTENT, tabId: currentTab?.id }, showError);
+});
+
+regenerateButton.addEventListener('click', () => {
+  logger.info('Regenerate button clicked. Bypassing the response cache.');
+  requestSummary({ regenerate: true });
+});
+
+// Tabs the digest can read: web pages and local files, not chrome:// or extension pages
+const isDigestibleUrl = (url) => /^(https?|file):/.test(url || '');
+
+const getSelectedDigestTabIds = () => [...digestTabList.querySelectorAll('input:checked')].map((input) => Number(input.value));
+
+// The digest needs at least one tab and cannot start while another request is running
+const updateDigestButton = () => {
+    const count = getSelectedDigestTabIds().length;
+    digestButton.textContent = count > 0 ? `生成综合报告 (${count} 个标签页)` : '生成综合报告';
+    digestButton.disabled = count === 0 || summarizePort !== null;
+};
+
+/**
+ * Lists the tabs of this window with checkboxes, and offers the whole window and each
+ * tab group as quick selections.
+ */
+const loadDigestTabs = async () => {
+    try {
+        const tabs = (await chrome.tabs.query({ currentWindow: true })).filter((tab) => isDigestibleUrl(tab.url));
+        const groups = await chrome.tabGroups.query({ windowId: chrome.windows.WINDOW_ID_CURRENT });
+
+        digestScope.innerHTML = '';
+        const scopes = [
+            { value: '', label: '手动选择' },
+            { value: 'window', label: `当前窗口全部 (${tabs.length})` },
+            ...groups.map((group) => ({
+                value: `group:${group.id}`,
+                label: `标签组: ${group.title || '未命名'} (${tabs.filter((tab) => tab.groupId === group.id).length})`
+            }))
+        ];
+        scopes.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            digestScope.appendChild(option);
+        });
+
+        digestTabList.innerHTML = '';
+        tabs.forEach((tab) => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = String(tab.id);
+            checkbox.dataset.groupId = String(tab.groupId);
+            const title = document.createElement('span');
+            title.className = 'tab-title';
+            title.textContent = tab.title || tab.url;
+            title.title = tab.url;
+            label.append(checkbox, title);
+            item.appendChild(label);
+            digestTabList.appendChild(item);
+        });
+        if (tabs.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'empty';
+            item.textContent = '当前窗口没有可总结的网页。';
+            digestTabList.appendChild(item);
+        }
+        logger.info(`Listed ${tabs.length} tab(s) and ${groups.length} tab group(s) for the digest.`);
+    } catch (error) {
+        logger.errorWithStack('Failed to list tabs for the digest.', error);
+    }
+    updateDigestButton();
+};
+
+// The tab list is read when the section is opened, so it reflects the tabs open at that moment
+digestSection.addEventListener('toggle', () => {
+    if (digestSection.open) {
+        loadDigestTabs();
+    }
+});
+
+// Quick selections tick the matching tabs
+digestScope.addEventListener('change', () => {
+    const scope = digestScope.value;
+    if (!scope) {
+        return;
+    }
+    digestTabList.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
+        checkbox.checked = scope === 'window' || scope === `group:${checkbox.dataset.groupId}`;
+    });
+    updateDigestButton();
+});
+
+digestTabList.addEventListener('change', () => {
+    digestScope.value = '';
+    updateDigestButton();
+});
+
+digestButton.addEventListener('click', () => {
+    const tabIds = getSelectedDigestTabIds();
+    if (tabIds.length === 0) {
+        return;
+    }
+    logger.info(`Digest button clicked for ${tabIds.length} tab(s).`);
+
+    resetResultView();
+    showLoading(DEFAULT_LOADING_TEXT);
+
+    startRequest({
+        type: MESSAGE_TYPES.DIGEST_TABS,
+        // The digest is listed as a job of the tab it was started from
+        tabId: currentTab?.id,
+        tabIds,
+        profileId: profileSelect.value || undefined,
+        templateId: templateSelect.value || undefined
+    }, showError);
+});
+
+// Ids and states of the listed jobs; the list is only rebuilt when they change, not for every streamed chunk
+let listedJobs = '';
+
+/**
+ * Switches to the tab of a job in the job list. The popup then shows that tab (and attaches to
+ * the job); the side panel follows the active tab by itself.
+ * @param {object} job
+ */
+const openJobTab = async (job) => {
+    try {
+        const tab = await chrome.tabs.update(job.tabId, { active: true });
+        if (tab.windowId !== currentTab?.windowId) {
+            await chrome.windows.update(tab.windowId, { focused: true });
+        } else if (!IS_SIDE_PANEL) {
+            followActiveTab();
+        }
+    } catch (error) {
+        logger.warn('Could not switch to the tab of a job:', error.message);
+    }
+};
+
+/**
+ * Lists the queued and running background jobs, except the one shown above, with a button to
+ * cancel each. Hidden when there are none.
+ */
+const updateJobList = async () => {
+    let jobs;
+    try {
+        jobs = (await listJobs()).filter((job) => isJobActive(job) && job.id !== currentJobId).reverse();
+    } catch (error) {
+        logger.errorWithStack('Failed to list the background jobs.', error);
+        return;
+    }
+    const signature = jobs.map((job) => `${job.id}:${job.status}`).join(',');
+    if (signature === listedJobs) {
+        return;
+    }
+    listedJobs = signature;
+
+    jobList.innerHTML = '';
+    jobs.forEach((job) => {
+        const item = document.createElement('li');
+        const status = document.createElement('span');
+        status.className = `job-status ${job.status}`;
+        status.textContent = JOB_STATUS_LABELS[job.status] || job.status;
+        const title = document.createElement('a');
+        title.href = '#';
+        title.className = 'job-title';
+        title.textContent = `${JOB_TYPE_LABELS[job.type] || job.type}: ${job.title || job.url || '未命名'}`;
+        title.title = job.url;
+        title.addEventListener('click', (event) => {
+            event.preventDefault();
+            if (job.tabId !== null) {
+                openJobTab(job);
+            }
+        });
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'job-cancel-button';
+        cancelButton.textContent = '取消';
+        cancelButton.addEventListener('click', async () => {
+            logger.info(`Cancelling job ${job.id} from the job list.`);
+            cancelButton.disabled = true;
+            try {
+                await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.CANCEL_JOB, jobId: job.id });
+            } catch (error) {
+                logger.errorWithStack('Failed to cancel the job.', error);
+                cancelButton.disabled = false;
+            }
+        });
+        item.append(status, title, cancelButton);
+        jobList.appendChild(item);
     });
+    jobListContainer.style.display = jobs.length > 0 ? 'block' : 'none';
+};
+
+// Jobs are saved in the session storage whenever they start, stream or finish
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'session' && Object.keys(changes).some((key) => key.startsWith(STORAGE_KEYS.JOB_PREFIX))) {
+        updateJobList();
+    }
 });
 
-logger.info('popup.js script executed.'); // Indicating script loaded
\ No newline at end of file
+// Sends the typed follow-up question; the answer streams into a new chat bubble
+const sendQuestion = () => {
+    const question = chatInput.value.trim();
+    if (!question || summarizePort) {
+        return;
+    }
+    logger.info('Sending follow-up question.');
+    chatInput.value = '';
+    addChatMessage('user', question);
+    // Placeholder until the first chunk arrives
+    pendingAnswerElement = addChatMessage('assistant', THINKING_TEXT);
+    pendingAnswerElement.classList.add('pending');
+
+    startRequest({
+        type: MESSAGE_TYPES.CHAT_MESSAGE,
+        tabId: currentTab?.id,
+        question,
+        profileId: profileSelect.value || undefined
+    }, (error) => addChatMessage('error', `错误: ${error}`));
+};
+
+chatSendButton.addEventListener('click', sendQuestion);
+
+// Enter sends, Shift+Enter inserts a line break (ignored while an IME is composing)
+chatInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !event.shiftKey && !event.isComposing) {
+        event.preventDefault();
+        sendQuestion();
+    }
+});
+
+// Event listener for the stop button: ask the background to abort the LLM request.
+// The background answers with a failed SUMMARY_RESULT or CHAT_RESULT, which resets the UI.
+stopButton.addEventListener('click', () => {
+    logger.info('Stop button clicked.');
+    if (summarizePort) {
+        summarizePort.postMessage({ type: MESSAGE_TYPES.STOP_SUMMARIZE });
+    }
+});
+
+/**
+ * Tells whether the popup shows a finished job again when it opens. A successful summary and
+ * follow-up answers are shown from the conversation instead, and stopped requests are not shown.
+ * @param {object} job
+ * @param {object|null} conversation - The conversation of the tab.
+ * @returns {boolean}
+ */
+const shouldReplayJob = (job, conversation) => {
+    if (job.type === MESSAGE_TYPES.CHAT_MESSAGE || job.result?.error === ERROR_MESSAGES.REQUEST_CANCELLED) {
+        return false;
+    }
+    return !(job.result?.success && job.type === MESSAGE_TYPES.SUMMARIZE_CONTENT && conversation);
+};
+
+/**
+ * Shows what is already known about the current tab when the popup opens: the job still running
+ * for it or the result of its last job, the summary and follow-up chat of this tab, or else the
+ * latest summary of the same URL from the history.
+ */
+const restorePreviousSummary = async () => {
+    try {
+        const activeTab = currentTab;
+        if (!activeTab?.id) {
+            return;
+        }
+        const job = await findLatestJob(activeTab.id, activeTab.url || '');
+        const conversation = await getConversation(activeTab.id, activeTab.url || '');
+        if (summarizePort || activeTab !== currentTab) {
+            return;
+        }
+        // A running follow-up question is attached below the conversation
+        if (job && (isJobActive(job) ? job.type !== MESSAGE_TYPES.CHAT_MESSAGE : shouldReplayJob(job, conversation))) {
+            attachJob(job);
+            return;
+        }
+        if (conversation) {
+            logger.info(`Restoring conversation with ${conversation.messages.length} message(s).`);
+            renderMarkdown(conversation.summary);
+            showElement(resultContainer);
+            showExportActions({
+                title: conversation.metadata?.title || activeTab.title || conversation.url,
+                url: conversation.url,
+                createdAt: conversation.createdAt || Date.now(),
+                modelName: conversation.modelName || '',
+                summary: conversation.summary
+            });
+            conversation.messages.forEach((item) => addChatMessage(item.role, item.content));
+            showChat();
+            if (job && isJobActive(job)) {
+                attachJob(job);
+            }
+            return;
+        }
+
+        // Follow-up questions need the page content, so a summary from the history is shown without the chat
+        const entry = await findLatestHistoryEntry(activeTab.url || '');
+        if (entry && !summarizePort) {
+            logger.info(`Showing cached summary from history (${entry.id}).`);
+            renderMarkdown(entry.summary);
+            resultMeta.textContent = `来自历史记录 · ${new Date(entry.createdAt).toLocaleString()} · ${entry.modelName}。重新总结后可继续提问。`;
+            showElement(resultContainer);
+            showExportActions(entry);
+        }
+    } catch (error) {
+        logger.errorWithStack('Failed to restore the previous summary.', error);
+    }
+};
+
+/**
+ * Asks the content script of the current tab to scroll to and highlight a cited passage.
+ * @param {number} passage
+ */
+const jumpToPassage = async (passage) => {
+    logger.info(`Jumping to passage ${passage}.`);
+    try {
+        const response = await chrome.tabs.sendMessage(currentTab.id, { type: MESSAGE_TYPES.HIGHLIGHT_PASSAGE, passage });
+        if (!response?.found) {
+            resultMeta.textContent = `在页面上找不到第 ${passage} 段，页面内容可能已变化。`;
+        }
+    } catch (error) {
+        // No content script listening: the page was reloaded or the summary came from the history
+        logger.warn('Could not reach the content script to highlight a passage:', error.message);
+        resultMeta.textContent = '无法定位原文：页面已刷新或未在本次浏览中总结，请重新总结。';
+    }
+};
+
+/**
+ * Asks the content script of the current tab to seek its video to a timestamp from the summary.
+ * @param {number} seconds
+ */
+const seekVideo = async (seconds) => {
+    logger.info(`Seeking video to ${seconds}s.`);
+    try {
+        const response = await chrome.tabs.sendMessage(currentTab.id, { type: MESSAGE_TYPES.SEEK_VIDEO, seconds });
+        if (!response?.found) {
+            resultMeta.textContent = '在页面上找不到视频。';
+        }
+    } catch (error) {
+        logger.warn('Could not reach the content script to seek the video:', error.message);
+        resultMeta.textContent = '无法跳转视频：页面已刷新或未在本次浏览中总结，请重新总结。';
+    }
+};
+
+// Citation and timestamp links are recreated on every render, so clicks are handled on the document
+document.addEventListener('click', (event) => {
+    const link = event.target.closest('a.citation, a.timestamp');
+    if (!link) {
+        return;
+    }
+    event.preventDefault();
+    if (link.classList.contains('citation')) {
+        jumpToPassage(Number(link.dataset.passage));
+    } else {
+        seekVideo(Number(link.dataset.seconds));
+    }
+});
+
+// Sanitized HTML of the summary without the citation and timestamp links, which only work in the popup
+const renderExportHtml = (markdownText) => DOMPurify.sanitize(marked.parse(markdownText));
+
+// Copies the summary as rich text (for Notion, documents and mail) with the markdown as plain-text fallback
+copyButton.addEventListener('click', async () => {
+    if (!exportDocument) {
+        return;
+    }
+    const { summary } = exportDocument;
+    try {
+        await navigator.clipboard.write([new ClipboardItem({
+            'text/html': new Blob([renderExportHtml(summary)], { type: 'text/html' }),
+            'text/plain': new Blob([summary], { type: 'text/plain' })
+        })]);
+        resultMeta.textContent = '已复制到剪贴板。';
+    } catch (error) {
+        logger.warn('Rich clipboard write failed. Copying plain text instead:', error.message);
+        try {
+            await navigator.clipboard.writeText(summary);
+            resultMeta.textContent = '已复制到剪贴板 (纯文本)。';
+        } catch (writeError) {
+            logger.errorWithStack('Failed to copy the summary.', writeError);
+            resultMeta.textContent = `复制失败: ${writeError.message}`;
+        }
+    }
+});
+
+/**
+ * Downloads an export through chrome.downloads, into the folder and filename from the options.
+ * @param {string} content
+ * @param {string} mimeType
+ * @param {string} extension
+ * @param {object} [doc] - Title, url, createdAt and modelName for the filename; defaults to the shown summary.
+ */
+const downloadExport = async (content, mimeType, extension, doc = exportDocument) => {
+    const blobUrl = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    try {
+        const filename = renderExportFilename(await getExportFilenameTemplate(), doc, extension);
+        logger.info(`Exporting summary as ${filename}.`);
+        await chrome.downloads.download({ url: blobUrl, filename, conflictAction: 'uniquify' });
+        resultMeta.textContent = `已导出: ${filename}`;
+    } catch (error) {
+        logger.errorWithStack('Failed to export the summary.', error);
+        resultMeta.textContent = `导出失败: ${error.message}`;
+    } finally {
+        // The download reads the blob asynchronously; release it once it surely has been read
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+    }
+};
+
+exportMarkdownButton.addEventListener('click', () => {
+    if (exportDocument) {
+        downloadExport(buildMarkdownExport(exportDocument), 'text/markdown', 'md');
+    }
+});
+
+exportHtmlButton.addEventListener('click', () => {
+    if (exportDocument) {
+        downloadExport(buildHtmlExport(exportDocument, renderExportHtml(exportDocument.summary)), 'text/html', 'html');
+    }
+});
+
+exportCsvButton.addEventListener('click', () => {
+    if (extractionResult) {
+        downloadExport(buildCsvExport(extractionResult.data, extractionResult.schema), 'text/csv', 'csv', extractionResult);
+    }
+});
+
+exportJsonButton.addEventListener('click', () => {
+    if (extractionResult) {
+        downloadExport(buildJsonExport(extractionResult.data, { ...extractionResult, schemaName: extractionResult.schema.name }), 'application/json', 'json', extractionResult);
+    }
+});
+
+historyButton.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
+});
+
+// Opens the side panel for this window and closes the popup; the panel stays open while browsing
+sidePanelButton.addEventListener('click', async () => {
+    try {
+        await chrome.sidePanel.open({ windowId: currentTab.windowId });
+        window.close();
+    } catch (error) {
+        logger.errorWithStack('Failed to open the side panel.', error);
+        showError(`无法打开侧边栏: ${error.message}`);
+    }
+});
+
+// Chooses an option like the user would, so the change handlers remember the choice
+const selectOption = (select, value) => {
+    select.value = value;
+    select.dispatchEvent(new Event('change'));
+};
+
+/**
+ * Lists the palette's commands: the actions of the popup and one command per template,
+ * profile and extraction schema in the dropdowns. Requests cannot be started while one is running.
+ * @returns {Promise<import('./command_palette.js').PaletteCommand[]>}
+ */
+const loadPaletteCommands = async () => {
+    // Shortcuts as configured on chrome://extensions/shortcuts
+    const shortcuts = Object.fromEntries((await chrome.commands.getAll()).map((command) => [command.name, command.shortcut]));
+    const commands = [];
+    if (!summarizePort) {
+        commands.push(
+            { title: '总结当前网页', hint: shortcuts[KEYBOARD_COMMANDS.SUMMARIZE_PAGE], run: () => requestSummary() },
+            { title: '总结选中内容', hint: shortcuts[KEYBOARD_COMMANDS.SUMMARIZE_SELECTION], run: () => requestSummary({ selectionOnly: true }) },
+            { title: '预览发送内容', run: () => previewButton.click() }
+        );
+        [...templateSelect.options].forEach((option) => commands.push({
+            title: `总结: ${option.textContent}`,
+            run: () => {
+                selectOption(templateSelect, option.value);
+                selectOption(modeSelect, SUMMARY_MODE);
+                requestSummary();
+            }
+        }));
+        // Extraction schemas are the modes other than the summary
+        [...modeSelect.options].filter((option) => option.value !== SUMMARY_MODE).forEach((option) => commands.push({
+            title: option.textContent,
+            run: () => {
+                selectOption(modeSelect, option.value);
+                requestExtraction();
+            }
+        }));
+        [...profileSelect.options].forEach((option) => commands.push({
+            title: `使用配置: ${option.textContent}`,
+            run: () => {
+                selectOption(profileSelect, option.value);
+                summarizeButton.click();
+            }
+        }));
+    }
+    commands.push({ title: '打开历史记录', hint: shortcuts[KEYBOARD_COMMANDS.OPEN_HISTORY], run: () => historyButton.click() });
+    if (!IS_SIDE_PANEL) {
+        commands.push({ title: '在侧边栏中打开', hint: shortcuts[KEYBOARD_COMMANDS.TOGGLE_SIDE_PANEL], run: () => sidePanelButton.click() });
+    }
+    return commands;
+};
+
+bindCommandPalette(loadPaletteCommands);
+
+/**
+ * Loads the active tab of this window and shows its profile and previous summary.
+ */
+const showActiveTab = async () => {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    currentTab = activeTab || null;
+    logger.info(`Showing tab ${currentTab?.id}: ${currentTab?.url}`);
+    loadProfiles();
+    restorePreviousSummary();
+};
+
+/**
+ * Switches the view to another tab or page (the side panel follows the active tab). A request
+ * that is still streaming keeps running in the background; switching back attaches to it again.
+ */
+const followActiveTab = async () => {
+    if (summarizePort) {
+        logger.info('Request in progress. Detaching from it to show the new tab.');
+        finishRequest();
+    }
+    resetResultView();
+    await showActiveTab();
+};
+
+if (IS_SIDE_PANEL) {
+    hideElement(sidePanelButton);
+    chrome.windows.getCurrent().then((panelWindow) => {
+        chrome.tabs.onActivated.addListener(({ windowId }) => {
+            if (windowId === panelWindow.id) {
+                followActiveTab();
+            }
+        });
+        // Navigating within the shown tab (a new URL) also changes what the panel shows
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+            if (tab.active && tab.windowId === panelWindow.id && changeInfo.url) {
+                followActiveTab();
+            }
+        });
+        // The side panel shortcut closes the panel; browsers without chrome.sidePanel.close ask it to close itself
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.type === MESSAGE_TYPES.CLOSE_SIDE_PANEL && message.windowId === panelWindow.id) {
+                logger.info('Side panel shortcut pressed. Closing the side panel.');
+                window.close();
+            }
+        });
+    });
+    // A page summarized automatically by the background shows up without clicking "summarize"
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.type === MESSAGE_TYPES.AUTO_SUMMARY_READY && message.tabId === currentTab?.id) {
+            logger.info(`Tab ${message.tabId} was summarized automatically. Refreshing the side panel.`);
+            followActiveTab();
+        }
+    });
+}
+
+showActiveTab();
+loadTemplates();
+loadModes();
+updateBudgetNotice();
+updateJobList();
+
+logger.info('popup.js script executed.'); // Indicating script loaded
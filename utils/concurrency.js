@@ -0,0 +1,28 @@
+// chrome-llm-summarizer/utils/concurrency.js
+
+/**
+ * Maps over items with an async function, running at most `limit` calls at the same time.
+ * Results keep the order of the input. The first rejection rejects the whole call,
+ * but calls that are already running are not cancelled (use an AbortSignal for that).
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit - Maximum number of concurrent calls (at least 1).
+ * @param {function(T, number): Promise<R>} mapper - Called with (item, index).
+ * @returns {Promise<R[]>}
+ */
+export const mapWithConcurrency = async (items, limit, mapper) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+};
@@ -4,27 +4,506 @@
  * Define constants used throughout the extension.
  */
 export const STORAGE_KEYS = {
+  // Legacy single-configuration keys. They are migrated into a "默认" profile on first load
+  // and removed when the profiles are saved from the options page.
+  PROVIDER: 'llmProvider', // Which API adapter to use, one of PROVIDER_IDS
   API_KEY: 'llmApiKey',
   API_HOST: 'llmApiHost',
   MODEL_NAME: 'llmModelName',
   PROMPT_TEMPLATE: 'llmPromptTemplate',
+  PROFILES: 'llmProfiles', // Array of named LLM profiles (see domain/profiles.js)
+  ACTIVE_PROFILE_ID: 'llmActiveProfileId', // Profile used when no site rule matches
+  SITE_RULES: 'llmSiteRules', // Array of { pattern, profileId }, first match wins
+  CUSTOM_TEMPLATES: 'llmCustomTemplates', // Array of user-defined { id, name, template }
+  SELECTED_TEMPLATE_ID: 'llmSelectedTemplateId', // Template last chosen in the popup
+  OUTPUT_LANGUAGE: 'llmOutputLanguage', // Value of the {{language}} template variable
+  CHUNK_SIZE_TOKENS: 'llmChunkSizeTokens', // Token budget of one prompt before the page is split into chunks
+  MAX_PARALLEL_CHUNKS: 'llmMaxParallelChunks', // How many chunk summaries may be requested at the same time
+  CONVERSATION_PREFIX: 'llmConversation:', // chrome.storage.session key prefix, followed by the tab id
+  HISTORY: 'llmHistory', // chrome.storage.local: array of past summaries, newest first (see domain/history.js)
+  HISTORY_MAX_ENTRIES: 'llmHistoryMaxEntries', // Retention limit of the summary history
+  CITATIONS_ENABLED: 'llmCitationsEnabled', // Ask for [P<n>] citations of the numbered page passages
+  EXPORT_FILENAME_TEMPLATE: 'llmExportFilenameTemplate', // Download path of exported summaries (see domain/export.js)
+  RESPONSE_CACHE: 'llmResponseCache', // chrome.storage.local: array of cached LLM responses, newest first (see domain/cache.js)
+  CACHE_ENABLED: 'llmCacheEnabled', // Reuse the summary of identical content instead of calling the API again
+  CACHE_TTL_HOURS: 'llmCacheTtlHours', // How long a cached summary stays valid
+  USAGE_RECORDS: 'llmUsageRecords', // chrome.storage.local: token usage of every API request, newest first (see domain/usage.js)
+  USAGE_TOTALS: 'llmUsageTotals', // chrome.storage.local: usage added up per day and month, kept beyond USAGE_MAX_RECORDS (see domain/usage.js)
+  PRICE_TABLE: 'llmPriceTable', // Array of { pattern, inputPrice, outputPrice } in USD per million tokens
+  MONTHLY_BUDGET: 'llmMonthlyBudget', // Estimated cost limit per calendar month in USD; 0 means no limit
+  BUDGET_ACTION: 'llmBudgetAction', // One of BUDGET_ACTIONS
+  REQUEST_TIMEOUT_SECONDS: 'llmRequestTimeoutSeconds', // Give up when the API sends no data for this long
+  MAX_RETRIES: 'llmMaxRetries', // Extra attempts after rate limits, server errors, network errors and timeouts
+  AUTO_SUMMARIZE_RULES: 'llmAutoSummarizeRules', // Array of { pattern, display }: pages summarized as soon as they load
+  CUSTOM_SCHEMAS: 'llmCustomSchemas', // Array of user-defined extraction schemas { id, name, fields } (see domain/extraction.js)
+  SELECTED_SCHEMA_ID: 'llmSelectedSchemaId', // Extraction schema chosen in the popup; empty for a normal summary
+  REDACTION_DETECTORS: 'llmRedactionDetectors', // Ids of the enabled built-in redaction detectors (see utils/redaction.js); all when unset
+  REDACTION_PATTERNS: 'llmRedactionPatterns', // Array of { name, pattern }: user regexes whose matches are redacted
+  BLOCKED_DOMAINS: 'llmBlockedDomains', // Array of URL patterns whose content is never sent to an LLM
+  KEY_VAULT: 'llmKeyVault', // chrome.storage.local: how API keys are encrypted (see domain/key_vault.js)
+  ENCRYPTED_API_KEYS: 'llmEncryptedApiKeys', // chrome.storage.local: { [profileId]: { iv, data, hint } }, AES-GCM encrypted API keys
+  VAULT_SESSION_KEY: 'llmVaultSessionKey', // chrome.storage.session: the key unlocked with the passphrase, until the browser closes
+  SETTINGS_VERSION: 'llmSettingsVersion', // Schema version of the settings in sync storage (see SETTINGS_MIGRATIONS in domain/storage.js)
+  JOB_PREFIX: 'llmJob:', // chrome.storage.session key prefix, followed by the job id (see domain/jobs.js)
 };
 
+// Legacy single-configuration keys (see above)
+export const LEGACY_STORAGE_KEYS = [
+  STORAGE_KEYS.PROVIDER,
+  STORAGE_KEYS.API_KEY,
+  STORAGE_KEYS.API_HOST,
+  STORAGE_KEYS.MODEL_NAME,
+  STORAGE_KEYS.PROMPT_TEMPLATE,
+];
+
+// Version of the settings written by this build. Raise it together with a new entry in
+// SETTINGS_MIGRATIONS (domain/storage.js) whenever stored settings change shape.
+export const SETTINGS_SCHEMA_VERSION = 1;
+
+// "format" of settings files exported from the options page (see domain/settings_transfer.js)
+export const SETTINGS_EXPORT_FORMAT = 'chrome-llm-summarizer-settings';
+
+/**
+ * Properties of the administrator policy in chrome.storage.managed (see managed_schema.json).
+ */
+export const MANAGED_POLICY_KEYS = {
+  PROFILES: 'profiles', // Team profiles, listed before the user's own profiles
+  ALLOWED_PROFILE_OVERRIDES: 'allowedProfileOverrides', // Fields of team profiles users may change, e.g. ["modelName"]
+  ALLOW_CUSTOM_PROFILES: 'allowCustomProfiles', // false hides the user's own profiles and disables creating new ones
+  SETTINGS: 'settings', // Defaults for other settings, keyed by their STORAGE_KEYS value
+  LOCKED_SETTINGS: 'lockedSettings', // Keys of SETTINGS that users cannot change
+};
+
+// Profile fields a team profile can fix; the API key always stays the user's own
+export const MANAGED_PROFILE_FIELDS = ['name', 'provider', 'apiHost', 'modelName', 'temperature', 'maxTokens', 'promptTemplate', 'fallbackProfileId'];
+
+/**
+ * Identifiers of the supported LLM API adapters (see domain/providers/).
+ */
+export const PROVIDER_IDS = {
+  OPENAI: 'openai', // OpenAI Chat Completions and compatible servers
+  ANTHROPIC: 'anthropic', // Anthropic Messages API
+  GEMINI: 'gemini', // Google Gemini generateContent API
+  OLLAMA: 'ollama', // Local Ollama /api/chat
+  AZURE_OPENAI: 'azure_openai', // Azure OpenAI deployments
+};
+
+export const DEFAULT_PROVIDER = PROVIDER_IDS.OPENAI;
+
+// Generation parameters sent with every request
+export const DEFAULT_TEMPERATURE = 0.7;
+export const DEFAULT_MAX_TOKENS = 5000;
+
 export const DEFAULT_PROMPT_TEMPLATE = `请总结以下内容，限制在200字以内，并使用markdown列表形式呈现：
 
 {{content}}`; // Placeholder for page content
 
+/**
+ * Variables available in prompt templates (see utils/template_engine.js for the syntax).
+ */
+export const TEMPLATE_VARIABLES = {
+  CONTENT: 'content', // Extracted page content (with a metadata header)
+  TITLE: 'title', // Page or article title
+  URL: 'url', // Canonical URL of the page
+  SELECTION: 'selection', // Text selected on the page, empty when nothing is selected
+  LANGUAGE: 'language', // Output language configured on the options page
+  DATE: 'date', // Today's date, YYYY-MM-DD
+};
+
+export const DEFAULT_OUTPUT_LANGUAGE = '简体中文';
+
+// Template id meaning "use the prompt template of the selected profile"
+export const PROFILE_TEMPLATE_ID = 'profile';
+
+// Long pages are summarized chunk by chunk (map) and the partial summaries are then merged (reduce)
+export const DEFAULT_CHUNK_SIZE_TOKENS = 6000;
+export const MIN_CHUNK_SIZE_TOKENS = 1000;
+export const DEFAULT_MAX_PARALLEL_CHUNKS = 3;
+export const MAX_PARALLEL_CHUNKS_LIMIT = 8;
+// Map rounds before the partial summaries are cut to fit one final reduce prompt
+export const MAX_REDUCE_ROUNDS = 3;
+
+// API requests: inactivity timeout, and retries with exponential backoff and jitter
+export const DEFAULT_REQUEST_TIMEOUT_SECONDS = 60;
+export const MIN_REQUEST_TIMEOUT_SECONDS = 10;
+export const REQUEST_TIMEOUT_SECONDS_LIMIT = 600;
+export const DEFAULT_MAX_RETRIES = 3;
+export const MAX_RETRIES_LIMIT = 10;
+export const RETRY_BASE_DELAY_MS = 1000;
+export const RETRY_MAX_DELAY_MS = 30000;
+// A Retry-After longer than this is not waited for; the request fails (or falls back) instead
+export const RETRY_AFTER_MAX_MS = 120000;
+
+// Prompt used for each chunk in the map phase. The user's own template is applied in the reduce phase.
+// Besides the regular template variables it receives {{chunkIndex}} and {{chunkCount}}.
+export const CHUNK_SUMMARY_PROMPT_TEMPLATE = `以下是一篇长文档的第 {{chunkIndex}}/{{chunkCount}} 部分。请用{{language}}提取这一部分的要点，保留关键事实、数据、人名和结论，使用markdown列表呈现，不要添加额外评论：
+
+{{content}}`;
+
+// Placed before the partial summaries handed to the user's template in the reduce phase
+export const REDUCE_CONTENT_PREAMBLE = '以下内容是一篇长文档按顺序分段后，各部分的要点摘要。请把它们视为同一篇完整文档来处理：';
+
+// Appended to every summary prompt when citations are enabled. The content script prefixes
+// paragraphs, lists and tables with [P<n>]; the popup turns cited markers into links to the passage.
+export const CITATION_INSTRUCTION = '注意：内容中形如 [P12] 的标记是原网页段落的编号。请在每个要点或关键结论的末尾，用同样的格式注明其依据的段落编号，例如 [P3] 或 [P3][P7]。只使用内容中出现过的编号，不要编造。';
+
+export const DEFAULT_CITATIONS_ENABLED = true;
+
+// Appended to the prompt when the content is a video transcript with [m:ss] timestamps
+export const VIDEO_TIMESTAMP_INSTRUCTION = '注意：内容是带时间戳的视频字幕，形如 [12:34] 或 [1:02:03]。请在总结末尾增加"## 章节"部分，按时间顺序列出视频的主要章节，每条以章节开始的时间戳开头，格式为 "- [12:34] 章节内容"。只使用字幕中出现过的时间点，不要编造。';
+
+/**
+ * Kinds of extracted content reported as metadata.contentType by the content script.
+ */
+export const CONTENT_TYPES = {
+  VIDEO_TRANSCRIPT: 'videoTranscript', // Timed captions of a video, one "[m:ss] text" line per segment
+  PDF: 'pdf', // Text of a PDF document, one "## 第 n 页" section per page
+};
+
+/**
+ * How summarizeContentWithLLM uses the response cache.
+ */
+export const CACHE_MODES = {
+  OFF: 'off', // Neither read nor write the cache
+  USE: 'use', // Return a cached response when there is one, otherwise store the new one
+  REFRESH: 'refresh', // Always call the API and replace the cached response ("regenerate")
+};
+
+// Response cache defaults and limits. The oldest entries are dropped beyond either limit.
+export const DEFAULT_CACHE_ENABLED = true;
+export const DEFAULT_CACHE_TTL_HOURS = 7 * 24;
+export const CACHE_TTL_HOURS_LIMIT = 365 * 24;
+export const RESPONSE_CACHE_MAX_ENTRIES = 200;
+// Characters of all cached responses together; keeps the cache a small share of chrome.storage.local
+export const RESPONSE_CACHE_MAX_CHARS = 2000000;
+
+// Usage records beyond this many requests are dropped, oldest first (roughly 150 bytes each).
+// The totals of the day and month, and so the budget, still count every request.
+export const USAGE_MAX_RECORDS = 10000;
+// Daily totals are kept this many days; monthly totals are kept
+export const USAGE_TOTALS_MAX_DAYS = 62;
+
+/**
+ * Default model prices in USD per million tokens, matched against the model name in order.
+ * "*" matches any characters. Prices change; users can edit the table on the options page.
+ */
+export const DEFAULT_PRICE_TABLE = [
+  { pattern: 'gpt-4o-mini*', inputPrice: 0.15, outputPrice: 0.6 },
+  { pattern: 'gpt-4o*', inputPrice: 2.5, outputPrice: 10 },
+  { pattern: 'gpt-4.1-nano*', inputPrice: 0.1, outputPrice: 0.4 },
+  { pattern: 'gpt-4.1-mini*', inputPrice: 0.4, outputPrice: 1.6 },
+  { pattern: 'gpt-4.1*', inputPrice: 2, outputPrice: 8 },
+  { pattern: 'claude-3-5-haiku*', inputPrice: 0.8, outputPrice: 4 },
+  { pattern: 'claude-*sonnet*', inputPrice: 3, outputPrice: 15 },
+  { pattern: 'gemini-2.0-flash*', inputPrice: 0.1, outputPrice: 0.4 },
+  { pattern: 'deepseek-chat', inputPrice: 0.27, outputPrice: 1.1 },
+];
+
+/**
+ * What happens when the estimated cost of the current month reaches the budget.
+ */
+export const BUDGET_ACTIONS = {
+  WARN: 'warn', // Keep sending requests, but show a warning in the popup
+  BLOCK: 'block', // Refuse to send further requests until the next month or a higher budget
+};
+
+export const DEFAULT_BUDGET_ACTION = BUDGET_ACTIONS.WARN;
+// Share of the budget from which the popup warns that the limit is near
+export const BUDGET_WARNING_RATIO = 0.8;
+
+// PDFs larger than this are not downloaded for summarization
+export const MAX_PDF_BYTES = 50 * 1024 * 1024;
+
+// Summary history retention: the oldest entries are dropped beyond this many summaries
+export const DEFAULT_HISTORY_MAX_ENTRIES = 200;
+// Keeps the history well below the 10 MB quota of chrome.storage.local
+export const HISTORY_MAX_ENTRIES_LIMIT = 1000;
+
+// System prompt of the follow-up chat. The page content and the summary follow as earlier turns.
+export const CHAT_SYSTEM_PROMPT_TEMPLATE = `你是一个阅读助手。用户已经让你总结了一个网页{{#if title}}《{{title}}》{{/if}}，现在会就这个网页继续提问。请优先依据网页内容回答，并用{{language}}作答；如果网页中没有相关信息，请明确说明，不要编造。`;
+
+// Placed before the page content in the first turn of the follow-up chat
+export const CHAT_PAGE_CONTEXT_PREAMBLE = '以下是网页的内容：';
+
+// Appended when the page content had to be cut to fit into the chat context
+export const CHAT_CONTEXT_TRUNCATED_NOTE = '（页面内容过长，以上仅为开头部分。）';
+
+// Number of earlier chat messages (questions and answers) sent with a follow-up question
+export const MAX_CHAT_HISTORY_MESSAGES = 20;
+
+// chrome.storage.session holds 10 MB, shared by the conversations of all tabs and the jobs.
+// Conversations keep the beginning of the page (the chat only sends its beginning anyway), their
+// latest messages, and only the most recently used tabs.
+export const MAX_CONVERSATIONS = 20;
+export const MAX_CONVERSATION_CONTENT_TOKENS = 32000;
+export const MAX_CONVERSATION_MESSAGES = 50;
+
+// Prompts of the context menu actions on selected text. {{selection}} is the selected text;
+// {{content}} is the selection itself (summarize) or the text around it (explain).
+export const SELECTION_SUMMARY_PROMPT_TEMPLATE = `请用{{language}}总结以下从网页{{#if title}}《{{title}}》{{/if}}中选取的文字，使用markdown列表呈现要点：
+
+{{content}}`;
+
+export const SELECTION_EXPLAIN_PROMPT_TEMPLATE = `请用{{language}}通俗地解释下面这段从网页{{#if title}}《{{title}}》{{/if}}中选取的文字：说明它的含义，并解释其中的专业术语或背景知识。
+
+选中的文字：
+{{selection}}
+
+它在网页中的上下文：
+{{content}}`;
+
+/**
+ * Value types of the fields of an extraction schema.
+ */
+export const EXTRACTION_FIELD_TYPES = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  BOOLEAN: 'boolean',
+  LIST: 'list', // A list of short texts
+};
+
+/**
+ * Extraction schemas shipped with the extension. They cannot be edited, only selected.
+ * Each field becomes a key of the JSON object the model returns and a row of the popup table.
+ */
+export const BUILT_IN_EXTRACTION_SCHEMAS = [
+  {
+    id: 'builtin-product',
+    name: '商品信息',
+    fields: [
+      { name: '商品名称', type: EXTRACTION_FIELD_TYPES.TEXT, description: '完整的商品名称或型号' },
+      { name: '价格', type: EXTRACTION_FIELD_TYPES.NUMBER, description: '当前售价，只填数字' },
+      { name: '货币', type: EXTRACTION_FIELD_TYPES.TEXT, description: '价格的货币，如 CNY、USD' },
+      { name: '优点', type: EXTRACTION_FIELD_TYPES.LIST, description: '页面或评论中提到的优点' },
+      { name: '缺点', type: EXTRACTION_FIELD_TYPES.LIST, description: '页面或评论中提到的缺点' },
+    ],
+  },
+  {
+    id: 'builtin-paper',
+    name: '论文信息',
+    fields: [
+      { name: '标题', type: EXTRACTION_FIELD_TYPES.TEXT, description: '论文标题' },
+      { name: '作者', type: EXTRACTION_FIELD_TYPES.LIST, description: '全部作者' },
+      { name: '研究问题', type: EXTRACTION_FIELD_TYPES.TEXT, description: '论文要解决的问题' },
+      { name: '方法', type: EXTRACTION_FIELD_TYPES.TEXT, description: '采用的方法或模型' },
+      { name: '主要结果', type: EXTRACTION_FIELD_TYPES.LIST, description: '关键实验结果或结论' },
+    ],
+  },
+];
+
+// Prompt of the extraction mode. {{schema}} is the JSON Schema of the selected extraction schema.
+export const EXTRACTION_PROMPT_TEMPLATE = `请从以下网页{{#if title}}《{{title}}》{{/if}}中提取信息，并只输出一个符合下列 JSON Schema 的 JSON 对象，不要输出任何解释、注释或 markdown 代码块标记。
+要求：
+- 文本用{{language}}填写 (人名、型号等专有名词保留原文)；
+- 页面中找不到的字段填 null，不要编造；
+- 数字字段只填数字，不带单位或货币符号。
+
+JSON Schema：
+{{schema}}
+
+网页内容：
+{{content}}`;
+
+// Sent after an answer that is not valid JSON or does not match the schema. {{problems}} lists what is wrong.
+export const EXTRACTION_REPAIR_PROMPT_TEMPLATE = `你的输出不符合要求：
+{{problems}}
+请修正这些问题，只输出修正后的完整 JSON 对象，不要输出其他内容。`;
+
+// How many times the model is asked to fix an invalid extraction before giving up
+export const EXTRACTION_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Where the result of an automatic summary is shown. The action badge is always updated.
+ */
+export const AUTO_SUMMARIZE_DISPLAYS = {
+  OVERLAY: 'overlay', // Stream into the in-page overlay
+  BADGE: 'badge', // Only the badge; the summary is shown when the popup or side panel is opened
+};
+
+// Wait this long after the last load or URL change of a tab before summarizing, so SPAs that
+// change the URL several times in a row and quick reloads lead to a single request
+export const AUTO_SUMMARIZE_DEBOUNCE_MS = 2000;
+// The same URL is not summarized automatically again within this time
+export const AUTO_SUMMARIZE_COOLDOWN_MS = 10 * 60 * 1000;
+
+/**
+ * Action badge of a tab while and after it is summarized automatically.
+ */
+export const AUTO_SUMMARIZE_BADGES = {
+  RUNNING: { text: '…', color: '#757575' },
+  DONE: { text: '✓', color: '#2e7d32' },
+  ERROR: { text: '!', color: '#c62828' },
+};
+
+/**
+ * How the API keys in chrome.storage.local are encrypted (see domain/key_vault.js).
+ */
+export const KEY_VAULT_MODES = {
+  DEVICE: 'device', // A random non-extractable key in the extension's IndexedDB; nothing to unlock
+  PASSPHRASE: 'passphrase', // A key derived from the user's passphrase, unlocked once per browser session
+};
+
+// PBKDF2-SHA256 iterations for deriving the key from a passphrase
+export const KEY_DERIVATION_ITERATIONS = 600000;
+// Shortest passphrase accepted on the options page
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// How long a link opened in a background tab may take to load before giving up
+export const LINK_LOAD_TIMEOUT_MS = 30000;
+
+// Download path of exported summaries, relative to the download folder; "/" creates folders
+export const DEFAULT_EXPORT_FILENAME_TEMPLATE = 'LLM Summaries/{{date}} {{title}}';
+// Variables available in the export filename template
+export const EXPORT_FILENAME_VARIABLES = ['title', 'domain', 'date', 'time', 'model'];
+
+// Multi-tab digest: how many tabs are extracted and summarized at the same time
+export const DIGEST_MAX_PARALLEL_TABS = 3;
+
+/**
+ * States of a background job (domain/jobs.js). A job is queued until a slot is free, extracts
+ * the page, calls the LLM and ends as done or failed (including cancelled and interrupted jobs).
+ */
+export const JOB_STATUSES = {
+  QUEUED: 'queued',
+  EXTRACTING: 'extracting',
+  CALLING: 'calling',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+/**
+ * Where the background itself shows a job, besides popups that attach to it (domain/jobs.js).
+ */
+export const JOB_VIEWS = {
+  OVERLAY: 'overlay', // The in-page overlay of a keyboard shortcut or context menu action: { type, title }
+  AUTO_SUMMARY: 'autoSummary', // The action badge, and with `showOverlay` the overlay, of an automatic summary
+};
+
+// How many jobs run at the same time; further jobs wait in the queue
+export const MAX_CONCURRENT_JOBS = 3;
+// Finished jobs are kept this long, so a reopened popup can still show their result
+export const JOB_RETENTION_MS = 60 * 60 * 1000;
+// Streamed text and progress of a running job are saved at most this often
+export const JOB_SAVE_INTERVAL_MS = 1000;
+// Saved jobs share chrome.storage.session (10 MB) with the conversations: their streamed text and
+// the text of their result (summary, answer, previewed page) are cut to this many characters
+export const MAX_JOB_TEXT_LENGTH = 100000;
+export const JOB_TEXT_TRUNCATED_NOTE = '\n\n（内容过长，重新打开后仅显示开头部分。）';
+
+// Prompt of the combined digest report. {{content}} holds the per-tab summaries, each under
+// a "## [来源 n] title" heading.
+export const DIGEST_PROMPT_TEMPLATE = `以下是多个网页各自的摘要。请用{{language}}撰写一份综合对比报告，使用markdown：
+1. 为每个来源写一个小节，标题格式为 "### 来源 n：网页标题"，概括该来源的核心内容；
+2. 最后写一个 "## 综合分析" 小节：比较各来源的共同点、分歧或相互矛盾之处，并给出整体结论。
+提及具体观点时用 (来源 n) 注明出处。对于标注为无法读取的来源，只需简单说明。
+
+{{content}}`;
+
+// Id of the profile synthesized from the legacy single-configuration keys
+export const DEFAULT_PROFILE_ID = 'default';
+
 export const MESSAGE_TYPES = {
   GET_PAGE_CONTENT: 'getPageContent',
   SUMMARIZE_CONTENT: 'summarizeContent',
   SUMMARY_RESULT: 'summaryResult', // Message sent from background to popup with result/error
+  SUMMARY_CHUNK: 'summaryChunk', // Incremental text streamed from background to popup while the LLM is generating
+  STOP_SUMMARIZE: 'stopSummarize', // Sent from popup to background to abort the running request
+  SUMMARY_PROGRESS: 'summaryProgress', // Map-reduce progress (chunks done / total) sent from background to popup
+  CHAT_MESSAGE: 'chatMessage', // Follow-up question about the summarized page, sent from popup to background
+  CHAT_CHUNK: 'chatChunk', // Incremental text of the answer to a follow-up question
+  CHAT_RESULT: 'chatResult', // Final answer (or error) for a follow-up question
+  OVERLAY_UPDATE: 'overlayUpdate', // Background -> in-page overlay: new state or streamed text of a context menu action
+  OVERLAY_CLOSED: 'overlayClosed', // In-page overlay -> background: the user closed the overlay, abort its request
+  HIGHLIGHT_PASSAGE: 'highlightPassage', // Popup -> content script: scroll to and highlight a cited passage
+  DIGEST_TABS: 'digestTabs', // Popup -> background: summarize several tabs into one combined report
+  SEEK_VIDEO: 'seekVideo', // Popup -> content script: seek the page's video to a timestamp from the summary
+  AUTO_SUMMARY_READY: 'autoSummaryReady', // Background -> side panel: a tab was summarized automatically
+  EXTRACT_CONTENT: 'extractContent', // Popup -> background: extract structured data from the page with a schema
+  EXTRACTION_RESULT: 'extractionResult', // Background -> popup: the validated extraction (or an error)
+  PREVIEW_CONTENT: 'previewContent', // Popup -> background: extract and redact the page without calling the LLM
+  PREVIEW_RESULT: 'previewResult', // Background -> popup: the redacted content that a summary would send
+  JOB_STARTED: 'jobStarted', // Background -> popup: id of the job created for the request sent over the port
+  JOB_STATUS: 'jobStatus', // Task -> job manager and popup: the job moved to another JOB_STATUSES state
+  ATTACH_JOB: 'attachJob', // Popup -> background: stream the messages of an existing job over this port
+  JOB_SNAPSHOT: 'jobSnapshot', // Background -> popup: the saved state of the attached job, sent before its live messages
+  CANCEL_JOB: 'cancelJob', // Popup -> background (runtime message): cancel a job by id
+  READ_LOCAL_PDF: 'readLocalPdf', // Background -> offscreen document: read and parse a file:// PDF
+  CANCEL_LOCAL_PDF: 'cancelLocalPdf', // Background -> offscreen document: stop the READ_LOCAL_PDF with this requestId
+  CLOSE_SIDE_PANEL: 'closeSidePanel', // Background -> side panel: close the panel of `windowId` (browsers without chrome.sidePanel.close)
+  CONTEXT_MENU_ACTION: 'contextMenuAction', // Job type of a context menu action shown in the in-page overlay
+};
+
+/**
+ * States shown by the in-page overlay (content_scripts/overlay.js).
+ */
+export const OVERLAY_STATES = {
+  LOADING: 'loading',
+  STREAMING: 'streaming',
+  DONE: 'done',
+  ERROR: 'error',
+};
+
+/**
+ * Ids of the items added to the page context menu.
+ */
+export const CONTEXT_MENU_IDS = {
+  SUMMARIZE_SELECTION: 'summarizeSelection',
+  EXPLAIN_SELECTION: 'explainSelection',
+  SUMMARIZE_LINK: 'summarizeLink',
+};
+
+/**
+ * Names of the keyboard shortcuts declared under "commands" in manifest.json.
+ * Users can change the keys on chrome://extensions/shortcuts.
+ */
+export const KEYBOARD_COMMANDS = {
+  SUMMARIZE_PAGE: 'summarize-page',
+  SUMMARIZE_SELECTION: 'summarize-selection',
+  OPEN_HISTORY: 'open-history',
+  TOGGLE_SIDE_PANEL: 'toggle-side-panel',
+};
+
+/**
+ * Phases reported in SUMMARY_PROGRESS messages.
+ */
+export const SUMMARY_PHASES = {
+  MAP: 'map', // Summarizing the individual chunks
+  REDUCE: 'reduce', // Merging partial summaries into the final result
+  DIGEST: 'digest', // Multi-tab digest: summarizing the selected tabs one by one
+  SYNTHESIS: 'synthesis', // Multi-tab digest: writing the combined report
+  RETRY: 'retry', // A request failed temporarily and is sent again after a delay
+  FALLBACK: 'fallback', // The profile failed; its fallback profile takes over
+  REPAIR: 'repair', // Extraction mode: the model is asked to fix JSON that does not match the schema
+};
+
+/**
+ * Names of long-lived ports opened with chrome.runtime.connect.
+ */
+export const PORT_NAMES = {
+  SUMMARIZE: 'summarize', // Popup <-> background channel used for a streamed summarization or follow-up answer
 };
 
 export const ERROR_MESSAGES = {
   SETTINGS_MISSING: 'LLM API settings are missing. Please configure them in the options page.',
+  PROFILE_NOT_FOUND: 'The selected LLM profile no longer exists. Please choose another profile.',
   CONTENT_EXTRACTION_FAILED: 'Failed to extract page content.',
   LLM_API_ERROR: 'An error occurred while calling the LLM API.',
   UNKNOWN_ERROR: 'An unknown error occurred.',
+  REQUEST_CANCELLED: 'The request was cancelled.',
+  CONVERSATION_NOT_FOUND: 'No summary of this page was found. Please summarize the page before asking follow-up questions.',
+  PDF_FETCH_FAILED: 'Failed to download the PDF document.',
+  PDF_TOO_LARGE: 'The PDF document is too large to summarize.',
+  PDF_INVALID: 'The file is not a valid PDF document.',
+  PDF_ENCRYPTED: 'The PDF document is encrypted and cannot be read.',
+  PDF_NO_TEXT: 'No text was found in the PDF document. It may be a scanned document that only contains images.',
+  FILE_ACCESS_DENIED: 'Reading local files is not allowed. Enable "Allow access to file URLs" for this extension on chrome://extensions.',
+  BUDGET_EXCEEDED: 'The monthly budget has been reached. Raise the budget or switch to warnings in the options page to continue.',
+  EXTRACTION_INVALID: 'The model did not return valid JSON for the extraction schema.',
+  DOMAIN_BLOCKED: 'This site is on the privacy blocklist. Its content is not sent to the LLM; remove it from the blocklist in the options page to summarize it.',
+  API_KEYS_LOCKED: 'The API keys are locked with a passphrase. Unlock them in the options page; they stay unlocked until the browser is closed.',
+  WRONG_PASSPHRASE: 'The passphrase is wrong.',
+  JOB_INTERRUPTED: 'The extension\'s background service was restarted and the request was interrupted. Please try again.',
+  SESSION_STORAGE_FULL: 'The browser session storage of the extension is full. Close some tabs with summaries and try again.',
 };
 
 export const PLACEHOLDER_CONTENT = '{{content}}'; // Consistent placeholder
\ No newline at end of file
@@ -1,8 +1,17 @@
 // chrome-llm-summarizer/utils/logger.js
 
+import { scrubSecrets } from './redaction.js';
+
+// Object properties whose values never appear in the log, e.g. a profile logged for debugging.
+// Matched at the end of the name, so prefixed storage keys such as llmApiKey are covered too; keys
+// without a recognizable format (e.g. Azure's 32 hex digits) are only caught this way.
+const SENSITIVE_KEY_PATTERN = /(?:api[-_]?keys?|authorization|password|passphrase)$/i;
+
+const hideSensitiveValues = (key, value) => (SENSITIVE_KEY_PATTERN.test(key) && value ? '[REDACTED]' : value);
+
 /**
  * Simple logger utility wrapping console methods.
- * Adds context such as the module name.
+ * Adds context such as the module name. API keys and tokens are masked in every message.
  */
 const createLogger = (moduleName) => {
   const log = (level, ...args) => {
@@ -10,14 +19,14 @@ const createLogger = (moduleName) => {
     const message = args.map(arg => {
       if (typeof arg === 'object' && arg !== null) {
         try {
-          return JSON.stringify(arg);
+          return JSON.stringify(arg, hideSensitiveValues);
         } catch (e) {
           return String(arg); // Fallback for circular references etc.
         }
       }
       return String(arg);
     }).join(' ');
-    console[level](`[${timestamp}] [${level.toUpperCase()}] [${moduleName}] - ${message}`);
+    console[level](`[${timestamp}] [${level.toUpperCase()}] [${moduleName}] - ${scrubSecrets(message)}`);
   };
 
   return {
@@ -26,7 +35,7 @@ const createLogger = (moduleName) => {
     warn: (...args) => log('warn', ...args),
     error: (...args) => log('error', ...args),
     // Use console.error for errors, it often includes stack trace in browser consoles
-    errorWithStack: (message, error) => console.error(`[${new Date().toISOString()}] [ERROR] [${moduleName}] - ${message}`, error)
+    errorWithStack: (message, error) => console.error(`[${new Date().toISOString()}] [ERROR] [${moduleName}] - ${scrubSecrets(message)}`, error)
   };
 };
 
@@ -0,0 +1,143 @@
+// chrome-llm-summarizer/utils/redaction.js
+
+/**
+ * Detectors for personal data and secrets in page text. Matches are replaced with numbered
+ * placeholders such as [EMAIL_1]; the same value always gets the same placeholder, so the
+ * model can still tell that two mentions refer to the same address.
+ *
+ * Kept free of other imports so the logger can use it to scrub its own output.
+ */
+
+// Luhn checksum of card numbers; rules out most other long digit runs (order numbers, ids)
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// ISO 13616 check: move the country code and check digits to the end, letters become 10..35, mod 97 must be 1
+const passesIbanChecksum = (iban) => {
+  const compact = iban.replace(/\s/g, '').toUpperCase();
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+};
+
+/**
+ * Built-in detectors. `patterns` are global regexes; a named group `value` limits the
+ * replacement to that part of the match (e.g. the value after "password=").
+ */
+export const REDACTION_DETECTORS = [
+  {
+    id: 'secret',
+    label: 'API Key / 令牌',
+    placeholder: 'SECRET',
+    patterns: [
+      // JSON Web Tokens: header.payload.signature, both JSON parts start with {" (eyJ)
+      /\beyJ[\w-]{5,}\.eyJ[\w-]{5,}\.[\w-]{10,}/g,
+      // Well-known key formats: OpenAI/Anthropic, AWS, GitHub, Slack, Google
+      /\b(?:sk-(?:ant-|proj-)?[\w-]{20,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_\w{22,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[\w-]{35})\b/g,
+      /\bBearer\s+(?<value>[\w.~+/-]{20,}=*)/g,
+      // key=value pairs, also in URL query strings (?token=...&sig=...)
+      /\b(?:api[_-]?key|[\w-]*token|client[_-]?secret|secret|password|passwd|auth|sig|signature|session[_-]?id)["']?\s*[:=]\s*["']?(?<value>[^\s"',;&#]{8,})/gi,
+    ],
+  },
+  {
+    id: 'email',
+    label: '邮箱',
+    placeholder: 'EMAIL',
+    patterns: [/\b[\w.%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g],
+  },
+  {
+    id: 'iban',
+    label: 'IBAN',
+    placeholder: 'IBAN',
+    patterns: [/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g],
+    validate: passesIbanChecksum,
+  },
+  {
+    id: 'creditCard',
+    label: '银行卡号',
+    placeholder: 'CARD',
+    patterns: [/\b(?:\d[ -]?){12,18}\d\b/g],
+    validate: (match) => passesLuhn(match.replace(/\D/g, '')),
+  },
+  {
+    id: 'phone',
+    label: '电话号码',
+    placeholder: 'PHONE',
+    patterns: [
+      // International (+86 138 0013 8000), mainland China mobiles (13800138000) and North American numbers ((555) 123-4567)
+      /(?<![\w+])(?:\+\d{1,3}[\s-]?(?:\(?\d{1,4}\)?[\s-]?)?\d{3,4}[\s-]?\d{3,4}|1[3-9]\d[\s-]?\d{4}[\s-]?\d{4}|\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4})(?!\w)/g,
+    ],
+  },
+];
+
+/**
+ * Replaces personal data and secrets in a text with placeholders.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string[]} [options.detectors] - Ids of the built-in detectors to run; all by default.
+ * @param {{name: string, pattern: string}[]} [options.customPatterns] - User regexes; matches become [name_n].
+ *   Invalid patterns are skipped (the options page rejects them before saving).
+ * @returns {{text: string, counts: Object<string, number>}} - `counts` maps detector labels and pattern
+ *   names to the number of replaced matches.
+ */
+export const redactText = (text, { detectors = REDACTION_DETECTORS.map((detector) => detector.id), customPatterns = [] } = {}) => {
+  const counts = {};
+  const rules = REDACTION_DETECTORS.filter((detector) => detectors.includes(detector.id));
+  customPatterns.forEach(({ name, pattern }) => {
+    try {
+      rules.push({ label: name, placeholder: name, patterns: [new RegExp(pattern, 'g')] });
+    } catch (error) {
+      // Skipped; the options page validates patterns before saving
+    }
+  });
+
+  let result = text || '';
+  for (const rule of rules) {
+    const placeholders = new Map();
+    for (const pattern of rule.patterns) {
+      result = result.replace(pattern, (...args) => {
+        const match = args[0];
+        const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : undefined;
+        const value = groups?.value ?? match;
+        // Placeholders of earlier rules look like [NAME_1] and are left alone
+        if (!value || /^\[[^\]]+_\d+\]$/.test(value) || (rule.validate && !rule.validate(value))) {
+          return match;
+        }
+        if (!placeholders.has(value)) {
+          placeholders.set(value, `[${rule.placeholder}_${placeholders.size + 1}]`);
+        }
+        counts[rule.label] = (counts[rule.label] || 0) + 1;
+        return match.replace(value, placeholders.get(value));
+      });
+    }
+  }
+  return { text: result, counts };
+};
+
+/**
+ * Replaces API keys and tokens with [REDACTED], e.g. in log output.
+ * @param {string} text
+ * @returns {string}
+ */
+export const scrubSecrets = (text) => REDACTION_DETECTORS[0].patterns.reduce((result, pattern) => result.replace(pattern, (...args) => {
+  const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : undefined;
+  return groups?.value ? args[0].replace(groups.value, '[REDACTED]') : '[REDACTED]';
+}), text);
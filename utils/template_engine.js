@@ -0,0 +1,124 @@
+// chrome-llm-summarizer/utils/template_engine.js
+
+/**
+ * A very small templating engine for prompt templates.
+ *
+ * Syntax:
+ *   {{name}}                              inserts a variable
+ *   {{#if name}} ... {{/if}}              keeps the section when the variable is non-empty
+ *   {{#if name}} ... {{else}} ... {{/if}} with an alternative section
+ *   {{#unless name}} ... {{/unless}}      keeps the section when the variable is empty
+ *
+ * Substituted values are inserted verbatim and never parsed again, so page content that
+ * happens to contain "{{...}}" is safe.
+ */
+
+const TAG_REGEX = /\{\{\s*([#/]?)\s*([\w.-]*)\s*([\w.-]*)\s*\}\}/g;
+const BLOCK_KEYWORDS = new Set(['if', 'unless']);
+
+/**
+ * Parses a template into a tree of nodes and collects syntax errors.
+ * @param {string} template
+ * @returns {{nodes: object[], errors: string[], variables: Set<string>}}
+ */
+const parseTemplate = (template) => {
+  const root = { children: [] };
+  const stack = [root];
+  const errors = [];
+  const variables = new Set();
+  let lastIndex = 0;
+
+  const current = () => stack[stack.length - 1];
+  // Nodes go to the else branch once {{else}} has been seen in the open block
+  const target = () => (current().inElse ? current().elseChildren : current().children);
+  const pushText = (text) => {
+    if (text) {
+      target().push({ type: 'text', text });
+    }
+  };
+
+  for (const match of template.matchAll(TAG_REGEX)) {
+    const [raw, sigil, word, argument] = match;
+    pushText(template.slice(lastIndex, match.index));
+    lastIndex = match.index + raw.length;
+
+    if (sigil === '#') {
+      if (!BLOCK_KEYWORDS.has(word) || !argument) {
+        errors.push(`无法识别的区块标记 "${raw}"，应为 {{#if 变量}} 或 {{#unless 变量}}。`);
+        continue;
+      }
+      variables.add(argument);
+      const block = { type: word, name: argument, children: [], elseChildren: null, inElse: false };
+      target().push(block);
+      stack.push(block);
+    } else if (sigil === '/') {
+      const open = current();
+      if (stack.length === 1 || open.type !== word) {
+        errors.push(`多余的结束标记 "${raw}"。`);
+        continue;
+      }
+      stack.pop();
+    } else if (word === 'else' && !argument) {
+      const open = current();
+      if (stack.length === 1 || open.inElse) {
+        errors.push('{{else}} 必须位于 {{#if}} 或 {{#unless}} 区块内，且只能出现一次。');
+        continue;
+      }
+      open.inElse = true;
+      open.elseChildren = [];
+    } else if (word && !argument) {
+      variables.add(word);
+      target().push({ type: 'variable', name: word });
+    } else {
+      errors.push(`无法识别的标记 "${raw}"。`);
+    }
+  }
+  pushText(template.slice(lastIndex));
+
+  stack.slice(1).forEach((block) => errors.push(`区块 {{#${block.type} ${block.name}}} 缺少结束标记 {{/${block.type}}}。`));
+  return { nodes: root.children, errors, variables };
+};
+
+const isTruthy = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+const renderNodes = (nodes, variables) => nodes.map((node) => {
+  switch (node.type) {
+    case 'text':
+      return node.text;
+    case 'variable':
+      return isTruthy(variables[node.name]) ? String(variables[node.name]) : '';
+    case 'if':
+    case 'unless': {
+      const condition = isTruthy(variables[node.name]) === (node.type === 'if');
+      return renderNodes(condition ? node.children : (node.elseChildren || []), variables);
+    }
+    default:
+      return '';
+  }
+}).join('');
+
+/**
+ * Renders a template with the given variables. Unknown or empty variables render as ''.
+ * Syntax errors are tolerated (unclosed blocks are closed at the end of the template);
+ * use validateTemplate to report them to the user.
+ * @param {string} template
+ * @param {object} variables - Map of variable name to value.
+ * @returns {string}
+ */
+export const renderTemplate = (template, variables) => {
+  const { nodes } = parseTemplate(template || '');
+  return renderNodes(nodes, variables || {});
+};
+
+/**
+ * Checks a template for syntax errors and variables that are not in the allowed list.
+ * @param {string} template
+ * @param {string[]} knownVariables - Variable names the caller will provide.
+ * @returns {{errors: string[], unknownVariables: string[], variables: string[]}}
+ */
+export const validateTemplate = (template, knownVariables) => {
+  const { errors, variables } = parseTemplate(template || '');
+  const known = new Set(knownVariables);
+  const unknownVariables = [...variables].filter((name) => !known.has(name));
+  return { errors, unknownVariables, variables: [...variables] };
+};
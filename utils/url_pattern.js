@@ -0,0 +1,58 @@
+// chrome-llm-summarizer/utils/url_pattern.js
+
+/**
+ * Turns a glob into a case-insensitive regex matching the whole string.
+ * Regex metacharacters are escaped except `*`, which becomes "any characters".
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export const globToRegExp = (glob) => new RegExp(`^${glob.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i');
+
+/**
+ * Checks whether a URL matches a user-entered pattern. Supported forms:
+ *   - "github.com"            host or any subdomain of it
+ *   - "*.example.org"         glob on the host name
+ *   - "github.com/*\/issues*" glob on host + path + query (no scheme)
+ *   - "https://intranet/*"    glob on the full URL when a scheme is given
+ * Matching is case-insensitive.
+ * @param {string} url - The page URL.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export const matchesUrlPattern = (url, pattern) => {
+  const trimmed = (pattern || '').trim();
+  if (!trimmed || !url) {
+    return false;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed)) {
+    return globToRegExp(trimmed).test(url);
+  }
+
+  if (!trimmed.includes('/')) {
+    const host = parsed.hostname.toLowerCase();
+    const hostPattern = trimmed.toLowerCase();
+    if (!hostPattern.includes('*')) {
+      return host === hostPattern || host.endsWith(`.${hostPattern}`);
+    }
+    return globToRegExp(hostPattern).test(host);
+  }
+
+  return globToRegExp(trimmed).test(`${parsed.host}${parsed.pathname}${parsed.search}`);
+};
+
+/**
+ * Returns the first item whose `pattern` matches the URL.
+ * @template {{pattern: string}} T
+ * @param {string} url
+ * @param {T[]} rules - Rules in priority order.
+ * @returns {T|null}
+ */
+export const findMatchingRule = (url, rules) => (rules || []).find((rule) => matchesUrlPattern(url, rule.pattern)) || null;